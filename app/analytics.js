@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Analyses the structure of a railway network as a graph:
+ *    how many stations each station is linked to, interchanges and
+ *    terminals, islands of stations that can not be reached from the rest,
+ *    the stations and links whose loss would split the network, its
+ *    diameter and how many shortest journeys pass through each station.
+ *    Stations are linked when a route runs between them or they are joined
+ *    by a walk, whichever way the link runs.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {MinHeap, linkDistance, DISTANCE_TOLERANCE} = require('./network.js');
+const {round} = require('./output.js');
+
+/**
+ * What the analysis found for one station.
+ * @typedef {{type: string, rank: number, stationID: (number|string),
+ *    stationName: string, degree: number, routes: number,
+ *    interchange: boolean, terminal: boolean, articulationPoint: boolean,
+ *    betweenness: number}} StationAnalysis
+ */
+
+/**
+ * What the analysis found for a whole network. Stations are ranked by
+ *    betweenness, the busiest first.
+ * @typedef {{type: string, networkName: string, stations: number,
+ *    interchanges: !Array<string>, terminals: !Array<string>,
+ *    components: !Array<Array<string>>,
+ *    articulationPoints: !Array<string>, bridges: !Array<Array<string>>,
+ *    diameter: ?{distance: number, from: string, to: string},
+ *    ranking: !Array<StationAnalysis>}} NetworkAnalysis
+ */
+
+/**
+ * Returns the stations each station is linked to and the miles to each,
+ *    the shortest when several routes link the same two stations. Links go
+ *    both ways even where the graph only has one direction.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @return {!Map<Station, Map<Station, number>>}
+ */
+function neighbours(graph) {
+  const res = new Map();
+  Object.keys(graph.stations).forEach((id) => {
+    res.set(graph.stations[id], new Map());
+  });
+  const join = (stationA, stationB, distance) => {
+    const known = res.get(stationA).get(stationB);
+    if (known === undefined || distance < known) {
+      res.get(stationA).set(stationB, distance);
+    }
+  };
+  res.forEach((links, station) => {
+    station.links.forEach((link) => {
+      if (link.station !== station) {
+        join(station, link.station, linkDistance(link));
+        join(link.station, station, linkDistance(link));
+      }
+    });
+  });
+  return res;
+}
+
+/**
+ * Returns the names of the routes calling at each station.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @return {!Map<Station, Set<string>>}
+ */
+function stationRoutes(graph) {
+  const res = new Map();
+  Object.keys(graph.routes).forEach((name) => {
+    graph.routes[name].stops.forEach((stop) => {
+      const station = graph.stations[stop.stationId];
+      if (!res.has(station)) {
+        res.set(station, new Set());
+      }
+      res.get(station).add(name);
+    });
+  });
+  return res;
+}
+
+/**
+ * Returns the stations at the ends of routes that are not circular.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @return {!Set<Station>}
+ */
+function terminalStations(graph) {
+  const res = new Set();
+  Object.keys(graph.routes).forEach((name) => {
+    const route = graph.routes[name];
+    if (!route.circular && route.stops.length > 0) {
+      res.add(graph.stations[route.stops[0].stationId]);
+      res.add(graph.stations[route.stops[route.stops.length - 1].stationId]);
+    }
+  });
+  return res;
+}
+
+/**
+ * Splits the stations into groups that can all reach each other.
+ * @param {!Map<Station, Map<Station, number>>} adjacent - The stations each
+ *    station is linked to.
+ * @return {!Array<Array<Station>>} The groups, largest first.
+ */
+function connectedComponents(adjacent) {
+  const seen = new Set();
+  const res = [];
+  adjacent.forEach((links, start) => {
+    if (seen.has(start)) {
+      return;
+    }
+    const component = [start];
+    seen.add(start);
+    for (let i = 0; i < component.length; i++) {
+      adjacent.get(component[i]).forEach((distance, station) => {
+        if (!seen.has(station)) {
+          seen.add(station);
+          component.push(station);
+        }
+      });
+    }
+    res.push(component);
+  });
+  return res.sort((componentA, componentB) =>
+    componentB.length - componentA.length);
+}
+
+/**
+ * Finds the single points of failure of the network with Tarjan's
+ *    algorithm: stations and links that, if closed, would leave some
+ *    stations unable to reach others.
+ * @param {!Map<Station, Map<Station, number>>} adjacent - The stations each
+ *    station is linked to.
+ * @return {{articulationPoints: Set<Station>,
+ *    bridges: Array<Array<Station>>}}
+ */
+function failurePoints(adjacent) {
+  const order = new Map();
+  const low = new Map();
+  const articulationPoints = new Set();
+  const bridges = [];
+  const visit = (station, parent) => {
+    order.set(station, order.size);
+    low.set(station, order.get(station));
+    let children = 0;
+    adjacent.get(station).forEach((distance, next) => {
+      if (next === parent) {
+        return;
+      }
+      if (order.has(next)) {
+        low.set(station, Math.min(low.get(station), order.get(next)));
+        return;
+      }
+      children++;
+      visit(next, station);
+      low.set(station, Math.min(low.get(station), low.get(next)));
+      if (parent !== null && low.get(next) >= order.get(station)) {
+        articulationPoints.add(station);
+      }
+      if (low.get(next) > order.get(station)) {
+        bridges.push([station, next]);
+      }
+    });
+    // the first station of a search only splits it with two subtrees
+    if (parent === null && children > 1) {
+      articulationPoints.add(station);
+    }
+  };
+  adjacent.forEach((links, station) => {
+    if (!order.has(station)) {
+      visit(station, null);
+    }
+  });
+  return {articulationPoints: articulationPoints, bridges: bridges};
+}
+
+/**
+ * Dijkstra search from one station over the links between stations,
+ *    counting the shortest paths to each station as Brandes' algorithm
+ *    needs.
+ * @param {!Map<Station, Map<Station, number>>} adjacent - The stations each
+ *    station is linked to.
+ * @param {!Station} source - The station searched from.
+ * @return {{distances: Map<Station, number>, paths: Map<Station, number>,
+ *    previous: Map<Station, Array<Station>>, order: Array<Station>}} The
+ *    miles to each station reached, the number of shortest paths to it, the
+ *    stations before it on those paths, and the stations nearest first.
+ */
+function shortestPaths(adjacent, source) {
+  const distances = new Map([[source, 0]]);
+  const paths = new Map([[source, 1]]);
+  const previous = new Map([[source, []]]);
+  const order = [];
+  const done = new Set();
+  const queue = new MinHeap((itemA, itemB) => itemA.distance - itemB.distance);
+  queue.push({station: source, distance: 0});
+  while (queue.size() > 0) {
+    const item = queue.pop();
+    if (done.has(item.station)) {
+      continue;
+    }
+    done.add(item.station);
+    order.push(item.station);
+    adjacent.get(item.station).forEach((miles, next) => {
+      const distance = item.distance + miles;
+      const known = distances.has(next) ? distances.get(next) : Infinity;
+      if (distance < known - DISTANCE_TOLERANCE) {
+        distances.set(next, distance);
+        paths.set(next, paths.get(item.station));
+        previous.set(next, [item.station]);
+        queue.push({station: next, distance: distance});
+      } else if (Math.abs(distance - known) <= DISTANCE_TOLERANCE) {
+        paths.set(next, paths.get(next) + paths.get(item.station));
+        previous.get(next).push(item.station);
+      }
+    });
+  }
+  return {
+    distances: distances,
+    paths: paths,
+    previous: previous,
+    order: order,
+  };
+}
+
+/**
+ * Works out the betweenness centrality of each station with Brandes'
+ *    algorithm, and the diameter of the network from the same searches.
+ *    Betweenness is the number of shortest journeys between two other
+ *    stations that pass through a station, shared between equally short
+ *    journeys. The diameter is the longest of the shortest journeys
+ *    between two stations that can reach each other.
+ * @param {!Map<Station, Map<Station, number>>} adjacent - The stations each
+ *    station is linked to.
+ * @return {{betweenness: Map<Station, number>,
+ *    diameter: ?{distance: number, from: Station, to: Station}}}
+ */
+function centrality(adjacent) {
+  const betweenness = new Map();
+  adjacent.forEach((links, station) => betweenness.set(station, 0));
+  let diameter = null;
+  adjacent.forEach((links, source) => {
+    const search = shortestPaths(adjacent, source);
+    const dependency = new Map();
+    search.order.forEach((station) => dependency.set(station, 0));
+    // the furthest stations first, so each passes its share back
+    for (let i = search.order.length - 1; i >= 0; i--) {
+      const station = search.order[i];
+      search.previous.get(station).forEach((before) => {
+        const share = search.paths.get(before) / search.paths.get(station) *
+          (1 + dependency.get(station));
+        dependency.set(before, dependency.get(before) + share);
+      });
+      if (station !== source) {
+        betweenness.set(station,
+            betweenness.get(station) + dependency.get(station));
+      }
+    }
+    const furthest = search.order[search.order.length - 1];
+    const distance = search.distances.get(furthest);
+    if (diameter === null || distance > diameter.distance) {
+      diameter = {distance: distance, from: source, to: furthest};
+    }
+  });
+  // every journey was found from both of its ends
+  betweenness.forEach((value, station) => {
+    betweenness.set(station, value / 2);
+  });
+  return {betweenness: betweenness, diameter: diameter};
+}
+
+/**
+ * Analyses the structure of a network.
+ * @param {!RailwayGraph} graph - The graph of the network, built by the
+ *    network method.
+ * @return {!NetworkAnalysis}
+ */
+function analyzeNetwork(graph) {
+  const adjacent = neighbours(graph);
+  const routes = stationRoutes(graph);
+  const terminals = terminalStations(graph);
+  const failures = failurePoints(adjacent);
+  const central = centrality(adjacent);
+  const names = (stations) => stations
+      .map((station) => station.stationName)
+      .sort((nameA, nameB) => nameA.localeCompare(nameB));
+  const stations = Array.from(adjacent.keys());
+  const routeCount = (station) =>
+    routes.has(station) ? routes.get(station).size : 0;
+  const ranking = stations
+      .map((station) => ({
+        type: 'station-analysis',
+        rank: null,
+        stationID: station.stationID,
+        stationName: station.stationName,
+        degree: adjacent.get(station).size,
+        routes: routeCount(station),
+        interchange: routeCount(station) >= 2,
+        terminal: terminals.has(station),
+        articulationPoint: failures.articulationPoints.has(station),
+        betweenness: central.betweenness.get(station),
+      }))
+      .sort((stationA, stationB) =>
+        stationB.betweenness - stationA.betweenness ||
+        stationB.degree - stationA.degree ||
+        stationA.stationName.localeCompare(stationB.stationName));
+  ranking.forEach((station, i) => {
+    station.rank = i + 1;
+  });
+  const diameter = central.diameter;
+  return {
+    type: 'network-analysis',
+    networkName: graph.networkName,
+    stations: stations.length,
+    interchanges: names(stations.filter((station) =>
+      routeCount(station) >= 2)),
+    terminals: names(Array.from(terminals)),
+    components: connectedComponents(adjacent).map(names),
+    articulationPoints: names(Array.from(failures.articulationPoints)),
+    bridges: failures.bridges
+        .map((bridge) => names(bridge))
+        .sort((bridgeA, bridgeB) =>
+          bridgeA.join().localeCompare(bridgeB.join())),
+    diameter: diameter === null ? null : {
+      distance: diameter.distance,
+      from: diameter.from.stationName,
+      to: diameter.to.stationName,
+    },
+    ranking: ranking,
+  };
+}
+
+/**
+ * Returns the analysis of a network as records for JSON output: the
+ *    network first, then a record for each station in rank order.
+ * @param {!NetworkAnalysis} analysis - The analysis.
+ * @return {!Array<Object>}
+ */
+function analysisToData(analysis) {
+  const network = Object.assign({}, analysis);
+  delete network.ranking;
+  return [network].concat(analysis.ranking);
+}
+
+/**
+ * Returns a human-readable report of the analysis of a network, with the
+ *    stations ranked by betweenness.
+ * @param {!NetworkAnalysis} analysis - The analysis.
+ * @param {number} [top] - The most stations to rank, all of them if not
+ *    given.
+ * @return {string}
+ */
+function analysisToString(analysis, top = Infinity) {
+  const list = (names) => names.length === 0 ? 'none' : names.join(', ');
+  const lines = [
+    `Network analysis: ${analysis.networkName}`,
+    `Stations: ${analysis.stations}`,
+    `Connected components: ${analysis.components.length}`,
+  ];
+  analysis.components.slice(1).forEach((component) => {
+    lines.push(`  Unreachable from the rest: ${list(component)}`);
+  });
+  lines.push(
+      `Interchanges (${analysis.interchanges.length}): ` +
+      list(analysis.interchanges),
+      `Terminals (${analysis.terminals.length}): ${list(analysis.terminals)}`,
+  );
+  if (analysis.diameter !== null) {
+    lines.push(`Diameter: ${round(analysis.diameter.distance)} miles, ` +
+      `${analysis.diameter.from} to ${analysis.diameter.to}`);
+  }
+  lines.push(
+      'Single points of failure',
+      `  Stations: ${list(analysis.articulationPoints)}`,
+      `  Links: ${list(analysis.bridges.map((bridge) => bridge.join(' - ')))}`,
+      '',
+      'Stations ranked by betweenness',
+  );
+  analysis.ranking.slice(0, top).forEach((station) => {
+    const notes = [
+      `betweenness ${round(station.betweenness)}`,
+      `degree ${station.degree}`,
+      `${station.routes} route(s)`,
+    ];
+    if (station.interchange) {
+      notes.push('interchange');
+    }
+    if (station.terminal) {
+      notes.push('terminal');
+    }
+    if (station.articulationPoint) {
+      notes.push('single point of failure');
+    }
+    lines.push(`${String(station.rank).padStart(4)}. ` +
+      `${station.stationName}: ${notes.join(', ')}`);
+  });
+  return lines.join('\n');
+}
+
+exports.analyzeNetwork = analyzeNetwork;
+exports.analysisToData = analysisToData;
+exports.analysisToString = analysisToString;
+exports.connectedComponents = connectedComponents;
+exports.failurePoints = failurePoints;
+exports.neighbours = neighbours;
@@ -0,0 +1,818 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview The railway command line tool: one entry point with a
+ *    subcommand for each report on a railway network, e.g.
+ *    railway plan Truro Oban --data railtrack_uk.json -n 3
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const fs = require('fs');
+const railway = require('./railway.js');
+const network = require('./network.js');
+const {normalizeName, loadAliases} = require('./resolver.js');
+const {
+  FORMATS,
+  checkFormat,
+  formatRecords,
+  toCSV,
+} = require('./output.js');
+const {diffNetworks, diffToString} = require('./diff.js');
+const {loadNetworkFile} = require('./merge.js');
+const {analyzeNetwork, analysisToData, analysisToString} = require(
+    './analytics.js',
+);
+const {cachedMatrix, computeMatrix, entriesToCSV} = require('./matrix.js');
+const {
+  compareJourneys,
+  disruptGraph,
+  disruptionImpact,
+  impactToData,
+  impactToString,
+  loadDisruption,
+} = require('./disruption.js');
+const {
+  CSV_COLUMNS: RESILIENCE_COLUMNS,
+  resilienceSweep,
+  resilienceToString,
+} = require('./resilience.js');
+const {nearestStations, toGeoJSON} = require('./geo.js');
+const {toDot, toSVG} = require('./diagram.js');
+const {writeGTFS} = require('./gtfs.js');
+const {
+  InputError,
+  EXIT_OK,
+  EXIT_ERROR,
+  EXIT_BAD_INPUT,
+  EXIT_FILE_NOT_FOUND,
+  EXIT_NO_ROUTE,
+  UsageError,
+  NoRouteError,
+  exitCodeFor,
+} = require('./errors.js');
+
+/**
+ * How an option is written on the command line. Options with a value are
+ *    written --name <value>, --name=<value> or -alias <value>, the others
+ *    are flags.
+ * @typedef {{alias: ?string, value: ?string, description: string}} OptionSpec
+ */
+
+/** @type {Object<string, OptionSpec>} options every command accepts */
+const GLOBAL_OPTIONS = {
+  'data': {
+    alias: 'd',
+    value: '<file>',
+    description: 'The railway network JSON file',
+  },
+  'help': {alias: 'h', value: null, description: 'Show help for the command'},
+};
+
+/** The width of the column of option names in help. */
+const OPTION_WIDTH = 30;
+
+/** @type {OptionSpec} */
+const FORMAT_OPTION = {
+  alias: 'f',
+  value: 'text|json|ndjson',
+  description: 'The output format, text by default',
+};
+
+/**
+ * Returns the route of a network with a name, ignoring case and punctuation.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {string} name - The name of the route.
+ * @return {!Route}
+ * @throws {InputError} Throws if no route has the name.
+ */
+function requireRoute(data, name) {
+  let res = railway.getRoute(data, name);
+  if (res === null) {
+    res = railway.getRoutes(data).find((route) =>
+      normalizeName(route.name) === normalizeName(name)) || null;
+  }
+  if (res === null) {
+    throw new InputError(
+        `Route not found: ${name}. The routes are ` +
+        `${railway.getRouteNames(data).join(', ')}`,
+    );
+  }
+  return res;
+}
+
+/**
+ * Reads a whole number of at least one from an option.
+ * @param {string} name - The name of the option.
+ * @param {string} value - The value given.
+ * @param {string} command - The command the option is for.
+ * @return {number}
+ * @throws {UsageError} Throws if the value is not a positive whole number.
+ */
+function positiveInteger(name, value, command) {
+  const res = Number(value);
+  if (!Number.isInteger(res) || res < 1) {
+    throw new UsageError(
+        `--${name} must be a whole number of at least 1`,
+        command,
+    );
+  }
+  return res;
+}
+
+/**
+ * The subcommands of the CLI. Each runs against the loaded network with its
+ *    positional arguments and options, and prints its output. Commands that
+ *    search the graph take it as a fourth argument when it is already built.
+ *    Commands with formats other than FORMATS list them, default first.
+ * @type {Object<string, {args: Array<string>, description: string,
+ *    options: Object<string, OptionSpec>, formats: (Array<string>|undefined),
+ *    run: function(!RailwayNetwork, !Array<string>, !Object,
+ *    RailwayGraph=)}>}
+ */
+const COMMANDS = {
+  info: {
+    args: [],
+    description: 'Show the network name and its route and station counts.',
+    options: {},
+    run: (data) => {
+      console.log(
+          `${railway.getNetworkName(data)}\n` +
+          `Routes: ${railway.getRoutes(data).length}\n` +
+          `Stations: ${railway.totalStations(data)}`,
+      );
+    },
+  },
+  routes: {
+    args: [],
+    description: 'List the names of the routes.',
+    options: {},
+    run: (data) => {
+      console.log(railway.getRouteNames(data).join('\n'));
+    },
+  },
+  route: {
+    args: ['<name>'],
+    description: 'Show the stops of a route and the distance to each.',
+    options: {format: FORMAT_OPTION},
+    run: (data, args, options) => {
+      const route = requireRoute(data, args[0]);
+      if (options.format === 'text') {
+        console.log(railway.routeToString(route));
+      } else {
+        console.log(formatRecords([railway.routeToData(route)],
+            options.format));
+      }
+    },
+  },
+  summary: {
+    args: [],
+    description: 'Show the ends and distance of every route.',
+    options: {
+      'sort': {
+        alias: 's',
+        value: 'name|length',
+        description: 'Sort the routes by name or length',
+      },
+      'desc': {alias: null, value: null, description: 'Sort descending'},
+      'format': FORMAT_OPTION,
+    },
+    run: (data, args, options) => {
+      const ascending = options.desc !== true;
+      if (options.sort === 'name') {
+        railway.sortRoutesByName(data, ascending);
+      } else if (options.sort === 'length') {
+        railway.sortRoutesByLength(data, ascending);
+      } else if (options.sort !== undefined) {
+        throw new UsageError('--sort must be name or length', 'summary');
+      } else if (options.desc === true) {
+        throw new UsageError('--desc needs --sort', 'summary');
+      }
+      if (options.format === 'text') {
+        console.log(railway.routeSummary(data));
+      } else {
+        console.log(formatRecords([railway.routeSummaryToData(data)],
+            options.format));
+      }
+    },
+  },
+  stations: {
+    args: [],
+    description: 'List every station with its stationID.',
+    options: {},
+    run: (data) => {
+      const stations = new Map();
+      railway.getRoutes(data).forEach((route) => {
+        route.stops.forEach((stop) => {
+          stations.set(`${stop.stationId} ${stop.stationName}`, stop);
+        });
+      });
+      const stops = Array.from(stations.values()).sort((stopA, stopB) =>
+        stopA.stationName.localeCompare(stopB.stationName) ||
+        stopA.stationId - stopB.stationId);
+      console.log(stops
+          .map((stop) => `${stop.stationName} (${stop.stationId})`)
+          .join('\n'));
+    },
+  },
+  longest: {
+    args: [],
+    description: 'Show the longest route.',
+    options: {},
+    run: (data) => {
+      const route = railway.findLongestRoute(data);
+      console.log(route === null ?
+        'The network has no routes' :
+        `${route.name}: ${railway.routeDistance(route)} miles`);
+    },
+  },
+  find: {
+    args: ['<from>', '<to>'],
+    description: 'Find a way between two stations, changing if needed.',
+    options: {},
+    run: (data, args) => {
+      const foundRoute = railway.findRoute(data, args[0], args[1]);
+      if (!foundRoute.found) {
+        throw new NoRouteError(foundRoute.from, foundRoute.to);
+      }
+      console.log(railway.foundRouteToString(foundRoute));
+    },
+  },
+  plan: {
+    args: ['<from>', '<to>'],
+    description: 'Plan the best journeys between two stations.',
+    options: {
+      'results': {
+        alias: 'n',
+        value: '<count>',
+        description: 'The most journeys to show, 3 by default',
+      },
+      'rank': {
+        alias: 'r',
+        value: 'changes|distance|stops|weighted',
+        description: 'How to rank journeys, changes by default',
+      },
+      'change-penalty': {
+        alias: null,
+        value: '<miles>',
+        description: 'Miles per change when weighted',
+      },
+      'connection-penalty': {
+        alias: null,
+        value: '<miles>',
+        description: 'Miles per minute of connection when weighted',
+      },
+      'walk-penalty': {
+        alias: null,
+        value: '<miles>',
+        description: 'Miles per mile walked when weighted',
+      },
+      'max-walk': {
+        alias: null,
+        value: '<miles>',
+        description: 'The most miles a journey may walk',
+      },
+      'aliases': {
+        alias: null,
+        value: '<file>',
+        description: 'A JSON file of other names for stations',
+      },
+      'depart': {
+        alias: null,
+        value: '<HH:MM>',
+        description: 'Time journeys to leave at or after a time',
+      },
+      'arrive-by': {
+        alias: null,
+        value: '<HH:MM>',
+        description: 'Time journeys to arrive by a time',
+      },
+      'disruptions': {
+        alias: null,
+        value: '<file>',
+        description: 'Plan around the closures in a JSON file',
+      },
+      'format': FORMAT_OPTION,
+    },
+    run: (data, args, options, graph = network.buildGraph(data)) => {
+      const maxResults = options.results === undefined ?
+        3 :
+        positiveInteger('results', options.results, 'plan');
+      const routeOptions = {
+        rank: options.rank,
+        changePenalty: options.changePenalty,
+        connectionPenalty: options.connectionPenalty,
+        walkPenalty: options.walkPenalty,
+        maxWalking: options.maxWalk,
+        departAt: options.depart,
+        arriveBy: options.arriveBy,
+      };
+      // leave out options that were not given so defaults apply
+      Object.keys(routeOptions).forEach((key) => {
+        if (routeOptions[key] === undefined) {
+          delete routeOptions[key];
+        }
+      });
+      if (options.aliases !== undefined) {
+        routeOptions.aliases = loadAliases(options.aliases);
+      }
+      let planGraph = graph;
+      if (options.disruptions !== undefined) {
+        const disruption = loadDisruption(options.disruptions);
+        const closed = disruption.closures(graph).stations;
+        args.forEach((station) => {
+          const found = network.resolveStation(graph, station,
+              routeOptions.aliases);
+          if (closed.has(found)) {
+            throw new InputError(`${found.stationName} is closed`);
+          }
+        });
+        planGraph = disruptGraph(graph, disruption);
+      }
+      const journeys = network.getBestRoute(
+          planGraph,
+          args[0],
+          args[1],
+          maxResults,
+          routeOptions,
+      );
+      if (journeys.length === 0) {
+        throw new NoRouteError(args[0], args[1]);
+      }
+      network.displayRoutes(journeys, options.format);
+      if (planGraph !== graph && options.format === 'text') {
+        const normal = network.getBestRoute(graph, args[0], args[1], 1,
+            routeOptions);
+        if (normal.length > 0) {
+          console.log(compareJourneys(normal[0], journeys[0]));
+        }
+      }
+    },
+  },
+  analyze: {
+    args: [],
+    description: 'Analyse the network as a graph, ranking the stations.',
+    options: {
+      'top': {
+        alias: 'n',
+        value: '<count>',
+        description: 'The most stations to rank, 10 by default',
+      },
+      'format': FORMAT_OPTION,
+    },
+    run: (data, args, options, graph = network.buildGraph(data)) => {
+      const top = options.top === undefined ?
+        10 :
+        positiveInteger('top', options.top, 'analyze');
+      const analysis = analyzeNetwork(graph);
+      if (options.format === 'text') {
+        console.log(analysisToString(analysis, top));
+      } else {
+        analysis.ranking = analysis.ranking.slice(0, top);
+        console.log(formatRecords(analysisToData(analysis), options.format));
+      }
+    },
+  },
+  matrix: {
+    args: [],
+    description: 'Show the distance, changes and routes between stations.',
+    formats: ['csv', 'json', 'ndjson'],
+    options: {
+      'from': {
+        alias: null,
+        value: '<station>',
+        description: 'Only the journeys from a station',
+      },
+      'to': {
+        alias: null,
+        value: '<station>',
+        description: 'Only the journeys to a station',
+      },
+      'cache': {
+        alias: null,
+        value: '<file>',
+        description: 'Reuse the matrix saved in a file, or save it there',
+      },
+      'format': {
+        alias: 'f',
+        value: 'csv|json|ndjson',
+        description: 'The output format, csv by default',
+      },
+    },
+    run: (data, args, options, graph = null) => {
+      let matrix;
+      if (options.cache !== undefined) {
+        matrix = cachedMatrix(data, options.cache, graph);
+      } else {
+        matrix = computeMatrix(graph === null ? network.buildGraph(data) :
+          graph);
+      }
+      const entries = matrix.entries(
+          options.from === undefined ? null : options.from,
+          options.to === undefined ? null : options.to,
+      );
+      console.log(options.format === 'csv' ?
+        entriesToCSV(entries) :
+        formatRecords(entries, options.format));
+    },
+  },
+  disruption: {
+    args: ['<file>'],
+    description: 'Show how the closures in a JSON file affect journeys.',
+    options: {
+      'top': {
+        alias: 'n',
+        value: '<count>',
+        description: 'The most affected pairs to list, 10 by default',
+      },
+      'format': FORMAT_OPTION,
+    },
+    run: (data, args, options, graph = network.buildGraph(data)) => {
+      const top = options.top === undefined ?
+        10 :
+        positiveInteger('top', options.top, 'disruption');
+      const impact = disruptionImpact(graph, loadDisruption(args[0]));
+      if (options.format === 'text') {
+        console.log(impactToString(impact, top));
+      } else {
+        console.log(formatRecords(impactToData(impact), options.format));
+      }
+    },
+  },
+  resilience: {
+    args: [],
+    description: 'Close each station and segment in turn, ranking the ' +
+      'most critical.',
+    formats: ['text', 'csv', 'json', 'ndjson'],
+    options: {
+      'top': {
+        alias: 'n',
+        value: '<count>',
+        description: 'The most assets to list, 10 by default',
+      },
+      'only': {
+        alias: null,
+        value: 'stations|segments',
+        description: 'Only close stations or only segments',
+      },
+      'format': {
+        alias: 'f',
+        value: 'text|csv|json|ndjson',
+        description: 'The output format, text by default',
+      },
+    },
+    run: (data, args, options, graph = network.buildGraph(data)) => {
+      const top = options.top === undefined ?
+        10 :
+        positiveInteger('top', options.top, 'resilience');
+      if (![undefined, 'stations', 'segments'].includes(options.only)) {
+        throw new UsageError('--only must be stations or segments',
+            'resilience');
+      }
+      const assets = resilienceSweep(graph, {
+        stations: options.only !== 'segments',
+        segments: options.only !== 'stations',
+      });
+      if (options.format === 'text') {
+        console.log(resilienceToString(graph.networkName, assets, top));
+      } else if (options.format === 'csv') {
+        console.log(toCSV(assets.slice(0, top), RESILIENCE_COLUMNS));
+      } else {
+        console.log(formatRecords(assets.slice(0, top), options.format));
+      }
+    },
+  },
+  nearest: {
+    args: ['<lat>', '<lon>'],
+    description: 'List the stations nearest a place as the crow flies.',
+    options: {
+      'top': {
+        alias: 'n',
+        value: '<count>',
+        description: 'The most stations to list, 1 by default',
+      },
+      'format': FORMAT_OPTION,
+    },
+    run: (data, args, options, graph = network.buildGraph(data)) => {
+      const top = options.top === undefined ?
+        1 :
+        positiveInteger('top', options.top, 'nearest');
+      const records = nearestStations(graph, Number(args[0]), Number(args[1]),
+          top).map((item) => ({
+        type: 'nearest-station',
+        stationID: item.station.stationID,
+        stationName: item.station.stationName,
+        distance: Number(item.distance.toFixed(2)),
+      }));
+      if (options.format !== 'text') {
+        console.log(formatRecords(records, options.format));
+      } else {
+        console.log(records.length === 0 ?
+          'No station in the network has a location' :
+          records.map((record) => `${record.stationName} ` +
+            `(${record.distance} miles)`).join('\n'));
+      }
+    },
+  },
+  geojson: {
+    args: [],
+    description: 'Show the stations and routes on the map as GeoJSON.',
+    options: {},
+    run: (data) => {
+      console.log(JSON.stringify(toGeoJSON(data), null, 2));
+    },
+  },
+  diagram: {
+    args: [],
+    description: 'Draw the network as Graphviz DOT or an SVG schematic.',
+    formats: ['dot', 'svg'],
+    options: {
+      'from': {
+        alias: null,
+        value: '<station>',
+        description: 'Highlight the best journey from a station',
+      },
+      'to': {
+        alias: null,
+        value: '<station>',
+        description: 'Highlight the best journey to a station',
+      },
+      'format': {
+        alias: 'f',
+        value: 'dot|svg',
+        description: 'The output format, dot by default',
+      },
+    },
+    run: (data, args, options, graph = network.buildGraph(data)) => {
+      let journey = null;
+      if ((options.from === undefined) !== (options.to === undefined)) {
+        throw new UsageError('--from and --to go together', 'diagram');
+      }
+      if (options.from !== undefined) {
+        journey = network.getBestRoute(graph, options.from, options.to,
+            1)[0];
+        if (journey === undefined) {
+          throw new NoRouteError(options.from, options.to);
+        }
+      }
+      console.log(options.format === 'svg' ?
+        toSVG(graph, {journey: journey}) :
+        toDot(graph, journey));
+    },
+  },
+  export: {
+    args: ['<file>'],
+    description: 'Save the network as JSON, or as a GTFS folder or zip.',
+    options: {
+      'unit': {
+        alias: null,
+        value: 'km|m|mi',
+        description: 'The unit of GTFS shape distances, km by default',
+      },
+      'timezone': {
+        alias: null,
+        value: '<zone>',
+        description: 'The GTFS agency timezone, Europe/London by default',
+      },
+    },
+    run: (data, args, options) => {
+      if (/\.json$/i.test(args[0])) {
+        railway.saveData(data, args[0]);
+        console.log(`Saved ${data.networkName} to ${args[0]}`);
+      } else {
+        const files = writeGTFS(data, args[0], {
+          distanceUnit: options.unit,
+          timezone: options.timezone,
+        });
+        console.log(`Saved ${data.networkName} to ${args[0]} as GTFS: ` +
+          files.join(', '));
+      }
+    },
+  },
+  diff: {
+    args: ['<file>'],
+    description: 'Show what changed from the network to another version.',
+    options: {format: FORMAT_OPTION},
+    run: (data, args, options) => {
+      const changes = diffNetworks(data, loadNetwork(args[0]));
+      console.log(options.format === 'text' ?
+        diffToString(changes) :
+        formatRecords(changes, options.format));
+    },
+  },
+};
+
+/**
+ * Turns an option name such as arrive-by into a property name such as
+ *    arriveBy.
+ * @param {string} name - The option name.
+ * @return {string}
+ */
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Splits command line arguments into positional arguments and options.
+ * @param {!Array<string>} args - The command line arguments.
+ * @param {!Object<string, OptionSpec>} optionSpecs - The options allowed.
+ * @param {?string} command - The command being parsed, for error messages.
+ * @return {{positional: Array<string>, options: Object}} The options are
+ *    keyed by their name in camel case.
+ * @throws {UsageError} Throws for an unknown option or a missing value.
+ */
+function parseCommandLine(args, optionSpecs, command) {
+  const positional = [];
+  const options = {};
+  const aliases = {};
+  Object.keys(optionSpecs).forEach((name) => {
+    if (optionSpecs[name].alias !== null) {
+      aliases[optionSpecs[name].alias] = name;
+    }
+  });
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const long = /^--([a-z][a-z-]*)(?:=(.*))?$/.exec(arg);
+    const short = /^-([a-zA-Z])$/.exec(arg);
+    let name = null;
+    let value;
+    if (arg === '--') {
+      // everything after -- is positional, even if it starts with a dash
+      positional.push(...args.slice(i + 1));
+      break;
+    } else if (long !== null) {
+      name = long[1];
+      value = long[2];
+    } else if (short !== null) {
+      name = aliases[short[1]] || null;
+    } else {
+      positional.push(arg);
+      continue;
+    }
+    const spec = name === null ? undefined : optionSpecs[name];
+    if (spec === undefined) {
+      throw new UsageError(`Unknown option ${arg}`, command);
+    }
+    if (spec.value === null) {
+      if (value !== undefined) {
+        throw new UsageError(`--${name} does not take a value`, command);
+      }
+      value = true;
+    } else if (value === undefined) {
+      i++;
+      if (i >= args.length) {
+        throw new UsageError(`--${name} needs a value ${spec.value}`, command);
+      }
+      value = args[i];
+    }
+    options[camelCase(name)] = value;
+  }
+  return {positional: positional, options: options};
+}
+
+/**
+ * Returns the usage of the CLI, listing every command.
+ * @return {string}
+ */
+function usage() {
+  const lines = Object.keys(COMMANDS).map((name) => {
+    const synopsis = [name].concat(COMMANDS[name].args).join(' ');
+    return `  ${synopsis.padEnd(20)}${COMMANDS[name].description}`;
+  });
+  return (
+    'Usage: railway <command> --data <file> [options]\n\n' +
+    `Commands:\n${lines.join('\n')}\n\n` +
+    'Run railway <command> --help for the options of a command.'
+  );
+}
+
+/**
+ * Returns the usage of one command, listing its options.
+ * @param {string} name - The name of the command.
+ * @return {string}
+ */
+function commandUsage(name) {
+  const command = COMMANDS[name];
+  const synopsis = [name].concat(command.args).join(' ');
+  return (
+    `Usage: railway ${synopsis} --data <file> [options]\n\n` +
+    `${command.description}\n\nOptions:\n` +
+    optionsHelp(Object.assign({}, GLOBAL_OPTIONS, command.options))
+  );
+}
+
+/**
+ * Returns the help for a set of options, one option per line.
+ * @param {!Object<string, OptionSpec>} optionSpecs - The options.
+ * @return {string}
+ */
+function optionsHelp(optionSpecs) {
+  return Object.keys(optionSpecs).map((option) => {
+    const spec = optionSpecs[option];
+    let synopsis = spec.alias === null ? '    ' : `-${spec.alias}, `;
+    synopsis += `--${option}`;
+    if (spec.value !== null) {
+      synopsis += ` ${spec.value}`;
+    }
+    // descriptions go on their own line after a long synopsis
+    return synopsis.length < OPTION_WIDTH - 1 ?
+      `  ${synopsis.padEnd(OPTION_WIDTH)}${spec.description}` :
+      `  ${synopsis}\n  ${''.padEnd(OPTION_WIDTH)}${spec.description}`;
+  }).join('\n');
+}
+
+/**
+ * Loads the network file named on the command line, or merges the networks
+ *    of a merge manifest.
+ * @param {string} fileName - The path of the network file or manifest.
+ * @return {!RailwayNetwork}
+ * @throws {UsageError} Throws if no file was named.
+ */
+function loadNetwork(fileName) {
+  if (fileName === undefined) {
+    throw new UsageError('--data <file> is required');
+  }
+  // checked first, as loadData logs a stack trace for a missing file
+  if (!fs.existsSync(fileName)) {
+    const error = new Error(`File not found: ${fileName}`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+  return loadNetworkFile(fileName);
+}
+
+/**
+ * Runs the CLI.
+ * @param {!Array<string>} args - The command line arguments after the script.
+ * @return {number} The exit code: EXIT_OK if the command ran,
+ *    EXIT_BAD_INPUT for wrong arguments or names not in the network,
+ *    EXIT_FILE_NOT_FOUND if the network file does not exist, EXIT_NO_ROUTE
+ *    if no route joins the stations and EXIT_ERROR for anything else.
+ */
+function main(args) {
+  const name = args[0];
+  if (name === undefined || name === '--help' || name === '-h' ||
+    name === 'help') {
+    const topic = name === 'help' ? args[1] : undefined;
+    console.log(COMMANDS[topic] === undefined ? usage() : commandUsage(topic));
+    return name === undefined ? EXIT_BAD_INPUT : EXIT_OK;
+  }
+  try {
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, name)) {
+      throw new UsageError(`Unknown command ${name}`);
+    }
+    const command = COMMANDS[name];
+    const {positional, options} = parseCommandLine(
+        args.slice(1),
+        Object.assign({}, GLOBAL_OPTIONS, command.options),
+        name,
+    );
+    if (options.help === true) {
+      console.log(commandUsage(name));
+      return EXIT_OK;
+    }
+    if (positional.length !== command.args.length) {
+      throw new UsageError(
+          `${name} takes ${command.args.length} argument(s), ` +
+          `got ${positional.length}`,
+          name,
+      );
+    }
+    // commands with formats of their own default to the first of them
+    const formats = command.formats || FORMATS;
+    options.format = checkFormat(
+        options.format === undefined ? formats[0] : options.format,
+        formats,
+    );
+    command.run(loadNetwork(options.data), positional, options);
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(error.command === null ?
+        `\n${usage()}` :
+        `\n${commandUsage(error.command)}`);
+    }
+    return exitCodeFor(error);
+  }
+}
+
+// main entry point idiom for file
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+exports.main = main;
+exports.COMMANDS = COMMANDS;
+exports.GLOBAL_OPTIONS = GLOBAL_OPTIONS;
+exports.optionsHelp = optionsHelp;
+exports.loadNetwork = loadNetwork;
+exports.exitCodeFor = exitCodeFor;
+exports.NoRouteError = NoRouteError;
+exports.parseCommandLine = parseCommandLine;
+exports.UsageError = UsageError;
+exports.EXIT_OK = EXIT_OK;
+exports.EXIT_ERROR = EXIT_ERROR;
+exports.EXIT_BAD_INPUT = EXIT_BAD_INPUT;
+exports.EXIT_FILE_NOT_FOUND = EXIT_FILE_NOT_FOUND;
+exports.EXIT_NO_ROUTE = EXIT_NO_ROUTE;
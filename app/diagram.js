@@ -0,0 +1,405 @@
+/**
+ * @fileoverview Draws a railway network, so diagrams come from the JSON
+ *    rather than being drawn by hand: as Graphviz DOT, or as an SVG
+ *    schematic drawn here with no other tools. Routes are drawn in their
+ *    colour, interchanges stand out, each stretch of route is labelled with
+ *    its distance, and a journey can be highlighted on either.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {RailwayNetwork} = require('./railway.js');
+const {buildGraph, linkDistance} = require('./network.js');
+
+/** The colour of a route whose colour is not given or not known. */
+const DEFAULT_COLOR = 'grey';
+/** The colour a highlighted journey is drawn in. */
+const JOURNEY_COLOR = 'gold';
+/** The rounds of the force-directed layout. */
+const LAYOUT_ROUNDS = 300;
+
+/**
+ * A stretch of route or walk between two stations, drawn once however many
+ *    links it has.
+ * @typedef {{from: Station, to: Station, routeName: ?string,
+ *    color: string, distance: number, isWalk: boolean}} Segment
+ */
+
+/**
+ * Returns the graph of a network, building it if a RailwayNetwork is given.
+ * @param {!(RailwayNetwork|RailwayGraph)} network - The network.
+ * @return {!RailwayGraph}
+ */
+function asGraph(network) {
+  return network instanceof RailwayNetwork ? buildGraph(network) : network;
+}
+
+/**
+ * Returns the stations of a graph in order of stationID.
+ * @param {!RailwayGraph} graph - The graph.
+ * @return {!Array<Station>}
+ */
+function stationList(graph) {
+  return Object.keys(graph.stations)
+      .map((id) => graph.stations[id])
+      .sort((stationA, stationB) =>
+        String(stationA.stationID).localeCompare(String(stationB.stationID),
+            undefined, {numeric: true}));
+}
+
+/**
+ * Whether a station is an interchange: on two or more routes, or with
+ *    interchange details in the network file.
+ * @param {!Station} station - The station.
+ * @return {boolean}
+ */
+function isInterchange(station) {
+  const routes = new Set(station.links
+      .filter((link) => !link.isWalk)
+      .map((link) => link.routeName));
+  return routes.size >= 2 || station.interchange !== null;
+}
+
+/**
+ * Returns the segments of a graph: each route between neighbouring stops
+ *    once, and each walk once.
+ * @param {!RailwayGraph} graph - The graph.
+ * @return {!Array<Segment>}
+ */
+function segments(graph) {
+  const res = [];
+  const walks = new Set();
+  stationList(graph).forEach((station) => {
+    station.links.forEach((link) => {
+      if (link.isWalk) {
+        const key = pairKey(station, link.station);
+        if (!walks.has(key)) {
+          walks.add(key);
+          res.push({
+            from: station,
+            to: link.station,
+            routeName: null,
+            color: DEFAULT_COLOR,
+            distance: linkDistance(link),
+            isWalk: true,
+          });
+        }
+      } else if (link.forward) {
+        const route = graph.routes[link.routeName];
+        res.push({
+          from: station,
+          to: link.station,
+          routeName: link.routeName,
+          color: route && route.color ? route.color.toLowerCase() :
+            DEFAULT_COLOR,
+          distance: linkDistance(link),
+          isWalk: false,
+        });
+      }
+    });
+  });
+  return res;
+}
+
+/**
+ * Returns a key for a pair of stations that is the same either way round.
+ * @param {!Station} stationA - One station.
+ * @param {!Station} stationB - The other station.
+ * @return {string}
+ */
+function pairKey(stationA, stationB) {
+  return [String(stationA.stationID), String(stationB.stationID)].sort()
+      .join(' ');
+}
+
+/**
+ * Returns the segments a journey travels along, keyed by the pair of
+ *    stations and the route, so they can be found either way round.
+ * @param {?Journey} journey - The journey, or null for none.
+ * @return {!Set<string>}
+ */
+function journeySegments(journey) {
+  const res = new Set();
+  if (journey !== null) {
+    journey.links.forEach((link, i) => {
+      res.add(`${pairKey(journey.stations[i], link.station)} ` +
+        `${link.routeName}`);
+    });
+  }
+  return res;
+}
+
+/**
+ * Whether a segment is part of a journey.
+ * @param {!Segment} segment - The segment.
+ * @param {!Set<string>} travelled - The segments of the journey.
+ * @return {boolean}
+ */
+function onJourney(segment, travelled) {
+  return travelled.has(`${pairKey(segment.from, segment.to)} ` +
+    `${segment.routeName}`);
+}
+
+/**
+ * Returns a string quoted for DOT.
+ * @param {*} value - The value.
+ * @return {string}
+ */
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Returns a network as a Graphviz DOT graph. Each station is a node labelled
+ *    with its name, drawn as a double circle if it is an interchange. Each
+ *    stretch of route is an edge in the colour of the route, labelled with
+ *    its distance, and walks are dashed. The edges of a journey are drawn
+ *    thicker.
+ * @param {!(RailwayNetwork|RailwayGraph)} network - The network, or its
+ *    graph built by the network method.
+ * @param {?Journey} [journey] - A journey to highlight.
+ * @return {string}
+ */
+function toDot(network, journey = null) {
+  const graph = asGraph(network);
+  const travelled = journeySegments(journey);
+  const lines = [
+    `graph ${dotString(graph.networkName)} {`,
+    '  graph [overlap=false];',
+    '  node [shape=circle, fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=8];',
+  ];
+  stationList(graph).forEach((station) => {
+    const attributes = [`label=${dotString(station.stationName)}`];
+    if (isInterchange(station)) {
+      attributes.push('shape=doublecircle', 'style=filled',
+          'fillcolor="lightyellow"');
+    }
+    lines.push(`  ${dotString(station.stationID)} ` +
+      `[${attributes.join(', ')}];`);
+  });
+  segments(graph).forEach((segment) => {
+    const attributes = [
+      `color=${dotString(segment.color)}`,
+      `label=${dotString(segment.distance)}`,
+      `tooltip=${dotString(segment.isWalk ? 'walk' : segment.routeName)}`,
+    ];
+    if (segment.isWalk) {
+      attributes.push('style=dashed');
+    }
+    if (onJourney(segment, travelled)) {
+      attributes.push('penwidth=4');
+    }
+    lines.push(`  ${dotString(segment.from.stationID)} -- ` +
+      `${dotString(segment.to.stationID)} [${attributes.join(', ')}];`);
+  });
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Returns where to draw each station, before it is fitted to the picture.
+ *    Stations are placed by their coordinates when every station has a
+ *    location, and otherwise laid out so that linked stations sit close
+ *    together and the rest spread apart. The layout starts from the same
+ *    places every time, so a network is always drawn the same way.
+ * @param {!RailwayGraph} graph - The graph.
+ * @return {!Map<Station, {x: number, y: number}>}
+ */
+function layout(graph) {
+  const stations = stationList(graph);
+  let points;
+  if (stations.length > 0 &&
+    stations.every((station) => station.location !== null)) {
+    const meanLat = stations.reduce((sum, station) =>
+      sum + station.location.lat, 0) / stations.length;
+    // squash longitude so the map is not stretched away from the equator
+    const squash = Math.cos(meanLat * Math.PI / 180);
+    points = stations.map((station) => ({
+      x: station.location.lon * squash,
+      y: -station.location.lat,
+    }));
+  } else {
+    points = forceLayout(stations);
+  }
+  return new Map(stations.map((station, i) => [station, points[i]]));
+}
+
+/**
+ * Lays out stations by the Fruchterman-Reingold method: linked stations pull
+ *    together, every pair pushes apart, and each round moves less than the
+ *    last. Starts with the stations round a circle.
+ * @param {!Array<Station>} stations - The stations.
+ * @return {!Array<{x: number, y: number}>}
+ */
+function forceLayout(stations) {
+  const index = new Map(stations.map((station, i) => [station, i]));
+  const points = stations.map((station, i) => ({
+    x: Math.cos(2 * Math.PI * i / stations.length),
+    y: Math.sin(2 * Math.PI * i / stations.length),
+  }));
+  const edges = [];
+  stations.forEach((station, i) => {
+    station.links.forEach((link) => {
+      const j = index.get(link.station);
+      if (j !== undefined && i < j) {
+        edges.push([i, j]);
+      }
+    });
+  });
+  const spacing = 2 / Math.sqrt(Math.max(stations.length, 1));
+  for (let round = 0; round < LAYOUT_ROUNDS; round++) {
+    const moves = points.map(() => ({x: 0, y: 0}));
+    const push = (i, j, force) => {
+      const dx = points[i].x - points[j].x;
+      const dy = points[i].y - points[j].y;
+      const distance = Math.max(Math.hypot(dx, dy), 1e-6);
+      const amount = force(distance) / distance;
+      moves[i].x += dx * amount;
+      moves[i].y += dy * amount;
+      moves[j].x -= dx * amount;
+      moves[j].y -= dy * amount;
+    };
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        push(i, j, (distance) => spacing * spacing / distance);
+      }
+    }
+    edges.forEach(([i, j]) => {
+      push(i, j, (distance) => -distance * distance / spacing);
+    });
+    const limit = 0.1 * (1 - round / LAYOUT_ROUNDS);
+    points.forEach((point, i) => {
+      const length = Math.max(Math.hypot(moves[i].x, moves[i].y), 1e-6);
+      const step = Math.min(length, limit) / length;
+      point.x += moves[i].x * step;
+      point.y += moves[i].y * step;
+    });
+  }
+  return points;
+}
+
+/**
+ * Returns text escaped for XML.
+ * @param {*} value - The text.
+ * @return {string}
+ */
+function xmlText(value) {
+  return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns a number rounded to a tenth for SVG coordinates.
+ * @param {number} value - The number.
+ * @return {number}
+ */
+function px(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Returns a network as an SVG schematic. Routes are drawn in their colours,
+ *    side by side where they share track, with the distance of each stretch
+ *    at its middle. Walks are dashed, interchanges are larger rings, and a
+ *    journey is highlighted under the routes it takes. A colour SVG does not
+ *    know falls back to grey.
+ * @param {!(RailwayNetwork|RailwayGraph)} network - The network, or its
+ *    graph built by the network method.
+ * @param {{journey: (?Journey|undefined), width: (number|undefined),
+ *    height: (number|undefined)}} [options] - A journey to highlight and the
+ *    size of the picture, 1000 by 800 by default.
+ * @return {string}
+ */
+function toSVG(network, options = {}) {
+  const graph = asGraph(network);
+  const width = options.width || 1000;
+  const height = options.height || 800;
+  const margin = 60;
+  const travelled = journeySegments(options.journey || null);
+  const places = layout(graph);
+  const xs = Array.from(places.values()).map((place) => place.x);
+  const ys = Array.from(places.values()).map((place) => place.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = Math.max(...ys) - minY;
+  // as large as fits, keeping its shape, in the middle of the picture
+  const scale = Math.min((width - 2 * margin) / (spanX || 1),
+      (height - 2 * margin) / (spanY || 1));
+  const point = (station) => ({
+    x: (width - spanX * scale) / 2 + (places.get(station).x - minX) * scale,
+    y: (height - spanY * scale) / 2 + (places.get(station).y - minY) * scale,
+  });
+  const all = segments(graph);
+  // routes sharing a pair of stations are drawn side by side
+  const sharing = new Map();
+  all.forEach((segment) => {
+    const key = pairKey(segment.from, segment.to);
+    sharing.set(key, (sharing.get(key) || []).concat([segment]));
+  });
+  const line = (segment) => {
+    const from = point(segment.from);
+    const to = point(segment.to);
+    const shared = sharing.get(pairKey(segment.from, segment.to));
+    const offset = (shared.indexOf(segment) - (shared.length - 1) / 2) * 4;
+    const length = Math.max(Math.hypot(to.x - from.x, to.y - from.y), 1e-6);
+    const dx = -(to.y - from.y) / length * offset;
+    const dy = (to.x - from.x) / length * offset;
+    return `x1="${px(from.x + dx)}" y1="${px(from.y + dy)}" ` +
+      `x2="${px(to.x + dx)}" y2="${px(to.y + dy)}"`;
+  };
+  const journeyStations = new Set(options.journey ?
+    options.journey.stations : []);
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" ` +
+      `height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <title>${xmlText(graph.networkName)}</title>`,
+    `  <rect width="${width}" height="${height}" fill="white"/>`,
+    `  <g class="journey" stroke="${JOURNEY_COLOR}" stroke-width="12" ` +
+      'stroke-linecap="round" stroke-opacity="0.7">',
+  ];
+  all.filter((segment) => onJourney(segment, travelled)).forEach((segment) => {
+    lines.push(`    <line ${line(segment)}/>`);
+  });
+  lines.push('  </g>',
+      `  <g class="routes" stroke="${DEFAULT_COLOR}" stroke-width="3">`);
+  all.forEach((segment) => {
+    const style = segment.isWalk ?
+      ' stroke-dasharray="4 3" stroke-width="1.5"' :
+      ` stroke="${xmlText(segment.color)}"`;
+    lines.push(`    <line ${line(segment)}${style}>` +
+      `<title>${xmlText(segment.isWalk ? 'walk' : segment.routeName)}` +
+      '</title></line>');
+  });
+  lines.push('  </g>', '  <g class="distances" font-family="sans-serif" ' +
+    'font-size="9" fill="dimgrey" text-anchor="middle">');
+  all.forEach((segment) => {
+    const from = point(segment.from);
+    const to = point(segment.to);
+    lines.push(`    <text x="${px((from.x + to.x) / 2)}" ` +
+      `y="${px((from.y + to.y) / 2 - 3)}">${segment.distance}</text>`);
+  });
+  lines.push('  </g>', '  <g class="stations" fill="white" stroke="black" ' +
+    'font-family="sans-serif" font-size="11">');
+  stationList(graph).forEach((station) => {
+    const {x, y} = point(station);
+    const interchange = isInterchange(station);
+    const fill = journeyStations.has(station) ? ` fill="${JOURNEY_COLOR}"` :
+      '';
+    lines.push(`    <circle cx="${px(x)}" cy="${px(y)}" ` +
+      `r="${interchange ? 6 : 4}" ` +
+      `stroke-width="${interchange ? 2 : 1}"${fill}/>`);
+    lines.push(`    <text x="${px(x + 8)}" y="${px(y - 8)}" fill="black" ` +
+      `stroke="none">${xmlText(station.stationName)}</text>`);
+  });
+  lines.push('  </g>', '</svg>');
+  return lines.join('\n');
+}
+
+exports.toDot = toDot;
+exports.toSVG = toSVG;
@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Compares two versions of a railway network and reports what
+ *    changed: routes, stations, the order of stops, distances and colours.
+ *    Stations are matched by stationID and routes by name, or by the stations
+ *    they serve when a route has been renamed.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {getRoutes} = require('./railway.js');
+
+/** How alike the stations of two routes must be to call one a rename. */
+const MIN_RENAME_OVERLAP = 0.5;
+
+/**
+ * A difference between two versions of a network. before and after are the
+ *    old and new values of what changed, null when it was added or removed.
+ * @typedef {{type: string, change: string, route: ?string, station: ?number,
+ *    before: *, after: *, message: string}} NetworkChange
+ */
+
+/**
+ * Returns a change record.
+ * @param {string} change - The kind of change, e.g. route-added.
+ * @param {?string} route - The route changed, if any.
+ * @param {?number} station - The stationID changed, if any.
+ * @param {*} before - The old value.
+ * @param {*} after - The new value.
+ * @param {string} message - The change in words.
+ * @return {!NetworkChange}
+ */
+function makeChange(change, route, station, before, after, message) {
+  return {
+    type: 'change',
+    change: change,
+    route: route,
+    station: station,
+    before: before,
+    after: after,
+    message: message,
+  };
+}
+
+/**
+ * Returns the name of each station of a network, keyed by stationID, to
+ *    tell the stations added and removed. A stationID with several names
+ *    keeps the first: renames are found stop by stop in diffRoute.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @return {!Map<number, string>}
+ */
+function stationNamesById(data) {
+  const res = new Map();
+  getRoutes(data).forEach((route) => {
+    route.stops.forEach((stop) => {
+      if (!res.has(stop.stationId)) {
+        res.set(stop.stationId, stop.stationName);
+      }
+    });
+  });
+  return res;
+}
+
+/**
+ * Returns the share of stations two routes have in common, from 0 to 1.
+ * @param {!Route} routeA - The first route.
+ * @param {!Route} routeB - The second route.
+ * @return {number}
+ */
+function stationOverlap(routeA, routeB) {
+  const idsA = new Set(routeA.stops.map((stop) => stop.stationId));
+  const idsB = new Set(routeB.stops.map((stop) => stop.stationId));
+  const shared = Array.from(idsA).filter((id) => idsB.has(id)).length;
+  const all = new Set([...idsA, ...idsB]).size;
+  return all === 0 ? 0 : shared / all;
+}
+
+/**
+ * Pairs the routes of two versions of a network: by name first, then routes
+ *    left over on both sides by the stations they share.
+ * @param {!Array<Route>} routesA - The routes of the old version.
+ * @param {!Array<Route>} routesB - The routes of the new version.
+ * @return {{pairs: Array<Array<Route>>, removed: Array<Route>,
+ *    added: Array<Route>}}
+ */
+function matchRoutes(routesA, routesB) {
+  const pairs = [];
+  let removed = [];
+  const added = routesB.filter((routeB) =>
+    !routesA.some((routeA) => routeA.name === routeB.name));
+  routesA.forEach((routeA) => {
+    const routeB = routesB.find((route) => route.name === routeA.name);
+    if (routeB === undefined) {
+      removed.push(routeA);
+    } else {
+      pairs.push([routeA, routeB]);
+    }
+  });
+  // the closest pairs are taken first so each route is renamed at most once
+  const candidates = [];
+  removed.forEach((routeA) => {
+    added.forEach((routeB) => {
+      const overlap = stationOverlap(routeA, routeB);
+      if (overlap >= MIN_RENAME_OVERLAP) {
+        candidates.push({routeA: routeA, routeB: routeB, overlap: overlap});
+      }
+    });
+  });
+  candidates.sort((candA, candB) => candB.overlap - candA.overlap);
+  const renamed = [];
+  candidates.forEach((candidate) => {
+    if (
+      removed.includes(candidate.routeA) &&
+      added.includes(candidate.routeB)
+    ) {
+      renamed.push([candidate.routeA, candidate.routeB]);
+      removed = removed.filter((route) => route !== candidate.routeA);
+      added.splice(added.indexOf(candidate.routeB), 1);
+    }
+  });
+  return {pairs: pairs.concat(renamed), removed: removed, added: added};
+}
+
+/**
+ * Returns the distance between each pair of neighbouring stops of a route,
+ *    keyed by the stationIDs of the pair, including the way back to the
+ *    first stop of a circular route.
+ * @param {!Route} route - The route.
+ * @return {!Map<string, {from: Stop, to: Stop, distance: ?number}>}
+ */
+function segments(route) {
+  const res = new Map();
+  route.stops.forEach((stop, i) => {
+    const last = i === route.stops.length - 1;
+    if (!last || (route.circular && route.stops.length > 1)) {
+      const next = route.stops[last ? 0 : i + 1];
+      res.set(`${stop.stationId}>${next.stationId}`, {
+        from: stop,
+        to: next,
+        distance: route.distanceToNext(i),
+      });
+    }
+  });
+  return res;
+}
+
+/**
+ * Matches the stops two versions of a route have in common, in order: the
+ *    longest common subsequence of their stationIDs.
+ * @param {!Array<Stop>} stopsA - The stops of the old version.
+ * @param {!Array<Stop>} stopsB - The stops of the new version.
+ * @return {{matchedA: Set<number>, matchedB: Set<number>}} The indexes of
+ *    the stops matched in each version.
+ */
+function commonStops(stopsA, stopsB) {
+  const same = (i, j) =>
+    String(stopsA[i].stationId) === String(stopsB[j].stationId);
+  // lengths[i][j] is the longest common run of stopsA from i and stopsB
+  // from j
+  const lengths = [];
+  for (let i = stopsA.length; i >= 0; i--) {
+    lengths[i] = [];
+    for (let j = stopsB.length; j >= 0; j--) {
+      if (i === stopsA.length || j === stopsB.length) {
+        lengths[i][j] = 0;
+      } else if (same(i, j)) {
+        lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      } else {
+        lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+  const matchedA = new Set();
+  const matchedB = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < stopsA.length && j < stopsB.length) {
+    if (same(i, j)) {
+      matchedA.add(i++);
+      matchedB.add(j++);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return {matchedA: matchedA, matchedB: matchedB};
+}
+
+/**
+ * Finds what changed between two versions of the same route.
+ * @param {!Route} routeA - The old version.
+ * @param {!Route} routeB - The new version.
+ * @return {!Array<NetworkChange>}
+ */
+function diffRoute(routeA, routeB) {
+  const changes = [];
+  const name = routeB.name;
+  if (routeA.name !== routeB.name) {
+    changes.push(makeChange('route-renamed', name, null, routeA.name,
+        routeB.name, `Route ${routeA.name} renamed to ${routeB.name}`));
+  }
+  if (routeA.color !== routeB.color) {
+    changes.push(makeChange('color-changed', name, null, routeA.color,
+        routeB.color,
+        `${name} color changed from ${routeA.color} to ${routeB.color}`));
+  }
+  const stopsA = routeA.stops;
+  const stopsB = routeB.stops;
+  const {matchedA, matchedB} = commonStops(stopsA, stopsB);
+  // a visit out of the common order that the other version still makes is
+  // a move, not a stop added or removed: count the visits left unmatched
+  const unmatched = new Map();
+  stopsA.forEach((stop, i) => {
+    if (!matchedA.has(i)) {
+      const key = String(stop.stationId);
+      unmatched.set(key, (unmatched.get(key) || 0) + 1);
+    }
+  });
+  const added = new Set();
+  stopsB.forEach((stop, j) => {
+    const key = String(stop.stationId);
+    if (!matchedB.has(j)) {
+      if (unmatched.get(key) > 0) {
+        unmatched.set(key, unmatched.get(key) - 1);
+      } else {
+        added.add(j);
+      }
+    }
+  });
+  const removed = new Set();
+  for (let i = stopsA.length - 1; i >= 0; i--) {
+    const key = String(stopsA[i].stationId);
+    if (!matchedA.has(i) && unmatched.get(key) > 0) {
+      unmatched.set(key, unmatched.get(key) - 1);
+      removed.add(i);
+    }
+  }
+  const idsA = new Set(stopsA.map((stop) => String(stop.stationId)));
+  const idsB = new Set(stopsB.map((stop) => String(stop.stationId)));
+  stopsB.forEach((stop, j) => {
+    if (added.has(j)) {
+      changes.push(makeChange('stop-added', name, stop.stationId, null,
+          stop.number, idsA.has(String(stop.stationId)) ?
+            `${name} also stops at ${stop.stationName} as stop ` +
+            stop.number :
+            `${name} now stops at ${stop.stationName}`));
+    }
+  });
+  stopsA.forEach((stop, i) => {
+    if (removed.has(i)) {
+      changes.push(makeChange('stop-removed', name, stop.stationId,
+          stop.number, null, idsB.has(String(stop.stationId)) ?
+            `${name} no longer stops at ${stop.stationName} as stop ` +
+            stop.number :
+            `${name} no longer stops at ${stop.stationName}`));
+    }
+  });
+  // stops added or removed are not a change of order
+  const orderA = stopsA.filter((stop, i) => !removed.has(i));
+  const orderB = stopsB.filter((stop, j) => !added.has(j));
+  if (orderA.some((stop, i) => stop.stationId !== orderB[i].stationId)) {
+    const names = (stops) => stops.map((stop) => stop.stationName).join(', ');
+    changes.push(makeChange('stops-reordered', name, null,
+        orderA.map((stop) => stop.stationId),
+        orderB.map((stop) => stop.stationId),
+        `${name} stops reordered from ${names(orderA)} to ${names(orderB)}`));
+  }
+  // a stop kept in both versions is paired with the same visit to its
+  // station in the old version, so every stop renamed is reported
+  const visitsA = new Map();
+  orderA.forEach((stop) => {
+    const key = String(stop.stationId);
+    visitsA.set(key, (visitsA.get(key) || []).concat([stop]));
+  });
+  orderB.forEach((stop) => {
+    const old = visitsA.get(String(stop.stationId)).shift();
+    if (old.stationName !== stop.stationName) {
+      changes.push(makeChange('station-renamed', name, stop.stationId,
+          old.stationName, stop.stationName,
+          `${name} stop ${stop.number} ${old.stationName} ` +
+          `(${stop.stationId}) renamed to ${stop.stationName}`));
+    }
+  });
+  const segmentsA = segments(routeA);
+  segments(routeB).forEach((segment, key) => {
+    // the same stretch of line may be listed the other way round
+    const reverse = `${segment.to.stationId}>${segment.from.stationId}`;
+    const old = segmentsA.get(key) || segmentsA.get(reverse);
+    if (old !== undefined && old.distance !== segment.distance) {
+      changes.push(makeChange('distance-changed', name,
+          segment.from.stationId, old.distance, segment.distance,
+          `${name} ${segment.from.stationName} to ` +
+          `${segment.to.stationName} changed from ${old.distance} to ` +
+          `${segment.distance} miles`));
+    }
+  });
+  return changes;
+}
+
+/**
+ * Compares two versions of a railway network.
+ * @param {!RailwayNetwork} dataA - The old version.
+ * @param {!RailwayNetwork} dataB - The new version.
+ * @return {!Array<NetworkChange>} The changes, empty if the networks are the
+ *    same: the network name, then stations added and removed, then routes.
+ */
+function diffNetworks(dataA, dataB) {
+  let changes = [];
+  if (dataA.networkName !== dataB.networkName) {
+    changes.push(makeChange('network-renamed', null, null, dataA.networkName,
+        dataB.networkName,
+        `Network ${dataA.networkName} renamed to ${dataB.networkName}`));
+  }
+  const stationsA = stationNamesById(dataA);
+  const stationsB = stationNamesById(dataB);
+  stationsB.forEach((nameB, id) => {
+    const nameA = stationsA.get(id);
+    if (nameA === undefined) {
+      changes.push(makeChange('station-added', null, id, null, nameB,
+          `Station ${nameB} (${id}) added`));
+    }
+  });
+  stationsA.forEach((nameA, id) => {
+    if (!stationsB.has(id)) {
+      changes.push(makeChange('station-removed', null, id, nameA, null,
+          `Station ${nameA} (${id}) removed`));
+    }
+  });
+  const routes = matchRoutes(getRoutes(dataA), getRoutes(dataB));
+  routes.added.forEach((route) => {
+    changes.push(makeChange('route-added', route.name, null, null,
+        route.name, `Route ${route.name} added`));
+  });
+  routes.removed.forEach((route) => {
+    changes.push(makeChange('route-removed', route.name, null, route.name,
+        null, `Route ${route.name} removed`));
+  });
+  routes.pairs.forEach(([routeA, routeB]) => {
+    changes = changes.concat(diffRoute(routeA, routeB));
+  });
+  return changes;
+}
+
+/**
+ * Returns a human-readable report of the changes between two networks.
+ * @param {!Array<NetworkChange>} changes - The changes found.
+ * @return {string}
+ */
+function diffToString(changes) {
+  let res = 'No changes';
+  if (changes.length > 0) {
+    res = `${changes.length} change(s)\n` + changes
+        .map((change) => `  [${change.change}] ${change.message}`)
+        .join('\n');
+  }
+  return res;
+}
+
+exports.diffNetworks = diffNetworks;
+exports.diffToString = diffToString;
@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Simulates disruption to a railway network: closed stations,
+ *    closed stretches of a route and routes whose service is suspended. A
+ *    disruption filters the graph built by the network method, so journeys
+ *    can be planned around it and compared with normal service. Disruptions
+ *    can be read from a JSON file:
+ *    {
+ *      "closedStations": ["Reading"],
+ *      "closedSegments": [
+ *        {"route": "Great Western Railway", "from": "Bath", "to": "Cardiff"}
+ *      ],
+ *      "suspendedRoutes": ["High Speed 1"]
+ *    }
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const fs = require('fs');
+const {InputError} = require('./errors.js');
+const {resolveStation, DISTANCE_TOLERANCE} = require('./network.js');
+const {normalizeName} = require('./resolver.js');
+const {computeMatrix} = require('./matrix.js');
+const {round} = require('./output.js');
+
+/**
+ * A stretch of a route that is closed, from one of its stops to another.
+ *    Stations are given by name or stationID.
+ * @typedef {{route: string, from: (number|string), to: (number|string)}}
+ *    ClosedSegment
+ */
+
+/**
+ * What is closed or suspended on a network.
+ * @constructor
+ * @param {!Array<number|string>} [closedStations] - The stationIDs or names
+ *    of the stations closed.
+ * @param {!Array<ClosedSegment>} [closedSegments] - The stretches of routes
+ *    closed.
+ * @param {!Array<string>} [suspendedRoutes] - The names of the routes with
+ *    no service.
+ */
+function Disruption(closedStations = [], closedSegments = [],
+    suspendedRoutes = []) {
+  this.closedStations = closedStations;
+  this.closedSegments = closedSegments;
+  this.suspendedRoutes = suspendedRoutes;
+}
+
+/**
+ * Builds a disruption from parsed JSON.
+ * @param {*} json - The parsed JSON.
+ * @return {!Disruption}
+ * @throws {InputError} Throws if the JSON does not describe a disruption.
+ */
+Disruption.fromData = function(json) {
+  if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+    throw new InputError('A disruption must be a JSON object');
+  }
+  const list = (name) => {
+    const value = json[name] === undefined ? [] : json[name];
+    if (!Array.isArray(value)) {
+      throw new InputError(`${name} must be a list`);
+    }
+    return value;
+  };
+  const isStation = (station) =>
+    typeof station === 'string' || typeof station === 'number';
+  const closedStations = list('closedStations');
+  const closedSegments = list('closedSegments');
+  const suspendedRoutes = list('suspendedRoutes');
+  if (!closedStations.every(isStation)) {
+    throw new InputError('closedStations must list station names or IDs');
+  }
+  closedSegments.forEach((segment, i) => {
+    if (
+      segment === null ||
+      typeof segment.route !== 'string' ||
+      !isStation(segment.from) ||
+      !isStation(segment.to)
+    ) {
+      throw new InputError(
+          `closedSegments[${i}] must have a route, from and to`,
+      );
+    }
+  });
+  if (!suspendedRoutes.every((route) => typeof route === 'string')) {
+    throw new InputError('suspendedRoutes must list route names');
+  }
+  return new Disruption(closedStations, closedSegments, suspendedRoutes);
+};
+
+/**
+ * Returns the name a route has in a graph, ignoring case and punctuation.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @param {string} name - The name of the route.
+ * @return {string}
+ * @throws {InputError} Throws if no route has the name.
+ */
+function routeName(graph, name) {
+  const res = name in graph.routes ? name : Object.keys(graph.routes).find(
+      (candidate) => normalizeName(candidate) === normalizeName(name));
+  if (res === undefined) {
+    throw new InputError(`Route not found: ${name}`);
+  }
+  return res;
+}
+
+/**
+ * Returns the index of the first stop of a route at a station.
+ * @param {!Route} route - The route.
+ * @param {!Station} station - The station.
+ * @return {number}
+ * @throws {InputError} Throws if the route does not stop at the station.
+ */
+function stopIndex(route, station) {
+  const res = route.stops.findIndex((stop) =>
+    String(stop.stationId) === String(station.stationID));
+  if (res === -1) {
+    throw new InputError(
+        `${route.name} does not stop at ${station.stationName}`,
+    );
+  }
+  return res;
+}
+
+/**
+ * Returns the pairs of neighbouring stops of a closed segment, as 'i:j'
+ *    keys with i below j. A circular route is closed going forwards from the
+ *    first stop of the segment to the last.
+ * @param {!Route} route - The route.
+ * @param {number} fromIndex - The index of the stop the segment starts at.
+ * @param {number} toIndex - The index of the stop the segment ends at.
+ * @return {!Array<string>}
+ */
+function segmentKeys(route, fromIndex, toIndex) {
+  const count = route.stops.length;
+  let start = fromIndex;
+  let end = toIndex;
+  if (!route.circular && start > end) {
+    [start, end] = [end, start];
+  }
+  const res = [];
+  for (let i = start; i !== end; i = (i + 1) % count) {
+    const next = (i + 1) % count;
+    res.push(`${Math.min(i, next)}:${Math.max(i, next)}`);
+  }
+  return res;
+}
+
+/**
+ * Finds what a disruption closes in a graph.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @return {{stations: Set<Station>, segments: Map<string, Set<string>>,
+ *    routes: Set<string>}} The stations closed, the keys of the closed pairs
+ *    of stops of each route, and the routes suspended.
+ * @throws {StationNotFoundError|TypeError} Throws if a station or route is
+ *    not in the network.
+ */
+Disruption.prototype.closures = function(graph) {
+  const stations = new Set(this.closedStations.map((station) =>
+    resolveStation(graph, station)));
+  const segments = new Map();
+  this.closedSegments.forEach((segment) => {
+    const name = routeName(graph, segment.route);
+    const route = graph.routes[name];
+    const keys = segmentKeys(
+        route,
+        stopIndex(route, resolveStation(graph, segment.from)),
+        stopIndex(route, resolveStation(graph, segment.to)),
+    );
+    if (!segments.has(name)) {
+      segments.set(name, new Set());
+    }
+    keys.forEach((key) => segments.get(name).add(key));
+  });
+  const routes = new Set(this.suspendedRoutes.map((route) =>
+    routeName(graph, route)));
+  return {stations: stations, segments: segments, routes: routes};
+};
+
+/**
+ * Returns the graph of a network as it runs during a disruption: closed
+ *    stations, the links of suspended routes and the links of closed
+ *    segments are left out. Walks to and from open stations stay.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @param {!Disruption} disruption - What is closed.
+ * @return {!RailwayGraph} A new graph, leaving the one given as it was.
+ * @throws {StationNotFoundError|TypeError} Throws if a station or route of
+ *    the disruption is not in the network.
+ */
+function disruptGraph(graph, disruption) {
+  const closed = disruption.closures(graph);
+  return graph.subgraph(
+      (station) => !closed.stations.has(station),
+      (link) => {
+        if (link.isWalk) {
+          return true;
+        }
+        const segments = closed.segments.get(link.routeName);
+        const key = `${Math.min(link.fromIndex, link.toIndex)}:` +
+          `${Math.max(link.fromIndex, link.toIndex)}`;
+        return !closed.routes.has(link.routeName) &&
+          (segments === undefined || !segments.has(key));
+      },
+  );
+}
+
+/**
+ * Reads a disruption from a JSON file.
+ * @param {string} fileName - The path of the file.
+ * @return {!Disruption}
+ * @throws {InputError} Throws if the file does not describe a disruption.
+ */
+function loadDisruption(fileName) {
+  return Disruption.fromData(JSON.parse(fs.readFileSync(fileName, 'utf8')));
+}
+
+/**
+ * How a disruption changes the journey between two stations.
+ * @typedef {{type: string, fromStationID: (number|string), from: string,
+ *    toStationID: (number|string), to: string, reachable: boolean,
+ *    normalDistance: number, disruptedDistance: ?number,
+ *    extraDistance: ?number, normalChanges: number,
+ *    disruptedChanges: ?number, extraChanges: ?number}} DisruptedPair
+ */
+
+/**
+ * Compares the journeys between every pair of stations in normal service and
+ *    during a disruption. Each pair is compared both ways, as the distances
+ *    of a route may differ from one direction to the other. Pairs with a
+ *    closed station, or that were not connected to start with, are left
+ *    out.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @param {!Disruption} disruption - What is closed.
+ * @param {!DistanceMatrix} [normal] - The matrix of the network in normal
+ *    service, if already worked out.
+ * @return {{type: string, networkName: string,
+ *    closedStations: !Array<string>, closedSegments: !Array<ClosedSegment>,
+ *    suspendedRoutes: !Array<string>, pairs: number,
+ *    affected: !Array<DisruptedPair>}} What is closed, how many pairs were
+ *    compared, and the pairs whose shortest distance or fewest changes are
+ *    worse: those no longer connected first, then the most extra miles.
+ */
+function disruptionImpact(graph, disruption, normal = computeMatrix(graph)) {
+  const closed = disruption.closures(graph);
+  const disrupted = computeMatrix(disruptGraph(graph, disruption));
+  const affected = [];
+  let pairs = 0;
+  normal.stations.forEach((stationA, i) => {
+    normal.stations.forEach((stationB, j) => {
+      const rowA = disrupted.rows.get(String(stationA.stationID));
+      const rowB = disrupted.rows.get(String(stationB.stationID));
+      if (
+        j === i ||
+        rowA === undefined ||
+        rowB === undefined ||
+        normal.distances[i][j] === null
+      ) {
+        return;
+      }
+      pairs++;
+      const before = normal.entry(i, j);
+      const after = disrupted.entry(rowA, rowB);
+      const reachable = after.distance !== null;
+      const pair = {
+        type: 'disrupted-pair',
+        fromStationID: before.fromStationID,
+        from: before.from,
+        toStationID: before.toStationID,
+        to: before.to,
+        reachable: reachable,
+        normalDistance: before.distance,
+        disruptedDistance: after.distance,
+        extraDistance: reachable ? after.distance - before.distance : null,
+        normalChanges: before.changes,
+        disruptedChanges: after.changes,
+        extraChanges: reachable ? after.changes - before.changes : null,
+      };
+      if (
+        !reachable ||
+        pair.extraDistance > DISTANCE_TOLERANCE ||
+        pair.extraChanges > 0
+      ) {
+        affected.push(pair);
+      }
+    });
+  });
+  affected.sort((pairA, pairB) =>
+    Number(pairA.reachable) - Number(pairB.reachable) ||
+    pairB.extraDistance - pairA.extraDistance ||
+    pairB.extraChanges - pairA.extraChanges);
+  return {
+    type: 'disruption-impact',
+    networkName: graph.networkName,
+    closedStations: Array.from(closed.stations)
+        .map((station) => station.stationName),
+    closedSegments: disruption.closedSegments,
+    suspendedRoutes: Array.from(closed.routes),
+    pairs: pairs,
+    affected: affected,
+  };
+}
+
+/**
+ * Returns the impact of a disruption as records for JSON output: the impact
+ *    first, then a record for each pair affected.
+ * @param {!Object} impact - The impact found by disruptionImpact.
+ * @return {!Array<Object>}
+ */
+function impactToData(impact) {
+  const summary = Object.assign({}, impact, {
+    affected: impact.affected.length,
+    unreachable: impact.affected.filter((pair) => !pair.reachable).length,
+  });
+  return [summary].concat(impact.affected);
+}
+
+/**
+ * Returns how much worse one journey is than another, e.g.
+ *    "+12 miles, +1 change(s)".
+ * @param {number} extraDistance - The extra miles.
+ * @param {number} extraChanges - The extra changes.
+ * @return {string}
+ */
+function extraToString(extraDistance, extraChanges) {
+  const sign = (value) => value > 0 ? `+${value}` : `${value}`;
+  return `${sign(round(extraDistance))} miles, ` +
+    `${sign(extraChanges)} change(s)`;
+}
+
+/**
+ * Returns a human-readable report of the impact of a disruption.
+ * @param {!Object} impact - The impact found by disruptionImpact.
+ * @param {number} [top] - The most affected pairs to list, all of them if
+ *    not given.
+ * @return {string}
+ */
+function impactToString(impact, top = Infinity) {
+  const unreachable = impact.affected.filter((pair) => !pair.reachable);
+  const list = (items) => items.length === 0 ? 'none' : items.join(', ');
+  const lines = [
+    `Disruption of ${impact.networkName}`,
+    `Closed stations: ${list(impact.closedStations)}`,
+    `Closed segments: ${list(impact.closedSegments.map((segment) =>
+      `${segment.route} ${segment.from} to ${segment.to}`))}`,
+    `Suspended routes: ${list(impact.suspendedRoutes)}`,
+    `Pairs of stations compared: ${impact.pairs}`,
+    `Pairs affected: ${impact.affected.length}`,
+    `Pairs no longer connected: ${unreachable.length}`,
+  ];
+  if (impact.affected.length > 0) {
+    lines.push('', 'Most affected');
+  }
+  impact.affected.slice(0, top).forEach((pair) => {
+    lines.push(`  ${pair.from} to ${pair.to}: ${pair.reachable ?
+      extraToString(pair.extraDistance, pair.extraChanges) :
+      'no longer connected'}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Returns how a disrupted journey compares with the best journey in normal
+ *    service, for the journey report.
+ * @param {!Journey} normal - The best journey in normal service.
+ * @param {!Journey} disrupted - The best journey during the disruption.
+ * @return {string}
+ */
+function compareJourneys(normal, disrupted) {
+  return 'Compared with normal service: ' + extraToString(
+      disrupted.distance - normal.distance,
+      disrupted.changes - normal.changes,
+  );
+}
+
+exports.Disruption = Disruption;
+exports.disruptGraph = disruptGraph;
+exports.loadDisruption = loadDisruption;
+exports.disruptionImpact = disruptionImpact;
+exports.impactToData = impactToData;
+exports.impactToString = impactToString;
+exports.compareJourneys = compareJourneys;
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview The error every railway tool throws for input it can not
+ *    use, such as an unknown station, ranking or time, so the tools can tell
+ *    a mistake in what they were given from a bug of their own, and the exit
+ *    codes the command line tools end with for each kind of error.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {ValidationError} = require('./schema.js');
+
+/**
+ * Thrown for input that can not be used: arguments, options and files that
+ *    are badly written or name something that is not there. It is a
+ *    TypeError, as such input was before it had an error of its own.
+ */
+class InputError extends TypeError {
+  /**
+   * @param {string} message - What is wrong with the input.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+  }
+}
+
+/** Exit code when the command ran. */
+const EXIT_OK = 0;
+/** Exit code for an error nobody expected. */
+const EXIT_ERROR = 1;
+/** Exit code when the arguments are wrong or name something not there. */
+const EXIT_BAD_INPUT = 2;
+/** Exit code when the network file does not exist. */
+const EXIT_FILE_NOT_FOUND = 3;
+/** Exit code when no route joins the stations asked for. */
+const EXIT_NO_ROUTE = 4;
+
+/**
+ * Thrown when the command line can not be understood.
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message - What is wrong with the command line.
+   * @param {?string} [command] - The command whose usage to show, if known.
+   */
+  constructor(message, command = null) {
+    super(message);
+    this.name = 'UsageError';
+    this.command = command;
+  }
+}
+
+/**
+ * Thrown when two stations are in the network but no route joins them.
+ */
+class NoRouteError extends Error {
+  /**
+   * @param {string} from - The station travelled from.
+   * @param {string} to - The station travelled to.
+   */
+  constructor(from, to) {
+    super(`No route found between ${from} and ${to}`);
+    this.name = 'NoRouteError';
+  }
+}
+
+/**
+ * Returns the exit code for an error thrown while running a command.
+ * @param {!Error} error - The error.
+ * @return {number}
+ */
+function exitCodeFor(error) {
+  let res = EXIT_ERROR;
+  if (error.code === 'ENOENT') {
+    res = EXIT_FILE_NOT_FOUND;
+  } else if (error instanceof NoRouteError) {
+    res = EXIT_NO_ROUTE;
+  } else if (
+    error instanceof UsageError ||
+    error instanceof InputError ||
+    error instanceof SyntaxError ||
+    error instanceof ValidationError
+  ) {
+    // unknown stations, rankings, formats and times are all InputErrors,
+    // and any other TypeError is a bug
+    res = EXIT_BAD_INPUT;
+  }
+  return res;
+}
+
+exports.InputError = InputError;
+exports.UsageError = UsageError;
+exports.NoRouteError = NoRouteError;
+exports.exitCodeFor = exitCodeFor;
+exports.EXIT_OK = EXIT_OK;
+exports.EXIT_ERROR = EXIT_ERROR;
+exports.EXIT_BAD_INPUT = EXIT_BAD_INPUT;
+exports.EXIT_FILE_NOT_FOUND = EXIT_FILE_NOT_FOUND;
+exports.EXIT_NO_ROUTE = EXIT_NO_ROUTE;
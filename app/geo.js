@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Works with where stations are on the map: straight-line
+ *    distances between coordinates, the stations nearest a coordinate, and
+ *    exporting a network as GeoJSON, with each station a Point and each
+ *    route a LineString in its colour.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {InputError} = require('./errors.js');
+const {getRoutes, getLocation} = require('./railway.js');
+
+/** The mean radius of the Earth in miles. */
+const EARTH_RADIUS = 3958.8;
+
+/**
+ * Returns the straight-line distance in miles between two places, along the
+ *    surface of the Earth.
+ * @param {{lat: number, lon: number}} from - One place, in degrees.
+ * @param {{lat: number, lon: number}} to - The other place, in degrees.
+ * @return {number}
+ */
+function straightLineDistance(from, to) {
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLon = radians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) *
+    Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Checks that a latitude and longitude are numbers of degrees on the map.
+ * @param {*} lat - The latitude.
+ * @param {*} lon - The longitude.
+ * @throws {InputError} Throws if either is out of range or not a number.
+ */
+function checkCoordinates(lat, lon) {
+  if (typeof lat !== 'number' || isNaN(lat) || lat < -90 || lat > 90) {
+    throw new InputError(`Latitude must be from -90 to 90, not ${lat}`);
+  }
+  if (typeof lon !== 'number' || isNaN(lon) || lon < -180 || lon > 180) {
+    throw new InputError(`Longitude must be from -180 to 180, not ${lon}`);
+  }
+}
+
+/**
+ * Finds the stations nearest a place, as the crow flies. Stations without a
+ *    location are left out.
+ * @param {!RailwayGraph} graph - The graph built by the network method.
+ * @param {number} lat - The latitude of the place in degrees.
+ * @param {number} lon - The longitude of the place in degrees.
+ * @param {number} [count] - The most stations to return, 1 by default.
+ * @return {!Array<{station: Station, distance: number}>} The stations and
+ *    their distances in miles, nearest first.
+ * @throws {InputError} Throws if the coordinates are not on the map.
+ */
+function nearestStations(graph, lat, lon, count = 1) {
+  checkCoordinates(lat, lon);
+  const place = {lat: lat, lon: lon};
+  return Object.keys(graph.stations)
+      .map((id) => graph.stations[id])
+      .filter((station) => station.location !== null)
+      .map((station) => ({
+        station: station,
+        distance: straightLineDistance(place, station.location),
+      }))
+      .sort((itemA, itemB) => itemA.distance - itemB.distance ||
+        itemA.station.stationName.localeCompare(itemB.station.stationName))
+      .slice(0, count);
+}
+
+/**
+ * Returns the GeoJSON position of a location: longitude first.
+ * @param {!Location} location - The location.
+ * @return {!Array<number>}
+ */
+function position(location) {
+  return [location.lon, location.lat];
+}
+
+/**
+ * Returns a network as a GeoJSON FeatureCollection. Each station with a
+ *    location is a Point, and each route a LineString through the stops that
+ *    have one, back to the first for a circular route. Routes carry their
+ *    color both as color and as the stroke of the simplestyle spec, so map
+ *    viewers draw them in it. Routes with fewer than two located stops are
+ *    left out.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @return {!Object}
+ */
+function toGeoJSON(data) {
+  const features = [];
+  const placed = new Set();
+  getRoutes(data).forEach((route) => {
+    route.stops.forEach((stop) => {
+      const location = getLocation(data, stop.stationId);
+      if (location !== null && !placed.has(stop.stationId)) {
+        placed.add(stop.stationId);
+        features.push({
+          type: 'Feature',
+          geometry: {type: 'Point', coordinates: position(location)},
+          properties: {
+            stationID: stop.stationId,
+            stationName: stop.stationName,
+          },
+        });
+      }
+    });
+  });
+  getRoutes(data).forEach((route) => {
+    const coordinates = route.stops
+        .map((stop) => getLocation(data, stop.stationId))
+        .filter((location) => location !== null)
+        .map(position);
+    if (coordinates.length < 2) {
+      return;
+    }
+    if (route.circular) {
+      coordinates.push(coordinates[0]);
+    }
+    features.push({
+      type: 'Feature',
+      geometry: {type: 'LineString', coordinates: coordinates},
+      properties: {
+        name: route.name,
+        color: route.color,
+        stroke: route.color,
+        circular: route.circular,
+      },
+    });
+  });
+  return {type: 'FeatureCollection', features: features};
+}
+
+exports.straightLineDistance = straightLineDistance;
+exports.nearestStations = nearestStations;
+exports.toGeoJSON = toGeoJSON;
+exports.EARTH_RADIUS = EARTH_RADIUS;
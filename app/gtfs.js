@@ -0,0 +1,570 @@
+/**
+ * @fileoverview Imports GTFS feeds, the format most transit data comes in, as
+ *    RailwayNetworks, and exports RailwayNetworks as GTFS feeds that
+ *    standard tools can load. A feed is a folder or zip archive of CSV
+ *    files. Each GTFS route becomes a route through the stops of its longest
+ *    trip.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {InputError} = require('./errors.js');
+const railway = require('./railway.js');
+const {straightLineDistance} = require('./geo.js');
+const {round, toCSV} = require('./output.js');
+const {readZip, writeZip} = require('./zip.js');
+
+/** The files a feed has to have to be imported. */
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt',
+  'stop_times.txt'];
+/** Kilometres, metres and miles in a mile, for shape_dist_traveled. */
+const UNITS = {km: 1.609344, m: 1609.344, mi: 1};
+/** The GTFS route_type of rail. */
+const RAIL = 2;
+/** The speed in miles per hour of exported routes without a timetable. */
+const DEFAULT_SPEED = 60;
+/** When the exported trip of a route without a timetable leaves. */
+const DEFAULT_DEPARTURE = 6 * 60;
+/** The colours of the network files that GTFS needs written in hex. */
+const COLORS = {
+  black: '000000',
+  blue: '0000FF',
+  brown: 'A52A2A',
+  cyan: '00FFFF',
+  gray: '808080',
+  green: '008000',
+  grey: '808080',
+  magenta: 'FF00FF',
+  orange: 'FFA500',
+  pink: 'FFC0CB',
+  purple: '800080',
+  red: 'FF0000',
+  white: 'FFFFFF',
+  yellow: 'FFFF00',
+};
+
+/**
+ * Parses CSV text with a header row into one object per row, keyed by the
+ *    names in the header. Quoted fields may hold commas, quotes and line
+ *    breaks.
+ * @param {string} text - The CSV text.
+ * @return {!Array<Object<string, string>>}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // a byte order mark is not part of the first column name
+  const body = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (quoted) {
+      if (c === '"' && body[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && body[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  const nonEmpty = rows.filter((cells) => cells.length > 1 || cells[0] !== '');
+  const header = (nonEmpty.shift() || []).map((name) => name.trim());
+  return nonEmpty.map((cells) => {
+    const res = {};
+    header.forEach((name, i) => {
+      res[name] = cells[i] === undefined ? '' : cells[i];
+    });
+    return res;
+  });
+}
+
+/**
+ * Reads the text files of a feed.
+ * @param {string} source - The path of the folder or zip archive.
+ * @return {!Map<string, string>} The text of each file by its name. Files in
+ *    a folder inside a zip archive are found by name alone.
+ */
+function readFeedFiles(source) {
+  const res = new Map();
+  if (fs.statSync(source).isDirectory()) {
+    fs.readdirSync(source).forEach((name) => {
+      if (name.endsWith('.txt')) {
+        res.set(name, fs.readFileSync(path.join(source, name), 'utf8'));
+      }
+    });
+  } else {
+    readZip(fs.readFileSync(source)).forEach((contents, name) => {
+      if (name.endsWith('.txt')) {
+        res.set(path.posix.basename(name), contents.toString('utf8'));
+      }
+    });
+  }
+  return res;
+}
+
+/**
+ * Returns the coordinates of a row of stops.txt, or null if it has none.
+ * @param {!Object<string, string>} stop - The row.
+ * @return {?{lat: number, lon: number}}
+ */
+function stopPlace(stop) {
+  const lat = parseFloat(stop.stop_lat);
+  const lon = parseFloat(stop.stop_lon);
+  return isNaN(lat) || isNaN(lon) ? null : {lat: lat, lon: lon};
+}
+
+/**
+ * Returns the miles along a shape between the points nearest two places,
+ *    looking for the second no earlier on the shape than the first.
+ * @param {!Array<{lat: number, lon: number}>} shape - The points of the
+ *    shape, in order.
+ * @param {{lat: number, lon: number}} from - The first place.
+ * @param {{lat: number, lon: number}} to - The second place.
+ * @param {number} start - The index of the point to look from.
+ * @return {{distance: number, index: number}} The miles, and the index of
+ *    the point nearest the second place.
+ */
+function alongShape(shape, from, to, start) {
+  const nearest = (place, first) => {
+    let best = first;
+    for (let i = first; i < shape.length; i++) {
+      if (straightLineDistance(shape[i], place) <
+        straightLineDistance(shape[best], place)) {
+        best = i;
+      }
+    }
+    return best;
+  };
+  const i = nearest(from, start);
+  const j = nearest(to, i);
+  let distance = 0;
+  for (let k = i; k < j; k++) {
+    distance += straightLineDistance(shape[k], shape[k + 1]);
+  }
+  return {distance: distance, index: j};
+}
+
+/**
+ * Reads a GTFS feed as a RailwayNetwork. Each route runs through the stops
+ *    of its trip with the most stops, the first in trips.txt if several
+ *    have as many; a trip that ends where it started makes a circular
+ *    route. Platforms are merged into their parent station, while a stop
+ *    listed twice in a row stays two stops of the route. Stops keep
+ *    their stop_id as stationID if every stop_id is a whole number, and are
+ *    numbered in the order of stops.txt otherwise.
+ *
+ *    Distances come from shape_dist_traveled in stop_times.txt if given,
+ *    otherwise from the trip's shape in shapes.txt, otherwise from the
+ *    straight line between the stops. Routes without route_color are white,
+ *    as GTFS says. Timetables, calendars and transfers are not read.
+ * @param {string} source - The path of the feed folder or zip archive.
+ * @param {object} [options] - Import options.
+ * @param {string} [options.networkName] - The name of the network, by
+ *    default the names of the agencies.
+ * @param {string} [options.distanceUnit] - The unit of shape_dist_traveled:
+ *    km, m or mi, km by default.
+ * @return {!RailwayNetwork}
+ * @throws {InputError} Throws if the feed is missing a file or a distance can
+ *    not be found, or for an unknown unit.
+ */
+function readGTFS(source, options = {}) {
+  const unit = options.distanceUnit === undefined ? 'km' :
+    options.distanceUnit;
+  if (!(unit in UNITS)) {
+    throw new InputError(`Unknown distance unit ${unit}, use km, m or mi`);
+  }
+  const files = readFeedFiles(source);
+  REQUIRED_FILES.forEach((name) => {
+    if (!files.has(name)) {
+      throw new InputError(`The GTFS feed ${source} has no ${name}`);
+    }
+  });
+  const table = (name) => files.has(name) ? parseCSV(files.get(name)) : [];
+  const stops = new Map(table('stops.txt').map((stop) => [stop.stop_id,
+    stop]));
+  // platforms are part of their station
+  const stationOf = (stopId) => {
+    const stop = stops.get(stopId);
+    if (stop === undefined) {
+      throw new InputError(`stop_times.txt names unknown stop ${stopId}`);
+    }
+    return stop.parent_station && stops.has(stop.parent_station) ?
+      stops.get(stop.parent_station) :
+      stop;
+  };
+  const numeric = Array.from(stops.keys()).every((id) => /^\d+$/.test(id));
+  const stationIds = new Map();
+  Array.from(stops.keys()).forEach((id, i) => {
+    stationIds.set(id, numeric ? Number(id) : i + 1);
+  });
+  const stopTimes = new Map();
+  table('stop_times.txt').forEach((stopTime) => {
+    if (!stopTimes.has(stopTime.trip_id)) {
+      stopTimes.set(stopTime.trip_id, []);
+    }
+    stopTimes.get(stopTime.trip_id).push(stopTime);
+  });
+  stopTimes.forEach((times) => {
+    times.sort((timeA, timeB) =>
+      Number(timeA.stop_sequence) - Number(timeB.stop_sequence));
+  });
+  const shapes = new Map();
+  table('shapes.txt')
+      .sort((pointA, pointB) =>
+        Number(pointA.shape_pt_sequence) - Number(pointB.shape_pt_sequence))
+      .forEach((point) => {
+        if (!shapes.has(point.shape_id)) {
+          shapes.set(point.shape_id, []);
+        }
+        shapes.get(point.shape_id).push({
+          lat: parseFloat(point.shape_pt_lat),
+          lon: parseFloat(point.shape_pt_lon),
+        });
+      });
+  const trips = table('trips.txt');
+  const routeRows = table('routes.txt');
+  const nameCount = new Map();
+  const routeName = (route) =>
+    route.route_long_name || route.route_short_name || route.route_id;
+  routeRows.forEach((route) => {
+    nameCount.set(routeName(route), (nameCount.get(routeName(route)) || 0) +
+      1);
+  });
+  const used = new Set();
+  const routes = [];
+  routeRows.forEach((route) => {
+    let longest = null;
+    trips.filter((trip) => trip.route_id === route.route_id)
+        .forEach((trip) => {
+          const times = stopTimes.get(trip.trip_id);
+          if (times !== undefined && (longest === null ||
+            times.length > stopTimes.get(longest.trip_id).length)) {
+            longest = trip;
+          }
+        });
+    if (longest === null) {
+      return;
+    }
+    const name = nameCount.get(routeName(route)) > 1 ?
+      `${routeName(route)} (${route.route_id})` :
+      routeName(route);
+    // one visit per station, however many platforms the train stops at,
+    // but a stop listed twice in a row is two stops of the route
+    const visits = [];
+    stopTimes.get(longest.trip_id).forEach((stopTime) => {
+      const station = stationOf(stopTime.stop_id);
+      const last = visits[visits.length - 1];
+      const travelled = parseFloat(stopTime.shape_dist_traveled);
+      if (
+        last !== undefined &&
+        last.station === station &&
+        last.stopId !== stopTime.stop_id
+      ) {
+        return;
+      }
+      visits.push({
+        stopId: stopTime.stop_id,
+        station: station,
+        place: stopPlace(stops.get(stopTime.stop_id)) || stopPlace(station),
+        travelled: isNaN(travelled) ? null : travelled / UNITS[unit],
+      });
+    });
+    const shape = shapes.get(longest.shape_id) || [];
+    let shapeIndex = 0;
+    const distances = visits.slice(1).map((visit, i) => {
+      const previous = visits[i];
+      let distance;
+      if (visit.travelled !== null && previous.travelled !== null) {
+        distance = visit.travelled - previous.travelled;
+      } else if (previous.place === null || visit.place === null) {
+        throw new InputError(`No distance from ` +
+          `${previous.station.stop_name} to ${visit.station.stop_name} on ` +
+          `${name}: give shape_dist_traveled or stop coordinates`);
+      } else if (shape.length > 1) {
+        const along = alongShape(shape, previous.place, visit.place,
+            shapeIndex);
+        distance = along.distance;
+        shapeIndex = along.index;
+      } else {
+        distance = straightLineDistance(previous.place, visit.place);
+      }
+      return round(distance);
+    });
+    const circular = visits.length > 3 &&
+      visits[0].station === visits[visits.length - 1].station;
+    let closingDistance = null;
+    if (circular) {
+      visits.pop();
+      closingDistance = distances.pop();
+    }
+    const routeStops = visits.map((visit, i) => {
+      used.add(visit.station.stop_id);
+      return new railway.Stop(
+          i + 1,
+          visit.station.stop_name,
+          stationIds.get(visit.station.stop_id),
+          i < visits.length - 1 ? distances[i] : null,
+          i > 0 ? distances[i - 1] : null,
+      );
+    });
+    routes.push(new railway.Route(
+        name,
+        routeStops,
+        `#${(route.route_color || 'FFFFFF').toUpperCase()}`,
+        circular,
+        closingDistance,
+    ));
+  });
+  const locations = [];
+  used.forEach((stopId) => {
+    const place = stopPlace(stops.get(stopId));
+    if (place !== null) {
+      locations.push(new railway.Location(stationIds.get(stopId), place.lat,
+          place.lon));
+    }
+  });
+  const agencies = table('agency.txt').map((agency) => agency.agency_name)
+      .filter((agencyName) => agencyName);
+  let networkName = options.networkName;
+  if (networkName === undefined) {
+    networkName = agencies.length > 0 ?
+      agencies.join(' + ') :
+      path.basename(source, path.extname(source));
+  }
+  return new railway.RailwayNetwork(networkName, routes, [], [], locations);
+}
+
+/**
+ * Returns a route colour as the six hex digits GTFS writes, or an empty
+ *    string for a colour it does not know.
+ * @param {string} color - The colour of the route, a name or #RRGGBB.
+ * @return {string}
+ */
+function hexColor(color) {
+  const text = String(color || '').trim();
+  if (/^#?[0-9a-f]{6}$/i.test(text)) {
+    return text.replace('#', '').toUpperCase();
+  }
+  return COLORS[text.toLowerCase()] || '';
+}
+
+/**
+ * Writes minutes after midnight as a GTFS time, HH:MM:SS, with hours past
+ *    24 for trains running after midnight.
+ * @param {number} minutes - Minutes after midnight.
+ * @return {string}
+ */
+function gtfsTime(minutes) {
+  const seconds = Math.round(minutes * 60);
+  return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60,
+    seconds % 60].map((part) => String(part).padStart(2, '0')).join(':');
+}
+
+/**
+ * Returns the rows of stop_times.txt for one trip along a route, in the
+ *    order of its stops and back to the first for a circular route. A
+ *    timetabled route leaves at its first departure with its running times,
+ *    the others at 06:00 at 60 miles per hour.
+ * @param {!Route} route - The route.
+ * @param {string} tripId - The trip_id of the trip.
+ * @param {number} factor - The units of shape_dist_traveled in a mile.
+ * @return {!Array<Object>}
+ */
+function tripStopTimes(route, tripId, factor) {
+  const timetable = route.timetable;
+  const indexes = route.stops.map((stop, i) => i);
+  if (route.circular && route.stops.length > 1) {
+    indexes.push(0);
+  }
+  let travelled = 0;
+  let offset = 0;
+  return indexes.map((index, i) => {
+    let wait = 0;
+    if (i > 0) {
+      const previous = indexes[i - 1];
+      travelled += route.distanceToNext(previous) || 0;
+      offset += timetable === null ?
+        (route.distanceToNext(previous) || 0) / DEFAULT_SPEED * 60 :
+        timetable.runTime(route, previous, true);
+      wait = timetable === null || i === indexes.length - 1 ? 0 :
+        timetable.dwellAt(index);
+    }
+    const start = timetable === null ? DEFAULT_DEPARTURE :
+      timetable.firstDeparture;
+    const arrives = start + offset;
+    offset += wait;
+    return {
+      trip_id: tripId,
+      arrival_time: gtfsTime(arrives),
+      departure_time: gtfsTime(start + offset),
+      stop_id: route.stops[index].stationId,
+      stop_sequence: i + 1,
+      shape_dist_traveled: Number((travelled * factor).toFixed(6)),
+    };
+  });
+}
+
+/**
+ * Writes a RailwayNetwork as a GTFS feed. Each route is one rail route run
+ *    by one daily trip through its stops, with the distances as
+ *    shape_dist_traveled, and a shape when every stop has a location.
+ *    Colour names GTFS can not write are left out. Neighbouring stops that
+ *    share a stationID stay two rows of stop_times.txt, but stops.txt holds
+ *    one name for each stationID: the name of its first stop. Stations
+ *    without a location have empty coordinates, which tools that check
+ *    feeds reject, so give every station a location (see geo.js) first for
+ *    a complete feed. Interchanges and walking transfers are not written.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {string} target - The folder to write the files to, or the path of
+ *    a zip archive if it ends in .zip.
+ * @param {object} [options] - Export options.
+ * @param {string} [options.agencyUrl] - The agency_url of the network.
+ * @param {string} [options.timezone] - The agency_timezone, Europe/London by
+ *    default.
+ * @param {string} [options.startDate] - The first day of service, YYYYMMDD.
+ * @param {string} [options.endDate] - The last day of service, YYYYMMDD.
+ * @param {string} [options.distanceUnit] - The unit of
+ *    shape_dist_traveled: km, m or mi, km by default.
+ * @return {!Array<string>} The names of the files written.
+ * @throws {TypeError} Throws if data is not a RailwayNetwork.
+ * @throws {InputError} Throws for an unknown unit.
+ */
+function writeGTFS(data, target, options = {}) {
+  if (!(data instanceof railway.RailwayNetwork)) {
+    throw new TypeError('Only a RailwayNetwork can be exported');
+  }
+  const unit = options.distanceUnit === undefined ? 'km' :
+    options.distanceUnit;
+  if (!(unit in UNITS)) {
+    throw new InputError(`Unknown distance unit ${unit}, use km, m or mi`);
+  }
+  const agencyId = '1';
+  const files = new Map();
+  files.set('agency.txt', toCSV([{
+    agency_id: agencyId,
+    agency_name: data.networkName,
+    agency_url: options.agencyUrl || 'https://example.com',
+    agency_timezone: options.timezone || 'Europe/London',
+  }], ['agency_id', 'agency_name', 'agency_url', 'agency_timezone']));
+  const stations = new Map();
+  railway.getRoutes(data).forEach((route) => {
+    route.stops.forEach((stop) => {
+      if (!stations.has(stop.stationId)) {
+        const location = railway.getLocation(data, stop.stationId);
+        stations.set(stop.stationId, {
+          stop_id: stop.stationId,
+          stop_name: stop.stationName,
+          stop_lat: location === null ? null : location.lat,
+          stop_lon: location === null ? null : location.lon,
+        });
+      }
+    });
+  });
+  files.set('stops.txt', toCSV(Array.from(stations.values()),
+      ['stop_id', 'stop_name', 'stop_lat', 'stop_lon']));
+  const routes = [];
+  const trips = [];
+  let stopTimes = [];
+  const shapes = [];
+  railway.getRoutes(data).forEach((route, i) => {
+    const routeId = String(i + 1);
+    const tripId = `${routeId}-1`;
+    const times = tripStopTimes(route, tripId, UNITS[unit]);
+    const located = times.map((time) =>
+      railway.getLocation(data, time.stop_id));
+    const shapeId = located.every((location) => location !== null) ?
+      routeId :
+      '';
+    routes.push({
+      route_id: routeId,
+      agency_id: agencyId,
+      route_short_name: '',
+      route_long_name: route.name,
+      route_type: RAIL,
+      route_color: hexColor(route.color),
+    });
+    trips.push({
+      route_id: routeId,
+      service_id: 'daily',
+      trip_id: tripId,
+      direction_id: 0,
+      shape_id: shapeId,
+    });
+    stopTimes = stopTimes.concat(times);
+    if (shapeId !== '') {
+      located.forEach((location, j) => {
+        shapes.push({
+          shape_id: shapeId,
+          shape_pt_lat: location.lat,
+          shape_pt_lon: location.lon,
+          shape_pt_sequence: j + 1,
+          shape_dist_traveled: times[j].shape_dist_traveled,
+        });
+      });
+    }
+  });
+  files.set('routes.txt', toCSV(routes, ['route_id', 'agency_id',
+    'route_short_name', 'route_long_name', 'route_type', 'route_color']));
+  files.set('trips.txt', toCSV(trips, ['route_id', 'service_id', 'trip_id',
+    'direction_id', 'shape_id']));
+  files.set('stop_times.txt', toCSV(stopTimes, ['trip_id', 'arrival_time',
+    'departure_time', 'stop_id', 'stop_sequence', 'shape_dist_traveled']));
+  files.set('calendar.txt', toCSV([{
+    service_id: 'daily',
+    monday: 1,
+    tuesday: 1,
+    wednesday: 1,
+    thursday: 1,
+    friday: 1,
+    saturday: 1,
+    sunday: 1,
+    start_date: options.startDate || '20240101',
+    end_date: options.endDate || '20991231',
+  }], ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+    'saturday', 'sunday', 'start_date', 'end_date']));
+  if (shapes.length > 0) {
+    files.set('shapes.txt', toCSV(shapes, ['shape_id', 'shape_pt_lat',
+      'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled']));
+  }
+  files.forEach((text, name) => {
+    files.set(name, `${text}\n`);
+  });
+  if (target.toLowerCase().endsWith('.zip')) {
+    fs.writeFileSync(target, writeZip(files));
+  } else {
+    fs.mkdirSync(target, {recursive: true});
+    files.forEach((text, name) => {
+      fs.writeFileSync(path.join(target, name), text);
+    });
+  }
+  return Array.from(files.keys());
+}
+
+exports.readGTFS = readGTFS;
+exports.writeGTFS = writeGTFS;
+exports.parseCSV = parseCSV;
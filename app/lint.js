@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Finds data-quality problems in railway network JSON files,
+ *    such as stations with clashing names and IDs, distances that do not
+ *    match between neighbouring stops, or distances far from the straight
+ *    line between the stations' coordinates.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {readData, getRoutes, getLocation} = require('./railway.js');
+const {levenshtein} = require('./resolver.js');
+const {straightLineDistance} = require('./geo.js');
+
+/**
+ * A data-quality problem found by the linter.
+ * @typedef {{rule: string, message: string, route: ?string,
+ *    stop: ?number}} LintFinding
+ */
+
+/** Exit code when every file is clean. */
+const EXIT_CLEAN = 0;
+/** Exit code when at least one problem was found. */
+const EXIT_PROBLEMS = 1;
+/** Exit code when the arguments are wrong or a file can not be loaded. */
+const EXIT_ERROR = 2;
+
+/**
+ * Adds a value to the set kept under a key of a map.
+ * @param {!Map<*, Set<*>>} map - The map.
+ * @param {*} key - The key.
+ * @param {*} value - The value to add.
+ */
+function addToSet(map, key, value) {
+  if (!map.has(key)) {
+    map.set(key, new Set());
+  }
+  map.get(key).add(value);
+}
+
+/**
+ * Finds stations whose names and IDs do not match one to one, and names that
+ *    are so alike they are likely to be misspellings of each other.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {number} maxEditDistance - The largest edit distance between two
+ *    names that are reported as near-duplicates.
+ * @return {!Array<LintFinding>}
+ */
+function lintStations(data, maxEditDistance) {
+  const findings = [];
+  const namesById = new Map();
+  const idsByName = new Map();
+  getRoutes(data).forEach((route) => {
+    route.stops.forEach((stop) => {
+      addToSet(namesById, stop.stationId, stop.stationName);
+      addToSet(idsByName, stop.stationName, stop.stationId);
+    });
+  });
+  namesById.forEach((names, id) => {
+    if (names.size > 1) {
+      findings.push({
+        rule: 'id-several-names',
+        message:
+          `stationID ${id} is used for several names: ` +
+          Array.from(names).join(', '),
+        route: null,
+        stop: null,
+      });
+    }
+  });
+  idsByName.forEach((ids, name) => {
+    if (ids.size > 1) {
+      findings.push({
+        rule: 'name-several-ids',
+        message:
+          `${name} has several stationIDs: ${Array.from(ids).join(', ')}`,
+        route: null,
+        stop: null,
+      });
+    }
+  });
+  const names = Array.from(idsByName.keys());
+  names.forEach((name, i) => {
+    names.slice(i + 1).forEach((other) => {
+      const distance = levenshtein(name.toLowerCase(), other.toLowerCase());
+      // short names are allowed to differ by less
+      const limit = Math.min(
+          maxEditDistance,
+          Math.floor(Math.min(name.length, other.length) / 4),
+      );
+      if (distance <= limit) {
+        findings.push({
+          rule: 'similar-names',
+          message:
+            `${name} and ${other} are near-duplicates ` +
+            `(edit distance ${distance})`,
+          route: null,
+          stop: null,
+        });
+      }
+    });
+  });
+  return findings;
+}
+
+/**
+ * Finds problems within the stops of a single route: stops out of sequence,
+ *    neighbours that disagree on the distance between them, and distances
+ *    past the ends of the route.
+ * @param {!Route} route - The route.
+ * @return {!Array<LintFinding>}
+ */
+function lintRoute(route) {
+  const findings = [];
+  const finding = (rule, stop, message) => {
+    findings.push({
+      rule: rule,
+      message: `${route.name}: ${message}`,
+      route: route.name,
+      stop: stop,
+    });
+  };
+  route.stops.forEach((stop, i, stops) => {
+    if (stop.number !== i + 1) {
+      finding(
+          'stop-sequence',
+          i + 1,
+          `${stop.stationName} is numbered ${stop.number} ` +
+          `but is stop ${i + 1}`,
+      );
+    }
+    const next = stops[i + 1];
+    if (next !== undefined && stop.distanceToNext !== next.distanceToPrev) {
+      finding(
+          'asymmetric-distance',
+          i + 1,
+          `${stop.stationName} to ${next.stationName} is ` +
+          `${stop.distanceToNext} miles but ${next.stationName} to ` +
+          `${stop.stationName} is ${next.distanceToPrev} miles`,
+      );
+    }
+  });
+  const first = route.stops[0];
+  const last = route.stops[route.stops.length - 1];
+  if (first !== undefined && first.distanceToPrev !== null) {
+    finding(
+        'route-end-distance',
+        1,
+        `first stop ${first.stationName} has distanceToPrev ` +
+        `${first.distanceToPrev} instead of null`,
+    );
+  }
+  if (last !== undefined && last.distanceToNext !== null) {
+    finding(
+        'route-end-distance',
+        route.stops.length,
+        `last stop ${last.stationName} has distanceToNext ` +
+        `${last.distanceToNext} instead of null`,
+    );
+  }
+  return findings;
+}
+
+/**
+ * Finds neighbouring stops whose distance is wildly different from the
+ *    straight line between their stations, when both have a location. Track
+ *    bends, so only distances more than maxRatio times longer or shorter than
+ *    the straight line, and by over a mile, are reported.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {!Route} route - The route.
+ * @param {number} maxRatio - How many times longer or shorter than the
+ *    straight line a distance may be.
+ * @return {!Array<LintFinding>}
+ */
+function lintLocations(data, route, maxRatio) {
+  const findings = [];
+  route.stops.forEach((stop, i, stops) => {
+    const last = i === stops.length - 1;
+    const next = last ? stops[0] : stops[i + 1];
+    const distance = route.distanceToNext(i);
+    const from = getLocation(data, stop.stationId);
+    const to = getLocation(data, next.stationId);
+    if (
+      (last && !route.circular) ||
+      typeof distance !== 'number' ||
+      from === null ||
+      to === null
+    ) {
+      return;
+    }
+    const straight = straightLineDistance(from, to);
+    const ratio = Math.max(distance, straight) /
+      Math.max(Math.min(distance, straight), Number.MIN_VALUE);
+    if (ratio > maxRatio && Math.abs(distance - straight) > 1) {
+      findings.push({
+        rule: 'distance-vs-coordinates',
+        message:
+          `${route.name}: ${stop.stationName} to ${next.stationName} is ` +
+          `${distance} miles but ${straight.toFixed(1)} miles in a ` +
+          'straight line',
+        route: route.name,
+        stop: i + 1,
+      });
+    }
+  });
+  return findings;
+}
+
+/**
+ * Finds every data-quality problem in a RailwayNetwork.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {object} [options] - Linter options.
+ * @param {number} [options.maxEditDistance] - The largest edit distance
+ *    between two names reported as near-duplicates, 1 by default.
+ * @param {number} [options.maxDistanceRatio] - How many times longer or
+ *    shorter than the straight line between two located stations their
+ *    distance may be, 2 by default.
+ * @return {!Array<LintFinding>} The problems found, empty if the network is
+ *    clean.
+ */
+function lintNetwork(data, options = {}) {
+  const maxEditDistance =
+    options.maxEditDistance === undefined ? 1 : options.maxEditDistance;
+  const maxDistanceRatio =
+    options.maxDistanceRatio === undefined ? 2 : options.maxDistanceRatio;
+  let findings = lintStations(data, maxEditDistance);
+  getRoutes(data).forEach((route) => {
+    findings = findings.concat(lintRoute(route),
+        lintLocations(data, route, maxDistanceRatio));
+  });
+  return findings;
+}
+
+/**
+ * Returns a human-readable report of the problems found in a file.
+ * @param {string} fileName - The file that was linted.
+ * @param {!Array<LintFinding>} findings - The problems found in it.
+ * @return {string}
+ */
+function formatReport(fileName, findings) {
+  let res = `${fileName}: `;
+  if (findings.length === 0) {
+    res += 'no problems found';
+  } else {
+    res += `${findings.length} problem(s) found\n`;
+    res += findings
+        .map((finding) => `  [${finding.rule}] ${finding.message}`)
+        .join('\n');
+  }
+  return res;
+}
+
+/**
+ * Lints each file given on the command line and prints the results.
+ * @param {!Array<string>} args - The command line arguments: the files to
+ *    lint and optionally --format=text|json.
+ * @return {number} The exit code: EXIT_CLEAN if no problems were found,
+ *    EXIT_PROBLEMS if some were, EXIT_ERROR if the arguments are wrong or a
+ *    file can not be loaded.
+ */
+function main(args) {
+  let format = 'text';
+  const files = [];
+  args.forEach((arg) => {
+    const flag = /^--format=(.*)$/.exec(arg);
+    if (flag !== null) {
+      format = flag[1];
+    } else {
+      files.push(arg);
+    }
+  });
+  if (files.length === 0 || !['text', 'json'].includes(format)) {
+    console.log('Error! Usage: node lint.js [--format=text|json] <file>...');
+    return EXIT_ERROR;
+  }
+  let exitCode = EXIT_CLEAN;
+  const results = [];
+  files.forEach((fileName) => {
+    try {
+      const findings = lintNetwork(readData(fileName));
+      if (findings.length > 0 && exitCode === EXIT_CLEAN) {
+        exitCode = EXIT_PROBLEMS;
+      }
+      results.push({file: fileName, findings: findings});
+    } catch (error) {
+      exitCode = EXIT_ERROR;
+      results.push({file: fileName, error: error.message});
+    }
+  });
+  if (format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach((result) => {
+      if (result.error !== undefined) {
+        console.log(`${result.file}: could not be loaded - ${result.error}`);
+      } else {
+        console.log(formatReport(result.file, result.findings));
+      }
+    });
+  }
+  return exitCode;
+}
+
+// main entry point idiom for file
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+exports.levenshtein = levenshtein;
+exports.lintNetwork = lintNetwork;
+exports.formatReport = formatReport;
+exports.main = main;
+exports.EXIT_CLEAN = EXIT_CLEAN;
+exports.EXIT_PROBLEMS = EXIT_PROBLEMS;
+exports.EXIT_ERROR = EXIT_ERROR;
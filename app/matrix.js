@@ -0,0 +1,341 @@
+/**
+ * @fileoverview Works out the shortest distance, the fewest changes and the
+ *    routes taken between every pair of stations of a network at once, so
+ *    station-to-station tables can be exported as CSV or JSON. A matrix can
+ *    be saved to a cache file and loaded again while the network is the
+ *    same, so later queries are lookups rather than searches.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const {InputError} = require('./errors.js');
+const {serializeNetwork} = require('./railway.js');
+const {
+  AmbiguousStationError,
+  buildGraph,
+  cheapestPaths,
+  rankingStrategies,
+} = require('./network.js');
+const {StationResolver} = require('./resolver.js');
+const {toCSV, toJSON} = require('./output.js');
+
+/** The columns of the CSV export. */
+const CSV_COLUMNS = [
+  'fromStationID',
+  'from',
+  'toStationID',
+  'to',
+  'distance',
+  'changes',
+  'routes',
+];
+
+/**
+ * The journey between two stations of a matrix. distance is the shortest in
+ *    miles, changes the fewest, and routes the routes of the journey with the
+ *    fewest changes, shortest first. All three are null when there is no
+ *    way between the stations.
+ * @typedef {{type: string, fromStationID: (number|string), from: string,
+ *    toStationID: (number|string), to: string, distance: ?number,
+ *    changes: ?number, routes: ?Array<string>}} MatrixEntry
+ */
+
+/**
+ * The shortest distances, fewest changes and routes between every pair of
+ *    stations of a network. Row i and column j of each table are the
+ *    journey from stations[i] to stations[j].
+ * @constructor
+ * @param {string} networkName - The name of the network.
+ * @param {!Array<{stationID: (number|string), stationName: string}>}
+ *    stations - The stations, in the order of the rows and columns.
+ * @param {!Array<Array<?number>>} distances - The shortest distances.
+ * @param {!Array<Array<?number>>} changes - The fewest changes.
+ * @param {!Array<Array<?Array<string>>>} routes - The routes taken.
+ * @param {?string} [fingerprint] - Identifies the version of the network
+ *    the matrix was worked out for.
+ */
+function DistanceMatrix(networkName, stations, distances, changes, routes,
+    fingerprint = null) {
+  this.networkName = networkName;
+  this.stations = stations;
+  this.distances = distances;
+  this.changes = changes;
+  this.routes = routes;
+  this.fingerprint = fingerprint;
+  /** @type {Map<string, Array<number|string>>} name to stationIDs */
+  this.stationIDs = new Map();
+  /** @type {Map<string, number>} stationID to row */
+  this.rows = new Map();
+  stations.forEach((station, i) => {
+    if (!this.stationIDs.has(station.stationName)) {
+      this.stationIDs.set(station.stationName, []);
+    }
+    this.stationIDs.get(station.stationName).push(station.stationID);
+    this.rows.set(String(station.stationID), i);
+  });
+}
+
+/**
+ * Returns the row of a station, found by name or stationID the same way
+ *    getBestRoute finds it.
+ * @param {number|string} station - The stationID or name of the station.
+ * @return {number}
+ * @throws {AmbiguousStationError} Throws if a name matches several stations.
+ * @throws {StationNotFoundError} Throws with suggestions if no station
+ *    matches.
+ */
+DistanceMatrix.prototype.rowOf = function(station) {
+  let name = station;
+  if (!this.stationIDs.has(name) && !this.rows.has(String(station))) {
+    name = new StationResolver(this).require(String(station));
+  }
+  if (this.stationIDs.has(name)) {
+    const ids = this.stationIDs.get(name);
+    if (ids.length > 1) {
+      throw new AmbiguousStationError(name, ids);
+    }
+    return this.rows.get(String(ids[0]));
+  }
+  return this.rows.get(String(station));
+};
+
+/**
+ * Returns the entry of a pair of rows.
+ * @param {number} i - The row of the station travelled from.
+ * @param {number} j - The row of the station travelled to.
+ * @return {!MatrixEntry}
+ */
+DistanceMatrix.prototype.entry = function(i, j) {
+  return {
+    type: 'matrix-entry',
+    fromStationID: this.stations[i].stationID,
+    from: this.stations[i].stationName,
+    toStationID: this.stations[j].stationID,
+    to: this.stations[j].stationName,
+    distance: this.distances[i][j],
+    changes: this.changes[i][j],
+    routes: this.routes[i][j],
+  };
+};
+
+/**
+ * Looks up the journey between two stations.
+ * @param {number|string} from - The stationID or name of the station
+ *    travelled from.
+ * @param {number|string} to - The stationID or name of the station travelled
+ *    to.
+ * @return {!MatrixEntry}
+ * @throws {StationNotFoundError} Throws with suggestions if a station is not
+ *    found.
+ */
+DistanceMatrix.prototype.lookup = function(from, to) {
+  return this.entry(this.rowOf(from), this.rowOf(to));
+};
+
+/**
+ * Returns the entries of the matrix between different stations, row by row.
+ * @param {?(number|string)} [from] - Only the journeys from this station.
+ * @param {?(number|string)} [to] - Only the journeys to this station.
+ * @return {!Array<MatrixEntry>}
+ */
+DistanceMatrix.prototype.entries = function(from = null, to = null) {
+  const all = this.stations.map((station, i) => i);
+  const rows = from === null ? all : [this.rowOf(from)];
+  const columns = to === null ? all : [this.rowOf(to)];
+  const res = [];
+  rows.forEach((i) => {
+    columns.forEach((j) => {
+      if (i !== j) {
+        res.push(this.entry(i, j));
+      }
+    });
+  });
+  return res;
+};
+
+/**
+ * Returns the matrix as one record, in the form saved to cache files.
+ * @return {!Object}
+ */
+DistanceMatrix.prototype.toData = function() {
+  return {
+    type: 'distance-matrix',
+    networkName: this.networkName,
+    fingerprint: this.fingerprint,
+    stations: this.stations,
+    distances: this.distances,
+    changes: this.changes,
+    routes: this.routes,
+  };
+};
+
+/**
+ * Builds a matrix from a record made by toData.
+ * @param {!Object} record - The record.
+ * @return {!DistanceMatrix}
+ * @throws {InputError} Throws if the record is not a distance matrix.
+ */
+DistanceMatrix.fromData = function(record) {
+  const size = record != null && Array.isArray(record.stations) ?
+    record.stations.length :
+    -1;
+  const square = (table) => Array.isArray(table) && table.length === size &&
+    table.every((row) => Array.isArray(row) && row.length === size);
+  if (
+    record.type !== 'distance-matrix' ||
+    !square(record.distances) ||
+    !square(record.changes) ||
+    !square(record.routes)
+  ) {
+    throw new InputError('The record is not a distance matrix');
+  }
+  return new DistanceMatrix(record.networkName, record.stations,
+      record.distances, record.changes, record.routes,
+      record.fingerprint === undefined ? null : record.fingerprint);
+};
+
+/**
+ * Returns the names of the routes a journey travels on, in order.
+ * @param {!Array<Link>} links - The links of the journey.
+ * @return {!Array<string>}
+ */
+function routeSequence(links) {
+  const res = [];
+  links.forEach((link) => {
+    if (!link.isWalk && link.routeName !== res[res.length - 1]) {
+      res.push(link.routeName);
+    }
+  });
+  return res;
+}
+
+/**
+ * Returns a fingerprint of a network, which changes whenever anything saved
+ *    in its file changes.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @return {string}
+ */
+function networkFingerprint(data) {
+  return crypto.createHash('sha256').update(serializeNetwork(data))
+      .digest('hex');
+}
+
+/**
+ * Works out the matrix of a network, searching once from every station for
+ *    the shortest journeys and once for those with the fewest changes.
+ *    Interchanges and walks count the same way as in getBestRoute.
+ * @param {!RailwayGraph} graph - The graph of the network, built by the
+ *    network method.
+ * @param {?string} [fingerprint] - Identifies the version of the network.
+ * @return {!DistanceMatrix}
+ */
+function computeMatrix(graph, fingerprint = null) {
+  const stations = Object.keys(graph.stations)
+      .map((id) => graph.stations[id])
+      .sort((stationA, stationB) =>
+        stationA.stationName.localeCompare(stationB.stationName) ||
+        String(stationA.stationID).localeCompare(String(stationB.stationID)));
+  const byDistance = rankingStrategies.distance();
+  const byChanges = rankingStrategies.changes();
+  const distances = [];
+  const changes = [];
+  const routes = [];
+  stations.forEach((source) => {
+    const shortest = cheapestPaths(source, byDistance);
+    const fewest = cheapestPaths(source, byChanges);
+    distances.push(stations.map((station) => station === source ? 0 :
+      shortest.has(station) ? shortest.get(station).cost.distance : null));
+    changes.push(stations.map((station) => station === source ? 0 :
+      fewest.has(station) ? fewest.get(station).cost.changes : null));
+    routes.push(stations.map((station) => station === source ? [] :
+      fewest.has(station) ? routeSequence(fewest.get(station).links) : null));
+  });
+  return new DistanceMatrix(
+      graph.networkName,
+      stations.map((station) => ({
+        stationID: station.stationID,
+        stationName: station.stationName,
+      })),
+      distances,
+      changes,
+      routes,
+      fingerprint,
+  );
+}
+
+/**
+ * Saves a matrix to a cache file, in the record format of output.js.
+ * @param {!DistanceMatrix} matrix - The matrix.
+ * @param {string} fileName - The path of the cache file.
+ */
+function saveMatrix(matrix, fileName) {
+  // written aside first so a failed write leaves the old cache whole
+  const tmpFile = `${fileName}.tmp`;
+  fs.writeFileSync(tmpFile, toJSON([matrix.toData()]) + '\n');
+  fs.renameSync(tmpFile, fileName);
+}
+
+/**
+ * Loads a matrix saved by saveMatrix.
+ * @param {string} fileName - The path of the cache file.
+ * @return {!DistanceMatrix}
+ * @throws {InputError} Throws if the file does not hold a matrix.
+ */
+function loadMatrix(fileName) {
+  const json = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+  if (json === null || !Array.isArray(json.records)) {
+    throw new InputError(`${fileName} does not hold a distance matrix`);
+  }
+  return DistanceMatrix.fromData(json.records[0] || {});
+}
+
+/**
+ * Returns the matrix of a network from a cache file, working it out and
+ *    saving it there first if the file is missing, unreadable or was saved
+ *    for another version of the network.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {string} cacheFile - The path of the cache file.
+ * @param {!RailwayGraph} [graph] - The graph of the network, if already
+ *    built.
+ * @return {!DistanceMatrix}
+ */
+function cachedMatrix(data, cacheFile, graph = null) {
+  const fingerprint = networkFingerprint(data);
+  if (fs.existsSync(cacheFile)) {
+    try {
+      const cached = loadMatrix(cacheFile);
+      if (cached.fingerprint === fingerprint) {
+        return cached;
+      }
+    } catch (error) {
+      // a broken cache is worked out again and overwritten
+    }
+  }
+  const res = computeMatrix(graph === null ? buildGraph(data) : graph,
+      fingerprint);
+  saveMatrix(res, cacheFile);
+  return res;
+}
+
+/**
+ * Writes matrix entries as CSV with a header row. The routes of a journey
+ *    are separated by ' > '.
+ * @param {!Array<MatrixEntry>} entries - The entries.
+ * @return {string}
+ */
+function entriesToCSV(entries) {
+  return toCSV(entries.map((entry) => Object.assign({}, entry, {
+    routes: entry.routes === null ? null : entry.routes.join(' > '),
+  })), CSV_COLUMNS);
+}
+
+exports.DistanceMatrix = DistanceMatrix;
+exports.computeMatrix = computeMatrix;
+exports.cachedMatrix = cachedMatrix;
+exports.saveMatrix = saveMatrix;
+exports.loadMatrix = loadMatrix;
+exports.networkFingerprint = networkFingerprint;
+exports.entriesToCSV = entriesToCSV;
@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Merges the railway networks of several operators into one,
+ *    so journeys can be planned across them. Station IDs are namespaced by
+ *    operator, e.g. station 3 of Smokey becomes "Smokey:3", and stations
+ *    that are the same place in two networks are joined by equivalences.
+ *    A merge is described by a manifest file:
+ *    {
+ *      "networkName": "Mainline and heritage",
+ *      "networks": [
+ *        {"operator": "RailTrack", "file": "railtrack_uk.json"},
+ *        {"operator": "Smokey", "file": "smokey_mountain.json"}
+ *      ],
+ *      "equivalences": [["RailTrack:22", "Smokey:1"]],
+ *      "transfers": [
+ *        {"fromStationID": "RailTrack:21", "toStationID": "Smokey:2",
+ *         "distance": 0.5}
+ *      ]
+ *    }
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {InputError} = require('./errors.js');
+const {readGTFS} = require('./gtfs.js');
+const railway = require('./railway.js');
+
+/**
+ * A network to merge, with the name of the operator running it.
+ * @typedef {{operator: string, data: RailwayNetwork}} OperatorNetwork
+ */
+
+/**
+ * Returns the namespaced ID of a station of an operator.
+ * @param {string} operator - The operator.
+ * @param {number|string} stationId - The stationID within its own network.
+ * @return {string}
+ */
+function stationKey(operator, stationId) {
+  return `${operator}:${stationId}`;
+}
+
+/**
+ * Checks the operators of the networks to merge are named and distinct.
+ * @param {!Array<OperatorNetwork>} parts - The networks to merge.
+ * @throws {InputError} Throws for a missing, repeated or badly written
+ *    operator name.
+ */
+function checkOperators(parts) {
+  const seen = new Set();
+  parts.forEach((part) => {
+    const operator = part.operator;
+    if (typeof operator !== 'string' || !/^[^:\s][^:]*$/.test(operator)) {
+      throw new InputError(
+          `${operator} is not an operator name, which can not contain ':'`,
+      );
+    }
+    if (seen.has(operator)) {
+      throw new InputError(`Operator ${operator} is given more than once`);
+    }
+    if (!(part.data instanceof railway.RailwayNetwork)) {
+      throw new InputError(`The network of ${operator} is not loaded`);
+    }
+    seen.add(operator);
+  });
+}
+
+/**
+ * Returns the ID each station has in the merged network: its namespaced ID,
+ *    or for stations in an equivalence the namespaced ID listed first.
+ * @param {!Array<OperatorNetwork>} parts - The networks to merge.
+ * @param {!Array<Array<string>>} equivalences - Groups of namespaced
+ *    stationIDs that are the same station.
+ * @return {!Map<string, string>} Namespaced ID to merged ID.
+ * @throws {InputError} Throws if an equivalence names a station that is not
+ *    in its network.
+ */
+function mergedStationIds(parts, equivalences) {
+  const res = new Map();
+  parts.forEach((part) => {
+    railway.getRoutes(part.data).forEach((route) => {
+      route.stops.forEach((stop) => {
+        const key = stationKey(part.operator, stop.stationId);
+        res.set(key, key);
+      });
+    });
+  });
+  // follows merged IDs so groups that share a station become one
+  const find = (key) => {
+    let id = key;
+    while (res.get(id) !== id) {
+      id = res.get(id);
+    }
+    return id;
+  };
+  equivalences.forEach((group) => {
+    if (!Array.isArray(group) || group.length < 2) {
+      throw new InputError('An equivalence must list at least two stations');
+    }
+    group.forEach((key) => {
+      if (!res.has(key)) {
+        throw new InputError(
+            `Station ${key} of an equivalence is not a stop on any route`,
+        );
+      }
+    });
+    const first = find(group[0]);
+    group.slice(1).forEach((key) => {
+      const root = find(key);
+      if (root !== first) {
+        res.set(root, first);
+      }
+    });
+  });
+  res.forEach((value, key) => res.set(key, find(key)));
+  return res;
+}
+
+/**
+ * Merges the networks of several operators into one RailwayNetwork. Routes
+ *    keep their names unless two operators use the same name, when the
+ *    operator is added, e.g. "Red Line (Smokey)". Each route is marked with
+ *    its operator.
+ * @param {!Array<OperatorNetwork>} parts - The networks to merge.
+ * @param {!Array<Array<string>>} [equivalences] - Groups of namespaced
+ *    stationIDs that are the same station, so journeys can change between
+ *    operators there.
+ * @param {!Array<{fromStationID: string, toStationID: string,
+ *    distance: number}>} [transfers] - Walks between the stations of
+ *    different operators, by namespaced stationID.
+ * @param {string} [networkName] - The name of the merged network, by default
+ *    the names of the networks joined with ' + '.
+ * @return {!RailwayNetwork}
+ * @throws {InputError} Throws for bad operators or a station that is not
+ *    found.
+ */
+function mergeNetworks(parts, equivalences = [], transfers = [],
+    networkName = null) {
+  checkOperators(parts);
+  const ids = mergedStationIds(parts, equivalences);
+  const mergedId = (key) => {
+    if (!ids.has(key)) {
+      throw new InputError(`Station ${key} is not a stop on any route`);
+    }
+    return ids.get(key);
+  };
+  const routeNames = new Map();
+  parts.forEach((part) => {
+    railway.getRoutes(part.data).forEach((route) => {
+      routeNames.set(route.name, (routeNames.get(route.name) || 0) + 1);
+    });
+  });
+  const routes = [];
+  const interchanges = [];
+  const locations = new Map();
+  let mergedTransfers = [];
+  parts.forEach((part) => {
+    const operator = part.operator;
+    railway.getRoutes(part.data).forEach((route) => {
+      const name = routeNames.get(route.name) > 1 ?
+        `${route.name} (${operator})` :
+        route.name;
+      const stops = route.stops.map((stop) => new railway.Stop(
+          stop.number,
+          stop.stationName,
+          mergedId(stationKey(operator, stop.stationId)),
+          stop.distanceToNext,
+          stop.distanceToPrev,
+      ));
+      const merged = new railway.Route(name, stops, route.color,
+          route.circular, route.closingDistance);
+      merged.timetable = route.timetable;
+      merged.operator = operator;
+      routes.push(merged);
+    });
+    part.data.interchanges.forEach((interchange) => {
+      const key = stationKey(operator, interchange.stationId);
+      if (ids.has(key)) {
+        interchanges.push(new railway.Interchange(
+            ids.get(key),
+            interchange.minConnectionTime,
+            interchange.walkingDistance,
+            interchange.noInterchange,
+        ));
+      }
+    });
+    part.data.locations.forEach((location) => {
+      const key = stationKey(operator, location.stationId);
+      // equivalent stations are placed where the first network puts them
+      if (ids.has(key) && !locations.has(ids.get(key))) {
+        locations.set(ids.get(key), new railway.Location(ids.get(key),
+            location.lat, location.lon));
+      }
+    });
+    mergedTransfers = mergedTransfers.concat(part.data.transfers
+        .filter((transfer) =>
+          ids.has(stationKey(operator, transfer.fromStationId)) &&
+          ids.has(stationKey(operator, transfer.toStationId)))
+        .map((transfer) => new railway.Transfer(
+            ids.get(stationKey(operator, transfer.fromStationId)),
+            ids.get(stationKey(operator, transfer.toStationId)),
+            transfer.distance,
+        )));
+  });
+  transfers.forEach((transfer) => {
+    mergedTransfers.push(new railway.Transfer(
+        mergedId(transfer.fromStationID),
+        mergedId(transfer.toStationID),
+        transfer.distance,
+    ));
+  });
+  return new railway.RailwayNetwork(
+      networkName === null ?
+        parts.map((part) => part.data.networkName).join(' + ') :
+        networkName,
+      routes,
+      interchanges,
+      mergedTransfers,
+      Array.from(locations.values()),
+  );
+}
+
+/**
+ * Whether parsed JSON is a merge manifest rather than a network.
+ * @param {*} json - The parsed JSON.
+ * @return {boolean}
+ */
+function isManifest(json) {
+  return json !== null && typeof json === 'object' &&
+    Array.isArray(json.networks);
+}
+
+/**
+ * Loads the networks listed in a merge manifest and merges them. The files
+ *    of the networks are found relative to the manifest.
+ * @param {string} fileName - The path of the manifest.
+ * @return {!RailwayNetwork}
+ * @throws {InputError} Throws if the manifest is not a merge manifest.
+ */
+function loadMerged(fileName) {
+  const manifest = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+  if (!isManifest(manifest)) {
+    throw new InputError(`${fileName} is not a merge manifest`);
+  }
+  const parts = manifest.networks.map((entry) => ({
+    operator: entry.operator,
+    data: railway.readData(path.join(path.dirname(fileName), entry.file)),
+  }));
+  return mergeNetworks(
+      parts,
+      manifest.equivalences || [],
+      manifest.transfers || [],
+      manifest.networkName === undefined ? null : manifest.networkName,
+  );
+}
+
+/**
+ * Loads a network file, the networks of a merge manifest merged into one, or
+ *    a GTFS feed given as a folder or zip archive.
+ * @param {string} fileName - The path of the network file, manifest or feed.
+ * @return {!RailwayNetwork}
+ */
+function loadNetworkFile(fileName) {
+  let res;
+  let manifest = false;
+  const feed = /\.zip$/i.test(fileName) ||
+    (fs.existsSync(fileName) && fs.statSync(fileName).isDirectory());
+  if (!feed) {
+    try {
+      manifest = isManifest(JSON.parse(fs.readFileSync(fileName, 'utf8')));
+    } catch (error) {
+      // loadData reports missing files and broken JSON in its own way
+    }
+  }
+  if (feed) {
+    res = readGTFS(fileName);
+  } else if (manifest) {
+    res = loadMerged(fileName);
+  } else {
+    res = railway.readData(fileName);
+  }
+  return res;
+}
+
+exports.mergeNetworks = mergeNetworks;
+exports.loadMerged = loadMerged;
+exports.loadNetworkFile = loadNetworkFile;
+exports.stationKey = stationKey;
@@ -7,7 +7,20 @@
 // @ts-check
 'use strict';
 
-const {readData, getRoutes} = require('./railway.js');
+const {InputError, exitCodeFor} = require('./errors.js');
+const {getRoutes, getInterchange, getLocation} = require('./railway.js');
+const {loadNetworkFile} = require('./merge.js');
+const {
+  StationResolver,
+  StationNotFoundError,
+  loadAliases,
+} = require('./resolver.js');
+const {
+  parseTime,
+  scheduleJourney,
+  scheduleToString,
+} = require('./timetable.js');
+const {checkFormat, formatRecords} = require('./output.js');
 
 /**
  * Holds data for a station. On a graph this will represent the nodes of
@@ -22,6 +35,10 @@ function Station(stationID, stationName) {
   this.stationID = stationID;
   /**  @type {Array<Link>} */
   this.links = [];
+  /** @type {?Interchange} what it takes to change routes here, if known */
+  this.interchange = null;
+  /** @type {?Location} where the station is on the map, if known */
+  this.location = null;
 }
 
 /**
@@ -40,14 +57,174 @@ Station.prototype.addLink = function(link) {
  * @param {string} routeName The name of the route.
  * @param {!Station} station The next station to go to.
  * @param {number} distance The distance to the next station
+ * @param {number} [fromIndex] The index on the route of the stop the link
+ * leaves from.
+ * @param {number} [toIndex] The index on the route of the stop the link goes
+ * to.
+ * @param {boolean} [forward] Whether the link runs in the order of the stops.
+ * @param {?string} [operator] Who runs the route, in a merged network.
  */
-function Link(routeName, station, distance) {
+function Link(routeName, station, distance, fromIndex, toIndex, forward,
+    operator = null) {
   this.routeName = routeName;
+  this.operator = operator;
   this.distance = distance;
   this.station = station;
   this.linklName = station.stationName;
+  this.fromIndex = fromIndex;
+  this.toIndex = toIndex;
+  this.forward = forward;
+  this.isWalk = false;
 } // end link
 
+/**
+ * A walk to a nearby station that is not reached by train, such as an
+ * out-of-station interchange. Walking links belong to no route, so their
+ * routeName is null.
+ *
+ * @param {!Station} station The station walked to.
+ * @param {number} distance The miles walked.
+ */
+function WalkLink(station, distance) {
+  Link.call(this, null, station, distance, null, null, null);
+  this.isWalk = true;
+}
+WalkLink.prototype = Object.create(Link.prototype);
+WalkLink.prototype.constructor = WalkLink;
+
+/**
+ * Thrown when a station name matches more than one station of a graph.
+ */
+class AmbiguousStationError extends InputError {
+  /**
+   * @param {string} stationName The name that was looked up.
+   * @param {!Array<number>} stationIDs The IDs of every station with the name.
+   */
+  constructor(stationName, stationIDs) {
+    super(
+        `Station name ${stationName} is ambiguous, it matches the ` +
+        `stationIDs ${stationIDs.join(', ')}`,
+    );
+    this.name = 'AmbiguousStationError';
+    this.stationName = stationName;
+    this.stationIDs = stationIDs;
+  }
+}
+
+/**
+ * The graph of a railway network. Stations are keyed by their stationID, with
+ * an index from station names to the IDs using that name.
+ * @param {string} networkName The name of the railway network.
+ **/
+function RailwayGraph(networkName) {
+  this.networkName = networkName;
+  // the indexes have no prototype, so names such as constructor are not in
+  // them until a station is given one
+  /** @type {Object<string, Route>} */
+  this.routes = Object.create(null);
+  /** @type {Object<string, Station>} */
+  this.stations = Object.create(null);
+  /** @type {Object<string, Array<number>>} */
+  this.stationIDs = Object.create(null);
+}
+
+/**
+ * Returns the station with an ID, adding it to the graph first if it is new.
+ * Every name the station is given is added to the name index.
+ * @param {number} stationID The id number of the station.
+ * @param {string} stationName The name of the station.
+ * @return {!Station}
+ **/
+RailwayGraph.prototype.addStation = function(stationID, stationName) {
+  if (!(stationID in this.stations)) {
+    this.stations[stationID] = new Station(stationID, stationName);
+  }
+  if (!(stationName in this.stationIDs)) {
+    this.stationIDs[stationName] = [];
+  }
+  if (!this.stationIDs[stationName].includes(stationID)) {
+    this.stationIDs[stationName].push(stationID);
+  }
+  return this.stations[stationID];
+};
+
+/**
+ * Looks a station up by its ID or name. A name is looked up first, a string
+ * that is not a known name is tried as an ID.
+ * @param {number|string} station The stationID or name of the station.
+ * @return {?Station} The station or null if no station matches.
+ * @throws {AmbiguousStationError} Throws if a name matches several stations.
+ **/
+RailwayGraph.prototype.findStation = function(station) {
+  let res = null;
+  if (typeof station === 'string' && station in this.stationIDs) {
+    const ids = this.stationIDs[station];
+    if (ids.length > 1) {
+      throw new AmbiguousStationError(station, ids);
+    }
+    res = this.stations[ids[0]];
+  } else if (
+    (typeof station === 'number' || typeof station === 'string') &&
+    station in this.stations
+  ) {
+    res = this.stations[station];
+  }
+  return res;
+};
+
+/**
+ * Returns a copy of the graph with only some of its stations and links, such
+ * as a graph with closed stations left out. The original graph is left as it
+ * was.
+ * @param {function(!Station): boolean} keepStation Whether a station stays.
+ * @param {function(!Link, !Station): boolean} keepLink Whether a link from a
+ * station stays. Links to stations left out go too.
+ * @return {!RailwayGraph}
+ **/
+RailwayGraph.prototype.subgraph = function(keepStation, keepLink) {
+  const res = new RailwayGraph(this.networkName);
+  res.routes = Object.assign(Object.create(null), this.routes);
+  const copies = new Map();
+  Object.keys(this.stations).forEach((stationID) => {
+    const station = this.stations[stationID];
+    if (keepStation(station)) {
+      const copy = res.addStation(station.stationID, station.stationName);
+      copy.interchange = station.interchange;
+      copy.location = station.location;
+      copies.set(station, copy);
+    }
+  });
+  // stations known by several names keep all of them
+  Object.keys(this.stationIDs).forEach((stationName) => {
+    this.stationIDs[stationName].forEach((stationID) => {
+      if (copies.has(this.stations[stationID])) {
+        res.addStation(stationID, stationName);
+      }
+    });
+  });
+  copies.forEach((copy, station) => {
+    station.links.forEach((link) => {
+      if (copies.has(link.station) && keepLink(link, station)) {
+        const linkCopy = Object.create(Object.getPrototypeOf(link));
+        Object.assign(linkCopy, link, {station: copies.get(link.station)});
+        copy.addLink(linkCopy);
+      }
+    });
+  });
+  return res;
+};
+
+/**
+ * Returns the name of a route for the journey text, followed by its operator
+ * when it has one.
+ * @param {string} routeName The name of the route.
+ * @param {?string} operator Who runs the route, in a merged network.
+ * @return {string}
+ **/
+const routeWithOperator = (routeName, operator) => {
+  return operator === null ? routeName : `${routeName} (${operator})`;
+};
+
 /**
  * This object defines a journey on the railway network that a passenger may
  * take from one location to another. A journey may pass though multiple
@@ -58,10 +235,18 @@ function Link(routeName, station, distance) {
 function Journey() {
   /** @type {Array<Station>} */
   this.stations = [];
+  /** @type {Array<Link>} */
+  this.links = [];
   this.distance = 0;
   this.text = '';
   this.success = false;
   this.changes = 0;
+  /** minutes needed to make the connections at each change */
+  this.connectionTime = 0;
+  /** miles walked between stations and at interchanges */
+  this.walking = 0;
+  /** @type {?Schedule} the times of the journey, if it has been timed */
+  this.schedule = null;
 }
 
 /**
@@ -71,10 +256,14 @@ function Journey() {
 Journey.prototype.copy = function() {
   const cloned = new Journey();
   cloned.stations = this.stations.slice();
+  cloned.links = this.links.slice();
   cloned.distance = this.distance;
   cloned.text = this.text;
   cloned.success = this.success;
   cloned.changes = this.changes;
+  cloned.connectionTime = this.connectionTime;
+  cloned.walking = this.walking;
+  cloned.schedule = this.schedule;
   return cloned;
 };
 
@@ -90,7 +279,9 @@ Journey.prototype.incDistance = function(amt) {
 
 /**
  * Creates a report of a Journey, including the total distance traveled, the
- * number of changes between routes, and the stations passed through
+ * number of changes between routes, the time needed for connections, the
+ * distance walked, and the stations passed through. A timed journey also
+ * lists its departure and arrival times.
  * @return {string} formatted synopsis string
  */
 Journey.prototype.report = function() {
@@ -98,29 +289,172 @@ Journey.prototype.report = function() {
   output += 'Route Summary\n==============\n';
   output += this.text;
   output += `\n\nTotal distance :${this.distance}\nChanges :${this.changes}\n`;
+  if (this.connectionTime > 0) {
+    output += `Connection time :${this.connectionTime} min\n`;
+  }
+  if (this.walking > 0) {
+    output += `Walking :${this.walking} miles\n`;
+  }
   output +=
     `Passing through: ` +
     `${this.stations.map((station) => station.stationName).join(', ')},`;
+  if (this.schedule !== null) {
+    output += `\n\nTimetable\n${scheduleToString(this.schedule)}`;
+  }
   return output;
 };
 
 /**
- * Helper method for whenever you change routes on a journey.
+ * Helper method for whenever you change routes on a journey. The connection
+ * time and walk of the interchange are added to the journey and its text.
  * @param {string} stationName The name of the station
  * @param {string} newRouteName The name of the new route being switched to
+ * @param {?Interchange} [interchange] What it takes to change at the station
+ * @param {?string} [operator] Who runs the new route, in a merged network
  */
-Journey.prototype.addChange = function(stationName, newRouteName) {
+Journey.prototype.addChange = function(
+    stationName,
+    newRouteName,
+    interchange = null,
+    operator = null,
+) {
   this.changes += 1;
-  this.text += `At ` + `${stationName}` + ` change to ${newRouteName}\n`;
+  this.text += `At ` + `${stationName}` + ` change to ` +
+    routeWithOperator(newRouteName, operator);
+  const costs = [];
+  if (interchange !== null && interchange.minConnectionTime > 0) {
+    this.connectionTime += interchange.minConnectionTime;
+    costs.push(`${interchange.minConnectionTime} min connection`);
+  }
+  if (interchange !== null && interchange.walkingDistance > 0) {
+    this.incDistance(interchange.walkingDistance);
+    this.walking += interchange.walkingDistance;
+    costs.push(`${interchange.walkingDistance} miles walk`);
+  }
+  if (costs.length > 0) {
+    this.text += ` (${costs.join(', ')})`;
+  }
+  this.text += '\n';
+};
+
+/**
+ * Helper method for walking from one station to another on a journey.
+ * @param {string} stationName The name of the station walked from
+ * @param {string} destinationName The name of the station walked to
+ * @param {number} distance The miles walked
+ */
+Journey.prototype.addWalk = function(stationName, destinationName, distance) {
+  this.incDistance(distance);
+  this.walking += distance;
+  this.text += `At ${stationName} walk to ${destinationName} ` +
+    `(${distance} miles)\n`;
 };
 
 /**
  * Adds the first stop to the text of the Journey.
  * @param {string} originName The name of the starting station
  * @param {string} routeName The name of the route that you start on
+ * @param {?string} [operator] Who runs the route, in a merged network
  */
-Journey.prototype.addFirstStop = function(originName, routeName) {
-  this.text = `Embark at ${originName} on ` + `${routeName}\n`;
+Journey.prototype.addFirstStop = function(
+    originName,
+    routeName,
+    operator = null,
+) {
+  // a journey may walk to another station before boarding
+  this.text += `Embark at ${originName} on ` +
+    `${routeWithOperator(routeName, operator)}\n`;
+};
+
+/**
+ * Builds the graph of a RailwayNetwork that has already been loaded.
+ * @param {!RailwayNetwork} railwayObject The RailwayNetwork.
+ * @return {!RailwayGraph} The filled out graph mapping stationIDs to station
+ * objects.
+ */
+const buildGraph = (railwayObject) => {
+  const graph = new RailwayGraph(railwayObject.networkName);
+  // loop through each route
+  getRoutes(railwayObject).forEach((route) => {
+    graph.routes[route.name] = route;
+    // the station of each stop, in the order of the stops
+    const routeStations = [];
+    // loop through each stop in the route
+    route.stops.forEach((stop, i, stops) => {
+      // set currentStation and add it to the graph if it's not already
+      // added
+      const currentStation = graph.addStation(
+          stop.stationId,
+          stop.stationName,
+      );
+      currentStation.interchange = getInterchange(
+          railwayObject,
+          stop.stationId,
+      );
+      currentStation.location = getLocation(railwayObject, stop.stationId);
+      routeStations.push(currentStation);
+      // for the previous link (check and see if there is a valid previous
+      // station)
+      if (i - 1 >= 0) {
+        // convert the previous stop index into a station object
+        const previousStation = routeStations[i - 1];
+        const currentToPrev = new Link(
+            route.name,
+            previousStation,
+            stop.distanceToPrev,
+            i,
+            i - 1,
+            false,
+            route.operator,
+        );
+        const prevToCurrent = new Link(
+            route.name,
+            currentStation,
+            stops[i - 1].distanceToNext,
+            i - 1,
+            i,
+            true,
+            route.operator,
+        );
+        currentStation.addLink(currentToPrev);
+        previousStation.addLink(prevToCurrent);
+      }
+    });
+    // close the loop of a circular route
+    if (route.circular && routeStations.length > 1) {
+      const lastIndex = routeStations.length - 1;
+      const firstStation = routeStations[0];
+      const lastStation = routeStations[lastIndex];
+      lastStation.addLink(new Link(
+          route.name,
+          firstStation,
+          route.closingDistance,
+          lastIndex,
+          0,
+          true,
+          route.operator,
+      ));
+      firstStation.addLink(new Link(
+          route.name,
+          lastStation,
+          route.closingDistance,
+          0,
+          lastIndex,
+          false,
+          route.operator,
+      ));
+    }
+  });
+  // walks between nearby stations go both ways
+  railwayObject.transfers.forEach((transfer) => {
+    const fromStation = graph.stations[transfer.fromStationId];
+    const toStation = graph.stations[transfer.toStationId];
+    if (fromStation !== undefined && toStation !== undefined) {
+      fromStation.addLink(new WalkLink(toStation, transfer.distance));
+      toStation.addLink(new WalkLink(fromStation, transfer.distance));
+    }
+  });
+  return graph;
 };
 
 /**
@@ -128,52 +462,18 @@ Journey.prototype.addFirstStop = function(originName, routeName) {
  * that can be traversed to ascertain the best route between two stations.
  * @param {string} fileName The function receives the file name of the railway
         network for which a graph will be built
- * @return {object} The filled out graph mapping station names to station
+ * @return {RailwayGraph} The filled out graph mapping stationIDs to station
  * objects.
  */
 const network = (fileName) => {
   let res = null;
-  const graph = {};
   try {
     if (typeof fileName !== 'string') {
       throw new TypeError('fileName must be a string');
     }
-    const railwayObject = readData(fileName);
+    const railwayObject = loadNetworkFile(fileName);
     if (railwayObject != null) {
-      // loop through each route
-      getRoutes(railwayObject).forEach((route) => {
-        // loop through each stop in the route
-        route.stops.forEach((stop, i, stops) => {
-          let currentStation;
-          // set currentStation and add it to the graph if it's not already
-          // added
-          if (stop.stationName in graph) {
-            currentStation = graph[stop.stationName];
-          } else {
-            currentStation = new Station(stop.number, stop.stationName);
-            graph[stop.stationName] = currentStation;
-          }
-          // for the previous link (check and see if there is a valid previous
-          // station)
-          if (i - 1 >= 0 && stops[i - 1].stationName in graph) {
-            // convert the previous stop index into a station object
-            const previousStation = graph[stops[i - 1].stationName];
-            const currentToPrev = new Link(
-                route.name,
-                previousStation,
-                stop.distanceToPrev,
-            );
-            const prevToCurrent = new Link(
-                route.name,
-                currentStation,
-                stops[i - 1].distanceToNext,
-            );
-            currentStation.addLink(currentToPrev);
-            previousStation.addLink(prevToCurrent);
-          }
-        });
-      });
-      res = graph;
+      res = buildGraph(railwayObject);
     }
   } catch (error) {
     // raise error for other person to handle
@@ -183,122 +483,964 @@ const network = (fileName) => {
 };
 
 /**
- * Builds Journey objects comprimising of all the routes without repeat stations
- * and returns the top results sorted by number of route changes and then
- * distance
- * @param {object} graph The graph built by the network method.
- * @param {string} origin The name of the origin station (where a journey
- * begins).
- * @param {string} destination The name of the destination station (where a
- * journey ends).
- * @param {number} maxResults The maximum number of results to return.
- * @return {Array<Journey>} A list of possible Journeys sorted by number of
- *    changes then distance traveled.
- */
-const getBestRoute = (graph, origin, destination, maxResults) => {
-  // sorts journeys by number of changes then distance traveled.
-  const sortJourney = (journeyA, journeyB) => {
-    if (journeyA.changes > journeyB.changes) {
-      return 1;
-    } else if (journeyA.changes < journeyB.changes) {
-      return -1;
+ * Minimal binary heap used as the priority queue of the path search. Items
+ * are ordered by the comparator given on construction.
+ * @param {function(?, ?): number} compare Returns a negative number when the
+ * first item should be popped before the second.
+ **/
+function MinHeap(compare) {
+  this.compare = compare;
+  /** @type {Array<?>} */
+  this.items = [];
+}
+
+/**
+ * Adds an item to the heap.
+ * @param {?} item The item to add.
+ **/
+MinHeap.prototype.push = function(item) {
+  const items = this.items;
+  items.push(item);
+  let i = items.length - 1;
+  // sift the new item up until its parent is smaller
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (this.compare(items[i], items[parent]) >= 0) {
+      break;
     }
+    [items[i], items[parent]] = [items[parent], items[i]];
+    i = parent;
+  }
+};
 
-    if (journeyA.distance > journeyB.distance) {
-      return 1;
-    } else if (journeyA.distance < journeyB.distance) {
-      return -1;
-    } else {
-      return 0;
+/**
+ * Removes and returns the smallest item of the heap.
+ * @return {?} The smallest item or undefined if the heap is empty.
+ **/
+MinHeap.prototype.pop = function() {
+  const items = this.items;
+  const top = items[0];
+  const last = items.pop();
+  if (items.length > 0) {
+    items[0] = last;
+    let i = 0;
+    // sift the moved item down until both children are larger
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < items.length &&
+        this.compare(items[left], items[smallest]) < 0) {
+        smallest = left;
+      }
+      if (right < items.length &&
+        this.compare(items[right], items[smallest]) < 0) {
+        smallest = right;
+      }
+      if (smallest === i) {
+        break;
+      }
+      [items[i], items[smallest]] = [items[smallest], items[i]];
+      i = smallest;
     }
+  }
+  return top;
+};
+
+/**
+ * The size of the heap.
+ * @return {number}
+ **/
+MinHeap.prototype.size = function() {
+  return this.items.length;
+};
+
+/**
+ * The cost of a partial journey, accumulated link by link while searching the
+ * graph. The distance includes walking, the connection time is the minutes
+ * needed to change trains and walking is the miles walked between stations
+ * and at interchanges.
+ * @typedef {{changes: number, distance: number, stops: number,
+ *    connectionTime: number, walking: number}} JourneyCost
+ **/
+
+/**
+ * Returns the cost of a journey that has not left yet.
+ * @return {!JourneyCost}
+ **/
+const emptyCost = () => {
+  return {changes: 0, distance: 0, stops: 0, connectionTime: 0, walking: 0};
+};
+
+/**
+ * Returns the route a journey is on after travelling a link. Walking keeps
+ * the route last travelled on, so boarding another route after a walk counts
+ * as a change but starting a journey with a walk does not.
+ * @param {?string} routeName The route before the link, or null if the
+ * journey has not boarded a train yet.
+ * @param {!Link} link The link being travelled.
+ * @return {?string}
+ **/
+const nextRouteName = (routeName, link) => {
+  return link.isWalk ? routeName : link.routeName;
+};
+
+/**
+ * Returns the distance of a link the same way Journey.incDistance counts it,
+ * so missing or negative distances add nothing.
+ * @param {!Link} link The link being travelled.
+ * @return {number}
+ **/
+const linkDistance = (link) => {
+  return !isNaN(link.distance) && link.distance > 0 ? link.distance : 0;
+};
+
+/**
+ * Returns the cost of travelling one more link, including the interchange
+ * when it means changing routes.
+ * @param {!JourneyCost} cost The cost of the journey so far.
+ * @param {?string} routeName The route the journey last travelled on, or null
+ * if it has not boarded a train yet.
+ * @param {!Station} station The station the link leaves from.
+ * @param {!Link} link The link being travelled.
+ * @return {?JourneyCost} The new cost, or null if the link means changing
+ * routes at a station that does not allow it.
+ **/
+const addLinkCost = (cost, routeName, station, link) => {
+  if (link.isWalk) {
+    return {
+      changes: cost.changes,
+      distance: cost.distance + linkDistance(link),
+      stops: cost.stops + 1,
+      connectionTime: cost.connectionTime,
+      walking: cost.walking + linkDistance(link),
+    };
+  }
+  const isChange = routeName !== null && routeName !== link.routeName;
+  const interchange = isChange ? station.interchange : null;
+  if (interchange !== null && interchange.noInterchange) {
+    return null;
+  }
+  const walk = interchange === null ? 0 : interchange.walkingDistance;
+  return {
+    changes: cost.changes + (isChange ? 1 : 0),
+    distance: cost.distance + linkDistance(link) + walk,
+    stops: cost.stops + 1,
+    connectionTime:
+      cost.connectionTime +
+      (interchange === null ? 0 : interchange.minConnectionTime),
+    walking: cost.walking + walk,
   };
-  const originStation = graph[origin];
-  const destinationStation = graph[destination];
-  if (originStation === undefined || destinationStation === undefined) {
-    throw new TypeError('Station not found in network');
+};
+
+/**
+ * Builds a comparator that orders journey costs by each of the given keys in
+ * turn.
+ * @param {!Array<function(!JourneyCost): number>} keys Functions returning the
+ * value to compare by, most important first.
+ * @return {function(!JourneyCost, !JourneyCost): number}
+ **/
+const compareBy = (keys) => (costA, costB) => {
+  for (const key of keys) {
+    const diff = key(costA) - key(costB);
+    if (diff !== 0) {
+      return diff;
+    }
   }
-  const possibleRoutes = [];
-  const journey = new Journey();
-  doGetBestRoute(
-      graph,
-      originStation,
-      destinationStation,
-      journey,
-      possibleRoutes,
-      'origin',
+  return 0;
+};
+
+/** The number of miles a change counts as in the weighted ranking. */
+const DEFAULT_CHANGE_PENALTY = 10;
+/** The number of miles a minute of connection time counts as. */
+const DEFAULT_CONNECTION_PENALTY = 1;
+/** The number of miles added for every mile walked. */
+const DEFAULT_WALK_PENALTY = 0;
+
+/**
+ * Reads a penalty or limit from the ranking options.
+ * @param {!Object} options The ranking options.
+ * @param {string} name The name of the option.
+ * @param {number} fallback The value when the option is not given.
+ * @return {number}
+ * @throws {InputError} Throws if the value is not a non-negative number.
+ **/
+const numberOption = (options, name, fallback) => {
+  const value =
+    options[name] === undefined ? fallback : Number(options[name]);
+  if (isNaN(value) || value < 0) {
+    throw new InputError(`${name} must be a non-negative number`);
+  }
+  return value;
+};
+
+/**
+ * The built in ways of ranking journeys. Each entry takes the ranking options
+ * and returns a comparator of journey costs.
+ * @type {Object<string, function(!Object): function(!JourneyCost,
+ *    !JourneyCost): number>}
+ **/
+const rankingStrategies = {
+  // fewest changes, then shortest distance, then quickest connections, then
+  // least walking
+  changes: () =>
+    compareBy([
+      (cost) => cost.changes,
+      (cost) => cost.distance,
+      (cost) => cost.connectionTime,
+      (cost) => cost.walking,
+    ]),
+  // shortest distance, then fewest changes, then quickest connections, then
+  // least walking
+  distance: () =>
+    compareBy([
+      (cost) => cost.distance,
+      (cost) => cost.changes,
+      (cost) => cost.connectionTime,
+      (cost) => cost.walking,
+    ]),
+  // fewest stations passed, then shortest distance
+  stops: () =>
+    compareBy([(cost) => cost.stops, (cost) => cost.distance]),
+  // distance plus a number of miles for every change, connection minute and
+  // mile walked
+  weighted: (options) => {
+    const changePenalty = numberOption(
+        options,
+        'changePenalty',
+        DEFAULT_CHANGE_PENALTY,
+    );
+    const connectionPenalty = numberOption(
+        options,
+        'connectionPenalty',
+        DEFAULT_CONNECTION_PENALTY,
+    );
+    const walkPenalty = numberOption(
+        options,
+        'walkPenalty',
+        DEFAULT_WALK_PENALTY,
+    );
+    return compareBy([
+      (cost) =>
+        cost.distance +
+        changePenalty * cost.changes +
+        connectionPenalty * cost.connectionTime +
+        walkPenalty * cost.walking,
+      (cost) => cost.changes,
+    ]);
+  },
+};
+
+/**
+ * Resolves the ranking options of getBestRoute into a comparator of journey
+ * costs. A custom comparator or cost function has to be monotonic: adding a
+ * link to a journey may never make it rank better.
+ * @param {object} [options] The ranking options.
+ * @param {string} [options.rank] The name of a built in ranking strategy,
+ *    'changes' by default.
+ * @param {number} [options.changePenalty] The miles added per change by the
+ *    'weighted' strategy.
+ * @param {number} [options.connectionPenalty] The miles added per minute of
+ *    connection time by the 'weighted' strategy.
+ * @param {number} [options.walkPenalty] The miles added per mile walked by
+ *    the 'weighted' strategy, 0 by default.
+ * @param {function(!JourneyCost, !JourneyCost): number} [options.compare]
+ *    A custom comparator of journey costs.
+ * @param {function(!JourneyCost): number} [options.cost] A custom cost
+ *    function, journeys with the lowest cost rank first.
+ * @return {function(!JourneyCost, !JourneyCost): number}
+ * @throws {InputError} Throws if the rank is not a known strategy.
+ **/
+const rankingComparator = (options = {}) => {
+  if (typeof options.compare === 'function') {
+    return options.compare;
+  }
+  if (typeof options.cost === 'function') {
+    return compareBy([options.cost]);
+  }
+  const rank = options.rank === undefined ? 'changes' : options.rank;
+  if (!Object.prototype.hasOwnProperty.call(rankingStrategies, rank)) {
+    throw new InputError(
+        `Unknown ranking '${rank}', expected one of ` +
+        Object.keys(rankingStrategies).join(', '),
+    );
+  }
+  return rankingStrategies[rank](options);
+};
+
+/**
+ * Reads the most miles a journey may walk from the ranking options.
+ * @param {object} [options] The ranking options.
+ * @param {number} [options.maxWalking] The most miles a journey may walk,
+ *    with no limit by default.
+ * @return {number}
+ * @throws {InputError} Throws if the limit is not a non-negative number.
+ **/
+const walkingLimit = (options = {}) => {
+  return numberOption(options, 'maxWalking', Infinity);
+};
+
+/**
+ * Returns the total cost of a path of links starting at the origin.
+ * @param {!Array<Link>} links The links travelled in order.
+ * @return {!JourneyCost}
+ **/
+const pathCost = (links) => {
+  let cost = emptyCost();
+  let routeName = null;
+  links.forEach((link, i) => {
+    // the first link never changes routes, so needs no station
+    const station = i === 0 ? null : links[i - 1].station;
+    cost = addLinkCost(cost, routeName, station, link);
+    routeName = nextRouteName(routeName, link);
+  });
+  return cost;
+};
+
+/**
+ * Returns the route a path of links ends on, skipping any walk at its end.
+ * @param {!Array<Link>} links The links travelled in order.
+ * @return {?string} The route or null if the path boards no train.
+ **/
+const lastRouteName = (links) => {
+  let routeName = null;
+  links.forEach((link) => {
+    routeName = nextRouteName(routeName, link);
+  });
+  return routeName;
+};
+
+/**
+ * Checks whether two paths travel exactly the same links.
+ * @param {!Array<Link>} pathA
+ * @param {!Array<Link>} pathB
+ * @return {boolean}
+ **/
+const samePath = (pathA, pathB) => {
+  return (
+    pathA.length === pathB.length &&
+    pathA.every((link, i) => link === pathB[i])
   );
-  possibleRoutes.sort(sortJourney);
-  return possibleRoutes.slice(0, maxResults);
 };
 
 /**
- * Recursive method to depth-first-search a graph for the most effecient routes.
+ * Turns a path of links into a Journey with the same text the journey report
+ * has always produced.
+ * @param {!Station} origin The station the path starts at.
+ * @param {!Array<Link>} links The links travelled in order.
+ * @return {!Journey}
+ **/
+const buildJourney = (origin, links) => {
+  const journey = new Journey();
+  journey.stations.push(origin);
+  let current = origin;
+  let routeName = null;
+  journey.links = links;
+  links.forEach((link) => {
+    if (link.isWalk) {
+      journey.addWalk(
+          current.stationName,
+          link.station.stationName,
+          linkDistance(link),
+      );
+    } else {
+      if (routeName === null) {
+        journey.addFirstStop(
+            current.stationName,
+            link.routeName,
+            link.operator,
+        );
+      } else if (link.routeName !== routeName) {
+        journey.addChange(
+            current.stationName,
+            link.routeName,
+            current.interchange,
+            link.operator,
+        );
+      }
+      journey.incDistance(link.distance);
+    }
+    journey.stations.push(link.station);
+    current = link.station;
+    routeName = nextRouteName(routeName, link);
+  });
+  journey.success = true;
+  journey.text += `Arrive at ${current.stationName}`;
+  return journey;
+};
+
+/** Miles of difference that are put down to rounding. */
+const DISTANCE_TOLERANCE = 1e-9;
+
+/**
+ * Returns the links followed to reach a search label, from the source on.
+ * @param {!Object} label The label of the station reached.
+ * @return {!Array<Link>}
+ **/
+const labelLinks = (label) => {
+  const links = [];
+  for (let current = label; current.link !== null;
+    current = current.previous) {
+    links.unshift(current.link);
+  }
+  return links;
+};
+
+/**
+ * Dijkstra search over simple paths from a station. Because the number of
+ * changes depends on the route a station was reached on, the search runs over
+ * (station, route) pairs rather than plain stations. With a walking limit the
+ * miles walked are part of the state too, so a cheaper path that walks
+ * further can not hide one that stays within the limit. Labels are handed to
+ * settle cheapest first, and the search stops when settle returns true.
  *
- * @param {object} graph The graph built by the network method.
- * @param {!Station} origin The origin station object.
- * @param {!Station} destination The destination station object.
- * @param {!Journey} journey A journey object to store the current progress.
- * @param {!Array<Journey>} routesFound A reference to an array in which to
- * store completed routes.
- * @param {string} routeName The name of the route just travelled on prior to
-   arriving at this function invocation.
- */
-const doGetBestRoute = (
-    graph,
-    origin,
-    destination,
-    journey,
-    routesFound,
+ * @param {!Station} source The station to search from.
+ * @param {?string} routeName The route the journey last travelled on before
+ * source, or null if it has not boarded a train yet.
+ * @param {function(!JourneyCost, !JourneyCost): number} compareCosts Orders
+ * the costs of journeys.
+ * @param {function(!Object): boolean} settle Called with each label settled,
+ * which has the station, cost and link it was reached by.
+ * @param {object} [options] Search options.
+ * @param {!Set<Station>} [options.bannedStations] Stations the path may not
+ * pass through.
+ * @param {!Set<Link>} [options.bannedLinks] Links the path may not use.
+ * @param {number} [options.maxWalking] The most miles the path may walk.
+ **/
+const searchPaths = (source, routeName, compareCosts, settle, options = {}) => {
+  const bannedStations = options.bannedStations || new Set();
+  const bannedLinks = options.bannedLinks || new Set();
+  const maxWalking =
+    options.maxWalking === undefined ? Infinity : options.maxWalking;
+  // best known label for each station and the route it was reached on
+  const labels = new Map();
+  const queue = new MinHeap((labelA, labelB) =>
+    compareCosts(labelA.cost, labelB.cost));
+  queue.push({
+    station: source,
+    routeName: routeName,
+    cost: emptyCost(),
+    previous: null,
+    link: null,
+  });
+  // checks whether a station is already on the path of a label, so paths
+  // never visit the same station twice
+  const onPath = (label, station) => {
+    for (let current = label; current !== null; current = current.previous) {
+      if (current.station === station) {
+        return true;
+      }
+    }
+    return false;
+  };
+  while (queue.size() > 0) {
+    const label = queue.pop();
+    if (label.settled) {
+      continue;
+    }
+    label.settled = true;
+    if (settle(label)) {
+      return;
+    }
+    label.station.links.forEach((link) => {
+      if (
+        bannedLinks.has(link) ||
+        bannedStations.has(link.station) ||
+        onPath(label, link.station)
+      ) {
+        return;
+      }
+      if (!labels.has(link.station)) {
+        labels.set(link.station, new Map());
+      }
+      const stationLabels = labels.get(link.station);
+      const cost = addLinkCost(
+          label.cost,
+          label.routeName,
+          label.station,
+          link,
+      );
+      // allow for rounding when adding up fractions of a mile
+      if (cost === null || cost.walking > maxWalking + DISTANCE_TOLERANCE) {
+        return;
+      }
+      const nextRoute = nextRouteName(label.routeName, link);
+      const state =
+        maxWalking === Infinity ? nextRoute : `${nextRoute}:${cost.walking}`;
+      const existing = stationLabels.get(state);
+      if (
+        existing !== undefined &&
+        (existing.settled || compareCosts(existing.cost, cost) <= 0)
+      ) {
+        return;
+      }
+      if (existing !== undefined) {
+        // a cheaper way to the same state has been found, drop the old one
+        existing.settled = true;
+      }
+      const next = {
+        station: link.station,
+        routeName: nextRoute,
+        cost: cost,
+        previous: label,
+        link: link,
+      };
+      stationLabels.set(state, next);
+      queue.push(next);
+    });
+  }
+};
+
+/**
+ * Dijkstra search for the cheapest simple path between two stations.
+ *
+ * @param {!Station} source The station to search from.
+ * @param {?string} routeName The route the journey last travelled on before
+ * source, or null if it has not boarded a train yet.
+ * @param {!Station} target The station to search for.
+ * @param {!Set<Station>} bannedStations Stations the path may not pass through.
+ * @param {!Set<Link>} bannedLinks Links the path may not use.
+ * @param {function(!JourneyCost, !JourneyCost): number} compareCosts Orders
+ * the costs of journeys.
+ * @param {number} [maxWalking] The most miles the path may walk.
+ * @return {?Array<Link>} The links of the cheapest path or null if target can
+ * not be reached.
+ **/
+const shortestPath = (
+    source,
     routeName,
+    target,
+    bannedStations,
+    bannedLinks,
+    compareCosts,
+    maxWalking = Infinity,
 ) => {
-  journey.stations.push(origin);
-  // base case
-  if (origin === destination) {
-    routesFound.push(journey);
-    journey.success = true;
-    journey.text += `Arrive at ${destination.stationName}`;
-  } else {
-    // Loop through all the connected links
-    origin.links.forEach((link) => {
-      if (!journey.stations.includes(link.station)) {
-        let newJourney;
-        // if it is the start of building the route, call helper method
-        if (routeName === 'origin') {
-          newJourney = journey.copy();
-          newJourney.addFirstStop(origin.stationName, link.routeName);
-        } else if (link.routeName !== routeName) {
-          /* If you switch routes*/ newJourney = journey.copy();
-          newJourney.addChange(origin.stationName, link.routeName);
-        } else {
-          // couldn't do optimization because it could follow down the main path
-          // and then the journey object would be mutated, causing the remaining
-          // routes to be built incorrectly. Would have to change the order of
-          // links for optimization to be possible
-          newJourney = journey.copy();
+  let res = null;
+  searchPaths(source, routeName, compareCosts, (label) => {
+    if (label.station === target) {
+      res = labelLinks(label);
+    }
+    return res !== null;
+  }, {
+    bannedStations: bannedStations,
+    bannedLinks: bannedLinks,
+    maxWalking: maxWalking,
+  });
+  return res;
+};
+
+/**
+ * Dijkstra search for the cheapest simple path from one station to every
+ * station it can reach, ranking paths the same way as shortestPath.
+ *
+ * @param {!Station} source The station to search from.
+ * @param {function(!JourneyCost, !JourneyCost): number} compareCosts Orders
+ * the costs of journeys.
+ * @return {!Map<Station, {cost: JourneyCost, links: Array<Link>}>} The cost
+ * and links of the cheapest path to each station reached, leaving out the
+ * source itself.
+ **/
+const cheapestPaths = (source, compareCosts) => {
+  const res = new Map();
+  searchPaths(source, null, compareCosts, (label) => {
+    // the first label settled at a station is the cheapest way there
+    if (label.station !== source && !res.has(label.station)) {
+      res.set(label.station, {cost: label.cost, links: labelLinks(label)});
+    }
+    return false;
+  });
+  return res;
+};
+
+/**
+ * Finds a station of a graph by its ID or name. Names that do not match
+ * exactly are resolved regardless of case, punctuation and accents, or through
+ * the aliases given.
+ * @param {!RailwayGraph} graph The graph built by the network method.
+ * @param {number|string} station The stationID or name of the station.
+ * @param {Object<string, string>} [aliases] Other names for stations.
+ * @return {!Station}
+ * @throws {StationNotFoundError} Throws with suggestions if no station
+ * matches.
+ */
+const resolveStation = (graph, station, aliases) => {
+  let res = graph.findStation(station);
+  if (res === null) {
+    if (typeof station !== 'string') {
+      throw new StationNotFoundError(station, []);
+    }
+    const resolver = new StationResolver(graph, aliases);
+    res = graph.findStation(resolver.require(station));
+  }
+  return res;
+};
+
+/**
+ * Finds the stations within a distance of a station, by train or on foot,
+ * ignoring changes.
+ * @param {!RailwayGraph} graph The graph built by the network method.
+ * @param {number|string} station The stationID or name of the station.
+ * @param {number} maxDistance The most miles away a station may be.
+ * @param {Object<string, string>} [aliases] Other names for stations.
+ * @return {!Array<{station: Station, distance: number}>} The stations and
+ * their distances, nearest first, leaving out the station itself.
+ * @throws {StationNotFoundError} Throws with suggestions if no station
+ * matches.
+ */
+const stationsNear = (graph, station, maxDistance, aliases) => {
+  const origin = resolveStation(graph, station, aliases);
+  /** @type {Map<Station, number>} */
+  const distances = new Map([[origin, 0]]);
+  const done = new Set();
+  const queue = new MinHeap((itemA, itemB) => itemA.distance - itemB.distance);
+  queue.push({station: origin, distance: 0});
+  const res = [];
+  while (queue.size() > 0) {
+    const item = queue.pop();
+    if (done.has(item.station)) {
+      continue;
+    }
+    done.add(item.station);
+    if (item.station !== origin) {
+      res.push(item);
+    }
+    item.station.links.forEach((link) => {
+      const distance = item.distance + linkDistance(link);
+      if (
+        distance <= maxDistance + DISTANCE_TOLERANCE &&
+        (!distances.has(link.station) ||
+          distance < distances.get(link.station))
+      ) {
+        distances.set(link.station, distance);
+        queue.push({station: link.station, distance: distance});
+      }
+    });
+  }
+  return res;
+};
+
+/**
+ * Yen's k-shortest-paths algorithm on top of shortestPath: finds the cheapest
+ * simple paths between two stations, building only as many as asked for.
+ * @param {!Station} originStation The station the paths start at.
+ * @param {!Station} destinationStation The station the paths end at.
+ * @param {number} limit The most paths to find.
+ * @param {function(!JourneyCost, !JourneyCost): number} compareCosts Orders
+ * the costs of journeys.
+ * @param {number} [maxWalking] The most miles a path may walk.
+ * @return {!Array<Array<Link>>} The links of each path, cheapest first.
+ */
+const findPaths = (
+    originStation,
+    destinationStation,
+    limit,
+    compareCosts,
+    maxWalking = Infinity,
+) => {
+  /** @type {Array<Array<Link>>} */
+  const found = [];
+  /** @type {Array<{links: Array<Link>, cost: JourneyCost}>} */
+  const candidates = [];
+  const first = shortestPath(
+      originStation,
+      null,
+      destinationStation,
+      new Set(),
+      new Set(),
+      compareCosts,
+      maxWalking,
+  );
+  if (first !== null && limit > 0) {
+    found.push(first);
+  }
+  while (found.length > 0 && found.length < limit) {
+    const previous = found[found.length - 1];
+    // branch off the previous path at each of its stations
+    for (let i = 0; i < previous.length; i++) {
+      const root = previous.slice(0, i);
+      const spurStation = i === 0 ? originStation : root[i - 1].station;
+      const bannedLinks = new Set();
+      found.forEach((path) => {
+        if (path.length > i && samePath(path.slice(0, i), root)) {
+          bannedLinks.add(path[i]);
+        }
+      });
+      const bannedStations = new Set([originStation]);
+      root.forEach((link) => bannedStations.add(link.station));
+      bannedStations.delete(spurStation);
+      const spur = shortestPath(
+          spurStation,
+          lastRouteName(root),
+          destinationStation,
+          bannedStations,
+          bannedLinks,
+          compareCosts,
+          maxWalking - pathCost(root).walking,
+      );
+      if (spur !== null) {
+        const links = root.concat(spur);
+        const isKnown = (path) => samePath(path, links);
+        if (
+          !found.some(isKnown) &&
+          !candidates.some((candidate) => isKnown(candidate.links))
+        ) {
+          candidates.push({links: links, cost: pathCost(links)});
         }
-        newJourney.incDistance(link.distance);
-        doGetBestRoute(
-            graph,
-            link.station,
-            destination,
-            newJourney,
-            routesFound,
-            link.routeName,
-        );
+      }
+    }
+    if (candidates.length === 0) {
+      break;
+    }
+    // take the cheapest candidate, the earliest found one on ties
+    let best = 0;
+    candidates.forEach((candidate, i) => {
+      if (compareCosts(candidate.cost, candidates[best].cost) < 0) {
+        best = i;
       }
     });
+    found.push(candidates.splice(best, 1)[0].links);
+  }
+  return found;
+};
+
+/** How many more journeys than asked for are timed when planning by time. */
+const TIMED_CANDIDATES = 5;
+
+/**
+ * Reads a number of journeys, such as the most to return.
+ * @param {*} value The number, or undefined or Infinity for every journey.
+ * @param {string} name The name of the number, for the error message.
+ * @return {number}
+ * @throws {InputError} Throws if the value is not a whole number of at least
+ * 0 or Infinity.
+ **/
+const journeyCount = (value, name) => {
+  const res = value === undefined ? Infinity : Number(value);
+  if (res !== Infinity && !(Number.isInteger(res) && res >= 0)) {
+    throw new InputError(`${name} must be a whole number, not ${value}`);
+  }
+  return res;
+};
+
+/**
+ * Finds the cheapest journeys between two stations, by default sorted by number
+ * of route changes and then distance. Uses Yen's k-shortest-paths algorithm on
+ * top of shortestPath, so only as many paths as asked for are ever built.
+ *
+ * Given a time to depart at or arrive by, journeys are also timed against the
+ * route timetables, including the wait at each change, and those arriving
+ * earliest (depart at) or leaving latest (arrive by) are returned. Journeys on
+ * routes without a timetable are left out. Only the cheapest journeys by the
+ * ranking are timed, five for each one asked for unless options.candidates
+ * says otherwise, so this is a heuristic: a journey ranked further down, such
+ * as a longer one on a faster route, is missed even when it arrives first.
+ * Give Infinity candidates to time every journey.
+ * @param {!RailwayGraph} graph The graph built by the network method.
+ * @param {number|string} origin The stationID or name of the origin station
+ * (where a journey begins).
+ * @param {number|string} destination The stationID or name of the destination
+ * station (where a journey ends).
+ * @param {number} [maxResults] The maximum number of results to return, every
+ * journey when it is Infinity or not given.
+ * @param {object} [options] How to rank the journeys, see rankingComparator.
+ * @param {number} [options.maxWalking] The most miles a journey may walk.
+ * @param {Object<string, string>} [options.aliases] Other names for stations,
+ *    mapping each alias to a station name.
+ * @param {string|number} [options.departAt] The earliest time to leave, as
+ *    HH:MM or minutes after midnight.
+ * @param {string|number} [options.arriveBy] The latest time to arrive.
+ * @param {number} [options.candidates] The most journeys timed when planning
+ *    by time, five for each journey asked for by default.
+ * @return {Array<Journey>} A list of possible Journeys sorted by the chosen
+ *    ranking.
+ * @throws {StationNotFoundError} Throws with suggestions if a station is not
+ *    found, or an AmbiguousStationError if a name matches several stations.
+ * @throws {InputError} Throws if maxResults or options.candidates is not a
+ *    whole number, or if planning by time and every journey found is on a
+ *    route without a timetable.
+ */
+const getBestRoute = (graph, origin, destination, maxResults, options = {}) => {
+  const compareCosts = rankingComparator(options);
+  const maxWalking = walkingLimit(options);
+  const departAt = options.departAt !== undefined;
+  const arriveBy = options.arriveBy !== undefined;
+  if (departAt && arriveBy) {
+    throw new InputError('Give either departAt or arriveBy, not both');
+  }
+  const timed = departAt || arriveBy;
+  if (timed) {
+    parseTime(departAt ? options.departAt : options.arriveBy);
+  }
+  const limit = journeyCount(maxResults, 'maxResults');
+  const candidates = options.candidates === undefined ?
+    limit * TIMED_CANDIDATES :
+    journeyCount(options.candidates, 'candidates');
+  const originStation = resolveStation(graph, origin, options.aliases);
+  const destinationStation = resolveStation(
+      graph,
+      destination,
+      options.aliases,
+  );
+  if (!timed) {
+    return findPaths(
+        originStation,
+        destinationStation,
+        limit,
+        compareCosts,
+        maxWalking,
+    ).map((links) => buildJourney(originStation, links));
+  }
+  const journeys = [];
+  const paths = findPaths(
+      originStation,
+      destinationStation,
+      candidates,
+      compareCosts,
+      maxWalking,
+  );
+  // routes without a timetable can not be timed, so journeys on them are
+  // left out
+  const untimed = new Set();
+  const timedPaths = paths.filter((links) => {
+    const missing = links.filter((link) => !link.isWalk &&
+      (graph.routes[link.routeName] === undefined ||
+        graph.routes[link.routeName].timetable == null));
+    missing.forEach((link) => untimed.add(link.routeName));
+    return missing.length === 0;
+  });
+  if (paths.length > 0 && timedPaths.length === 0) {
+    throw new InputError(
+        `Journeys can not be timed, as ${[...untimed].join(', ')} ` +
+        `${untimed.size === 1 ? 'has' : 'have'} no timetable`,
+    );
   }
+  timedPaths.forEach((links) => {
+    const journey = buildJourney(originStation, links);
+    journey.schedule = scheduleJourney(
+        graph.routes,
+        originStation,
+        links,
+        options,
+    );
+    if (journey.schedule !== null) {
+      journeys.push(journey);
+    }
+  });
+  // the sort is stable, so equally timed journeys keep their ranking
+  if (arriveBy) {
+    journeys.sort((journeyA, journeyB) =>
+      journeyB.schedule.departs - journeyA.schedule.departs ||
+      journeyA.schedule.arrives - journeyB.schedule.arrives);
+  } else {
+    journeys.sort((journeyA, journeyB) =>
+      journeyA.schedule.arrives - journeyB.schedule.arrives ||
+      journeyB.schedule.departs - journeyA.schedule.departs);
+  }
+  return journeys.slice(0, limit);
+};
+
+/**
+ * A part of a journey travelled on one route, or walked between two stations
+ * when routeName is null. operator is who runs the route in a merged network.
+ * @typedef {{routeName: ?string, operator: ?string, from: string, to: string,
+ *    stops: number, distance: number}} JourneyLeg
+ */
+
+/**
+ * Splits the links of a journey into legs travelled on one route each, with
+ * every walk between stations a leg of its own.
+ * @param {!Journey} journey The journey.
+ * @return {!Array<JourneyLeg>}
+ */
+const journeyLegs = (journey) => {
+  const legs = [];
+  let leg = null;
+  journey.links.forEach((link, i) => {
+    if (leg === null || link.isWalk || link.routeName !== leg.routeName) {
+      leg = {
+        routeName: link.routeName,
+        operator: link.operator,
+        from: journey.stations[i].stationName,
+        to: null,
+        stops: 0,
+        distance: 0,
+      };
+      legs.push(leg);
+    }
+    leg.to = link.station.stationName;
+    leg.stops++;
+    leg.distance += linkDistance(link);
+  });
+  return legs;
+};
+
+/**
+ * A journey as a record of the output schema. Times in the schedule are in
+ * minutes after midnight.
+ * @typedef {{type: string, rank: ?number, origin: string,
+ *    destination: string, distance: number, changes: number,
+ *    connectionTime: number, walking: number,
+ *    stations: !Array<{stationID: number, stationName: string}>,
+ *    legs: !Array<JourneyLeg>, schedule: ?Schedule}} JourneyRecord
+ */
+
+/**
+ * Returns the same details of a Journey as its report as a record for JSON
+ * output.
+ * @param {!Journey} journey The journey.
+ * @param {?number} [rank] The place of the journey among those found.
+ * @return {!JourneyRecord}
+ */
+const journeyToData = (journey, rank = null) => {
+  const stations = journey.stations;
+  return {
+    type: 'journey',
+    rank: rank,
+    origin: stations.length > 0 ? stations[0].stationName : null,
+    destination:
+      stations.length > 0 ? stations[stations.length - 1].stationName : null,
+    distance: journey.distance,
+    changes: journey.changes,
+    connectionTime: journey.connectionTime,
+    walking: journey.walking,
+    stations: stations.map((station) => ({
+      stationID: station.stationID,
+      stationName: station.stationName,
+    })),
+    legs: journeyLegs(journey),
+    schedule: journey.schedule,
+  };
+};
+
+/**
+ * Returns the records of the found journeys that displayRoutes prints, in the
+ * order found.
+ * @param {!Array<Journey>} journiesFound An array of completed journeys.
+ * @return {?Array<JourneyRecord>} The records or null if the input is not an
+ * array.
+ */
+const routesToData = (journiesFound) => {
+  if (journiesFound == null || !Array.isArray(journiesFound)) {
+    return null;
+  }
+  return journiesFound.map((journey, i) => journeyToData(journey, i + 1));
 };
 
 /**
  * Prints out and enumerates information relating to the found journies.
  * @param {!Array<Journey>} journiesFound An array of completed journeys.
+ * @param {string} [format] The output format: text (by default), or json or
+ * ndjson to print the records of routesToData.
  */
-const displayRoutes = (journiesFound) => {
+const displayRoutes = (journiesFound, format = 'text') => {
   if (journiesFound == null || !Array.isArray(journiesFound)) {
     console.log('Invalid input');
     return;
   }
+  if (format !== 'text') {
+    console.log(formatRecords(routesToData(journiesFound), format));
+    return;
+  }
 
   // if no routes are found
   if (journiesFound.length === 0) {
@@ -320,57 +1462,137 @@ const displayRoutes = (journiesFound) => {
  * function should inform the user with a usage error: Error! Usage: node
  * network.js <data set> <origin> <destination> <max results> If the parameters
  * are found to be valid then you should call the necessary functions to build
- * the graph, find the best routes and display the results.
+ * the graph, find the best routes and display the results. Otherwise it
+ * exits with the code the railway CLI gives the error, e.g. 2 for bad input
+ * and 1 for an unexpected error.
  *
  * @param {string} data Filename of the json data to use
  * @param {string} origin Name of the starting station
  * @param {string} destination Name of the ending station
  * @param {number} maxResults Integer for maximum number of results to return
+ * @param {object} [options] Ranking options passed on to getBestRoute, and the
+ * aliasFile to read station aliases from
  */
-const main = (data, origin, destination, maxResults) => {
+const main = (data, origin, destination, maxResults, options = {}) => {
   try {
     if (isNaN(parseInt(maxResults))) {
-      throw new TypeError('maxResults is not a number');
+      throw new InputError('maxResults is not a number');
     } else if (typeof origin !== 'string') {
-      throw new TypeError('origin is not a string');
+      throw new InputError('origin is not a string');
     } else if (typeof destination !== 'string') {
-      throw new TypeError('destination is not a string');
+      throw new InputError('destination is not a string');
     } else if (typeof data != 'string') {
-      throw new TypeError('data must be a valid filename string');
+      throw new InputError('data must be a valid filename string');
+    }
+    rankingComparator(options);
+    walkingLimit(options);
+    const format = checkFormat(
+        options.format === undefined ? 'text' : options.format,
+    );
+    const routeOptions = Object.assign({}, options);
+    if (options.aliasFile !== undefined) {
+      routeOptions.aliases = loadAliases(options.aliasFile);
     }
     const daNetwork = network(data);
-    const bestRoutes = getBestRoute(daNetwork, origin, destination, maxResults);
-    displayRoutes(bestRoutes);
+    const bestRoutes = getBestRoute(
+        daNetwork,
+        origin,
+        destination,
+        maxResults,
+        routeOptions,
+    );
+    displayRoutes(bestRoutes, format);
   } catch (error) {
     // exit program with usage method if errors occur
-    console.log(error);
+    console.log(`Error: ${error.message}`);
     printUsageMessage();
-    process.exit();
+    process.exit(exitCodeFor(error));
   }
 };
 
 const printUsageMessage = () => {
   console.log(
       'Error! Usage: node network.js <data set> ' +
-    '<origin> <destination> <max results>',
+    '<origin> <destination> <max results> ' +
+    '[--rank=changes|distance|stops|weighted] [--change-penalty=<miles>] ' +
+    '[--connection-penalty=<miles>] [--walk-penalty=<miles>] ' +
+    '[--max-walk=<miles>] [--aliases=<file>] ' +
+    '[--depart=<HH:MM>|--arrive-by=<HH:MM>] [--format=text|json|ndjson]',
   );
 };
 
+/**
+ * Splits the command line arguments into the positional parameters of main
+ * and the options given as --rank=<name>, --change-penalty=<miles>,
+ * --connection-penalty=<miles>, --walk-penalty=<miles>, --max-walk=<miles>,
+ * --aliases=<file>, --depart=<HH:MM>, --arrive-by=<HH:MM> and
+ * --format=text|json|ndjson.
+ * @param {!Array<string>} args The command line arguments after the script.
+ * @return {{positional: Array<string>, options: object}}
+ */
+const parseArguments = (args) => {
+  const positional = [];
+  const options = {};
+  args.forEach((arg) => {
+    const flag = /^--([a-z-]+)=(.*)$/.exec(arg);
+    if (flag === null) {
+      positional.push(arg);
+    } else if (flag[1] === 'rank') {
+      options.rank = flag[2];
+    } else if (flag[1] === 'change-penalty') {
+      options.changePenalty = Number(flag[2]);
+    } else if (flag[1] === 'connection-penalty') {
+      options.connectionPenalty = Number(flag[2]);
+    } else if (flag[1] === 'walk-penalty') {
+      options.walkPenalty = Number(flag[2]);
+    } else if (flag[1] === 'max-walk') {
+      options.maxWalking = Number(flag[2]);
+    } else if (flag[1] === 'aliases') {
+      options.aliasFile = flag[2];
+    } else if (flag[1] === 'depart') {
+      options.departAt = flag[2];
+    } else if (flag[1] === 'arrive-by') {
+      options.arriveBy = flag[2];
+    } else if (flag[1] === 'format') {
+      options.format = flag[2];
+    } else {
+      positional.push(arg);
+    }
+  });
+  return {positional: positional, options: options};
+};
+
 // main entry point idiom for file
 if (require.main === module) {
   // get command line arguments
-  const data = process.argv[2];
-  const origin = process.argv[3];
-  const destination = process.argv[4];
-  const maxResults = parseInt(process.argv[5]);
-  main(data, origin, destination, maxResults);
+  const {positional, options} = parseArguments(process.argv.slice(2));
+  const data = positional[0];
+  const origin = positional[1];
+  const destination = positional[2];
+  const maxResults = parseInt(positional[3]);
+  main(data, origin, destination, maxResults, options);
 }
 
 exports.network = network;
+exports.buildGraph = buildGraph;
+exports.RailwayGraph = RailwayGraph;
+exports.AmbiguousStationError = AmbiguousStationError;
+exports.StationNotFoundError = StationNotFoundError;
 exports.getBestRoute = getBestRoute;
-exports.doGetBestRoute = doGetBestRoute;
+exports.stationsNear = stationsNear;
+exports.rankingStrategies = rankingStrategies;
+exports.rankingComparator = rankingComparator;
 exports.displayRoutes = displayRoutes;
+exports.routesToData = routesToData;
+exports.journeyToData = journeyToData;
+exports.journeyLegs = journeyLegs;
+exports.MinHeap = MinHeap;
+exports.linkDistance = linkDistance;
+exports.DISTANCE_TOLERANCE = DISTANCE_TOLERANCE;
+exports.cheapestPaths = cheapestPaths;
+exports.resolveStation = resolveStation;
 exports.main = main;
 // log using console.log
 exports.printUsageMessage = printUsageMessage;
+exports.parseArguments = parseArguments;
 
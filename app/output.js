@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Writes the records built by the railway and network reports
+ *    as JSON or NDJSON, tagged with the version of their schema.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {InputError} = require('./errors.js');
+
+/**
+ * The version of the record schema. It goes up whenever a field is removed
+ *    or changes meaning; new fields may be added without a new version.
+ */
+const SCHEMA_VERSION = 1;
+
+/** The output formats the command line tools accept. */
+const FORMATS = ['text', 'json', 'ndjson'];
+
+/**
+ * A record of a report, such as a route or a journey. Its type names the kind
+ *    of record and so which fields it has.
+ * @typedef {{type: string}} OutputRecord
+ */
+
+/**
+ * Checks that an output format is one of FORMATS, or of the formats a report
+ *    has of its own.
+ * @param {string} format - The format asked for.
+ * @param {!Array<string>} [formats] - The formats allowed, FORMATS by
+ *    default.
+ * @return {string} The format.
+ * @throws {InputError} Throws if the format is not known.
+ */
+function checkFormat(format, formats = FORMATS) {
+  if (!formats.includes(format)) {
+    throw new InputError(
+        `Unknown format '${format}', expected one of ${formats.join(', ')}`,
+    );
+  }
+  return format;
+}
+
+/**
+ * Returns a number rounded to at most two decimal places.
+ * @param {number} value - The number.
+ * @return {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Writes records as one JSON document: {schemaVersion, records}.
+ * @param {!Array<OutputRecord>} records - The records to write.
+ * @return {string}
+ */
+function toJSON(records) {
+  return JSON.stringify(
+      {schemaVersion: SCHEMA_VERSION, records: records},
+      null,
+      2,
+  );
+}
+
+/**
+ * Writes records as NDJSON: one JSON object per line, each carrying the
+ *    schemaVersion.
+ * @param {!Array<OutputRecord>} records - The records to write.
+ * @return {string}
+ */
+function toNDJSON(records) {
+  return records
+      .map((record) =>
+        JSON.stringify(Object.assign({schemaVersion: SCHEMA_VERSION}, record)))
+      .join('\n');
+}
+
+/**
+ * Returns a CSV field, quoted if it holds a comma, quote or line break.
+ * @param {*} value - The value of the field, empty if null or undefined.
+ * @return {string}
+ */
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes records as CSV, with a header row naming the columns. Records are
+ *    flat, so CSV is only offered by reports whose records have no lists or
+ *    objects in them.
+ * @param {!Array<OutputRecord>} records - The records to write.
+ * @param {!Array<string>} columns - The fields written, in order.
+ * @return {string}
+ */
+function toCSV(records, columns) {
+  return [columns.join(',')]
+      .concat(records.map((record) =>
+        columns.map((column) => csvField(record[column])).join(',')))
+      .join('\n');
+}
+
+/**
+ * Writes records in a machine-readable format.
+ * @param {!Array<OutputRecord>} records - The records to write.
+ * @param {string} format - Either 'json' or 'ndjson'.
+ * @return {string}
+ */
+function formatRecords(records, format) {
+  return format === 'ndjson' ? toNDJSON(records) : toJSON(records);
+}
+
+exports.SCHEMA_VERSION = SCHEMA_VERSION;
+exports.FORMATS = FORMATS;
+exports.checkFormat = checkFormat;
+exports.round = round;
+exports.toJSON = toJSON;
+exports.toNDJSON = toNDJSON;
+exports.toCSV = toCSV;
+exports.formatRecords = formatRecords;
@@ -0,0 +1,79 @@
+const analytics = require('../analytics.js');
+const network = require('../network.js');
+const railway = require('../railway.js');
+const assert = require('chai').assert;
+
+describe('testing analyzeNetwork()', function() {
+  const analyze = (fileName) =>
+    analytics.analyzeNetwork(network.network(fileName));
+
+  it('should rank the stations of a line by betweenness', function() {
+    const analysis = analyze('simpleton_railway.json');
+    assert.deepEqual(
+        analysis.ranking.map((station) =>
+          [station.stationName, station.betweenness, station.degree]),
+        [
+          ['Gammaton', 4, 2],
+          ['Betaford', 3, 2],
+          ['Deltafield', 3, 2],
+          ['Alphaville', 0, 1],
+          ['Epsilon', 0, 1],
+        ],
+    );
+    assert.equal(analysis.ranking[0].rank, 1);
+    assert.deepEqual(analysis.diameter,
+        {distance: 100, from: 'Alphaville', to: 'Epsilon'});
+  });
+  it('should find the single points of failure of a line', function() {
+    const analysis = analyze('simpleton_railway.json');
+    assert.deepEqual(analysis.articulationPoints,
+        ['Betaford', 'Deltafield', 'Gammaton']);
+    assert.lengthOf(analysis.bridges, 4);
+    assert.deepEqual(analysis.bridges[0], ['Alphaville', 'Betaford']);
+  });
+  it('should find no single point of failure on a loop', function() {
+    const analysis = analyze('kevin_railway.json');
+    assert.deepEqual(analysis.articulationPoints, []);
+    assert.deepEqual(analysis.bridges, []);
+  });
+  it('should find interchanges and terminals', function() {
+    const analysis = analyze('timetabled_railway.json');
+    assert.deepEqual(analysis.interchanges,
+        ['Ashford', 'Crayford', 'Farningham']);
+    assert.deepEqual(analysis.terminals,
+        ['Ashford', 'Crayford', 'Dartford', 'Farningham']);
+    assert.isTrue(analysis.ranking.find((station) =>
+      station.stationName === 'Crayford').interchange);
+  });
+  it('should find stations that can not be reached', function() {
+    const data = railway.readData('simpleton_railway.json');
+    const island = data.addRoute('Island Line', 'Green');
+    island.insertStop(1, 'Upper', 10, null, null);
+    island.insertStop(2, 'Lower', 11, 2, null);
+    const analysis = analytics.analyzeNetwork(network.buildGraph(data));
+    assert.lengthOf(analysis.components, 2);
+    assert.deepEqual(analysis.components[1], ['Lower', 'Upper']);
+    assert.equal(analysis.diameter.distance, 100);
+  });
+});
+
+describe('testing analysis output', function() {
+  const analysis = analytics.analyzeNetwork(
+      network.network('simpleton_railway.json'),
+  );
+
+  it('should list the network and then each station as records', function() {
+    const records = analytics.analysisToData(analysis);
+    assert.equal(records[0].type, 'network-analysis');
+    assert.notProperty(records[0], 'ranking');
+    assert.lengthOf(records, 6);
+    assert.equal(records[1].type, 'station-analysis');
+  });
+  it('should report the top stations', function() {
+    const report = analytics.analysisToString(analysis, 2);
+    assert.include(report, 'Diameter: 100 miles, Alphaville to Epsilon');
+    assert.include(report, '   1. Gammaton: betweenness 4, degree 2');
+    assert.include(report, 'single point of failure');
+    assert.notInclude(report, '3. Deltafield');
+  });
+});
@@ -0,0 +1,286 @@
+const cli = require('../cli.js');
+const {InputError} = require('../errors.js');
+const assert = require('chai').assert;
+
+describe('testing parseCommandLine()', function() {
+  const specs = {
+    'data': {alias: 'd', value: '<file>', description: ''},
+    'desc': {alias: null, value: null, description: ''},
+    'arrive-by': {alias: null, value: '<HH:MM>', description: ''},
+  };
+
+  it('should read long, short and flag options', function() {
+    const parsed = cli.parseCommandLine(
+        ['a', '--data=x.json', 'b', '--arrive-by', '09:00', '--desc'],
+        specs,
+        null,
+    );
+    assert.deepEqual(parsed.positional, ['a', 'b']);
+    assert.deepEqual(parsed.options,
+        {data: 'x.json', arriveBy: '09:00', desc: true});
+    assert.deepEqual(cli.parseCommandLine(['-d', 'y.json'], specs, null)
+        .options, {data: 'y.json'});
+  });
+  it('should treat everything after -- as positional', function() {
+    assert.deepEqual(
+        cli.parseCommandLine(['--', '--desc'], specs, null).positional,
+        ['--desc'],
+    );
+  });
+  it('should throw a UsageError for bad options', function() {
+    assert.throws(() => cli.parseCommandLine(['--colour'], specs, null),
+        cli.UsageError, /Unknown option --colour/);
+    assert.throws(() => cli.parseCommandLine(['--data'], specs, null),
+        cli.UsageError, /needs a value/);
+    assert.throws(() => cli.parseCommandLine(['--desc=yes'], specs, null),
+        cli.UsageError, /does not take a value/);
+  });
+});
+
+describe('testing the railway CLI', function() {
+  // Mock the console to capture the output of the commands
+  const originalConsoleLog = console.log;
+  const originalConsoleError = console.error;
+  let log = '';
+  let error = '';
+
+  beforeEach(function() {
+    log = '';
+    error = '';
+    console.log = (...args) => {
+      log += args.join(' ') + '\n';
+    };
+    console.error = (...args) => {
+      error += args.join(' ') + '\n';
+    };
+  });
+
+  afterEach(function() {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  const run = (...args) => cli.main(args);
+
+  it('should show the network info', function() {
+    assert.equal(run('info', '--data', 'londish.json'), cli.EXIT_OK);
+    assert.equal(log,
+        'Notional Railway Company\nRoutes: 6\nStations: 49\n');
+  });
+  it('should list the route names', function() {
+    assert.equal(run('routes', '-d', 'simpleton_railway.json'), cli.EXIT_OK);
+    assert.equal(log, 'Simpleton\n');
+  });
+  it('should show a route named loosely', function() {
+    assert.equal(run('route', 'circle line', '-d', 'londish.json'),
+        cli.EXIT_OK);
+    assert.include(log, 'Circle Line');
+    assert.include(log, 'Notting Hill Gate');
+  });
+  it('should show a route as JSON', function() {
+    run('route', 'Simpleton', '-d', 'simpleton_railway.json',
+        '--format=json');
+    const output = JSON.parse(log);
+    assert.equal(output.records[0].type, 'route');
+    assert.equal(output.records[0].name, 'Simpleton');
+  });
+  it('should sort the summary by length descending', function() {
+    assert.equal(
+        run('summary', '--sort', 'length', '--desc', '-d', 'londish.json'),
+        cli.EXIT_OK,
+    );
+    assert.match(log, /Circle Line.*\nDistrict Line.*\nCity Line/);
+  });
+  it('should list stations by name with their IDs', function() {
+    run('stations', '-d', 'simpleton_railway.json');
+    assert.match(log, /^Alphaville \(\d+\)\nBetaford \(\d+\)\n/);
+  });
+  it('should show the longest route', function() {
+    run('longest', '-d', 'londish.json');
+    assert.equal(log, 'Circle Line: 40 miles\n');
+  });
+  it('should find a way across interchanges', function() {
+    assert.equal(run('find', 'Camden Town', 'Faringdon', '-d',
+        'londish.json'), cli.EXIT_OK);
+    assert.include(log, 'walking 0.4 miles, changing at Kings Cross');
+  });
+  it('should plan journeys', function() {
+    assert.equal(run('plan', 'Alphaville', 'Epsilon', '-n', '1', '-d',
+        'simpleton_railway.json'), cli.EXIT_OK);
+    assert.include(log, 'Routes found: 1');
+    assert.include(log, 'Embark at Alphaville on Simpleton');
+  });
+  it('should diff two versions of a network', function() {
+    assert.equal(run('diff', 'notional_ra.json', '-d', 'londish.json',
+        '--format=json'), cli.EXIT_OK);
+    const output = JSON.parse(log);
+    assert.isNotEmpty(output.records);
+    assert.equal(output.records[0].type, 'change');
+  });
+  it('should analyse the network', function() {
+    assert.equal(run('analyze', '-n', '1', '-d', 'simpleton_railway.json'),
+        cli.EXIT_OK);
+    assert.include(log, 'Stations ranked by betweenness\n   1. Gammaton');
+    assert.notInclude(log, '2. ');
+    assert.equal(run('analyze', '-n', '0', '-d', 'simpleton_railway.json'),
+        cli.EXIT_BAD_INPUT);
+  });
+  it('should export the distance matrix', function() {
+    assert.equal(run('matrix', '--from', 'Alphaville', '--to', 'Epsilon',
+        '-d', 'simpleton_railway.json'), cli.EXIT_OK);
+    assert.equal(log, 'fromStationID,from,toStationID,to,distance,changes,' +
+      'routes\n1,Alphaville,5,Epsilon,100,0,Simpleton\n');
+    log = '';
+    run('matrix', '--from', 'Epsilon', '-f', 'json', '-d',
+        'simpleton_railway.json');
+    assert.lengthOf(JSON.parse(log).records, 4);
+    assert.equal(run('matrix', '-f', 'text', '-d', 'simpleton_railway.json'),
+        cli.EXIT_BAD_INPUT);
+  });
+  it('should rank the most critical assets', function() {
+    assert.equal(run('resilience', '-n', '1', '--only', 'stations', '-d',
+        'simpleton_railway.json'), cli.EXIT_OK);
+    assert.include(log, '   1. station Gammaton: 8 pair(s) cut off');
+    assert.notInclude(log, '2. ');
+    log = '';
+    run('resilience', '-n', '1', '-f', 'csv', '-d', 'simpleton_railway.json');
+    assert.match(log, /^rank,asset,name,.*\n1,segment,Simpleton /);
+    assert.equal(run('resilience', '--only', 'lines', '-d',
+        'simpleton_railway.json'), cli.EXIT_BAD_INPUT);
+  });
+  it('should find the stations nearest a place', function() {
+    assert.equal(run('nearest', '51.5', '-0.2', '-n', '2', '-d',
+        'located_railway.json'), cli.EXIT_OK);
+    assert.equal(log,
+        'London Paddington (1.51 miles)\nReading (33.33 miles)\n');
+    assert.equal(run('nearest', 'north', '0', '-d', 'located_railway.json'),
+        cli.EXIT_BAD_INPUT);
+  });
+  it('should export the network as GeoJSON', function() {
+    assert.equal(run('geojson', '-d', 'located_railway.json'), cli.EXIT_OK);
+    const output = JSON.parse(log);
+    assert.equal(output.type, 'FeatureCollection');
+    assert.lengthOf(output.features, 7);
+  });
+  it('should draw the network with a journey', function() {
+    assert.equal(run('diagram', '-d', 'simpleton_railway.json'), cli.EXIT_OK);
+    assert.match(log, /^graph "Simpleton Railway System" \{/);
+    log = '';
+    assert.equal(run('diagram', '-f', 'svg', '--from', 'Alphaville', '--to',
+        'Gammaton', '-d', 'simpleton_railway.json'), cli.EXIT_OK);
+    assert.match(log, /^<svg /);
+    assert.include(log, 'fill="gold"');
+    assert.equal(run('diagram', '--to', 'Gammaton', '-d',
+        'simpleton_railway.json'), cli.EXIT_BAD_INPUT);
+  });
+  describe('with GTFS feeds', function() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const zipName = path.join(os.tmpdir(), `feed_${process.pid}.zip`);
+
+    after(function() {
+      fs.rmSync(zipName, {force: true});
+    });
+
+    it('should load a feed folder as the network', function() {
+      assert.equal(run('info', '-d', 'riverside_gtfs'), cli.EXIT_OK);
+      assert.equal(log, 'Riverside Light Rail\nRoutes: 2\nStations: 5\n');
+    });
+    it('should export a network as a GTFS zip', function() {
+      assert.equal(run('export', zipName, '-d', 'located_railway.json'),
+          cli.EXIT_OK);
+      assert.include(log, `Saved Western Lines to ${zipName} as GTFS`);
+      log = '';
+      assert.equal(run('routes', '-d', zipName), cli.EXIT_OK);
+      assert.equal(log, 'Main Line\nOxford Branch\n');
+      assert.equal(run('export', zipName, '--unit', 'ft', '-d',
+          'located_railway.json'), cli.EXIT_BAD_INPUT);
+    });
+  });
+  describe('with disruptions', function() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const fileName = path.join(os.tmpdir(), `closures_${process.pid}.json`);
+
+    before(function() {
+      fs.writeFileSync(fileName, JSON.stringify({
+        closedSegments: [{route: 'Red Line', from: 'Bexley', to: 'Crayford'}],
+      }));
+    });
+    after(function() {
+      fs.unlinkSync(fileName);
+    });
+
+    it('should plan around closures and compare', function() {
+      assert.equal(run('plan', 'Ashford', 'Crayford', '-n', '1',
+          '--disruptions', fileName, '-d', 'timetabled_railway.json'),
+      cli.EXIT_OK);
+      assert.include(log, 'Embark at Ashford on Heritage Line');
+      assert.match(log, /Compared with normal service: \+[\d.]+ miles/);
+    });
+    it('should report the impact of closures', function() {
+      assert.equal(run('disruption', fileName, '-d',
+          'timetabled_railway.json'), cli.EXIT_OK);
+      assert.include(log, 'Closed segments: Red Line Bexley to Crayford');
+      assert.include(log, 'Most affected');
+    });
+    it('should not plan from a closed station', function() {
+      fs.writeFileSync(fileName, JSON.stringify({closedStations: ['Bexley']}));
+      assert.equal(run('plan', 'Bexley', 'Crayford', '--disruptions',
+          fileName, '-d', 'timetabled_railway.json'), cli.EXIT_BAD_INPUT);
+      assert.include(error, 'Bexley is closed');
+    });
+  });
+  it('should show help for a command', function() {
+    assert.equal(run('plan', '--help'), cli.EXIT_OK);
+    assert.include(log, 'Usage: railway plan <from> <to>');
+    assert.include(log, '--arrive-by <HH:MM>');
+  });
+  it('should show help listing every command', function() {
+    assert.equal(run('--help'), cli.EXIT_OK);
+    assert.include(log, 'find <from> <to>');
+    assert.include(log, 'summary');
+  });
+
+  describe('exit codes', function() {
+    it('should exit EXIT_BAD_INPUT for bad arguments', function() {
+      assert.equal(run(), cli.EXIT_BAD_INPUT);
+      assert.equal(run('teleport', '-d', 'londish.json'), cli.EXIT_BAD_INPUT);
+      assert.include(error, 'Unknown command teleport');
+      assert.equal(run('info'), cli.EXIT_BAD_INPUT);
+      assert.include(error, '--data <file> is required');
+      assert.equal(run('find', 'Euston', '-d', 'londish.json'),
+          cli.EXIT_BAD_INPUT);
+      assert.equal(run('plan', 'A', 'B', '-n', 'none', '-d', 'londish.json'),
+          cli.EXIT_BAD_INPUT);
+      assert.equal(run('info', '--format=xml', '-d', 'londish.json'),
+          cli.EXIT_BAD_INPUT);
+    });
+    it('should exit EXIT_BAD_INPUT for an unknown station', function() {
+      assert.equal(run('find', 'Eustin', 'Brixton', '-d', 'londish.json'),
+          cli.EXIT_BAD_INPUT);
+      assert.include(error, 'Did you mean Euston');
+      assert.equal(run('route', 'Victoria', '-d', 'londish.json'),
+          cli.EXIT_BAD_INPUT);
+      assert.include(error, 'Route not found: Victoria');
+    });
+    it('should exit EXIT_FILE_NOT_FOUND for a missing file', function() {
+      assert.equal(run('info', '-d', 'no_such_railway.json'),
+          cli.EXIT_FILE_NOT_FOUND);
+      assert.include(error, 'File not found: no_such_railway.json');
+    });
+    it('should exit EXIT_NO_ROUTE when no journey is found', function() {
+      assert.equal(run('plan', 'Ashford', 'Bexley', '--depart=23:59', '-d',
+          'timetabled_railway.json'), cli.EXIT_NO_ROUTE);
+      assert.include(error, 'No route found between Ashford and Bexley');
+    });
+    it('should exit EXIT_ERROR for a bug rather than bad input', function() {
+      assert.equal(cli.exitCodeFor(new TypeError('x is undefined')),
+          cli.EXIT_ERROR);
+      assert.equal(cli.exitCodeFor(new InputError('Unknown ranking')),
+          cli.EXIT_BAD_INPUT);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const diagram = require('../diagram.js');
+const network = require('../network.js');
+const railway = require('../railway.js');
+const assert = require('chai').assert;
+
+describe('testing toDot()', function() {
+  const londish = network.network('londish.json');
+
+  it('should draw each stretch of route once in its color', function() {
+    const dot = diagram.toDot(railway.readData('simpleton_railway.json'));
+    assert.match(dot, /^graph "Simpleton Railway System" \{\n/);
+    assert.include(dot, '  "1" [label="Alphaville"];');
+    assert.include(dot,
+        '  "1" -- "2" [color="red", label="25", tooltip="Simpleton"];');
+    assert.lengthOf(dot.match(/ -- /g), 4);
+    assert.match(dot, /\}$/);
+  });
+  it('should highlight interchanges and dash walks', function() {
+    const dot = diagram.toDot(londish);
+    assert.match(dot, /"\d+" \[label="Euston", shape=doublecircle/);
+    assert.match(dot, /tooltip="walk", style=dashed\]/);
+  });
+  it('should draw the edges of a journey thicker', function() {
+    const journey = network.getBestRoute(londish, 'Camden Town', 'Faringdon',
+        1)[0];
+    const thick = diagram.toDot(londish, journey).split('\n')
+        .filter((line) => line.includes('penwidth=4'));
+    assert.lengthOf(thick, journey.links.length);
+  });
+  it('should quote names for DOT', function() {
+    const data = railway.readData('simpleton_railway.json');
+    data.networkName = 'The "Simple" Line';
+    assert.include(diagram.toDot(data), 'graph "The \\"Simple\\" Line" {');
+  });
+});
+
+describe('testing toSVG()', function() {
+  const graph = network.network('simpleton_railway.json');
+
+  it('should draw every station and stretch of route', function() {
+    const svg = diagram.toSVG(graph, {width: 400, height: 300});
+    assert.match(svg, /^<svg xmlns="[^"]+" width="400" height="300"/);
+    assert.match(svg, /<\/svg>$/);
+    assert.lengthOf(svg.match(/<circle /g), 5);
+    assert.lengthOf(svg.match(/<line [^>]*stroke="red"/g), 4);
+    assert.include(svg, '>Gammaton</text>');
+    assert.lengthOf(svg.match(/>25<\/text>/g), 4);
+  });
+  it('should keep the drawing inside the picture', function() {
+    const svg = diagram.toSVG(network.network('railtrack_uk.json'));
+    const xs = Array.from(svg.matchAll(/cx="([\d.]+)"/g), (m) => +m[1]);
+    const ys = Array.from(svg.matchAll(/cy="([\d.]+)"/g), (m) => +m[1]);
+    assert.isTrue(xs.every((x) => x >= 60 && x <= 940));
+    assert.isTrue(ys.every((y) => y >= 60 && y <= 740));
+  });
+  it('should draw a network the same way every time', function() {
+    assert.equal(diagram.toSVG(graph), diagram.toSVG(graph));
+  });
+  it('should highlight a journey', function() {
+    const journey = network.getBestRoute(graph, 'Alphaville', 'Gammaton',
+        1)[0];
+    const svg = diagram.toSVG(graph, {journey: journey});
+    const highlight = /<g class="journey"[^>]*>([^]*?)<\/g>/.exec(svg)[1];
+    assert.lengthOf(highlight.match(/<line /g), 2);
+    assert.lengthOf(svg.match(/<circle [^>]*fill="gold"/g), 3);
+  });
+  it('should place located stations by their coordinates', function() {
+    const data = railway.readData('located_railway.json');
+    data.locations.push(new railway.Location(5, 51.611, -1.2428));
+    const svg = diagram.toSVG(data);
+    const place = (name) => {
+      const match = new RegExp(`x="([\\d.]+)" y="([\\d.]+)" fill="black" ` +
+        `stroke="none">${name}<`).exec(svg);
+      return {x: Number(match[1]), y: Number(match[2])};
+    };
+    // Bristol is west of London and Oxford north of Reading
+    assert.isBelow(place('Bristol Temple Meads').x,
+        place('London Paddington').x);
+    assert.isBelow(place('Oxford').y, place('Reading').y);
+  });
+  it('should escape names for XML', function() {
+    const data = railway.readData('simpleton_railway.json');
+    data.routes[0].stops[0].stationName = 'A & B <Halt>';
+    assert.include(diagram.toSVG(data), '>A &amp; B &lt;Halt&gt;</text>');
+  });
+});
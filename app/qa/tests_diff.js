@@ -0,0 +1,129 @@
+const {diffNetworks, diffToString} = require('../diff.js');
+const railway = require('../railway.js');
+const assert = require('chai').assert;
+
+describe('testing diffNetworks()', function() {
+  let before;
+  let after;
+  beforeEach(function() {
+    before = railway.readData('railtrack_uk.json');
+    after = railway.readData('railtrack_uk.json');
+  });
+
+  const changesOf = (kind) => diffNetworks(before, after)
+      .filter((change) => change.change === kind);
+
+  it('should find nothing between the same network', function() {
+    assert.deepEqual(diffNetworks(before, after), []);
+    assert.equal(diffToString([]), 'No changes');
+  });
+  it('should find routes added and removed', function() {
+    after.removeRoute('Midland Main Line');
+    after.addRoute('Shuttle', 'Pink').insertStop(1, 'London', 1);
+    assert.deepEqual(changesOf('route-added').map((change) => change.after),
+        ['Shuttle']);
+    assert.deepEqual(
+        changesOf('route-removed').map((change) => change.before),
+        ['Midland Main Line'],
+    );
+  });
+  it('should match a renamed route by its stations', function() {
+    after.renameRoute('East Coast Main Line', 'ECML');
+    const changes = diffNetworks(before, after);
+    assert.lengthOf(changes, 1);
+    assert.include(changes[0], {
+      change: 'route-renamed',
+      before: 'East Coast Main Line',
+      after: 'ECML',
+    });
+  });
+  it('should match stations by stationID', function() {
+    after.renameStation(1, 'London Kings Cross');
+    after.routes[0].insertStop(1, 'Stevenage', 500, null, 20);
+    assert.include(changesOf('station-renamed')[0], {
+      station: 1,
+      before: 'London',
+      after: 'London Kings Cross',
+    });
+    assert.include(changesOf('station-added')[0],
+        {station: 500, after: 'Stevenage'});
+    assert.include(changesOf('stop-added')[0],
+        {route: 'East Coast Main Line', station: 500});
+  });
+  it('should find a station renamed at one stop only', function() {
+    after.routes[2].stops[0].stationName = 'London Paddington';
+    const changes = diffNetworks(before, after);
+    assert.lengthOf(changes, 1);
+    assert.include(changes[0], {
+      change: 'station-renamed',
+      route: 'Great Western Railway',
+      station: 1,
+      before: 'London',
+      after: 'London Paddington',
+    });
+    assert.equal(changes[0].message, 'Great Western Railway stop 1 London ' +
+      '(1) renamed to London Paddington');
+  });
+  it('should find stations removed from the network', function() {
+    const route = railway.getRoute(after, 'High Speed 1');
+    route.removeStop(route.stops.length);
+    assert.include(changesOf('station-removed')[0],
+        {station: 37, before: 'Paris'});
+    assert.include(changesOf('stop-removed')[0],
+        {route: 'High Speed 1', station: 37});
+  });
+  it('should find stops reordered', function() {
+    after.routes[3].moveStop(2, 3, 5, 5);
+    const changes = changesOf('stops-reordered');
+    assert.lengthOf(changes, 1);
+    assert.equal(changes[0].route, 'Network South West');
+    assert.deepEqual(changes[0].after.slice(0, 3),
+        [before.routes[3].stops[0].stationId,
+          before.routes[3].stops[2].stationId,
+          before.routes[3].stops[1].stationId]);
+  });
+  it('should find a repeat visit removed from a route', function() {
+    const route = after.routes[3];
+    const first = route.stops[0];
+    before.routes[3].insertStop(route.stops.length + 1, first.stationName,
+        first.stationId, 5);
+    const changes = diffNetworks(before, after);
+    assert.deepEqual(changes.map((change) => change.change),
+        ['stop-removed']);
+    assert.include(changes[0], {
+      route: 'Network South West',
+      station: first.stationId,
+      before: route.stops.length + 1,
+    });
+    assert.match(changes[0].message, /no longer stops at .* as stop/);
+  });
+  it('should find a repeat visit added to a route', function() {
+    const route = after.routes[3];
+    const first = route.stops[0];
+    route.insertStop(route.stops.length + 1, first.stationName,
+        first.stationId, 5);
+    assert.deepEqual(diffNetworks(before, after)
+        .map((change) => change.change), ['stop-added']);
+  });
+  it('should find distances changed on each segment', function() {
+    after.routes[2].setDistance(1, 99);
+    const changes = changesOf('distance-changed');
+    assert.lengthOf(changes, 1);
+    assert.include(changes[0],
+        {route: 'Great Western Railway', before: 35, after: 99});
+    assert.equal(changes[0].message,
+        'Great Western Railway London to Reading changed from 35 to 99 miles');
+  });
+  it('should find colours changed', function() {
+    after.routes[1].color = 'Green';
+    assert.include(changesOf('color-changed')[0],
+        {route: 'West Coast Main Line', before: 'blue', after: 'Green'});
+  });
+  it('should list the changes as text', function() {
+    after.routes[1].color = 'Green';
+    assert.equal(diffToString(diffNetworks(before, after)),
+        '1 change(s)\n' +
+        '  [color-changed] West Coast Main Line color changed from blue ' +
+        'to Green');
+  });
+});
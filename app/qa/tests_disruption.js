@@ -0,0 +1,131 @@
+const disruption = require('../disruption.js');
+const network = require('../network.js');
+const railway = require('../railway.js');
+const {StationNotFoundError} = require('../resolver.js');
+const assert = require('chai').assert;
+
+const {Disruption} = disruption;
+
+describe('testing disruptGraph()', function() {
+  const graph = network.network('simpleton_railway.json');
+
+  it('should leave out closed stations and their links', function() {
+    const disrupted = disruption.disruptGraph(graph,
+        new Disruption(['Gammaton']));
+    assert.isNull(disrupted.findStation('Gammaton'));
+    assert.lengthOf(disrupted.findStation('Betaford').links, 1);
+    assert.lengthOf(network.getBestRoute(disrupted, 'Alphaville', 'Epsilon',
+        1), 0);
+    // the graph given is not changed
+    assert.lengthOf(graph.findStation('Betaford').links, 2);
+    assert.lengthOf(network.getBestRoute(graph, 'Alphaville', 'Epsilon', 1),
+        1);
+  });
+  it('should close every stretch of a closed segment', function() {
+    const disrupted = disruption.disruptGraph(graph, new Disruption([], [
+      {route: 'simpleton', from: 'Deltafield', to: 'Betaford'},
+    ]));
+    assert.lengthOf(disrupted.findStation('Gammaton').links, 0);
+    assert.lengthOf(disrupted.findStation('Deltafield').links, 1);
+    assert.lengthOf(network.getBestRoute(disrupted, 'Alphaville', 'Betaford',
+        1), 1);
+  });
+  it('should keep walks when a route is suspended', function() {
+    const timetabled = network.network('timetabled_railway.json');
+    const disrupted = disruption.disruptGraph(timetabled,
+        new Disruption([], [], ['Red Line']));
+    const journey = network.getBestRoute(disrupted, 'Ashford', 'Erith', 1)[0];
+    assert.notInclude(journey.report(), 'Red Line');
+    assert.isTrue(disrupted.findStation('Dartford').links
+        .every((link) => link.isWalk));
+  });
+  it('should throw for stations and routes not in the network', function() {
+    assert.throws(() => disruption.disruptGraph(graph,
+        new Disruption(['Gamaton'])), StationNotFoundError, /Gammaton/);
+    assert.throws(() => disruption.disruptGraph(graph,
+        new Disruption([], [], ['Circle Line'])), TypeError,
+    /Route not found: Circle Line/);
+  });
+});
+
+describe('testing Disruption.fromData()', function() {
+  it('should read closures given as lists', function() {
+    const read = Disruption.fromData({closedStations: ['Euston', 3]});
+    assert.deepEqual(read.closedStations, ['Euston', 3]);
+    assert.deepEqual(read.suspendedRoutes, []);
+  });
+  it('should throw a TypeError for a badly written disruption', function() {
+    assert.throws(() => Disruption.fromData([]), TypeError, /JSON object/);
+    assert.throws(() => Disruption.fromData({closedStations: 'Euston'}),
+        TypeError, /must be a list/);
+    assert.throws(() => Disruption.fromData({
+      closedSegments: [{route: 'Circle Line', from: 'Euston'}],
+    }), TypeError, /closedSegments\[0\]/);
+  });
+});
+
+describe('testing disruptionImpact()', function() {
+  const graph = network.network('simpleton_railway.json');
+
+  it('should find the pairs no longer connected', function() {
+    const impact = disruption.disruptionImpact(graph, new Disruption([], [
+      {route: 'Simpleton', from: 'Gammaton', to: 'Deltafield'},
+    ]));
+    assert.equal(impact.pairs, 20);
+    assert.lengthOf(impact.affected, 12);
+    assert.isTrue(impact.affected.every((pair) => !pair.reachable));
+  });
+  it('should leave out pairs with a closed station', function() {
+    const impact = disruption.disruptionImpact(graph,
+        new Disruption(['Epsilon']));
+    assert.equal(impact.pairs, 12);
+    assert.deepEqual(impact.closedStations, ['Epsilon']);
+  });
+  it('should find the extra distance of a detour', function() {
+    const londish = network.network('londish.json');
+    // only the way round from the last stop of the loop to the first
+    const closure = new Disruption([], [
+      {route: 'Circle Line', from: 'Kensington', to: 'Notting Hill Gate'},
+    ]);
+    const disrupted = disruption.disruptGraph(londish, closure);
+    assert.equal(
+        disrupted.findStation('Kensington').links.length,
+        londish.findStation('Kensington').links.length - 1,
+    );
+    const impact = disruption.disruptionImpact(londish, closure);
+    assert.isNotEmpty(impact.affected);
+    const first = impact.affected[0];
+    assert.isTrue(first.reachable);
+    assert.isAbove(first.extraDistance, 0);
+    assert.equal(first.disruptedDistance,
+        first.normalDistance + first.extraDistance);
+  });
+  it('should compare each pair both ways', function() {
+    // a bypass that is shorter out to Gammaton than back again
+    const data = railway.readData('simpleton_railway.json');
+    const bypass = data.addRoute('Bypass', 'Blue');
+    bypass.insertStop(1, 'Alphaville', 1);
+    bypass.insertStop(2, 'Gammaton', 3, 30);
+    bypass.stops[1].distanceToPrev = 60;
+    const impact = disruption.disruptionImpact(network.buildGraph(data),
+        new Disruption([], [
+          {route: 'Simpleton', from: 'Alphaville', to: 'Betaford'},
+        ]));
+    const between = impact.affected.filter((pair) =>
+      [pair.from, pair.to].sort().join() === 'Alphaville,Gammaton');
+    assert.lengthOf(between, 1);
+    assert.include(between[0],
+        {from: 'Gammaton', to: 'Alphaville', extraDistance: 10});
+  });
+  it('should report the impact as text and records', function() {
+    const impact = disruption.disruptionImpact(graph,
+        new Disruption(['Gammaton']));
+    const report = disruption.impactToString(impact, 1);
+    assert.include(report, 'Closed stations: Gammaton');
+    assert.include(report, 'Pairs no longer connected: 8');
+    assert.match(report, /Most affected\n {2}\w+ to \w+: no longer connected$/);
+    const records = disruption.impactToData(impact);
+    assert.include(records[0], {affected: 8, unreachable: 8});
+    assert.equal(records[1].type, 'disrupted-pair');
+  });
+});
@@ -0,0 +1,76 @@
+const geo = require('../geo.js');
+const network = require('../network.js');
+const railway = require('../railway.js');
+const assert = require('chai').assert;
+
+describe('testing straightLineDistance()', function() {
+  it('should measure along the surface of the Earth', function() {
+    const london = {lat: 51.5074, lon: -0.1278};
+    const paris = {lat: 48.8566, lon: 2.3522};
+    assert.closeTo(geo.straightLineDistance(london, paris), 213.5, 0.5);
+    assert.equal(geo.straightLineDistance(london, london), 0);
+  });
+});
+
+describe('testing nearestStations()', function() {
+  const graph = network.network('located_railway.json');
+
+  it('should list the nearest located stations first', function() {
+    const nearest = geo.nearestStations(graph, 51.75, -1.25, 3);
+    assert.deepEqual(nearest.map((item) => item.station.stationName),
+        ['Oxford', 'Reading', 'Swindon']);
+    assert.closeTo(nearest[0].distance, 0.89, 0.01);
+    // Didcot Parkway has no location
+    assert.lengthOf(geo.nearestStations(graph, 51.6, -1.2, 10), 5);
+  });
+  it('should keep the locations of a disrupted graph', function() {
+    const disrupted = graph.subgraph((station) =>
+      station.stationName !== 'Oxford', () => true);
+    assert.equal(geo.nearestStations(disrupted, 51.75, -1.25)[0]
+        .station.stationName, 'Reading');
+  });
+  it('should find nothing in a network without locations', function() {
+    const londish = network.network('londish.json');
+    assert.deepEqual(geo.nearestStations(londish, 51.5, -0.1), []);
+  });
+  it('should throw a TypeError for a place off the map', function() {
+    assert.throws(() => geo.nearestStations(graph, 91, 0), TypeError,
+        /Latitude/);
+    assert.throws(() => geo.nearestStations(graph, 0, NaN), TypeError,
+        /Longitude/);
+  });
+});
+
+describe('testing toGeoJSON()', function() {
+  const collection = geo.toGeoJSON(railway.readData('located_railway.json'));
+  const features = (type) => collection.features
+      .filter((feature) => feature.geometry.type === type);
+
+  it('should write each located station as a Point', function() {
+    assert.equal(collection.type, 'FeatureCollection');
+    const points = features('Point');
+    assert.lengthOf(points, 5);
+    assert.deepEqual(points[0].geometry.coordinates, [-0.177, 51.5166]);
+    assert.deepEqual(points[0].properties,
+        {stationID: 1, stationName: 'London Paddington'});
+  });
+  it('should write each route as a LineString in its color', function() {
+    const lines = features('LineString');
+    assert.deepEqual(lines.map((line) => line.properties.name),
+        ['Main Line', 'Oxford Branch']);
+    assert.lengthOf(lines[0].geometry.coordinates, 4);
+    assert.include(lines[1].properties, {color: 'Blue', stroke: 'Blue'});
+    // through Reading and Oxford, leaving out Didcot Parkway
+    assert.lengthOf(lines[1].geometry.coordinates, 2);
+  });
+  it('should close the line of a circular route', function() {
+    const data = railway.readData('located_railway.json');
+    data.routes[0].circular = true;
+    data.routes[0].closingDistance = 118;
+    const line = geo.toGeoJSON(data).features
+        .find((feature) => feature.properties.name === 'Main Line');
+    const coordinates = line.geometry.coordinates;
+    assert.lengthOf(coordinates, 5);
+    assert.deepEqual(coordinates[4], coordinates[0]);
+  });
+});
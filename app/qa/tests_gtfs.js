@@ -0,0 +1,140 @@
+const gtfs = require('../gtfs.js');
+const railway = require('../railway.js');
+const {readZip} = require('../zip.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('chai').assert;
+
+/**
+ * Returns the stops of each route of a network with their distances, the
+ *    parts of a network a GTFS feed carries.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @return {!Array<Object>}
+ */
+function routeShapes(data) {
+  return railway.getRoutes(data).map((route) => ({
+    name: route.name,
+    circular: route.circular,
+    stops: route.stops.map((stop) => [stop.stationName, stop.stationId,
+      stop.distanceToNext]),
+  }));
+}
+
+describe('testing parseCSV()', function() {
+  it('should read quoted fields, CRLF endings and a BOM', function() {
+    assert.deepEqual(gtfs.parseCSV('\uFEFFa,b\r\n"x, ""y""",2\n\n'),
+        [{a: 'x, "y"', b: '2'}]);
+  });
+  it('should fill missing trailing fields with empty text', function() {
+    assert.deepEqual(gtfs.parseCSV('a,b,c\n1\n'), [{a: '1', b: '', c: ''}]);
+  });
+});
+
+describe('testing readGTFS()', function() {
+  const data = gtfs.readGTFS('riverside_gtfs');
+  const [blue, loop] = railway.getRoutes(data);
+
+  it('should name the network after the agency', function() {
+    assert.instanceOf(data, railway.RailwayNetwork);
+    assert.equal(data.networkName, 'Riverside Light Rail');
+  });
+  it('should follow the longest trip of each route', function() {
+    assert.deepEqual(blue.stops.map((stop) => stop.stationName),
+        ['Riverside', 'Market Square', 'University', 'Parkway']);
+    assert.deepEqual(blue.stops.map((stop) => stop.stationId), [1, 3, 4, 5]);
+  });
+  it('should merge platforms into their station', function() {
+    assert.notInclude(blue.stops.map((stop) => stop.stationName),
+        'Riverside Platform 1');
+    assert.include(railway.getLocation(data, 1), {lat: 52, lon: -1});
+  });
+  it('should measure distances along the shape', function() {
+    assert.deepEqual(blue.stops.map((stop) => stop.distanceToNext),
+        [1.19, 1.14, 1.08, null]);
+  });
+  it('should make a loop back to the first stop circular', function() {
+    assert.isTrue(loop.circular);
+    assert.deepEqual(loop.stops.map((stop) => stop.stationName),
+        ['Riverside', 'Market Square', 'Mill Lane, East']);
+    assert.equal(loop.closingDistance, 0.55);
+  });
+  it('should take route names and colours from routes.txt', function() {
+    assert.equal(blue.color, '#0000FF');
+    assert.equal(loop.name, 'L');
+    assert.equal(loop.color, '#FFFFFF');
+  });
+  it('should take a network name and a distance unit', function() {
+    const named = gtfs.readGTFS('riverside_gtfs', {networkName: 'RLR'});
+    assert.equal(named.networkName, 'RLR');
+    assert.throws(() => gtfs.readGTFS('riverside_gtfs',
+        {distanceUnit: 'ft'}), TypeError, /Unknown distance unit ft/);
+  });
+  it('should throw a TypeError for a feed missing a file', function() {
+    assert.throws(() => gtfs.readGTFS('qa'), TypeError, /stops\.txt/);
+  });
+});
+
+describe('testing writeGTFS()', function() {
+  const folder = path.join(os.tmpdir(), `gtfs_${process.pid}`);
+  const zipName = `${folder}.zip`;
+
+  afterEach(function() {
+    fs.rmSync(folder, {recursive: true, force: true});
+    fs.rmSync(zipName, {force: true});
+  });
+
+  it('should round-trip the fixture feed through a zip archive', function() {
+    const data = gtfs.readGTFS('riverside_gtfs');
+    gtfs.writeGTFS(data, zipName);
+    assert.equal(railway.serializeNetwork(gtfs.readGTFS(zipName)),
+        railway.serializeNetwork(data));
+  });
+  it('should write every file a GTFS feed needs', function() {
+    const files = gtfs.writeGTFS(railway.readData('located_railway.json'),
+        zipName);
+    assert.includeMembers(files, ['agency.txt', 'stops.txt', 'routes.txt',
+      'trips.txt', 'stop_times.txt', 'calendar.txt', 'shapes.txt']);
+    const archive = readZip(fs.readFileSync(zipName));
+    assert.sameMembers([...archive.keys()], files);
+    const routes = gtfs.parseCSV(archive.get('routes.txt').toString());
+    assert.deepInclude(routes[0], {route_long_name: 'Main Line',
+      route_type: '2', route_color: '008000'});
+  });
+  it('should round-trip networks through a folder', function() {
+    ['simpleton_railway.json', 'timetabled_railway.json',
+      'located_railway.json'].forEach((fileName) => {
+      const data = railway.readData(fileName);
+      gtfs.writeGTFS(data, folder);
+      const feed = gtfs.readGTFS(folder);
+      assert.equal(feed.networkName, data.networkName);
+      assert.deepEqual(routeShapes(feed), routeShapes(data), fileName);
+    });
+  });
+  it('should keep neighbouring stops that share a stationID', function() {
+    const data = railway.readData('londish.json');
+    gtfs.writeGTFS(data, folder);
+    const cityLine = railway.getRoute(data, 'City Line');
+    const stops = railway.getRoute(gtfs.readGTFS(folder), 'City Line').stops;
+    // Hillingdon and Wembley are both stationID 30
+    assert.deepEqual(
+        stops.map((stop) => [stop.stationId, stop.distanceToNext]),
+        cityLine.stops.map((stop) => [stop.stationId, stop.distanceToNext]),
+    );
+    assert.deepEqual(stops.slice(1, 3).map((stop) => stop.stationName),
+        ['Hillingdon', 'Hillingdon']);
+  });
+  it('should keep distances in any unit', function() {
+    const data = railway.readData('located_railway.json');
+    gtfs.writeGTFS(data, folder, {distanceUnit: 'mi'});
+    assert.deepEqual(routeShapes(gtfs.readGTFS(folder,
+        {distanceUnit: 'mi'})), routeShapes(data));
+  });
+  it('should throw a TypeError for what it can not export', function() {
+    assert.throws(() => gtfs.writeGTFS({}, folder), TypeError);
+    assert.throws(() => gtfs.writeGTFS(
+        railway.readData('simpleton_railway.json'), folder,
+        {distanceUnit: 'ft'}), TypeError, /Unknown distance unit/);
+    assert.isFalse(fs.existsSync(folder));
+  });
+});
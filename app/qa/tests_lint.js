@@ -0,0 +1,129 @@
+const lint = require('../lint.js');
+const railway = require('../railway.js');
+const assert = require('chai').assert;
+
+describe('testing levenshtein()', function() {
+  it('should count the edits between two strings', function() {
+    assert.equal(lint.levenshtein('Statford', 'Stratford'), 1);
+    assert.equal(lint.levenshtein('kitten', 'sitting'), 3);
+    assert.equal(lint.levenshtein('', 'abc'), 3);
+    assert.equal(lint.levenshtein('same', 'same'), 0);
+  });
+});
+
+describe('testing lintNetwork()', function() {
+  it('should find nothing wrong with notional railway', function() {
+    const data = railway.readData('notional_ra.json');
+    assert.deepEqual(lint.lintNetwork(data), []);
+  });
+
+  describe('the problems of londish', function() {
+    let findings = null;
+    before(function() {
+      findings = lint.lintNetwork(railway.readData('londish.json'));
+    });
+
+    const messagesFor = (rule) => findings
+        .filter((finding) => finding.rule === rule)
+        .map((finding) => finding.message);
+
+    it('should flag a stationID with several names', function() {
+      assert.include(messagesFor('id-several-names'),
+          'stationID 41 is used for several names: Stratford, Statford');
+    });
+    it('should flag a name with several stationIDs', function() {
+      assert.include(messagesFor('name-several-ids'),
+          'St James Park has several stationIDs: 13, 18');
+    });
+    it('should flag near-duplicate names', function() {
+      assert.deepEqual(messagesFor('similar-names'),
+          ['Stratford and Statford are near-duplicates (edit distance 1)']);
+    });
+    it('should flag asymmetric distances', function() {
+      const asymmetric = findings.filter((finding) =>
+        finding.rule === 'asymmetric-distance' &&
+        finding.route === 'North West Line');
+      assert.equal(asymmetric.length, 1);
+      assert.equal(asymmetric[0].stop, 4);
+    });
+    it('should flag stops out of sequence', function() {
+      assert.include(messagesFor('stop-sequence'),
+          'Central Line: Whitechapel is numbered 8 but is stop 9');
+    });
+    it('should flag distances past the ends of a route', function() {
+      assert.includeMembers(messagesFor('route-end-distance'), [
+        'District Line: first stop Heathrow Airport has distanceToPrev 4 ' +
+          'instead of null',
+        'District Line: last stop Hackney has distanceToNext 2 ' +
+          'instead of null',
+      ]);
+    });
+  });
+
+  it('should flag distances far from the straight line', function() {
+    const data = railway.readData('located_railway.json');
+    assert.deepEqual(lint.lintNetwork(data), []);
+    data.routes[0].stops[0].distanceToNext = 8;
+    data.routes[0].stops[1].distanceToPrev = 8;
+    const findings = lint.lintNetwork(data);
+    assert.lengthOf(findings, 1);
+    assert.include(findings[0], {
+      rule: 'distance-vs-coordinates',
+      route: 'Main Line',
+      stop: 1,
+    });
+    assert.match(findings[0].message,
+        /London Paddington to Reading is 8 miles but 34\.\d miles/);
+    assert.deepEqual(lint.lintNetwork(data, {maxDistanceRatio: 5}), []);
+  });
+  it('should allow a larger edit distance for near-duplicates', function() {
+    const data = railway.readData('railtrack_uk.json');
+    const similar = lint.lintNetwork(data, {maxEditDistance: 2})
+        .filter((finding) => finding.rule === 'similar-names');
+    assert.isNotEmpty(similar);
+  });
+});
+
+describe('testing lint main()', function() {
+  let originalConsoleLog = null;
+  let log = '';
+  before(function() {
+    originalConsoleLog = console.log;
+  });
+
+  beforeEach(function() {
+    log = '';
+    console.log = (...args) => {
+      log += args.join('\n');
+    };
+  });
+
+  afterEach(function() {
+    console.log = originalConsoleLog;
+  });
+
+  it('should exit cleanly for a clean file', function() {
+    assert.equal(lint.main(['notional_ra.json']), lint.EXIT_CLEAN);
+    assert.equal(log, 'notional_ra.json: no problems found');
+  });
+  it('should report problems in text', function() {
+    assert.equal(lint.main(['londish.json']), lint.EXIT_PROBLEMS);
+    assert.include(log, 'londish.json: 12 problem(s) found');
+    assert.include(log, '[similar-names] Stratford and Statford');
+  });
+  it('should report problems as JSON', function() {
+    assert.equal(lint.main(['--format=json', 'smokey_mountain.json']),
+        lint.EXIT_PROBLEMS);
+    const results = JSON.parse(log);
+    assert.equal(results[0].file, 'smokey_mountain.json');
+    assert.equal(results[0].findings[0].rule, 'stop-sequence');
+  });
+  it('should exit with an error without any files', function() {
+    assert.equal(lint.main([]), lint.EXIT_ERROR);
+    assert.include(log, 'Usage');
+  });
+  it('should exit with an error for a broken file', function() {
+    assert.equal(lint.main(['in_error.json']), lint.EXIT_ERROR);
+    assert.include(log, 'in_error.json: could not be loaded');
+  });
+});
@@ -0,0 +1,112 @@
+const matrixModule = require('../matrix.js');
+const network = require('../network.js');
+const railway = require('../railway.js');
+const {StationNotFoundError} = require('../resolver.js');
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('testing computeMatrix()', function() {
+  const graph = network.network('londish.json');
+  const matrix = matrixModule.computeMatrix(graph);
+
+  it('should have a row and column for every station', function() {
+    assert.lengthOf(matrix.stations, 49);
+    assert.lengthOf(matrix.distances, 49);
+    matrix.distances.forEach((row, i) => {
+      assert.lengthOf(row, 49);
+      assert.equal(row[i], 0);
+    });
+  });
+  it('should agree with getBestRoute', function() {
+    [['Camden Town', 'Faringdon'], ['Heathrow Airport', 'Bankside'],
+      ['Euston', 'Brixton']].forEach(([from, to]) => {
+      const shortest = network.getBestRoute(graph, from, to, 1,
+          {rank: 'distance'})[0];
+      const fewest = network.getBestRoute(graph, from, to, 1)[0];
+      const entry = matrix.lookup(from, to);
+      assert.equal(entry.distance, shortest.distance);
+      assert.equal(entry.changes, fewest.changes);
+      assert.deepEqual(entry.routes, network.journeyLegs(fewest)
+          .filter((leg) => leg.routeName !== null)
+          .map((leg) => leg.routeName));
+    });
+  });
+  it('should look stations up by loose name or stationID', function() {
+    const entry = matrix.lookup('oxford circus', 33);
+    assert.include(entry, {from: 'Oxford Circus', to: 'Brixton'});
+    assert.throws(() => matrix.lookup('Oxferd Circus', 'Brixton'),
+        StationNotFoundError, /Oxford Circus/);
+    assert.throws(() => matrix.lookup('constructor', 'Brixton'),
+        StationNotFoundError);
+  });
+  it('should leave stations that can not be reached null', function() {
+    const data = railway.readData('simpleton_railway.json');
+    const island = data.addRoute('Island Line', 'Green');
+    island.insertStop(1, 'Upper', 10, null, null);
+    island.insertStop(2, 'Lower', 11, 2, null);
+    const entry = matrixModule.computeMatrix(network.buildGraph(data))
+        .lookup('Alphaville', 'Upper');
+    assert.include(entry, {distance: null, changes: null, routes: null});
+  });
+  it('should list the entries from and to stations', function() {
+    assert.lengthOf(matrix.entries(), 49 * 48);
+    assert.lengthOf(matrix.entries('Euston'), 48);
+    assert.lengthOf(matrix.entries('Euston', 'Brixton'), 1);
+  });
+});
+
+describe('testing matrix export and caching', function() {
+  const cacheFile = path.join(os.tmpdir(), `matrix_${process.pid}.json`);
+  const data = railway.readData('simpleton_railway.json');
+
+  afterEach(function() {
+    if (fs.existsSync(cacheFile)) {
+      fs.unlinkSync(cacheFile);
+    }
+  });
+
+  it('should write entries as CSV', function() {
+    const matrix = matrixModule.computeMatrix(network.buildGraph(data));
+    const lines = matrixModule.entriesToCSV(matrix.entries('Alphaville'))
+        .split('\n');
+    assert.equal(lines[0],
+        'fromStationID,from,toStationID,to,distance,changes,routes');
+    assert.equal(lines[1], '1,Alphaville,2,Betaford,25,0,Simpleton');
+    assert.lengthOf(lines, 5);
+  });
+  it('should quote CSV fields with commas', function() {
+    const entry = {fromStationID: 1, from: 'Here, There', toStationID: 2,
+      to: 'Say "Hi"', distance: null, changes: null, routes: null};
+    assert.equal(matrixModule.entriesToCSV([entry]).split('\n')[1],
+        '1,"Here, There",2,"Say ""Hi""",,,');
+  });
+  it('should save the matrix and load it back', function() {
+    const matrix = matrixModule.cachedMatrix(data, cacheFile);
+    const loaded = matrixModule.loadMatrix(cacheFile);
+    assert.deepEqual(loaded.toData(), matrix.toData());
+    assert.equal(loaded.fingerprint, matrixModule.networkFingerprint(data));
+    assert.equal(loaded.lookup('Alphaville', 'Epsilon').distance, 100);
+  });
+  it('should use the cache only for the same network', function() {
+    matrixModule.cachedMatrix(data, cacheFile);
+    const saved = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    // a changed distance in the cache shows it was used
+    saved.records[0].distances[0][1] = 99;
+    fs.writeFileSync(cacheFile, JSON.stringify(saved));
+    assert.equal(matrixModule.cachedMatrix(data, cacheFile)
+        .distances[0][1], 99);
+    const edited = railway.readData('simpleton_railway.json');
+    edited.routes[0].setDistance(1, 30);
+    assert.equal(matrixModule.cachedMatrix(edited, cacheFile)
+        .lookup('Alphaville', 'Betaford').distance, 30);
+  });
+  it('should work out a broken cache again', function() {
+    fs.writeFileSync(cacheFile, '{"records": [');
+    assert.equal(matrixModule.cachedMatrix(data, cacheFile)
+        .lookup('Alphaville', 'Epsilon').distance, 100);
+    assert.throws(() => matrixModule.DistanceMatrix.fromData({type: 'route'}),
+        TypeError, /not a distance matrix/);
+  });
+});
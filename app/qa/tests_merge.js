@@ -0,0 +1,112 @@
+const merge = require('../merge.js');
+const network = require('../network.js');
+const railway = require('../railway.js');
+const assert = require('chai').assert;
+
+describe('testing mergeNetworks()', function() {
+  let parts;
+  beforeEach(function() {
+    parts = [
+      {operator: 'Simpleton', data: railway.readData('simpleton_railway.json')},
+      {operator: 'Kentish', data: railway.readData('timetabled_railway.json')},
+    ];
+  });
+
+  it('should namespace stationIDs by operator', function() {
+    const merged = merge.mergeNetworks(parts);
+    const ids = railway.getRoutes(merged)
+        .map((route) => route.stops[0].stationId);
+    assert.deepEqual(ids,
+        ['Simpleton:1', 'Kentish:1', 'Kentish:3', 'Kentish:1']);
+    assert.equal(merged.networkName,
+        'Simpleton Railway System + Timetabled Railway');
+    assert.deepEqual(railway.getRoutes(merged).map((route) => route.operator),
+        ['Simpleton', 'Kentish', 'Kentish', 'Kentish']);
+  });
+  it('should keep interchanges and transfers of each network', function() {
+    const merged = merge.mergeNetworks(parts);
+    assert.equal(merged.interchanges[0].stationId, 'Kentish:3');
+    assert.equal(merged.transfers[0].fromStationId, 'Kentish:4');
+  });
+  it('should keep the locations of stations', function() {
+    parts.push({
+      operator: 'Western',
+      data: railway.readData('located_railway.json'),
+    });
+    const merged = merge.mergeNetworks(parts, [['Simpleton:1', 'Western:1']]);
+    assert.lengthOf(merged.locations, 5);
+    assert.include(railway.getLocation(merged, 'Simpleton:1'),
+        {lat: 51.5166, lon: -0.177});
+    assert.include(railway.getLocation(merged, 'Western:6'), {lat: 51.7535});
+  });
+  it('should give equivalent stations one ID', function() {
+    const merged = merge.mergeNetworks(parts, [['Simpleton:5', 'Kentish:1']]);
+    const route = railway.getRoute(merged, 'Heritage Line');
+    assert.equal(route.stops[0].stationId, 'Simpleton:5');
+    const graph = network.buildGraph(merged);
+    assert.equal(graph.findStation('Ashford'), graph.findStation('Epsilon'));
+  });
+  it('should add the operator to route names used twice', function() {
+    parts.push({
+      operator: 'Other',
+      data: railway.readData('simpleton_railway.json'),
+    });
+    const names = railway.getRouteNames(merge.mergeNetworks(parts));
+    assert.include(names, 'Simpleton (Simpleton)');
+    assert.include(names, 'Simpleton (Other)');
+  });
+  it('should throw for bad operators and unknown stations', function() {
+    assert.throws(() => merge.mergeNetworks([parts[0], parts[0]]),
+        TypeError, /more than once/);
+    parts[0].operator = 'Simple:ton';
+    assert.throws(() => merge.mergeNetworks(parts), TypeError, /':'/);
+    parts[0].operator = 'Simpleton';
+    assert.throws(() => merge.mergeNetworks(parts, [['Simpleton:9',
+      'Kentish:1']]), TypeError, /Simpleton:9/);
+    assert.throws(() => merge.mergeNetworks(parts, [], [{
+      fromStationID: 'Simpleton:1', toStationID: 'Kentish:99', distance: 1,
+    }]), TypeError, /Kentish:99/);
+  });
+});
+
+describe('testing merge manifests', function() {
+  it('should load and merge the networks of a manifest', function() {
+    const merged = merge.loadMerged('merged_railway.json');
+    assert.equal(merged.networkName, 'Simpleton and Timetabled');
+    assert.lengthOf(railway.getRoutes(merged), 4);
+    assert.lengthOf(merged.transfers, 2);
+  });
+  it('should load plain networks and manifests alike', function() {
+    assert.equal(merge.loadNetworkFile('simpleton_railway.json').networkName,
+        'Simpleton Railway System');
+    assert.equal(merge.loadNetworkFile('merged_railway.json').networkName,
+        'Simpleton and Timetabled');
+    assert.throws(() => merge.loadMerged('simpleton_railway.json'),
+        TypeError, /not a merge manifest/);
+  });
+  it('should plan journeys across operators', function() {
+    const graph = network.network('merged_railway.json');
+    const journey = network.getBestRoute(graph, 'Alphaville', 'Crayford',
+        1, {maxWalking: 0})[0];
+    assert.include(journey.report(), 'Embark at Alphaville on Simpleton ' +
+      '(Simpleton)\nAt Epsilon change to Red Line (Kentish)\n');
+    assert.deepEqual(network.journeyLegs(journey)
+        .map((leg) => leg.operator), ['Simpleton', 'Kentish']);
+  });
+  it('should save a merged network that loads back strictly', function() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const fileName = path.join(os.tmpdir(), `merged_${process.pid}.json`);
+    const merged = merge.loadMerged('merged_railway.json');
+    try {
+      railway.saveData(merged, fileName);
+      const saved = railway.readData(fileName, {strict: true});
+      assert.equal(railway.serializeNetwork(saved),
+          railway.serializeNetwork(merged));
+      assert.equal(railway.getRoutes(saved)[0].operator, 'Simpleton');
+    } finally {
+      fs.rmSync(fileName, {force: true});
+    }
+  });
+});
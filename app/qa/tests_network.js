@@ -9,11 +9,31 @@ describe('testing network()', function() {
     const allStations = new Set();
     railway.getRoutes(system).forEach((route) => {
       route.stops.forEach((stop) => {
-        allStations.add(stop.stationName);
+        allStations.add(String(stop.stationId));
       });
     });
     const graph = network.network(file);
-    assert.includeMembers(Object.keys(graph), Array.from(allStations));
+    assert.sameMembers(Object.keys(graph.stations), Array.from(allStations));
+  });
+
+  it('should key stations by their stationID', function() {
+    const graph = network.network('railtrack_uk.json');
+    const doncaster = graph.stations[51];
+    assert.equal(doncaster.stationID, 51);
+    assert.equal(doncaster.stationName, 'Doncaster');
+    assert.deepEqual(graph.stationIDs['Doncaster'], [51]);
+  });
+
+  it('should keep stations that share a name apart', function() {
+    const graph = network.network('londish.json');
+    assert.deepEqual(graph.stationIDs['St James Park'], [13, 18]);
+    assert.notEqual(graph.stations[13], graph.stations[18]);
+  });
+
+  it('should index every name used for a stationID', function() {
+    const graph = network.network('londish.json');
+    assert.deepEqual(graph.stationIDs['Stratford'], [41]);
+    assert.deepEqual(graph.stationIDs['Statford'], [41]);
   });
 
   it('should throw a TypeError error if fileName is the wrong data type', function() {
@@ -23,6 +43,16 @@ describe('testing network()', function() {
     }, TypeError);
   });
 
+  it('should link the last stop of a circular route to the first',
+      function() {
+        const graph = network.network('londish.json');
+        const closing = graph.findStation('Kensington').links.filter(
+            (link) => link.station === graph.findStation('Notting Hill Gate'));
+        assert.equal(closing.length, 1);
+        assert.equal(closing[0].routeName, 'Circle Line');
+        assert.equal(closing[0].distance, 3);
+      });
+
   it('should be able to load a railway station with cycles without causing an infinite loop', function() {
     const file = 'kevin_railway.json';
     assert.doesNotThrow(function() {
@@ -38,6 +68,40 @@ describe('testing getBestRoute()', function() {
       network.getBestRoute(graph, 'Tyson', 'Clackton', 2);
     }, TypeError);
   });
+  it('should throw for a number of results that is not a number', function() {
+    const graph = network.network('simpleton_railway.json');
+    [NaN, 'two', 1.5, -1].forEach((maxResults) => {
+      assert.throws(() => network.getBestRoute(graph, 'Alphaville',
+          'Epsilon', maxResults), TypeError, /maxResults must be a whole/);
+    });
+    assert.lengthOf(network.getBestRoute(graph, 'Alphaville', 'Epsilon',
+        Infinity), network.getBestRoute(graph, 'Alphaville', 'Epsilon').length);
+  });
+  it('should not find stations named after Object properties', function() {
+    const graph = network.network('londish.json');
+    ['constructor', 'toString', 'hasOwnProperty', '__proto__']
+        .forEach((name) => {
+          assert.isNull(graph.findStation(name));
+          assert.throws(() => network.getBestRoute(graph, name, 'Brixton', 1),
+              network.StationNotFoundError);
+        });
+  });
+  it('should accept stationIDs as well as names', function() {
+    const graph = network.network('railtrack_uk.json');
+    const byName = network.getBestRoute(graph, 'Truro', 'Oban', 1)[0];
+    const byID = network.getBestRoute(graph, 27, '46', 1)[0];
+    assert.equal(byID.stations[0].stationName, 'Truro');
+    assert.deepEqual(byID.stations, byName.stations);
+  });
+  it('should throw an AmbiguousStationError for a shared name', function() {
+    const graph = network.network('londish.json');
+    assert.throws(function() {
+      network.getBestRoute(graph, 'St James Park', 'Hackney', 1);
+    }, network.AmbiguousStationError, /stationIDs 13, 18/);
+    assert.doesNotThrow(function() {
+      network.getBestRoute(graph, 13, 'Hackney', 1);
+    });
+  });
   it('should instantly stop if you ask for a journey to the same place',
       function() {
         const graph = network.network('./simpleton_railway.json');
@@ -65,6 +129,26 @@ describe('testing getBestRoute()', function() {
         assert.equal(journeys[2].changes, 3);
         assert.equal(journeys[2].distance, 840);
       });
+  it('should return journeys sorted by changes then distance', function() {
+    const graph = network.network('londish.json');
+    const journeys = network.getBestRoute(graph, 'Hackney', 'Brixton', 10);
+    assert.equal(journeys.length, 10);
+    journeys.slice(1).forEach((journey, i) => {
+      const previous = journeys[i];
+      assert.isAtLeast(journey.changes, previous.changes);
+      if (journey.changes === previous.changes) {
+        assert.isAtLeast(journey.distance, previous.distance);
+      }
+    });
+  });
+  it('should return every journey when there are fewer than maxResults',
+      function() {
+        const graph = network.network('kevin_railway.json');
+        const journeys = network.getBestRoute(graph,
+            'Alphaville', 'Gammaton', 10);
+        assert.equal(journeys.length, 2);
+        assert.deepEqual(journeys.map((journey) => journey.distance), [3, 3]);
+      });
   describe('should be able to find a path in a graph with cycles', function() {
     let graph = null;
     this.beforeEach(function() {
@@ -75,9 +159,9 @@ describe('testing getBestRoute()', function() {
       const maxResults = 2;
       const journeys = network.getBestRoute(graph,
           'Alphaville', 'Betaford', maxResults);
-      const alphaville = graph['Alphaville'];
-      const betaford = graph['Betaford'];
-      const gammaton = graph['Gammaton'];
+      const alphaville = graph.findStation('Alphaville');
+      const betaford = graph.findStation('Betaford');
+      const gammaton = graph.findStation('Gammaton');
       assert.equal(journeys.length, maxResults);
       assert.includeMembers(journeys[0].stations, [alphaville, betaford]);
       assert.includeMembers(journeys[1].stations,
@@ -86,6 +170,223 @@ describe('testing getBestRoute()', function() {
   });
 });
 
+describe('testing ranking strategies', function() {
+  let graph = null;
+  beforeEach(function() {
+    graph = network.network('railtrack_uk.json');
+  });
+
+  it('should rank by changes then distance by default', function() {
+    const journeys = network.getBestRoute(graph, 'Truro', 'Oban', 1,
+        {rank: 'changes'});
+    assert.equal(journeys[0].changes, 2);
+    assert.equal(journeys[0].distance, 870);
+  });
+  it('should rank by distance first', function() {
+    const journeys = network.getBestRoute(graph, 'Truro', 'Oban', 5,
+        {rank: 'distance'});
+    assert.equal(journeys[0].distance, 840);
+    journeys.slice(1).forEach((journey, i) => {
+      assert.isAtLeast(journey.distance, journeys[i].distance);
+    });
+  });
+  it('should rank by fewest stops', function() {
+    const journeys = network.getBestRoute(graph, 'Truro', 'Oban', 5,
+        {rank: 'stops'});
+    journeys.slice(1).forEach((journey, i) => {
+      assert.isAtLeast(journey.stations.length, journeys[i].stations.length);
+    });
+  });
+  it('should weigh changes as miles', function() {
+    const cheapChanges = network.getBestRoute(graph, 'Truro', 'Oban', 1,
+        {rank: 'weighted', changePenalty: 0});
+    assert.equal(cheapChanges[0].distance, 840);
+    const dearChanges = network.getBestRoute(graph, 'Truro', 'Oban', 1,
+        {rank: 'weighted', changePenalty: 100});
+    assert.equal(dearChanges[0].changes, 2);
+  });
+  it('should accept a custom cost function', function() {
+    const journeys = network.getBestRoute(graph, 'Truro', 'Oban', 1,
+        {cost: (cost) => cost.distance});
+    assert.equal(journeys[0].distance, 840);
+  });
+  it('should accept a custom comparator', function() {
+    const journeys = network.getBestRoute(graph, 'Truro', 'Oban', 1,
+        {compare: (costA, costB) => costA.changes - costB.changes});
+    assert.equal(journeys[0].changes, 2);
+  });
+  it('should throw a TypeError for an unknown ranking', function() {
+    assert.throws(function() {
+      network.getBestRoute(graph, 'Truro', 'Oban', 1, {rank: 'scenic'});
+    }, TypeError);
+  });
+  it('should read ranking flags from the command line', function() {
+    const args = network.parseArguments(['railtrack_uk.json', 'Truro',
+      '--rank=weighted', 'Oban', '--change-penalty=25', '3',
+      '--aliases=aliases.json']);
+    assert.deepEqual(args.positional,
+        ['railtrack_uk.json', 'Truro', 'Oban', '3']);
+    assert.deepEqual(args.options,
+        {rank: 'weighted', changePenalty: 25, aliasFile: 'aliases.json'});
+  });
+});
+
+describe('testing interchanges', function() {
+  let graph;
+  beforeEach(function() {
+    graph = network.network('timetabled_railway.json');
+  });
+
+  it('should give stations their interchange details', function() {
+    const crayford = graph.findStation('Crayford');
+    assert.equal(crayford.interchange.minConnectionTime, 5);
+    assert.equal(crayford.interchange.walkingDistance, 0.5);
+    assert.isNull(graph.findStation('Erith').interchange);
+  });
+  it('should show the cost of each change in the report', function() {
+    const journey = network.getBestRoute(graph, 'Ashford', 'Farningham', 1,
+        {rank: 'distance'})[0];
+    assert.equal(journey.distance, 30.5);
+    assert.equal(journey.connectionTime, 5);
+    assert.include(journey.report(), 'At Crayford change to Blue Line ' +
+      '(5 min connection, 0.5 miles walk)');
+    assert.include(journey.report(), 'Connection time :5 min');
+  });
+  it('should weigh connection time as miles', function() {
+    const quick = network.getBestRoute(graph, 'Ashford', 'Farningham', 1,
+        {rank: 'weighted', changePenalty: 5, connectionPenalty: 0});
+    assert.equal(quick[0].changes, 1);
+    const slow = network.getBestRoute(graph, 'Ashford', 'Farningham', 1,
+        {rank: 'weighted', changePenalty: 5});
+    assert.equal(slow[0].changes, 0);
+  });
+  it('should never change routes where changes are not allowed', function() {
+    graph.findStation('Crayford').interchange.noInterchange = true;
+    const journeys = network.getBestRoute(graph, 'Ashford', 'Farningham', 5);
+    assert.equal(journeys.length, 2);
+    journeys.forEach((journey) => {
+      assert.notInclude(journey.text, 'At Crayford change');
+    });
+    // travelling through without changing is still allowed
+    const through = network.getBestRoute(graph, 'Ashford', 'Dartford', 1)[0];
+    assert.equal(through.changes, 0);
+    assert.include(through.stations.map((station) => station.stationName),
+        'Crayford');
+  });
+  it('should throw a TypeError for a negative connection penalty', function() {
+    assert.throws(function() {
+      network.getBestRoute(graph, 'Ashford', 'Farningham', 1,
+          {rank: 'weighted', connectionPenalty: -1});
+    }, TypeError);
+  });
+});
+
+describe('testing routesToData()', function() {
+  it('should describe each journey as a record', function() {
+    const graph = network.network('londish.json');
+    const journeys = network.getBestRoute(graph, 'Camden Town', 'Faringdon',
+        2);
+    const records = network.routesToData(journeys);
+    assert.equal(records.length, 2);
+    assert.include(records[0], {
+      type: 'journey',
+      rank: 1,
+      origin: 'Camden Town',
+      destination: 'Faringdon',
+      distance: 7.4,
+      changes: 1,
+      walking: 0.4,
+      schedule: null,
+    });
+    assert.deepEqual(records[0].stations[1],
+        {stationID: 21, stationName: 'Euston'});
+    assert.deepEqual(records[0].legs.map((leg) => leg.routeName),
+        ['Northern Line', null, 'Circle Line']);
+  });
+  it('should return null for invalid input', function() {
+    assert.isNull(network.routesToData());
+  });
+  it('should read the format from the command line', function() {
+    const args = network.parseArguments(['--format=ndjson']);
+    assert.deepEqual(args.options, {format: 'ndjson'});
+  });
+});
+
+describe('testing walking transfers', function() {
+  let graph;
+  beforeEach(function() {
+    graph = network.network('londish.json');
+  });
+
+  it('should link nearby stations both ways', function() {
+    const euston = graph.findStation(21);
+    const walks = euston.links.filter((link) => link.isWalk);
+    assert.equal(walks.length, 1);
+    assert.equal(walks[0].station.stationName, 'Kings Cross');
+    assert.isNull(walks[0].routeName);
+    assert.isTrue(graph.findStation('Kings Cross').links
+        .some((link) => link.isWalk && link.station === euston));
+  });
+  it('should show walks in the report', function() {
+    const journey = network.getBestRoute(graph, 'Camden Town', 'Faringdon',
+        1)[0];
+    assert.equal(journey.text, 'Embark at Camden Town on Northern Line\n' +
+      'At Euston walk to Kings Cross (0.4 miles)\n' +
+      'At Kings Cross change to Circle Line\n' +
+      'Arrive at Faringdon');
+    assert.equal(journey.changes, 1);
+    assert.equal(journey.distance, 7.4);
+    assert.include(journey.report(), 'Walking :0.4 miles');
+  });
+  it('should not count a walk before boarding as a change', function() {
+    const journey = network.getBestRoute(graph, 'Euston', 'Faringdon', 1)[0];
+    assert.equal(journey.changes, 0);
+    assert.match(journey.text, /^At Euston walk to Kings Cross/);
+  });
+  it('should limit the miles walked', function() {
+    const journeys = network.getBestRoute(graph, 'Camden Town', 'Faringdon',
+        5, {maxWalking: 0.2});
+    assert.isNotEmpty(journeys);
+    journeys.forEach((journey) => {
+      assert.isAtMost(journey.walking, 0.2);
+    });
+    assert.isEmpty(network.getBestRoute(graph, 'Camden Town', 'Faringdon', 5,
+        {maxWalking: 0}).filter((journey) => journey.walking > 0));
+  });
+  it('should penalise walking in the weighted ranking', function() {
+    const journeys = network.getBestRoute(graph, 'Camden Town', 'Faringdon',
+        1, {rank: 'weighted', changePenalty: 0, walkPenalty: 100});
+    assert.equal(journeys[0].walking, 0);
+  });
+  it('should read walking flags from the command line', function() {
+    const args = network.parseArguments(['londish.json', 'Euston',
+      'Faringdon', '3', '--walk-penalty=2', '--max-walk=0.5']);
+    assert.deepEqual(args.options, {walkPenalty: 2, maxWalking: 0.5});
+  });
+});
+
+describe('testing stationsNear()', function() {
+  const graph = network.network('londish.json');
+
+  it('should list stations by train or on foot, nearest first', function() {
+    const near = network.stationsNear(graph, 'euston', 2)
+        .map((item) => [item.station.stationName, item.distance]);
+    assert.deepEqual(near, [
+      ['Kings Cross', 0.4],
+      ['Portland Street', 1.5],
+      ['Portland Street', 1.6],
+      ['Camden Town', 2],
+    ]);
+  });
+  it('should find nothing within no miles', function() {
+    assert.isEmpty(network.stationsNear(graph, 'Euston', 0));
+  });
+  it('should throw for an unknown station', function() {
+    assert.throws(() => network.stationsNear(graph, 'Eustin', 1),
+        network.StationNotFoundError, /Did you mean Euston/);
+  });
+});
+
 describe('testing with console.log', function() {
   // Mock logger to test functions that log to the console
   let originalConsoleLog = null;
@@ -109,7 +410,11 @@ describe('testing with console.log', function() {
     it('should should return the usage message', function() {
       network.printUsageMessage();
       assert.equal(log, 'Error! Usage: node network.js <data set> ' +
-        '<origin> <destination> <max results>');
+        '<origin> <destination> <max results> ' +
+        '[--rank=changes|distance|stops|weighted] [--change-penalty=<miles>] ' +
+        '[--connection-penalty=<miles>] [--walk-penalty=<miles>] ' +
+        '[--max-walk=<miles>] [--aliases=<file>] ' +
+        '[--depart=<HH:MM>|--arrive-by=<HH:MM>] [--format=text|json|ndjson]');
     });
   });
 
@@ -137,6 +442,15 @@ describe('testing with console.log', function() {
       assert.include(log, 'Changes :0');
       assert.include(log, 'Passing through: Alphaville, Betaford, Gammaton, Deltafield, Epsilon,');
     });
+
+    it('should print the journeys as JSON records', function() {
+      const graph = network.network('simpleton_railway.json');
+      const journeys = network.getBestRoute(graph, 'Alphaville', 'Epsilon', 1);
+      network.displayRoutes(journeys, 'json');
+      const printed = JSON.parse(log);
+      assert.equal(printed.schemaVersion, 1);
+      assert.equal(printed.records[0].destination, 'Epsilon');
+    });
   });
 
   describe('testing main, should exit with a message for each', function() {
@@ -144,6 +458,7 @@ describe('testing with console.log', function() {
 
     let oldExit = null;
     let exited = false;
+    let exitCode = null;
 
     before(function() {
       oldExit = process.exit;
@@ -151,8 +466,10 @@ describe('testing with console.log', function() {
 
     beforeEach(function() {
       exited = false;
-      process.exit = () => {
+      exitCode = null;
+      process.exit = (code) => {
         exited = true;
+        exitCode = code;
         console.log('exited');
       };
     });
@@ -165,6 +482,7 @@ describe('testing with console.log', function() {
         function() {
           network.main('railtrack_uk.json', 'Oban', 'Glasgow', 'seven');
           assert.isTrue(exited);
+          assert.equal(exitCode, 2);
           assert.include(log, 'maxResults is not a number');
         });
 
@@ -183,6 +501,12 @@ describe('testing with console.log', function() {
       assert.isTrue(exited);
       assert.include(log, 'destination is not a string');
     });
+    it('should exit with a message for an unknown ranking', function() {
+      network.main('railtrack_uk.json', 'Oban', 'Glasgow', 7, {rank: 'nope'});
+      assert.isTrue(exited);
+      assert.equal(exitCode, 2);
+      assert.include(log, 'Unknown ranking');
+    });
     it('should work normally when everything is ok', function() {
       network.main('railtrack_uk.json', 'Oban', 'Glasgow', 7);
       assert.isFalse(exited);
@@ -0,0 +1,35 @@
+const output = require('../output.js');
+const assert = require('chai').assert;
+
+describe('testing output formats', function() {
+  const records = [{type: 'route', name: 'A'}, {type: 'route', name: 'B'}];
+
+  it('should wrap JSON records with the schema version', function() {
+    assert.deepEqual(JSON.parse(output.toJSON(records)),
+        {schemaVersion: output.SCHEMA_VERSION, records: records});
+  });
+  it('should write one record per NDJSON line', function() {
+    const lines = output.toNDJSON(records).split('\n');
+    assert.equal(lines.length, 2);
+    assert.deepEqual(JSON.parse(lines[1]),
+        {schemaVersion: output.SCHEMA_VERSION, type: 'route', name: 'B'});
+  });
+  it('should write nothing for no NDJSON records', function() {
+    assert.equal(output.toNDJSON([]), '');
+  });
+  it('should pick the writer by format', function() {
+    assert.equal(output.formatRecords(records, 'ndjson'),
+        output.toNDJSON(records));
+    assert.equal(output.formatRecords(records, 'json'),
+        output.toJSON(records));
+  });
+  it('should throw a TypeError for an unknown format', function() {
+    assert.equal(output.checkFormat('json'), 'json');
+    assert.throws(() => output.checkFormat('xml'), TypeError, /text, json/);
+  });
+  it('should round numbers to two decimal places', function() {
+    assert.equal(output.round(3.14159), 3.14);
+    assert.equal(output.round(-0.444), -0.44);
+    assert.equal(output.round(7), 7);
+  });
+});
@@ -1,5 +1,7 @@
 const railway = require('../railway.js');
 const assert = require('chai').assert;
+const {StationNotFoundError} = require('../resolver.js');
+const {AmbiguousStationError} = require('../network.js');
 
 describe('Testing loadData', function() {
   it('should throw an error when file isn\'t present', function() {
@@ -165,6 +167,14 @@ describe('Testing railwayNetwork functions', function() {
     it('should return null if incorrect data is passed', function() {
       assert.isNull(railway.routeSummary('no'));
     });
+    it('should summarise a route with no stops yet', function() {
+      const data = railway.readData('simpleton_railway.json');
+      data.addRoute('Branch', 'Blue');
+      assert.match(railway.routeSummary(data),
+          /Branch\s+-\(no stops\)\s+\(no stops\)\s+-\s+0 miles/);
+      assert.deepInclude(railway.routeSummaryToData(data).routes[1],
+          {name: 'Branch', firstStop: null, lastStop: null, distance: 0});
+    });
   });
 
   describe('Testing routeDistance()', function() {
@@ -261,15 +271,10 @@ describe('testing findRoute()', function() {
     railtrackUK = railway.readData('railtrack_uk.json');
   });
 
-  it('should return message for not finding route', function() {
-    const station1 = 'Lackluster';
-    const station2 = 'Chester';
-
-    const foundRoute = railway.findRoute(railtrackUK, station1, station2);
-    assert.equal(
-        foundRoute,
-        'No direct route found between Lackluster and Chester',
-    );
+  it('should throw with suggestions for an unknown station', function() {
+    assert.throws(
+        () => railway.findRoute(railtrackUK, 'Lackluster', 'Chester'),
+        StationNotFoundError, 'Did you mean Lancaster?');
   });
   it('should return cardiff to reading on great western railway', function() {
     const station1 = 'Cardiff';
@@ -289,4 +294,305 @@ describe('testing findRoute()', function() {
         'Great Western Railway: Reading to Cardiff 3 stops and 145 miles',
     );
   });
+  it('should return a structured result for a direct route', function() {
+    const foundRoute = railway.findRoute(railtrackUK, 'Cardiff', 'Reading');
+    assert.isTrue(foundRoute.found);
+    assert.deepEqual(foundRoute.legs, [{
+      routeName: 'Great Western Railway',
+      from: 'Cardiff',
+      to: 'Reading',
+      stops: 3,
+      distance: 145,
+    }]);
+    assert.deepEqual(foundRoute.interchanges, []);
+  });
+  it('should cross interchanges when no route has both stations', function() {
+    const foundRoute = railway.findRoute(railtrackUK, 'Truro', 'Oban');
+    assert.isTrue(foundRoute.found);
+    assert.deepEqual(foundRoute.legs.map((leg) => leg.routeName), [
+      'Network South West',
+      'West Coast Main Line',
+      'West Scotland Line',
+    ]);
+    assert.deepEqual(foundRoute.interchanges, ['Birmingham', 'Glasgow']);
+    assert.equal(foundRoute.stops, 15);
+    assert.equal(foundRoute.distance, 870);
+    assert.equal(railway.foundRouteToString(foundRoute),
+        'Network South West, West Coast Main Line, West Scotland Line: ' +
+        'Truro to Oban 15 stops and 870 miles, changing at Birmingham, ' +
+        'Glasgow');
+  });
+  it('should show walks between stations as legs', function() {
+    const londish = railway.readData('londish.json');
+    const foundRoute = railway.findRoute(londish, 'Camden Town', 'Faringdon');
+    assert.deepEqual(foundRoute.legs[1], {
+      routeName: null,
+      from: 'Euston',
+      to: 'Kings Cross',
+      stops: 1,
+      distance: 0.4,
+    });
+    assert.equal(foundRoute.stops, 2);
+    assert.equal(foundRoute.walking, 0.4);
+    assert.deepEqual(foundRoute.interchanges, ['Kings Cross']);
+    assert.equal(String(foundRoute), 'Northern Line, walk, Circle Line: ' +
+      'Camden Town to Faringdon 2 stops and 7.4 miles, walking 0.4 miles, ' +
+      'changing at Kings Cross');
+  });
+  it('should throw for a name used by more than one station', function() {
+    const londish = railway.readData('londish.json');
+    assert.throws(
+        () => railway.findRoute(londish, 'St James Park', 'Hackney'),
+        AmbiguousStationError,
+        'Station name St James Park is ambiguous, it matches the ' +
+        'stationIDs 13, 18');
+  });
+});
+
+describe('testing circular routes', function() {
+  let londish;
+  let circleLine;
+  beforeEach(function() {
+    londish = railway.readData('londish.json');
+    circleLine = railway.getRoute(londish, 'Circle Line');
+  });
+
+  it('should load the circular flag and closing distance', function() {
+    assert.isTrue(circleLine.circular);
+    assert.equal(circleLine.closingDistance, 3);
+    assert.isFalse(railway.getRoute(londish, 'District Line').circular);
+  });
+  it('should include the closing distance in the route distance', function() {
+    assert.equal(railway.routeDistance(circleLine), 40);
+  });
+  it('should show the way back to the first stop', function() {
+    const routeSynopsis = railway.routeToString(circleLine);
+    assert.include(routeSynopsis, '14 Kensington 37 miles\n' +
+      'Back to Notting Hill Gate 40 miles\n');
+    assert.include(routeSynopsis, 'Total Route Distance: 40 miles');
+  });
+  it('should go the shorter way around', function() {
+    assert.equal(
+        railway.findRoute(londish, 'Notting Hill Gate', 'Kensington'),
+        'Circle Line: Notting Hill Gate to Kensington 1 stops and 3 miles',
+    );
+    assert.equal(
+        railway.findRoute(londish, 'Edgeware Road', 'Baker Street'),
+        'Circle Line: Edgeware Road to Baker Street 1 stops and 2 miles',
+    );
+  });
+});
+
+describe('testing JSON output', function() {
+  let railwaySystem;
+  beforeEach(function() {
+    railwaySystem = railway.readData('notional_ra.json');
+  });
+
+  it('should give the stops and distances of a route', function() {
+    const record = railway.routeToData(
+        railway.getRoute(railwaySystem, 'Northern Line'));
+    assert.equal(record.type, 'route');
+    assert.equal(record.distance, 60);
+    assert.deepEqual(record.stops[1], {
+      number: 2,
+      stationName: 'Central',
+      stationID: 3,
+      distanceFromStart: 30,
+    });
+  });
+  it('should give the first and last stop of each route', function() {
+    const record = railway.routeSummaryToData(railwaySystem);
+    assert.equal(record.networkName, 'Notional Railway Company');
+    assert.equal(record.totalStations, 9);
+    assert.deepEqual(record.routes[1], {
+      name: 'Northern Line',
+      firstStop: 'Tadcaster',
+      lastStop: 'Lackluster',
+      distance: 60,
+    });
+  });
+  it('should return null if incorrect data is passed', function() {
+    assert.isNull(railway.routeToData('no'));
+    assert.isNull(railway.routeSummaryToData('no'));
+  });
+  it('should print records from main in the json format', function() {
+    const originalConsoleLog = console.log;
+    let log = '';
+    console.log = (...args) => {
+      log += args.join('\n');
+    };
+    try {
+      railway.main('notional_ra.json', 'Northern Line', 'json');
+    } finally {
+      console.log = originalConsoleLog;
+    }
+    const records = JSON.parse(log).records;
+    assert.deepEqual(records.map((record) => record.type),
+        ['route', 'summary']);
+  });
+});
+
+describe('testing network editing', function() {
+  let data;
+  let route;
+  beforeEach(function() {
+    data = railway.readData('simpleton_railway.json');
+    route = data.routes[0];
+  });
+
+  const stopsOf = (editedRoute) => editedRoute.stops.map((stop) =>
+    [stop.number, stop.stationName, stop.distanceToPrev, stop.distanceToNext]);
+
+  it('should insert a stop between two others', function() {
+    route.insertStop(2, 'Alephton', 6, 10, 15);
+    assert.deepEqual(stopsOf(route).slice(0, 4), [
+      [1, 'Alphaville', null, 10],
+      [2, 'Alephton', 10, 15],
+      [3, 'Betaford', 15, 25],
+      [4, 'Gammaton', 25, 25],
+    ]);
+    assert.equal(railway.routeDistance(route), 100);
+  });
+  it('should extend a route at either end', function() {
+    route.insertStop(6, 'Zeta', 6, 30);
+    route.insertStop(1, 'Omega', 7, null, 5);
+    const stops = stopsOf(route);
+    assert.deepEqual(stops[0], [1, 'Omega', null, 5]);
+    assert.deepEqual(stops[1], [2, 'Alphaville', 5, 25]);
+    assert.deepEqual(stops[6], [7, 'Zeta', 30, null]);
+    assert.equal(railway.routeDistance(route), 135);
+  });
+  it('should need the distances to the neighbours', function() {
+    assert.throws(() => route.insertStop(2, 'Alephton', 6, 10),
+        TypeError, /distanceToNext/);
+    assert.throws(() => route.insertStop(7, 'Zeta', 6, 10), RangeError);
+    assert.equal(route.stops.length, 5);
+  });
+  it('should remove a stop and join its neighbours', function() {
+    const removed = route.removeStop(3);
+    assert.equal(removed.stationName, 'Gammaton');
+    assert.deepEqual(stopsOf(route), [
+      [1, 'Alphaville', null, 25],
+      [2, 'Betaford', 25, 50],
+      [3, 'Deltafield', 50, 25],
+      [4, 'Epsilon', 25, null],
+    ]);
+    route.removeStop(4);
+    assert.deepEqual(stopsOf(route)[2], [3, 'Deltafield', 50, null]);
+  });
+  it('should move a stop', function() {
+    route.moveStop(1, 5, 5, null);
+    assert.deepEqual(stopsOf(route).map((stop) => stop[1]),
+        ['Betaford', 'Gammaton', 'Deltafield', 'Epsilon', 'Alphaville']);
+    assert.deepEqual(stopsOf(route)[0], [1, 'Betaford', null, 25]);
+    assert.deepEqual(stopsOf(route)[4], [5, 'Alphaville', 5, null]);
+  });
+  it('should leave the route as it was when a move fails', function() {
+    const before = stopsOf(route);
+    assert.throws(() => route.moveStop(5, 2, 10), TypeError);
+    assert.deepEqual(stopsOf(route), before);
+  });
+  it('should set a distance on both stops', function() {
+    route.setDistance(2, 30);
+    assert.equal(route.stops[1].distanceToNext, 30);
+    assert.equal(route.stops[2].distanceToPrev, 30);
+    assert.throws(() => route.setDistance(5, 1), RangeError, /last stop/);
+  });
+  it('should keep the closing distance of a circular route', function() {
+    const circle = railway.getRoute(railway.readData('londish.json'),
+        'Circle Line');
+    circle.insertStop(15, 'Holland Park', 50, 1, 2);
+    assert.equal(circle.stops[13].distanceToNext, 1);
+    assert.equal(circle.closingDistance, 2);
+    circle.removeStop(1);
+    assert.equal(circle.closingDistance, 6);
+    assert.isNull(circle.stops[0].distanceToPrev);
+    circle.setDistance(14, 7);
+    assert.equal(circle.closingDistance, 7);
+  });
+  it('should not edit the stops of a timetable with times per stop',
+      function() {
+        const timetabled = railway.readData('timetabled_railway.json');
+        const blue = railway.getRoute(timetabled, 'Blue Line');
+        assert.throws(() => blue.removeStop(1), TypeError, /timetable/);
+      });
+  it('should add, rename and remove routes', function() {
+    const added = data.addRoute('Branch', 'Blue');
+    added.insertStop(1, 'Betaford', 2);
+    added.insertStop(2, 'Siding', 9, 3);
+    assert.deepEqual(railway.getRouteNames(data), ['Simpleton', 'Branch']);
+    assert.throws(() => data.addRoute('Branch', 'Red'), TypeError);
+    data.renameRoute('Branch', 'Spur');
+    assert.strictEqual(railway.getRoute(data, 'Spur'), added);
+    assert.strictEqual(data.removeRoute('Spur'), added);
+    assert.throws(() => data.removeRoute('Spur'), TypeError, /not found/);
+  });
+  it('should rename a station on every route', function() {
+    data.addRoute('Branch', 'Blue').insertStop(1, 'Betaford', 2);
+    assert.equal(data.renameStation('Betaford', 'Betaford Parkway'), 2);
+    assert.equal(data.routes[1].stops[0].stationName, 'Betaford Parkway');
+    assert.equal(data.renameStation(2, 'Betaford'), 2);
+    assert.throws(() => data.renameStation(2, 'Gammaton'), TypeError,
+        /already the name of stationID 3/);
+    assert.throws(() => data.renameStation('Nowhere', 'X'), TypeError);
+  });
+});
+
+describe('testing saveData()', function() {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const fileName = path.join(os.tmpdir(), `saved_${process.pid}.json`);
+
+  afterEach(function() {
+    if (fs.existsSync(fileName)) {
+      fs.unlinkSync(fileName);
+    }
+  });
+
+  it('should write an unchanged network as it was read', function() {
+    ['simpleton_railway.json', 'londish.json'].forEach((original) => {
+      railway.saveData(railway.readData(original), fileName);
+      assert.equal(fs.readFileSync(fileName, 'utf8'),
+          fs.readFileSync(original, 'utf8'));
+    });
+  });
+  it('should keep timetables, interchanges and transfers', function() {
+    railway.saveData(railway.readData('timetabled_railway.json'), fileName);
+    assert.deepEqual(JSON.parse(fs.readFileSync(fileName, 'utf8')),
+        JSON.parse(fs.readFileSync('timetabled_railway.json', 'utf8')));
+  });
+  it('should keep station locations', function() {
+    railway.saveData(railway.readData('located_railway.json'), fileName);
+    assert.equal(fs.readFileSync(fileName, 'utf8'),
+        fs.readFileSync('located_railway.json', 'utf8'));
+    const saved = railway.readData(fileName);
+    assert.include(railway.getLocation(saved, 6), {lat: 51.7535, lon: -1.27});
+    assert.isNull(railway.getLocation(saved, 5));
+  });
+  it('should save an added route that loads back strictly', function() {
+    const data = railway.readData('simpleton_railway.json');
+    const branch = data.addRoute('Branch', 'Blue');
+    assert.throws(() => railway.saveData(data, fileName), TypeError,
+        /Branch has no stops/);
+    assert.isFalse(fs.existsSync(fileName));
+    branch.insertStop(1, 'Betaford', 2);
+    branch.insertStop(2, 'Siding', 9, 3);
+    railway.saveData(data, fileName);
+    const saved = railway.readData(fileName, {strict: true});
+    assert.equal(railway.serializeNetwork(saved),
+        railway.serializeNetwork(data));
+  });
+  it('should save edits that load back', function() {
+    const data = railway.readData('simpleton_railway.json');
+    data.routes[0].insertStop(2, 'Alephton', 6, 10, 15);
+    railway.saveData(data, fileName);
+    const saved = railway.readData(fileName, {strict: true});
+    assert.equal(saved.routes[0].stops[1].stationName, 'Alephton');
+    assert.equal(saved.routes[0].stops[2].number, 3);
+  });
+  it('should only save a RailwayNetwork', function() {
+    assert.throws(() => railway.saveData({}, fileName), TypeError);
+  });
 });
@@ -0,0 +1,182 @@
+const repl = require('../repl.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {PassThrough} = require('stream');
+const assert = require('chai').assert;
+
+describe('testing tokenize()', function() {
+  it('should split words on spaces', function() {
+    assert.deepEqual(repl.tokenize('  plan Euston   Brixton ').words,
+        ['plan', 'Euston', 'Brixton']);
+  });
+  it('should keep quoted and escaped spaces in a word', function() {
+    assert.deepEqual(
+        repl.tokenize('plan "Kings Cross" St\\ James\\ Park \'a b\'').words,
+        ['plan', 'Kings Cross', 'St James Park', 'a b'],
+    );
+  });
+  it('should report the last word as typed and an open quote', function() {
+    assert.deepEqual(repl.tokenize('plan "Kings Cr'),
+        {words: ['plan', 'Kings Cr'], quote: '"', partial: '"Kings Cr'});
+    assert.equal(repl.tokenize('plan Kings\\ Cr').partial, 'Kings\\ Cr');
+    assert.equal(repl.tokenize('plan ').partial, '');
+  });
+});
+
+describe('testing Shell', function() {
+  // Mock the console to capture the output of the commands
+  const originalConsoleLog = console.log;
+  const originalConsoleError = console.error;
+  let log = '';
+  let error = '';
+  let shell = null;
+
+  beforeEach(function() {
+    log = '';
+    error = '';
+    console.log = (...args) => {
+      log += args.join(' ') + '\n';
+    };
+    console.error = (...args) => {
+      error += args.join(' ') + '\n';
+    };
+    shell = new repl.Shell('londish.json');
+    log = '';
+  });
+
+  afterEach(function() {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  it('should plan on the graph it already built', function() {
+    const graph = shell.graph;
+    assert.isTrue(shell.execute('plan "kings cross" Brixton -n 1'));
+    assert.include(log, 'Routes found: 1');
+    assert.include(log, 'Embark at Kings Cross on District Line');
+    assert.strictEqual(shell.graph, graph);
+  });
+  it('should run the CLI commands', function() {
+    shell.execute('route Circle\\ Line');
+    assert.include(log, 'ROUTE: Circle Line');
+    shell.execute('stations');
+    assert.include(log, 'Euston (21)');
+  });
+  it('should list nearby stations', function() {
+    shell.execute('near Euston 0.5');
+    assert.equal(log, 'Kings Cross (0.4 miles)\n');
+    shell.execute('near Euston 0.1');
+    assert.include(log, 'No stations within 0.1 miles of Euston');
+  });
+  it('should switch and reload networks', function() {
+    shell.execute('use simpleton_railway.json');
+    assert.equal(shell.fileName, 'simpleton_railway.json');
+    assert.include(log, 'Loaded');
+    shell.execute('reload');
+    assert.equal(shell.fileName, 'simpleton_railway.json');
+  });
+  it('should keep the network when another can not be loaded', function() {
+    const data = shell.data;
+    assert.isTrue(shell.execute('use no_such_railway.json'));
+    assert.include(error, 'File not found: no_such_railway.json');
+    assert.strictEqual(shell.data, data);
+  });
+  it('should report errors and carry on', function() {
+    assert.isTrue(shell.execute('teleport'));
+    assert.include(error, 'Unknown command teleport');
+    assert.isTrue(shell.execute('plan "Kings Cross'));
+    assert.include(error, 'Unclosed quote');
+    assert.isTrue(shell.execute('near'));
+    assert.include(error, 'Usage: near <station> [miles]');
+    assert.isTrue(shell.execute('route Victoria --format=xml'));
+    assert.include(error, 'Unknown format');
+  });
+  it('should show help', function() {
+    shell.execute('help');
+    assert.include(log, 'near <station> [miles]');
+    assert.include(log, 'plan <from> <to>');
+    shell.execute('plan --help');
+    assert.include(log, '--arrive-by <HH:MM>');
+    assert.notInclude(log, '--data');
+  });
+  it('should stop on quit and exit', function() {
+    assert.isFalse(shell.execute('quit'));
+    assert.isFalse(shell.execute('exit'));
+    assert.isTrue(shell.execute(''));
+  });
+
+  describe('tab completion', function() {
+    it('should complete command names', function() {
+      assert.deepEqual(shell.complete('ro'), [['route', 'routes'], 'ro']);
+    });
+    it('should escape the spaces of station names', function() {
+      assert.deepEqual(shell.complete('plan Euston Kings'),
+          [['Kings\\ Cross'], 'Kings']);
+    });
+    it('should quote names when a quote is open', function() {
+      assert.deepEqual(shell.complete('find "Kings C'),
+          [['"Kings Cross"'], '"Kings C']);
+    });
+    it('should complete route names for route', function() {
+      assert.deepEqual(shell.complete('route Ci'),
+          [['Circle\\ Line', 'City\\ Line'], 'Ci']);
+    });
+    it('should not complete options', function() {
+      assert.deepEqual(shell.complete('plan --r'), [[], '--r']);
+    });
+  });
+});
+
+describe('testing the shell history', function() {
+  const historyFile = path.join(os.tmpdir(), `railway_history_${process.pid}`);
+
+  afterEach(function() {
+    if (fs.existsSync(historyFile)) {
+      fs.unlinkSync(historyFile);
+    }
+  });
+
+  it('should keep history between sessions, newest first', function() {
+    repl.saveHistory(historyFile, ['plan A B', 'routes']);
+    assert.equal(fs.readFileSync(historyFile, 'utf8'), 'routes\nplan A B\n');
+    assert.deepEqual(repl.loadHistory(historyFile), ['plan A B', 'routes']);
+  });
+  it('should start with no history', function() {
+    assert.deepEqual(repl.loadHistory(historyFile), []);
+    assert.deepEqual(repl.loadHistory(null), []);
+  });
+});
+
+describe('testing start()', function() {
+  const originalConsoleLog = console.log;
+  let log = '';
+
+  afterEach(function() {
+    console.log = originalConsoleLog;
+  });
+
+  it('should run commands until quit', function(done) {
+    console.log = (...args) => {
+      log += args.join(' ') + '\n';
+    };
+    const input = new PassThrough();
+    const rl = repl.start('londish.json', {
+      input: input,
+      output: new PassThrough(),
+      historyFile: null,
+      terminal: false,
+    });
+    rl.on('close', () => {
+      // check once the lines after quit have been handed over too
+      setImmediate(() => {
+        console.log = originalConsoleLog;
+        assert.include(log, 'Loaded Notional Railway Company');
+        assert.include(log, 'Circle Line\nNorthern Line');
+        assert.notInclude(log, 'Embark at');
+        done();
+      });
+    });
+    input.write('routes\nquit\nplan Euston Brixton -n 1\n');
+  });
+});
@@ -0,0 +1,71 @@
+const resilience = require('../resilience.js');
+const network = require('../network.js');
+const {toCSV} = require('../output.js');
+const assert = require('chai').assert;
+
+describe('testing routeSegments()', function() {
+  it('should list the stretches between neighbouring stops', function() {
+    const graph = network.network('simpleton_railway.json');
+    const segments = resilience.routeSegments(graph);
+    assert.lengthOf(segments, 4);
+    assert.equal(segments[0].from.stationName, 'Alphaville');
+    assert.equal(segments[0].to.stationName, 'Betaford');
+  });
+  it('should go back round a circular route', function() {
+    const graph = network.network('londish.json');
+    const circle = resilience.routeSegments(graph)
+        .filter((segment) => segment.route === 'Circle Line');
+    const stops = graph.routes['Circle Line'].stops;
+    assert.lengthOf(circle, stops.length);
+    assert.equal(circle[circle.length - 1].to, stops[0]);
+  });
+});
+
+describe('testing resilienceSweep()', function() {
+  const graph = network.network('simpleton_railway.json');
+  const assets = resilience.resilienceSweep(graph);
+
+  it('should close every station and segment once', function() {
+    assert.lengthOf(assets, 9);
+    assert.deepEqual(assets.map((asset) => asset.rank),
+        [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+  it('should rank the assets that cut off most pairs first', function() {
+    // the middle of the line and the stretches either side of it
+    assert.include(assets[0], {
+      type: 'asset-resilience',
+      asset: 'segment',
+      pairs: 20,
+      unreachable: 12,
+    });
+    const gammaton = assets.find((asset) => asset.name === 'Gammaton');
+    assert.include(gammaton, {asset: 'station', pairs: 12, unreachable: 8});
+    const last = assets[assets.length - 1];
+    assert.equal(last.asset, 'station');
+    assert.equal(last.unreachable, 0);
+  });
+  it('should average the detours over the pairs still connected', function() {
+    const londish = network.network('londish.json');
+    const circle = resilience.resilienceSweep(londish, {stations: false})
+        .find((asset) => asset.name ===
+          'Circle Line Kensington - Notting Hill Gate');
+    assert.equal(circle.unreachable, 0);
+    assert.isAbove(circle.averageExtraDistance, 0);
+    assert.equal(circle.route, 'Circle Line');
+  });
+  it('should leave out stations or segments when asked', function() {
+    const segments = resilience.resilienceSweep(graph, {stations: false});
+    assert.lengthOf(segments, 4);
+    assert.isTrue(segments.every((asset) => asset.asset === 'segment'));
+  });
+  it('should report the assets as text and CSV', function() {
+    const report = resilience.resilienceToString(graph.networkName, assets,
+        2);
+    assert.include(report, 'Assets tested: 5 station(s), 4 segment(s)');
+    assert.match(report, /\n {3}2\. segment Simpleton \w+ - \w+: 12 pair/);
+    assert.notInclude(report, '3. ');
+    const csv = toCSV(assets, resilience.CSV_COLUMNS).split('\n');
+    assert.equal(csv[0], resilience.CSV_COLUMNS.join(','));
+    assert.lengthOf(csv, 10);
+  });
+});
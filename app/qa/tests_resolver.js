@@ -0,0 +1,90 @@
+const resolver = require('../resolver.js');
+const railway = require('../railway.js');
+const network = require('../network.js');
+const assert = require('chai').assert;
+
+describe('testing normalizeName()', function() {
+  it('should ignore case, punctuation and accents', function() {
+    assert.equal(resolver.normalizeName('King\'s Cross'), 'kings cross');
+    assert.equal(resolver.normalizeName('KINGS  CROSS'), 'kings cross');
+    assert.equal(resolver.normalizeName('St. Pancras-International'),
+        'st pancras international');
+    assert.equal(resolver.normalizeName('Gare de l’Est'), 'gare de lest');
+    assert.equal(resolver.normalizeName('Montréal'), 'montreal');
+  });
+});
+
+describe('testing StationResolver', function() {
+  let stations;
+  beforeEach(function() {
+    stations = new resolver.StationResolver(railway.readData('londish.json'),
+        {'KX': 'Kings Cross', 'The Circus': 'picadilly circus'});
+  });
+
+  it('should resolve exact names', function() {
+    assert.equal(stations.resolve('Kings Cross'), 'Kings Cross');
+  });
+  it('should resolve names that differ in case and punctuation', function() {
+    assert.equal(stations.resolve('King\'s Cross'), 'Kings Cross');
+    assert.equal(stations.resolve('kings-cross'), 'Kings Cross');
+  });
+  it('should resolve aliases', function() {
+    assert.equal(stations.resolve('kx'), 'Kings Cross');
+    assert.equal(stations.resolve('The Circus'), 'Picadilly Circus');
+  });
+  it('should return null for unknown names', function() {
+    assert.isNull(stations.resolve('Kings Crs'));
+  });
+  it('should suggest the most similar names first', function() {
+    assert.deepEqual(stations.suggest('Kings Crs'), ['Kings Cross']);
+    assert.equal(stations.suggest('Stratfrod')[0], 'Stratford');
+    assert.deepEqual(stations.suggest('Zzzzzz'), []);
+  });
+  it('should throw a StationNotFoundError with suggestions', function() {
+    try {
+      stations.require('Kings Crs');
+      assert.fail('Kings Crs should not resolve');
+    } catch (error) {
+      assert.instanceOf(error, resolver.StationNotFoundError);
+      assert.instanceOf(error, TypeError);
+      assert.deepEqual(error.suggestions, ['Kings Cross']);
+      assert.include(error.message, 'Did you mean Kings Cross?');
+    }
+  });
+  it('should work over the graph from network()', function() {
+    const graphStations = new resolver.StationResolver(
+        network.network('londish.json'));
+    assert.equal(graphStations.resolve('kings cross'), 'Kings Cross');
+  });
+});
+
+describe('testing station resolution when planning', function() {
+  let graph;
+  beforeEach(function() {
+    graph = network.network('railtrack_uk.json');
+  });
+
+  it('should plan with loosely typed names', function() {
+    const journey = network.getBestRoute(graph, 'truro', 'OBAN', 1)[0];
+    assert.equal(journey.stations[0].stationName, 'Truro');
+    assert.equal(journey.stations[journey.stations.length - 1].stationName,
+        'Oban');
+  });
+  it('should plan with aliases', function() {
+    const journey = network.getBestRoute(graph, 'Cornwall', 'Oban', 1,
+        {aliases: {Cornwall: 'Truro'}})[0];
+    assert.equal(journey.stations[0].stationName, 'Truro');
+  });
+  it('should suggest names for a mistyped station', function() {
+    assert.throws(function() {
+      network.getBestRoute(graph, 'Trurro', 'Oban', 1);
+    }, network.StationNotFoundError, 'Did you mean Truro?');
+  });
+  it('should suggest names in findRoute', function() {
+    const data = railway.readData('railtrack_uk.json');
+    assert.throws(() => railway.findRoute(data, 'Cardif', 'Reading'),
+        network.StationNotFoundError, 'Did you mean Cardiff?');
+    assert.equal(railway.findRoute(data, 'cardiff', 'READING'),
+        'Great Western Railway: Cardiff to Reading 3 stops and 145 miles');
+  });
+});
@@ -0,0 +1,175 @@
+const schema = require('../schema.js');
+const railway = require('../railway.js');
+const assert = require('chai').assert;
+
+/**
+ * Returns a small valid network document that tests can break.
+ * @return {object}
+ */
+function validNetwork() {
+  return {
+    networkName: 'Test Railway',
+    routes: [
+      {
+        name: 'Only Line',
+        color: 'Red',
+        stops: [
+          {stop: 1, stationName: 'Alpha', stationID: 1,
+            distanceToNext: 5, distanceToPrev: null},
+          {stop: 2, stationName: 'Beta', stationID: 2,
+            distanceToNext: null, distanceToPrev: 5},
+        ],
+      },
+    ],
+  };
+}
+
+describe('Testing validateNetwork()', function() {
+  it('should find no problems in a valid network', function() {
+    assert.deepEqual(schema.validateNetwork(validNetwork()), []);
+  });
+  it('should report a missing stops array with its path', function() {
+    const data = validNetwork();
+    delete data.routes[0].stops;
+    assert.deepEqual(schema.validateNetwork(data), [
+      {path: 'routes[0].stops', message: 'is required'},
+    ]);
+  });
+  it('should report non-numeric distances', function() {
+    const data = validNetwork();
+    data.routes[0].stops[1].distanceToPrev = '5';
+    const problems = schema.validateNetwork(data);
+    assert.deepEqual(problems.map(schema.formatProblem), [
+      'routes[0].stops[1].distanceToPrev must be a number or null',
+    ]);
+  });
+  it('should report stops numbered out of position', function() {
+    const data = validNetwork();
+    data.routes[0].stops[1].stop = 1;
+    assert.deepEqual(schema.validateNetwork(data).map(schema.formatProblem), [
+      'routes[0].stops[1].stop must be 2 (its position on the route)',
+    ]);
+  });
+  it('should report every problem at once', function() {
+    const data = validNetwork();
+    data.networkName = 7;
+    data.routes[0].stops[0].stationID = 'one';
+    data.routes[0].stops[1].distanceToNext = -1;
+    assert.deepEqual(schema.validateNetwork(data).map(schema.formatProblem), [
+      'networkName must be a string',
+      'routes[0].stops[0].stationID must be an integer, or ' +
+        'operator:stationID for a merged network',
+      'routes[0].stops[1].distanceToNext must be at least 0',
+    ]);
+  });
+  it('should require a closing distance for a circular route', function() {
+    const data = validNetwork();
+    data.routes[0].circular = true;
+    assert.deepEqual(schema.validateNetwork(data).map(schema.formatProblem), [
+      'routes[0].closingDistance must be a number for a circular route',
+    ]);
+    data.routes[0].closingDistance = 4;
+    assert.deepEqual(schema.validateNetwork(data), []);
+  });
+  it('should report interchanges for unknown stations', function() {
+    const data = validNetwork();
+    data.interchanges = [
+      {stationID: 2, minConnectionTime: 4},
+      {stationID: 9, noInterchange: 'yes'},
+    ];
+    assert.deepEqual(schema.validateNetwork(data).map(schema.formatProblem), [
+      'interchanges[1].noInterchange must be a boolean',
+      'interchanges[1].stationID must be the stationID of a stop on a route',
+    ]);
+  });
+  it('should report transfers for unknown stations', function() {
+    const data = validNetwork();
+    data.transfers = [{fromStationID: 1, toStationID: 3, distance: 0.2}];
+    assert.deepEqual(schema.validateNetwork(data).map(schema.formatProblem), [
+      'transfers[0].toStationID must be the stationID of a stop on a route',
+    ]);
+    data.transfers = [{fromStationID: 1, toStationID: 2}];
+    assert.deepEqual(schema.validateNetwork(data).map(schema.formatProblem), [
+      'transfers[0].distance is required',
+    ]);
+  });
+  it('should report locations off the map or for unknown stations',
+      function() {
+        const data = validNetwork();
+        data.locations = [
+          {stationID: 1, lat: 51.5, lon: -0.1},
+          {stationID: 2, lat: 91, lon: -181},
+          {stationID: 3, lat: 0, lon: 0},
+        ];
+        assert.deepEqual(
+            schema.validateNetwork(data).map(schema.formatProblem), [
+              'locations[1].lat must be at most 90',
+              'locations[1].lon must be at least -180',
+              'locations[2].stationID must be the stationID of a stop on a ' +
+            'route',
+            ]);
+      });
+  it('should accept the stationIDs of a merged network', function() {
+    const data = validNetwork();
+    data.routes[0].stops[0].stationID = 'Kentish:1';
+    data.routes[0].stops[1].stationID = 'Kentish:2';
+    data.transfers = [
+      {fromStationID: 'Kentish:1', toStationID: 'Kentish:2', distance: 0.2},
+    ];
+    data.locations = [{stationID: 'Kentish:1', lat: 51.5, lon: 0.2}];
+    assert.deepEqual(schema.validateNetwork(data), []);
+    data.routes[0].stops[1].stationID = 2.5;
+    assert.deepEqual(schema.validateNetwork(data).map(schema.formatProblem), [
+      'routes[0].stops[1].stationID must be an integer or a string',
+      'transfers[0].toStationID must be the stationID of a stop on a route',
+    ]);
+  });
+  it('should report merged stationIDs that are on no route', function() {
+    const data = validNetwork();
+    data.routes[0].stops[0].stationID = 'Kentish:1';
+    data.routes[0].stops[1].stationID = 'Kentish:2';
+    data.transfers = [
+      {fromStationID: 'Kentish:1', toStationID: 'Kentish:99', distance: 0.2},
+    ];
+    data.interchanges = [{stationID: 'Ken:1'}];
+    assert.deepEqual(schema.validateNetwork(data).map(schema.formatProblem), [
+      'interchanges[0].stationID must be the stationID of a stop on a route',
+      'transfers[0].toStationID must be the stationID of a stop on a route',
+    ]);
+  });
+  it('should report a document that is not an object', function() {
+    assert.deepEqual(schema.validateNetwork([]).map(schema.formatProblem), [
+      'network must be an object',
+    ]);
+  });
+});
+
+describe('Testing loadData() in strict mode', function() {
+  it('should load a valid network', function() {
+    const system = railway.readData('notional_ra.json', {strict: true});
+    assert.equal(system.networkName, 'Notional Railway Company');
+  });
+  it('should report broken JSON as a ValidationError', function() {
+    assert.throws(function() {
+      railway.readData('in_error.json', {strict: true});
+    }, railway.ValidationError, /not valid JSON.*line 5/);
+  });
+  it('should list the problems of an invalid network', function() {
+    try {
+      railway.readData('londish.json', {strict: true});
+      assert.fail('londish.json should not validate');
+    } catch (error) {
+      assert.instanceOf(error, schema.ValidationError);
+      assert.equal(error.fileName, 'londish.json');
+      assert.deepInclude(error.problems, {
+        path: 'routes[2].stops[8].stop',
+        message: 'must be 9 (its position on the route)',
+      });
+    }
+  });
+  it('should still load an invalid network outside strict mode', function() {
+    assert.doesNotThrow(function() {
+      railway.readData('londish.json');
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const server = require('../server.js');
+const {
+  InputError,
+  EXIT_BAD_INPUT,
+  EXIT_FILE_NOT_FOUND,
+} = require('../errors.js');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const assert = require('chai').assert;
+
+describe('testing the HTTP API', function() {
+  let api = null;
+  let port = null;
+
+  // Resolves with the status, headers and parsed body of a request
+  const request = (urlPath, method = 'GET') => new Promise((resolve,
+      reject) => {
+    const req = http.request(
+        {host: '127.0.0.1', port: port, path: urlPath, method: method},
+        (res) => {
+          let text = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            text += chunk;
+          });
+          res.on('end', () => {
+            resolve({
+              status: res.statusCode,
+              headers: res.headers,
+              body: JSON.parse(text),
+            });
+          });
+        },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+
+  before(function(done) {
+    api = server.createServer(['londish.json', 'simpleton_railway.json',
+      'timetabled_railway.json']);
+    api.listen(0, '127.0.0.1', () => {
+      port = api.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    api.close(done);
+  });
+
+  it('should list the networks', async function() {
+    const res = await request('/networks');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^application\/json/);
+    assert.equal(res.body.schemaVersion, 1);
+    assert.deepEqual(res.body.records.map((record) => record.id),
+        ['londish', 'simpleton_railway', 'timetabled_railway']);
+    assert.equal(res.body.records[0].networkName, 'Notional Railway Company');
+  });
+  it('should list the routes of a network', async function() {
+    const res = await request('/networks/simpleton_railway/routes');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.records.length, 1);
+    assert.equal(res.body.records[0].type, 'route');
+    assert.equal(res.body.records[0].name, 'Simpleton');
+  });
+  it('should get a route by name', async function() {
+    const res = await request('/routes/circle%20line');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.records[0].name, 'Circle Line');
+    assert.isTrue(res.body.records[0].circular);
+  });
+  it('should search the stations', async function() {
+    const res = await request('/stations?q=kings');
+    assert.deepEqual(res.body.records,
+        [{type: 'station', stationID: 5, stationName: 'Kings Cross'}]);
+    const all = await request('/stations?network=simpleton_railway');
+    assert.equal(all.body.records[0].stationName, 'Alphaville');
+  });
+  it('should plan journeys', async function() {
+    const res = await request(
+        '/journeys?from=Euston&to=Brixton&max=2&rank=distance');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.records.length, 2);
+    assert.equal(res.body.records[0].type, 'journey');
+    assert.equal(res.body.records[0].rank, 1);
+    assert.equal(res.body.records[0].distance, 14.4);
+  });
+  it('should reuse the cached graph', async function() {
+    const graph = api.cache.get('londish').graph;
+    await request('/journeys?from=Euston&to=Brixton');
+    assert.strictEqual(api.cache.get('londish').graph, graph);
+  });
+
+  describe('error statuses', function() {
+    it('should answer 400 for bad parameters', async function() {
+      let res = await request('/journeys?from=Euston');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.message, 'The to parameter is required');
+      res = await request('/journeys?from=Euston&to=Brixton&max=0');
+      assert.equal(res.status, 400);
+      res = await request('/journeys?from=Euston&to=Brixton&rank=fast');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.name, 'InputError');
+    });
+    it('should answer 400 for an ambiguous station', async function() {
+      const res = await request('/journeys?from=St%20James%20Park&to=Euston');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.name, 'AmbiguousStationError');
+    });
+    it('should answer 404 with suggestions for a station', async function() {
+      const res = await request('/journeys?from=Eustin&to=Brixton');
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body.error.suggestions, ['Euston']);
+    });
+    it('should answer 404 for unknown things', async function() {
+      assert.equal((await request('/networks/x/routes')).status, 404);
+      assert.equal((await request('/routes/Victoria')).status, 404);
+      assert.equal((await request('/nowhere')).status, 404);
+    });
+    it('should answer 400 for a badly encoded path', async function() {
+      const res = await request('/routes/%E0%A4%A');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.message, 'Badly encoded path: %E0%A4%A');
+    });
+    it('should answer 404 when no route joins the stations', async function() {
+      const res = await request('/journeys?network=timetabled_railway&' +
+          'from=Ashford&to=Farningham&depart=23:59');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error.message,
+          'No route found between Ashford and Farningham');
+    });
+    it('should answer 400 for times on routes without one', async function() {
+      const res = await request(
+          '/journeys?from=Euston&to=Brixton&depart=08:00');
+      assert.equal(res.status, 400);
+      assert.match(res.body.error.message, /no timetable$/);
+    });
+    it('should answer 405 for other methods', async function() {
+      const res = await request('/networks', 'POST');
+      assert.equal(res.status, 405);
+      assert.equal(res.headers.allow, 'GET');
+    });
+  });
+});
+
+describe('testing NetworkCache', function() {
+  const fileName = path.join(os.tmpdir(), `simpleton_${process.pid}.json`);
+
+  beforeEach(function() {
+    fs.copyFileSync('simpleton_railway.json', fileName);
+  });
+
+  afterEach(function() {
+    fs.unlinkSync(fileName);
+  });
+
+  it('should key networks by file name and default to the first', function() {
+    const cache = new server.NetworkCache([fileName, 'londish.json']);
+    assert.equal(cache.defaultId(), `simpleton_${process.pid}`);
+    assert.strictEqual(cache.get(null), cache.get(`simpleton_${process.pid}`));
+  });
+  it('should load a network again when its file changes', function() {
+    const cache = new server.NetworkCache([fileName]);
+    const first = cache.get(null);
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(fileName, later, later);
+    assert.notStrictEqual(cache.get(null), first);
+  });
+  it('should throw a 404 HttpError for an unknown network', function() {
+    const cache = new server.NetworkCache([fileName]);
+    assert.throws(() => cache.get('nowhere'), server.HttpError,
+        'Network not found: nowhere');
+  });
+});
+
+describe('testing statusFor()', function() {
+  it('should map error types to statuses', function() {
+    assert.equal(server.statusFor(new server.HttpError(405, '')), 405);
+    assert.equal(server.statusFor(new InputError('')), 400);
+    // a TypeError that is not about the input is a bug of the server
+    assert.equal(server.statusFor(new TypeError('')), 500);
+    assert.equal(server.statusFor(new Error('')), 500);
+  });
+});
+
+describe('testing main()', function() {
+  // Mock the console to keep the errors of main out of the test report
+  const originalConsoleLog = console.log;
+  const originalConsoleError = console.error;
+
+  beforeEach(function() {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(function() {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  it('should exit as the railway command does for bad input', function() {
+    assert.equal(server.main([]), EXIT_BAD_INPUT);
+    assert.equal(server.main(['--port=x', 'londish.json']), EXIT_BAD_INPUT);
+    assert.equal(server.main(['nowhere.json']), EXIT_FILE_NOT_FOUND);
+  });
+});
@@ -0,0 +1,169 @@
+const timetable = require('../timetable.js');
+const network = require('../network.js');
+const railway = require('../railway.js');
+const schema = require('../schema.js');
+const {InputError} = require('../errors.js');
+const assert = require('chai').assert;
+
+describe('testing time formatting', function() {
+  it('should parse times written as HH:MM', function() {
+    assert.equal(timetable.parseTime('06:30'), 390);
+    assert.equal(timetable.parseTime('0:05'), 5);
+    assert.equal(timetable.parseTime(75), 75);
+  });
+  it('should throw a TypeError for a badly written time', function() {
+    assert.throws(() => timetable.parseTime('6.30'), TypeError);
+    assert.throws(() => timetable.parseTime('06:75'), TypeError);
+  });
+  it('should write times and durations', function() {
+    assert.equal(timetable.formatTime(390), '06:30');
+    assert.equal(timetable.formatTime(1510), '01:10 (+1)');
+    assert.equal(timetable.formatDuration(45), '45m');
+    assert.equal(timetable.formatDuration(125), '2h 05m');
+  });
+});
+
+describe('testing Timetable', function() {
+  let data;
+  beforeEach(function() {
+    data = railway.readData('timetabled_railway.json');
+  });
+
+  it('should be loaded with each route that has one', function() {
+    assert.instanceOf(railway.getRoute(data, 'Red Line').timetable,
+        timetable.Timetable);
+    assert.isNull(railway.getRoute(data, 'Heritage Line').timetable);
+  });
+  it('should work out run times from the running speed', function() {
+    const red = railway.getRoute(data, 'Red Line');
+    assert.equal(red.timetable.runTime(red, 0, true), 10);
+  });
+  it('should offset departures by the running and dwell times', function() {
+    const red = railway.getRoute(data, 'Red Line');
+    // forwards trains leave Ashford, backwards trains leave Dartford
+    assert.equal(red.timetable.departures(red, 2, true)[0], 6 * 60 + 22);
+    assert.equal(red.timetable.departures(red, 2, false)[0], 6 * 60 + 11);
+  });
+  it('should validate against the schema', function() {
+    const json = require('../timetabled_railway.json');
+    assert.deepEqual(schema.validateNetwork(json), []);
+    const broken = JSON.parse(JSON.stringify(json));
+    broken.routes[1].timetable.runTimes = [6];
+    broken.routes[0].timetable.firstDeparture = '6am';
+    assert.deepEqual(schema.validateNetwork(broken).map(schema.formatProblem), [
+      'routes[0].timetable.firstDeparture must match ^\\d{1,2}:[0-5]\\d$',
+      'routes[1].timetable.runTimes must have 2 item(s), one per segment',
+    ]);
+  });
+});
+
+describe('testing getBestRoute() by time', function() {
+  let graph;
+  beforeEach(function() {
+    graph = network.network('timetabled_railway.json');
+  });
+
+  it('should take the first trains after the departure time', function() {
+    const journeys = network.getBestRoute(graph, 'Ashford', 'Farningham', 3,
+        {departAt: '06:00'});
+    assert.equal(journeys.length, 2);
+    const schedule = journeys[0].schedule;
+    assert.equal(schedule.departs, 6 * 60);
+    // the connection and half mile walk at Crayford take 15 minutes, so the
+    // 06:30 is missed
+    assert.equal(schedule.arrives, 7 * 60 + 4);
+    assert.equal(schedule.waiting, 29);
+    assert.deepEqual(schedule.legs.map((leg) => leg.wait), [0, 29]);
+  });
+  it('should wait for the next train at an interchange', function() {
+    const journey = network.getBestRoute(graph, 'Farningham', 'Ashford', 1,
+        {departAt: '06:00'})[0];
+    assert.equal(journey.schedule.legs[1].departs, 6 * 60 + 41);
+    assert.equal(journey.schedule.waiting, 17);
+  });
+  it('should take the last trains that arrive in time', function() {
+    const journey = network.getBestRoute(graph, 'Ashford', 'Farningham', 1,
+        {arriveBy: '07:15'})[0];
+    assert.equal(journey.schedule.legs[1].departs, 6 * 60 + 50);
+    // the 06:30 from Ashford reaches Crayford a minute too late
+    assert.equal(journey.schedule.legs[0].departs, 6 * 60);
+  });
+  it('should allow the minimum connection time at a change', function() {
+    graph.findStation('Crayford').interchange.minConnectionTime = 10;
+    const journey = network.getBestRoute(graph, 'Ashford', 'Farningham', 1,
+        {departAt: '06:00'})[0];
+    // the 06:30 leaves nine minutes after arriving, so the 06:50 is taken
+    assert.equal(journey.schedule.legs[1].departs, 6 * 60 + 50);
+  });
+  it('should leave out journeys on routes without a timetable', function() {
+    const untimed = network.getBestRoute(graph, 'Ashford', 'Farningham', 3);
+    assert.equal(untimed.length, 3);
+    const timed = network.getBestRoute(graph, 'Ashford', 'Farningham', 3,
+        {departAt: '06:00'});
+    assert.equal(timed.length, 2);
+    timed.forEach((journey) => {
+      assert.notInclude(journey.text, 'Heritage Line');
+    });
+  });
+  it('should time walks between stations at walking pace', function() {
+    const journey = network.getBestRoute(graph, 'Ashford', 'Farningham', 3,
+        {departAt: '06:00'})[1];
+    const walk = journey.schedule.legs[1];
+    assert.isNull(walk.routeName);
+    assert.equal(walk.departs, 6 * 60 + 32);
+    assert.equal(walk.arrives, 6 * 60 + 42);
+    assert.include(journey.report(), 'Depart Dartford at 06:32 on foot\n' +
+      'Arrive at Erith at 06:42, wait 16m\n' +
+      'Depart Erith at 06:58 on Blue Line');
+  });
+  it('should not time journeys on routes without a timetable', function() {
+    const untimed = network.network('railtrack_uk.json');
+    assert.throws(() => network.getBestRoute(untimed, 'London', 'Glasgow', 1,
+        {departAt: '08:00'}), InputError, /no timetable$/);
+  });
+  it('should return nothing after the last train', function() {
+    assert.deepEqual(network.getBestRoute(graph, 'Ashford', 'Farningham', 3,
+        {departAt: '23:00'}), []);
+  });
+  it('should list the times in the report', function() {
+    const journey = network.getBestRoute(graph, 'Ashford', 'Farningham', 1,
+        {departAt: '06:00'})[0];
+    assert.include(journey.report(),
+        'Timetable\nDepart Ashford at 06:00 on Red Line\n' +
+        'Arrive at Crayford at 06:21, wait 29m\n' +
+        'Depart Crayford at 06:50 on Blue Line\n' +
+        'Arrive at Farningham at 07:04\n' +
+        'Journey time: 1h 04m (waiting 29m)');
+  });
+  it('should only time the candidates asked for', function() {
+    // five slow routes rank before one express that arrives first
+    const data = railway.readData('simpleton_railway.json');
+    const addLine = (name, distance, speed) => {
+      const route = data.addRoute(name, 'Grey');
+      route.insertStop(1, 'Upton', 20);
+      route.insertStop(2, 'Downton', 21, distance);
+      route.timetable = new timetable.Timetable({
+        firstDeparture: '06:00',
+        lastDeparture: '22:00',
+        headway: 60,
+        speed: speed,
+      });
+    };
+    [10, 11, 12, 13, 14].forEach((distance) => {
+      addLine(`Slow ${distance}`, distance, 10);
+    });
+    addLine('Express', 30, 120);
+    const graph = network.buildGraph(data);
+    const first = (options) => network.getBestRoute(graph, 'Upton',
+        'Downton', 1, Object.assign({departAt: '06:00'}, options))[0];
+    assert.equal(first().links[0].routeName, 'Slow 10');
+    assert.equal(first({candidates: 6}).links[0].routeName, 'Express');
+    assert.equal(first({candidates: Infinity}).schedule.arrives, 6 * 60 + 15);
+    assert.throws(() => first({candidates: 'many'}), TypeError,
+        /candidates must be a whole number/);
+  });
+  it('should not accept both a departure and arrival time', function() {
+    assert.throws(() => network.getBestRoute(graph, 'Ashford', 'Erith', 1,
+        {departAt: '06:00', arriveBy: '08:00'}), TypeError);
+  });
+});
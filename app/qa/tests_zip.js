@@ -0,0 +1,44 @@
+const zip = require('../zip.js');
+const zlib = require('zlib');
+const assert = require('chai').assert;
+
+describe('testing crc32()', function() {
+  it('should match the standard check value', function() {
+    assert.equal(zip.crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(zip.crc32(Buffer.alloc(0)), 0);
+  });
+});
+
+describe('testing writeZip() and readZip()', function() {
+  it('should read back what it wrote', function() {
+    const files = new Map([
+      ['stops.txt', 'stop_id,stop_name\n1,Café\n'],
+      ['data/empty.bin', Buffer.alloc(0)],
+    ]);
+    const archive = zip.readZip(zip.writeZip(files));
+    assert.sameMembers([...archive.keys()], ['stops.txt', 'data/empty.bin']);
+    assert.equal(archive.get('stops.txt').toString(),
+        'stop_id,stop_name\n1,Café\n');
+    assert.equal(archive.get('data/empty.bin').length, 0);
+  });
+  it('should write the same archive for the same files', function() {
+    const files = new Map([['a.txt', 'a']]);
+    assert.isTrue(zip.writeZip(files).equals(zip.writeZip(files)));
+  });
+  it('should read stored files', function() {
+    const archive = zip.writeZip(new Map([['a.txt', 'abc']]));
+    // rewrite the one file as stored, which deflated 'abc' is not
+    const packed = zlib.deflateRawSync(Buffer.from('abc'));
+    const stored = Buffer.concat([archive.subarray(0, 30 + 5),
+      Buffer.from('abc'), archive.subarray(30 + 5 + packed.length)]);
+    const central = stored.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    [8, central + 10].forEach((offset) => stored.writeUInt16LE(0, offset));
+    [18, central + 20].forEach((offset) => stored.writeUInt32LE(3, offset));
+    stored.writeUInt32LE(central, stored.length - 6);
+    assert.equal(zip.readZip(stored).get('a.txt').toString(), 'abc');
+  });
+  it('should throw a TypeError for what is not a zip archive', function() {
+    assert.throws(() => zip.readZip(Buffer.from('stop_id\n1\n')), TypeError,
+        /Not a zip archive/);
+  });
+});
@@ -6,6 +6,10 @@
 'use strict';
 
 const fs = require('fs');
+const {InputError} = require('./errors.js');
+const {validateNetwork, ValidationError} = require('./schema.js');
+const {Timetable} = require('./timetable.js');
+const {checkFormat, formatRecords} = require('./output.js');
 //
 // Add your names in here
 // Kevin McCall
@@ -17,29 +21,83 @@ const fs = require('fs');
  * @constructor
  * @param {string} networkName - The name of the network.
  * @param {!Array<Route>} routes - An array of routes for the network.
+ * @param {!Array<Interchange>} [interchanges] - What it takes to change
+ *    routes at the stations that have interchange details.
+ * @param {!Array<Transfer>} [transfers] - Walks between nearby stations.
+ * @param {!Array<Location>} [locations] - Where the stations that have
+ *    coordinates are.
  */
-function RailwayNetwork(networkName, routes) {
+function RailwayNetwork(networkName, routes, interchanges = [],
+    transfers = [], locations = []) {
   this.networkName = networkName;
   /** @type {Array{Route}} */
   this.routes = routes;
+  /** @type {Array<Interchange>} */
+  this.interchanges = interchanges;
+  /** @type {Array<Transfer>} */
+  this.transfers = transfers;
+  /** @type {Array<Location>} */
+  this.locations = locations;
+  /** @type {Object} fields of the file the model does not use */
+  this.extra = {};
 }
 
 /**
  * Represents a route in a railway network. Contains a distance field that
- *    needs to be set with the addDistances() function.
+ *    needs to be set with the addDistances() function. A circular route runs
+ *    from its last stop back to its first.
  * @constructor
  * @param {string} name - The name of the specific route.
  * @param {!Array<Stop>} stops - An array of stops for the route to visit.
  * @param {string} color - The color to display the route.
+ * @param {boolean} [circular] - Whether the last stop links back to the first.
+ * @param {?number} [closingDistance] - The distance between the last and the
+ *    first stop of a circular route.
  */
-function Route(name, stops, color) {
+function Route(name, stops, color, circular = false, closingDistance = null) {
   this.name = name;
   /** @type {Array<Stop>} */
   this.stops = stops;
   this.color = color;
+  this.circular = circular;
+  this.closingDistance = closingDistance;
+  /** @type {?Timetable} */
+  this.timetable = null;
   this.distance = undefined;
+  /** @type {?string} who runs the route, when networks have been merged */
+  this.operator = null;
+  /** @type {Object} fields of the file the model does not use */
+  this.extra = {};
 }
 
+/**
+ * Returns the distance from the stop at an index to the one after it, which
+ *    for the last stop of a circular route is the first stop.
+ * @param {number} index - The index of the stop in the stops array.
+ * @return {?number}
+ */
+Route.prototype.distanceToNext = function(index) {
+  let res = this.stops[index].distanceToNext;
+  if (this.circular && index === this.stops.length - 1) {
+    res = this.closingDistance;
+  }
+  return res;
+};
+
+/**
+ * Returns the distance from the stop at an index to the one before it, which
+ *    for the first stop of a circular route is the last stop.
+ * @param {number} index - The index of the stop in the stops array.
+ * @return {?number}
+ */
+Route.prototype.distanceToPrev = function(index) {
+  let res = this.stops[index].distanceToPrev;
+  if (this.circular && index === 0) {
+    res = this.closingDistance;
+  }
+  return res;
+};
+
 /**
  * Represents a stop in a railway network.
  * @constructor
@@ -56,30 +114,542 @@ function Stop(number, stationName, stationId, distanceToNext, distanceToPrev) {
   this.stationId = stationId;
   this.distanceToNext = distanceToNext;
   this.distanceToPrev = distanceToPrev;
+  /** @type {Object} fields of the file the model does not use */
+  this.extra = {};
+}
+
+/**
+ * Represents what it takes to change routes at a station.
+ * @constructor
+ * @param {number} stationId - The unique ID of the station.
+ * @param {number} minConnectionTime - The fewest minutes needed to change
+ *    between trains.
+ * @param {number} walkingDistance - The miles walked between platforms.
+ * @param {boolean} noInterchange - Whether changing routes is not allowed.
+ */
+function Interchange(stationId, minConnectionTime, walkingDistance,
+    noInterchange) {
+  this.stationId = stationId;
+  this.minConnectionTime = minConnectionTime;
+  this.walkingDistance = walkingDistance;
+  this.noInterchange = noInterchange;
+}
+
+/**
+ * Represents a walk between two nearby stations, which can be taken either
+ *    way.
+ * @constructor
+ * @param {number} fromStationId - The unique ID of one station.
+ * @param {number} toStationId - The unique ID of the other station.
+ * @param {number} distance - The miles walked between them.
+ */
+function Transfer(fromStationId, toStationId, distance) {
+  this.fromStationId = fromStationId;
+  this.toStationId = toStationId;
+  this.distance = distance;
+}
+
+/**
+ * Represents where a station is on the map.
+ * @constructor
+ * @param {number} stationId - The unique ID of the station.
+ * @param {number} lat - The latitude in degrees, north positive.
+ * @param {number} lon - The longitude in degrees, east positive.
+ */
+function Location(stationId, lat, lon) {
+  this.stationId = stationId;
+  this.lat = lat;
+  this.lon = lon;
+}
+
+/**
+ * Returns the index of the stop with a number, checking the route has it.
+ * @param {!Route} route - The route.
+ * @param {number} number - The stop number, starting at 1.
+ * @param {number} [extra] - How many numbers past the last stop are allowed,
+ *    e.g. 1 to insert after the last stop.
+ * @return {number}
+ * @throws {RangeError} Throws if the route has no stop with the number.
+ */
+function stopIndex(route, number, extra = 0) {
+  if (
+    !Number.isInteger(number) ||
+    number < 1 ||
+    number > route.stops.length + extra
+  ) {
+    throw new RangeError(`${route.name} has no stop ${number}`);
+  }
+  return number - 1;
+}
+
+/**
+ * Checks that a distance is a number of miles.
+ * @param {string} name - What the distance is, for the error message.
+ * @param {*} distance - The distance.
+ * @throws {InputError} Throws if the distance is not a number of at least 0.
+ */
+function checkDistance(name, distance) {
+  if (typeof distance !== 'number' || isNaN(distance) || distance < 0) {
+    throw new InputError(`${name} must be a number of at least 0 miles`);
+  }
+}
+
+/**
+ * Checks that a name for a route or station is not blank.
+ * @param {*} name - The name.
+ * @throws {InputError} Throws if the name is not a string with text in it.
+ */
+function checkName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new InputError(`${name} is not a name`);
+  }
+}
+
+/**
+ * Returns the sum of two distances, or null if either is not known.
+ * @param {?number} distanceA - The first distance.
+ * @param {?number} distanceB - The second distance.
+ * @return {?number}
+ */
+function addMiles(distanceA, distanceB) {
+  return distanceA == null || distanceB == null ?
+    null :
+    distanceA + distanceB;
+}
+
+/**
+ * Checks that the stops of a route can be added, removed or moved.
+ * @param {!Route} route - The route.
+ * @throws {InputError} Throws if the timetable of the route lists times for
+ *    each stop, as they can not be worked out for the new stops.
+ */
+function checkStopsEditable(route) {
+  if (route.timetable !== null && route.timetable.hasStopTimes()) {
+    throw new InputError(
+        `The timetable of ${route.name} lists times for each stop, ` +
+        'change it to match the new stops first',
+    );
+  }
+}
+
+/**
+ * Numbers the stops of a route by their position and forgets its distance,
+ *    so addDistances() works it out again.
+ * @param {!Route} route - The route.
+ */
+function renumberStops(route) {
+  route.stops.forEach((stop, i) => {
+    stop.number = i + 1;
+  });
+  route.distance = undefined;
+}
+
+/**
+ * Inserts a stop into the route, renumbering the stops after it and setting
+ *    the distances of its neighbours to match.
+ * @param {number} number - The number the new stop gets, from 1 to one past
+ *    the last stop.
+ * @param {string} stationName - The name of the station.
+ * @param {number} stationId - The unique ID of the station.
+ * @param {?number} [distanceToPrev] - The miles from the stop before, needed
+ *    unless the new stop is the first of a route that is not circular.
+ * @param {?number} [distanceToNext] - The miles to the stop after, needed
+ *    unless the new stop is the last of a route that is not circular.
+ * @return {!Stop} The new stop.
+ * @throws {RangeError} Throws if the number is out of range.
+ * @throws {InputError} Throws if a distance needed is missing.
+ */
+Route.prototype.insertStop = function(number, stationName, stationId,
+    distanceToPrev = null, distanceToNext = null) {
+  checkStopsEditable(this);
+  checkName(stationName);
+  const index = stopIndex(this, number, 1);
+  const length = this.stops.length;
+  // a circular route joins its ends, so every stop has neighbours both ways
+  const hasPrev = index > 0 || (this.circular && length > 0);
+  const hasNext = index < length || (this.circular && length > 0);
+  if (hasPrev) {
+    checkDistance('distanceToPrev', distanceToPrev);
+  }
+  if (hasNext) {
+    checkDistance('distanceToNext', distanceToNext);
+  }
+  const stop = new Stop(
+      number,
+      stationName,
+      stationId,
+      index < length ? distanceToNext : null,
+      index > 0 ? distanceToPrev : null,
+  );
+  if (index > 0) {
+    this.stops[index - 1].distanceToNext = distanceToPrev;
+  } else if (hasPrev) {
+    this.closingDistance = distanceToPrev;
+  }
+  if (index < length) {
+    this.stops[index].distanceToPrev = distanceToNext;
+  } else if (hasNext) {
+    this.closingDistance = distanceToNext;
+  }
+  this.stops.splice(index, 0, stop);
+  renumberStops(this);
+  return stop;
+};
+
+/**
+ * Removes a stop from the route, renumbering the stops after it. Its
+ *    neighbours are joined by the distance they were apart through it.
+ * @param {number} number - The number of the stop.
+ * @return {!Stop} The stop removed.
+ * @throws {RangeError} Throws if the route has no stop with the number.
+ */
+Route.prototype.removeStop = function(number) {
+  checkStopsEditable(this);
+  const index = stopIndex(this, number);
+  const [removed] = this.stops.splice(index, 1);
+  const before = index > 0 ? this.stops[index - 1] : null;
+  const after = index < this.stops.length ? this.stops[index] : null;
+  if (before !== null && after !== null) {
+    const distance = addMiles(removed.distanceToPrev, removed.distanceToNext);
+    before.distanceToNext = distance;
+    after.distanceToPrev = distance;
+  } else if (after !== null) {
+    after.distanceToPrev = null;
+    if (this.circular) {
+      this.closingDistance = addMiles(
+          this.closingDistance,
+          removed.distanceToNext,
+      );
+    }
+  } else if (before !== null) {
+    before.distanceToNext = null;
+    if (this.circular) {
+      this.closingDistance = addMiles(
+          removed.distanceToPrev,
+          this.closingDistance,
+      );
+    }
+  } else if (this.circular) {
+    this.closingDistance = null;
+  }
+  renumberStops(this);
+  return removed;
+};
+
+/**
+ * Moves a stop to another place on the route. The stops it leaves are
+ *    joined as by removeStop() and it is put back as by insertStop().
+ * @param {number} from - The number of the stop.
+ * @param {number} to - The number the stop gets.
+ * @param {?number} [distanceToPrev] - The miles from the stop before it in
+ *    its new place.
+ * @param {?number} [distanceToNext] - The miles to the stop after it in its
+ *    new place.
+ * @return {!Stop} The stop moved.
+ * @throws {RangeError} Throws if a number is out of range.
+ * @throws {InputError} Throws if a distance needed is missing, leaving the
+ *    route as it was.
+ */
+Route.prototype.moveStop = function(from, to, distanceToPrev = null,
+    distanceToNext = null) {
+  stopIndex(this, from);
+  stopIndex(this, to);
+  const stops = this.stops.slice();
+  const saved = stops.map((stop) => Object.assign({}, stop));
+  const closingDistance = this.closingDistance;
+  try {
+    const stop = this.removeStop(from);
+    this.insertStop(to, stop.stationName, stop.stationId, distanceToPrev,
+        distanceToNext);
+  } catch (error) {
+    // put the stops back as they were
+    this.stops = stops;
+    stops.forEach((stop, i) => Object.assign(stop, saved[i]));
+    this.closingDistance = closingDistance;
+    throw error;
+  }
+  return this.stops[to - 1];
+};
+
+/**
+ * Sets the distance from a stop to the next one, on both stops. For the last
+ *    stop of a circular route this is the distance back to the first stop.
+ * @param {number} number - The number of the stop.
+ * @param {number} distance - The miles to the next stop.
+ * @throws {RangeError} Throws if the stop is the last of a route that is not
+ *    circular.
+ */
+Route.prototype.setDistance = function(number, distance) {
+  const index = stopIndex(this, number);
+  checkDistance('distance', distance);
+  if (index < this.stops.length - 1) {
+    this.stops[index].distanceToNext = distance;
+    this.stops[index + 1].distanceToPrev = distance;
+  } else if (this.circular) {
+    this.closingDistance = distance;
+  } else {
+    throw new RangeError(
+        `${this.stops[index].stationName} is the last stop of ${this.name}`,
+    );
+  }
+  this.distance = undefined;
+};
+
+/**
+ * Adds a route with no stops to the network. Stops are added with
+ *    Route.insertStop(), and the network can not be saved until the route
+ *    has one.
+ * @param {string} name - The name of the route.
+ * @param {string} color - The color to display the route.
+ * @param {boolean} [circular] - Whether the last stop links back to the first.
+ * @return {!Route} The new route.
+ * @throws {InputError} Throws if the network already has a route with the name.
+ */
+RailwayNetwork.prototype.addRoute = function(name, color, circular = false) {
+  checkName(name);
+  if (getRoute(this, name) !== null) {
+    throw new InputError(`${this.networkName} already has a route ${name}`);
+  }
+  const route = new Route(name, [], color, circular);
+  this.routes.push(route);
+  return route;
+};
+
+/**
+ * Removes a route from the network.
+ * @param {string} name - The name of the route.
+ * @return {!Route} The route removed.
+ * @throws {InputError} Throws if the network has no route with the name.
+ */
+RailwayNetwork.prototype.removeRoute = function(name) {
+  const route = getRoute(this, name);
+  if (route === null) {
+    throw new InputError(`Route not found: ${name}`);
+  }
+  this.routes.splice(this.routes.indexOf(route), 1);
+  return route;
+};
+
+/**
+ * Renames a route of the network.
+ * @param {string} name - The name of the route.
+ * @param {string} newName - The new name.
+ * @return {!Route} The route renamed.
+ * @throws {InputError} Throws if the network has no route with the name or
+ *    already has one with the new name.
+ */
+RailwayNetwork.prototype.renameRoute = function(name, newName) {
+  checkName(newName);
+  const route = getRoute(this, name);
+  if (route === null) {
+    throw new InputError(`Route not found: ${name}`);
+  }
+  if (newName !== name && getRoute(this, newName) !== null) {
+    throw new InputError(`${this.networkName} already has a route ${newName}`);
+  }
+  route.name = newName;
+  return route;
+};
+
+/**
+ * Renames a station on every route that stops at it.
+ * @param {number|string} station - The stationID or name of the station.
+ * @param {string} newName - The new name.
+ * @return {number} The number of stops renamed.
+ * @throws {InputError} Throws if the station is not found, its name is shared
+ *    by several stationIDs, or another station already has the new name.
+ */
+RailwayNetwork.prototype.renameStation = function(station, newName) {
+  checkName(newName);
+  const stops = [];
+  const clashes = new Set();
+  this.routes.forEach((route) => {
+    route.stops.forEach((stop) => {
+      if (typeof station === 'number' ?
+        stop.stationId === station :
+        stop.stationName === station) {
+        stops.push(stop);
+      }
+    });
+  });
+  if (stops.length === 0) {
+    throw new InputError(`Station not found in network: ${station}`);
+  }
+  const ids = new Set(stops.map((stop) => stop.stationId));
+  if (ids.size > 1) {
+    throw new InputError(
+        `Station name ${station} is ambiguous, it matches the stationIDs ` +
+        Array.from(ids).join(', '),
+    );
+  }
+  this.routes.forEach((route) => {
+    route.stops.forEach((stop) => {
+      if (stop.stationName === newName && !ids.has(stop.stationId)) {
+        clashes.add(stop.stationId);
+      }
+    });
+  });
+  if (clashes.size > 0) {
+    throw new InputError(
+        `${newName} is already the name of stationID ` +
+        Array.from(clashes).join(', '),
+    );
+  }
+  stops.forEach((stop) => {
+    stop.stationName = newName;
+  });
+  return stops.length;
+};
+
+/** The fields of a network in the JSON file that the model uses. */
+const NETWORK_FIELDS = [
+  'networkName',
+  'routes',
+  'interchanges',
+  'transfers',
+  'locations',
+];
+/** The fields of a route in the JSON file that the model uses. */
+const ROUTE_FIELDS = [
+  'name',
+  'color',
+  'circular',
+  'closingDistance',
+  'timetable',
+  'operator',
+  'stops',
+];
+/** The fields of a stop in the JSON file that the model uses. */
+const STOP_FIELDS = [
+  'stop',
+  'stationName',
+  'stationID',
+  'distanceToNext',
+  'distanceToPrev',
+];
+
+/**
+ * Returns the fields of an object from the JSON file that the model does not
+ *    use, so saving the network does not lose them.
+ * @param {!Object} object - The object from the file.
+ * @param {!Array<string>} fields - The fields the model uses.
+ * @return {!Object}
+ */
+function extraFields(object, fields) {
+  const res = {};
+  Object.keys(object).forEach((key) => {
+    if (!fields.includes(key)) {
+      res[key] = object[key];
+    }
+  });
+  return res;
+}
+
+/**
+ * Parses the contents of a network file. In strict mode a syntax error is
+ *    reported as a ValidationError like any other problem with the file.
+ * @param {string} fileName - The name of the file the text was read from.
+ * @param {string} text - The contents of the file.
+ * @param {boolean} strict - Whether to report syntax errors as validation
+ *    errors.
+ * @return {*} The parsed JSON.
+ */
+function parseNetworkFile(fileName, text, strict) {
+  let res;
+  try {
+    res = JSON.parse(text);
+  } catch (error) {
+    if (strict === true && error instanceof SyntaxError) {
+      let message = `is not valid JSON: ${error.message}`;
+      // point at the line and column rather than the character offset
+      const position = /at position (\d+)/.exec(error.message);
+      if (position !== null) {
+        const lines = text.slice(0, Number(position[1])).split('\n');
+        message +=
+          ` (line ${lines.length}, ` +
+          `column ${lines[lines.length - 1].length + 1})`;
+      }
+      throw new ValidationError(fileName, [{path: '', message: message}]);
+    }
+    throw error;
+  }
+  return res;
 }
 
 /**
  * Returns a RailwayNetwork object when given a filename to a JSON object.
  * @param {string} fileName - The path and filename to a JSON file that
  *    contains a railway system.
+ * @param {object} [options] - Loading options.
+ * @param {boolean} [options.strict] - Check the file against the network
+ *    schema before building the RailwayNetwork.
  * @return {?RailwayNetwork} An object of type RailwayNetwork.
- * @throws Throws an error if the file is not found.
+ * @throws Throws an error if the file is not found, or a ValidationError in
+ *    strict mode if the file does not match the schema.
  */
-function loadData(fileName) {
+function loadData(fileName, options = {}) {
   let res = null;
   if (typeof fileName == 'string') {
     try {
-      const jsonData = JSON.parse(fs.readFileSync(fileName));
+      const jsonData = parseNetworkFile(
+          fileName,
+          fs.readFileSync(fileName, 'utf8'),
+          options.strict,
+      );
+      if (options.strict === true) {
+        const problems = validateNetwork(jsonData);
+        if (problems.length > 0) {
+          throw new ValidationError(fileName, problems);
+        }
+      }
       const routes = [];
       jsonData.routes.forEach((route) => {
         const stops = [];
         route.stops.forEach((stop) => {
-          stops.push(new Stop(stop.stop, stop.stationName, stop.stationID,
-              stop.distanceToNext, stop.distanceToPrev));
+          const newStop = new Stop(stop.stop, stop.stationName,
+              stop.stationID, stop.distanceToNext, stop.distanceToPrev);
+          newStop.extra = extraFields(stop, STOP_FIELDS);
+          stops.push(newStop);
         });
-        routes.push(new Route(route.name, stops, route.color));
+        const newRoute = new Route(
+            route.name,
+            stops,
+            route.color,
+            route.circular === true,
+            route.closingDistance === undefined ? null : route.closingDistance,
+        );
+        if (route.timetable !== undefined) {
+          newRoute.timetable = new Timetable(route.timetable);
+        }
+        if (route.operator !== undefined) {
+          newRoute.operator = route.operator;
+        }
+        newRoute.extra = extraFields(route, ROUTE_FIELDS);
+        routes.push(newRoute);
       });
-      res = new RailwayNetwork(jsonData.networkName, routes);
+      const interchanges = (jsonData.interchanges || []).map((interchange) =>
+        new Interchange(
+            interchange.stationID,
+            interchange.minConnectionTime || 0,
+            interchange.walkingDistance || 0,
+            interchange.noInterchange === true,
+        ));
+      const transfers = (jsonData.transfers || []).map((transfer) =>
+        new Transfer(
+            transfer.fromStationID,
+            transfer.toStationID,
+            transfer.distance,
+        ));
+      const locations = (jsonData.locations || []).map((location) =>
+        new Location(location.stationID, location.lat, location.lon));
+      res = new RailwayNetwork(
+          jsonData.networkName,
+          routes,
+          interchanges,
+          transfers,
+          locations,
+      );
+      res.extra = extraFields(jsonData, NETWORK_FIELDS);
     } catch (error) {
       if (error.code === 'ENOENT') {
         console.error('ERROR: File not found - ', error);
@@ -90,6 +660,96 @@ function loadData(fileName) {
   return res;
 }
 
+/**
+ * Returns a RailwayNetwork written as network JSON. Keys are always in the
+ *    same order and optional fields are only written when they are set, so
+ *    saving a network that has not changed gives the same text. Fields the
+ *    model does not use are written after the others.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @return {string}
+ */
+function serializeNetwork(data) {
+  const res = {
+    networkName: data.networkName,
+    routes: data.routes.map((route) => {
+      const routeData = {name: route.name, color: route.color};
+      if (route.circular) {
+        routeData.circular = true;
+      }
+      if (route.closingDistance !== null) {
+        routeData.closingDistance = route.closingDistance;
+      }
+      if (route.timetable !== null) {
+        routeData.timetable = route.timetable.toSpec();
+      }
+      if (route.operator !== null) {
+        routeData.operator = route.operator;
+      }
+      routeData.stops = route.stops.map((stop) => Object.assign({
+        stop: stop.number,
+        stationName: stop.stationName,
+        stationID: stop.stationId,
+        distanceToNext: stop.distanceToNext,
+        distanceToPrev: stop.distanceToPrev,
+      }, stop.extra));
+      return Object.assign(routeData, route.extra);
+    }),
+  };
+  if (data.interchanges.length > 0) {
+    res.interchanges = data.interchanges.map((interchange) => {
+      const interchangeData = {stationID: interchange.stationId};
+      if (interchange.minConnectionTime !== 0) {
+        interchangeData.minConnectionTime = interchange.minConnectionTime;
+      }
+      if (interchange.walkingDistance !== 0) {
+        interchangeData.walkingDistance = interchange.walkingDistance;
+      }
+      if (interchange.noInterchange) {
+        interchangeData.noInterchange = true;
+      }
+      return interchangeData;
+    });
+  }
+  if (data.transfers.length > 0) {
+    res.transfers = data.transfers.map((transfer) => ({
+      fromStationID: transfer.fromStationId,
+      toStationID: transfer.toStationId,
+      distance: transfer.distance,
+    }));
+  }
+  if (data.locations.length > 0) {
+    res.locations = data.locations.map((location) => ({
+      stationID: location.stationId,
+      lat: location.lat,
+      lon: location.lon,
+    }));
+  }
+  return JSON.stringify(Object.assign(res, data.extra), null, 2) + '\n';
+}
+
+/**
+ * Writes a RailwayNetwork to a JSON file that loadData() can read back. The
+ *    file is replaced in one step, so it is never left half written.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {string} fileName - The path of the file to write.
+ * @throws {TypeError} Throws if data is not a RailwayNetwork.
+ * @throws {InputError} Throws if a route has no stops, which a network file
+ *    can not hold.
+ */
+function saveData(data, fileName) {
+  if (!(data instanceof RailwayNetwork)) {
+    throw new TypeError('Only a RailwayNetwork can be saved');
+  }
+  const empty = data.routes.find((route) => route.stops.length === 0);
+  if (empty !== undefined) {
+    throw new InputError(
+        `${empty.name} has no stops, add one before saving the network`);
+  }
+  const tempName = `${fileName}.tmp`;
+  fs.writeFileSync(tempName, serializeNetwork(data));
+  fs.renameSync(tempName, fileName);
+}
+
 /**
  * Returns the name of a RailwayNetwork.
  * @param {!RailwayNetwork} data - The RailwayNetwork.
@@ -165,6 +825,42 @@ function getRoute(data, routeName) {
   return res;
 }
 
+/**
+ * Returns where a station of a RailwayNetwork is on the map.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {number} stationId - The unique ID of the station.
+ * @return {?Location} - The location or null if the station has none.
+ */
+function getLocation(data, stationId) {
+  let res = null;
+  if (data instanceof RailwayNetwork) {
+    data.locations.forEach((location) => {
+      if (location.stationId === stationId) {
+        res = location;
+      }
+    });
+  }
+  return res;
+}
+
+/**
+ * Returns the interchange details of a station in a RailwayNetwork.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @param {number} stationId - The unique ID of the station.
+ * @return {?Interchange} - The details or null if the station has none.
+ */
+function getInterchange(data, stationId) {
+  let res = null;
+  if (data instanceof RailwayNetwork) {
+    data.interchanges.forEach((interchange) => {
+      if (interchange.stationId === stationId) {
+        res = interchange;
+      }
+    });
+  }
+  return res;
+}
+
 /**
  * Returns a Stop from a Route based of the stop's name.
  * @param {!Route} route - The Route.
@@ -194,15 +890,72 @@ function routeToString(route) {
   if (route instanceof Route) {
     let distanceTraveled = 0;
     res = `ROUTE: ${route.name}(${route.color})\nSTATIONS:\n`;
-    route.stops.forEach((stop) => {
+    route.stops.forEach((stop, i) => {
       res += `${stop.number} ${stop.stationName} ${distanceTraveled} miles\n`;
-      distanceTraveled += stop.distanceToNext;
+      distanceTraveled += route.distanceToNext(i);
     });
+    if (route.circular && route.stops.length > 0) {
+      res += `Back to ${route.stops[0].stationName} ` +
+        `${distanceTraveled} miles\n`;
+    }
     res += `Total Route Distance: ${distanceTraveled} miles`;
   }
   return res;
 }
 
+/**
+ * A route as a record of the output schema.
+ * @typedef {{type: string, name: string, color: string, circular: boolean,
+ *    distance: number, stops: !Array<{number: number, stationName: string,
+ *    stationID: number, distanceFromStart: number}>}} RouteRecord
+ */
+
+/**
+ * Returns the same synopsis of a Route as routeToString as a record for JSON
+ *    output.
+ * @param {!Route} route - The route.
+ * @return {?RouteRecord}
+ */
+function routeToData(route) {
+  let res = null;
+  if (route instanceof Route) {
+    let distanceTraveled = 0;
+    const stops = route.stops.map((stop, i) => {
+      const record = {
+        number: stop.number,
+        stationName: stop.stationName,
+        stationID: stop.stationId,
+        distanceFromStart: distanceTraveled,
+      };
+      distanceTraveled += route.distanceToNext(i);
+      return record;
+    });
+    res = {
+      type: 'route',
+      name: route.name,
+      color: route.color,
+      circular: route.circular,
+      distance: distanceTraveled,
+      stops: stops,
+    };
+  }
+  return res;
+}
+
+/**
+ * Returns the station names at the ends of a route.
+ * @param {!Route} route - The route.
+ * @param {?string} none - What to give for a route with no stops.
+ * @return {{first: ?string, last: ?string}}
+ */
+function terminalNames(route, none) {
+  const stops = route.stops;
+  return {
+    first: stops.length > 0 ? stops[0].stationName : none,
+    last: stops.length > 0 ? stops[stops.length - 1].stationName : none,
+  };
+}
+
 /**
  * Returns a formatted synopsis of all routes in a RailwayNetwork. The synopsis
  *     contains the names of the routes, the starting stop, the ending stop,
@@ -221,13 +974,12 @@ function routeSummary(data) {
     res = 'Routes Summary\n==============\n';
     // loop through and add each route summary
     data.routes.forEach((route) => {
+      // a route just added has no stops yet
+      const ends = terminalNames(route, '(no stops)');
       res +=
         `${route.name.padEnd(width1, ' ')}-` +
-        `${route.stops[0].stationName.padEnd(width2, ' ')}` +
-        `${route.stops[route.stops.length - 1].stationName.padEnd(
-            width3,
-            ' ',
-        )}-` +
+        `${ends.first.padEnd(width2, ' ')}` +
+        `${ends.last.padEnd(width3, ' ')}-` +
         `${String(routeDistance(route)).padStart(width4, ' ')}` +
         ` miles\n`;
     });
@@ -235,6 +987,40 @@ function routeSummary(data) {
   return res;
 }
 
+/**
+ * A summary of the routes of a network as a record of the output schema.
+ * @typedef {{type: string, networkName: string, totalStations: number,
+ *    routes: !Array<{name: string, firstStop: ?string, lastStop: ?string,
+ *    distance: number}>}} SummaryRecord
+ */
+
+/**
+ * Returns the same summary of a RailwayNetwork as routeSummary as a record
+ *    for JSON output.
+ * @param {!RailwayNetwork} data - The RailwayNetwork.
+ * @return {?SummaryRecord}
+ */
+function routeSummaryToData(data) {
+  let res = null;
+  if (data instanceof RailwayNetwork) {
+    res = {
+      type: 'summary',
+      networkName: data.networkName,
+      totalStations: totalStations(data),
+      routes: data.routes.map((route) => {
+        const ends = terminalNames(route, null);
+        return {
+          name: route.name,
+          firstStop: ends.first,
+          lastStop: ends.last,
+          distance: routeDistance(route),
+        };
+      }),
+    };
+  }
+  return res;
+}
+
 /**
  * Returns the total number of stations in a RailwayNetwork without duplicates.
  * @param {!RailwayNetwork} data - The RailwayNetwork.
@@ -257,7 +1043,8 @@ function totalStations(data) {
 
 /**
  * Returns the length from the first stop of a route to the end. Could be
- *    different from the backwards distance.
+ *    different from the backwards distance. A circular route includes the
+ *    distance back to its first stop.
  * @param {!Route} route - The route.
  * @return {number}
  */
@@ -266,8 +1053,8 @@ function routeDistance(route) {
   if (route instanceof Route) {
     let distance = 0;
     // loop through stops and get total forward distance
-    route.stops.forEach((stop) => {
-      distance += stop.distanceToNext;
+    route.stops.forEach((stop, i) => {
+      distance += route.distanceToNext(i);
     });
     res = distance;
   }
@@ -347,7 +1134,7 @@ function sortRoutesByLength(data, asc) {
         addDistances(data);
       }
       if (r1.distance < r2.distance) comparatorVal = -1;
-      else if (r1.distance < r2.distance) comparatorVal = 1;
+      else if (r1.distance > r2.distance) comparatorVal = 1;
       else comparatorVal = 0;
       return comparatorVal;
     };
@@ -360,58 +1147,233 @@ function sortRoutesByLength(data, asc) {
 }
 
 /**
- * Finds a path between two stops in any route in a RailwayNetwork.
+ * Returns the number of stops and distance travelled between two stops of a
+ *    route in one direction, going round a circular route if needed.
+ * @param {!Route} route - The route.
+ * @param {number} fromIndex - The index of the stop you are starting at.
+ * @param {number} toIndex - The index of the stop that you are ending at.
+ * @param {boolean} forward - Whether to travel in the order of the stops.
+ * @return {?{stops: number, distance: number}} - Null if the stop can not be
+ *    reached this way.
+ */
+function travelRoute(route, fromIndex, toIndex, forward) {
+  const length = route.stops.length;
+  const step = forward ? 1 : -1;
+  let distance = 0;
+  let numStops = 0;
+  let i = fromIndex;
+  while (i !== toIndex) {
+    const next = i + step;
+    if (!route.circular && (next < 0 || next >= length)) {
+      return null;
+    }
+    distance += forward ? route.distanceToNext(i) : route.distanceToPrev(i);
+    numStops++;
+    i = (next + length) % length;
+  }
+  return {stops: numStops, distance: distance};
+}
+
+/**
+ * The result of findRoute: the way between two stations on a single route or
+ *    across several, as legs travelled on one route each. A leg walked
+ *    between nearby stations has no routeName.
+ * @constructor
+ * @param {string} from - The name of the station you are starting at.
+ * @param {string} to - The name of the station you are ending at.
+ */
+function FoundRoute(from, to) {
+  this.from = from;
+  this.to = to;
+  this.found = false;
+  /** @type {Array<{routeName: ?string, from: string, to: string,
+   *    stops: number, distance: number}>} */
+  this.legs = [];
+  /** the stops travelled by train, leaving out walks */
+  this.stops = 0;
+  this.distance = 0;
+  /** miles walked, also counted in the distance */
+  this.walking = 0;
+  /** @type {Array<string>} the stations where another route is boarded */
+  this.interchanges = [];
+}
+
+/**
+ * Adds a leg to the end of a FoundRoute. As in the report of a journey, a
+ *    walk is not a change, but boarding another route after one is.
+ * @param {?string} routeName - The route of the leg, or null for a walk.
+ * @param {string} from - The name of the station the leg starts at.
+ * @param {string} to - The name of the station the leg ends at.
+ * @param {number} stops - The number of stops travelled.
+ * @param {number} distance - The distance travelled.
+ */
+FoundRoute.prototype.addLeg = function(routeName, from, to, stops, distance) {
+  const trainLegs = this.legs.filter((leg) => leg.routeName !== null);
+  const lastTrain = trainLegs[trainLegs.length - 1];
+  if (routeName === null) {
+    this.walking += distance;
+  } else {
+    if (lastTrain !== undefined && lastTrain.routeName !== routeName) {
+      this.interchanges.push(from);
+    }
+    this.stops += stops;
+  }
+  this.legs.push({
+    routeName: routeName,
+    from: from,
+    to: to,
+    stops: stops,
+    distance: distance,
+  });
+  this.found = true;
+  this.distance += distance;
+};
+
+/**
+ * Returns the FoundRoute as the string findRoute used to return.
+ * @return {string}
+ */
+FoundRoute.prototype.toString = function() {
+  return foundRouteToString(this);
+};
+
+/**
+ * Returns a FoundRoute as a sentence: the route taken, the number of stops
+ *    and miles, the miles walked, and where to change, or that no route was
+ *    found.
+ * @param {!FoundRoute} foundRoute - The result of findRoute.
+ * @return {string}
+ */
+function foundRouteToString(foundRoute) {
+  let res = null;
+  if (foundRoute instanceof FoundRoute) {
+    if (foundRoute.found) {
+      const routeNames = foundRoute.legs.map((leg) =>
+        leg.routeName === null ? 'walk' : leg.routeName);
+      res =
+        `${routeNames.join(', ')}: ${foundRoute.from} to ${foundRoute.to} ` +
+        `${foundRoute.stops} stops and ${foundRoute.distance} miles`;
+      if (foundRoute.walking > 0) {
+        res += `, walking ${foundRoute.walking} miles`;
+      }
+      if (foundRoute.interchanges.length > 0) {
+        res += `, changing at ${foundRoute.interchanges.join(', ')}`;
+      }
+    } else {
+      res =
+        `No direct route found between ${foundRoute.from} and ` +
+        `${foundRoute.to}`;
+    }
+  }
+  return res;
+}
+
+/**
+ * Finds the best way between two stations across the whole network, changing
+ *    routes as needed, and adds it to a FoundRoute.
+ * @param {!RailwayGraph} graph - The graph of the RailwayNetwork.
+ * @param {number} fromId - The stationID of the station to start at.
+ * @param {number} toId - The stationID of the station to end at.
+ * @param {!FoundRoute} foundRoute - The result to add the legs to.
+ */
+function findNetworkRoute(graph, fromId, toId, foundRoute) {
+  const {getBestRoute, journeyLegs} = require('./network.js');
+  const journey = getBestRoute(graph, fromId, toId, 1)[0];
+  if (journey === undefined) {
+    return;
+  }
+  journeyLegs(journey).forEach((leg) => {
+    foundRoute.addLeg(leg.routeName, leg.from, leg.to, leg.stops,
+        leg.distance);
+  });
+  // the journey distance also counts walking at interchanges
+  foundRoute.distance = journey.distance;
+  foundRoute.walking = journey.walking;
+}
+
+/**
+ * Finds a path between two stops in a RailwayNetwork. Stations on the same
+ *    route are travelled between on that route, taking the shorter way
+ *    around a circular route. Other stations are travelled between across
+ *    several routes, changing where the network allows. Station names are
+ *    resolved through the graph of the network, as getBestRoute does.
  * @param {!RailwayNetwork} data - The RailwayNetwork.
- * @param {string} from - The name of the stop you are starting at.
- * @param {string} to - The name of the stop that you are ending at.
- * @return {string} - A string containing the number of stops and miles if
- *    a path is found, otherwise a string that states no route has been found.
+ * @param {number|string} from - The stationID or name of the stop you are
+ *    starting at.
+ * @param {number|string} to - The stationID or name of the stop that you are
+ *    ending at.
+ * @param {Object<string, string>} [aliases] - Other names for stations,
+ *    mapping each alias to a station name.
+ * @return {!FoundRoute} - The legs, number of stops, miles and interchanges
+ *    of the path, if one is found. foundRouteToString writes it as a
+ *    sentence.
+ * @throws {StationNotFoundError} Throws with suggestions if a station is not
+ *    in the network.
+ * @throws {AmbiguousStationError} Throws if a name is used by more than one
+ *    station.
  */
-function findRoute(data, from, to) {
-  let res = `No direct route found between ${from} and ${to}`;
+function findRoute(data, from, to, aliases) {
+  const res = new FoundRoute(from, to);
   if (data instanceof RailwayNetwork) {
+    // network.js builds on this module, so it is only required when needed
+    const {buildGraph, resolveStation} = require('./network.js');
+    const graph = buildGraph(data);
+    const fromStation = resolveStation(graph, from, aliases);
+    const toStation = resolveStation(graph, to, aliases);
+    res.from = fromStation.stationName;
+    res.to = toStation.stationName;
+    let direct = null;
     data.routes.forEach((route) => {
-      const route1 = getStop(route, from);
-      const route2 = getStop(route, to);
-      if (route1 != null && route2 != null) {
-        const diff = route2.number - route1.number;
-        let distance = 0;
-        let numStops = 0;
-        // if route is forward
-        if (diff > 0) {
-          for (let i = route1.number - 1; i < route2.number - 1; i++) {
-            distance += route.stops[i].distanceToNext;
-            numStops++;
-          }
-        } else if (diff < 0) {
-          /* If route is going backwards*/ for (
-            let i = route1.number - 1;
-            i > route2.number - 1;
-            i--
-          ) {
-            distance += route.stops[i].distanceToPrev;
-            numStops++;
-          }
+      const fromIndex = route.stops.findIndex((stop) =>
+        stop.stationId === fromStation.stationID);
+      const toIndex = route.stops.findIndex((stop) =>
+        stop.stationId === toStation.stationID);
+      if (fromIndex !== -1 && toIndex !== -1) {
+        const forward = travelRoute(route, fromIndex, toIndex, true);
+        const backward = travelRoute(route, fromIndex, toIndex, false);
+        let best = forward;
+        if (best === null ||
+          (backward !== null && backward.distance < best.distance)) {
+          best = backward;
         }
-        // add closing line
-        res =
-          `${route.name}: ${from} to ${to} ` +
-          `${numStops} stops and ${distance} miles`;
+        direct = {routeName: route.name, stops: best.stops,
+          distance: best.distance};
       }
     });
+    if (direct !== null) {
+      res.addLeg(direct.routeName, res.from, res.to, direct.stops,
+          direct.distance);
+    } else {
+      findNetworkRoute(graph, fromStation.stationID, toStation.stationID,
+          res);
+    }
   }
   return res;
 }
 
 /**
- * Conduct a range of tests on the functions developed
+ * Conduct a range of tests on the functions developed. In the json and ndjson
+ * formats the route and the summary of the network are printed as records
+ * instead.
  * @param {string} fileName - The name and path of the JSON file to load.
  * @param {string} lineName - The name of line to look for in test 5.
+ * @param {string} [format] - The output format: text, json or ndjson.
+ * @throws {InputError} Throws if the format is not known.
  **/
-function main(fileName, lineName) {
+function main(fileName, lineName, format = 'text') {
+  checkFormat(format);
   // Load the railway data structure from rom file.
   const data = loadData(fileName);
   addDistances(data);
+  if (format !== 'text') {
+    const records = [routeToData(getRoute(data, lineName)),
+      routeSummaryToData(data)];
+    console.log(formatRecords(
+        records.filter((record) => record !== null),
+        format,
+    ));
+    return;
+  }
 
   // Test route name
   console.log('===TEST=1=NETWORK=NAME===');
@@ -484,35 +1446,59 @@ function main(fileName, lineName) {
 
   // TEst finding route from to.
   console.log('\n====(OPTIONAL) TEST=BONUS1=FIND=FROM=TO===');
-  const str = findRoute(data, 'Cardiff', 'Reading');
+  const str = foundRouteToString(findRoute(data, 'Cardiff', 'Reading'));
   console.log('>>END>>' + str);
 } // end main
 
 // Call the main function
 if (require.main === module) {
-  const TARGET_COMMAND_LINE_ARGS = 4;
-  if (process.argv.length >= TARGET_COMMAND_LINE_ARGS) {
+  // take out --format=<format> and keep the other arguments in order
+  let format = 'text';
+  const args = process.argv.slice(2).filter((arg) => {
+    const flag = /^--format=(.*)$/.exec(arg);
+    if (flag !== null) {
+      format = flag[1];
+    }
+    return flag === null;
+  });
+  if (args.length >= 2) {
     // Run the program with command line arguments
-    main(process.argv[2], process.argv[3]);
+    main(args[0], args[1], format);
   } else {
-    main('notional_ra.json', 'Northern Line');
+    main('notional_ra.json', 'Northern Line', format);
     // main('smokey_mountain.json', 'Dilsboro to Nantahala');
   }
 }
 
 exports.readData = loadData;
+exports.saveData = saveData;
+exports.serializeNetwork = serializeNetwork;
+exports.RailwayNetwork = RailwayNetwork;
+exports.Route = Route;
+exports.Stop = Stop;
+exports.Interchange = Interchange;
+exports.Transfer = Transfer;
+exports.Location = Location;
 exports.getNetworkName = getNetworkName;
 exports.getRoutes = getRoutes;
 exports.getRouteNames = getRouteNames;
 exports.routeNamesToString = routeNamesToString;
 exports.routeSummary = routeSummary;
+exports.routeSummaryToData = routeSummaryToData;
 exports.getRoute = getRoute;
 exports.totalStations = totalStations;
 exports.routeToString = routeToString;
+exports.routeToData = routeToData;
 exports.routeDistance = routeDistance;
 exports.findLongestRoute = findLongestRoute;
 exports.addDistances = addDistances;
 exports.sortRoutesByName = sortRoutesByName;
 exports.sortRoutesByLength = sortRoutesByLength;
 exports.getStop = getStop;
+exports.getInterchange = getInterchange;
+exports.getLocation = getLocation;
 exports.findRoute = findRoute;
+exports.main = main;
+exports.foundRouteToString = foundRouteToString;
+exports.validateNetwork = validateNetwork;
+exports.ValidationError = ValidationError;
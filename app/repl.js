@@ -0,0 +1,458 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview An interactive shell for planning journeys. The network is
+ *    loaded and its graph built once, then any number of questions can be
+ *    asked of it, e.g.
+ *    railway> plan "Kings Cross" Brixton -n 2
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const railway = require('./railway.js');
+const network = require('./network.js');
+const cli = require('./cli.js');
+const {FORMATS, checkFormat} = require('./output.js');
+
+/** The prompt shown before each command. */
+const PROMPT = 'railway> ';
+/** The most commands kept in the history. */
+const HISTORY_SIZE = 500;
+/** The file the history is kept in between sessions. */
+const HISTORY_FILE = path.join(os.homedir(), '.railway_history');
+/** The miles searched by near when no distance is given. */
+const DEFAULT_NEAR_DISTANCE = 5;
+
+/** @type {OptionSpec} the only option the commands of the shell take */
+const HELP_OPTION = {
+  alias: 'h',
+  value: null,
+  description: 'Show help for the command',
+};
+
+/**
+ * The commands only the shell has. The rest come from the CLI.
+ * @type {Object<string, {args: Array<string>, description: string,
+ *    options: Object<string, OptionSpec>,
+ *    run: function(!Shell, !Array<string>, !Object): boolean}>} Each
+ *    returns false when the shell should stop.
+ */
+const SHELL_COMMANDS = {
+  near: {
+    args: ['<station>', '[miles]'],
+    description: `List the stations within some miles, ` +
+      `${DEFAULT_NEAR_DISTANCE} by default.`,
+    options: {},
+    run: (shell, args) => {
+      const maxDistance = args[1] === undefined ?
+        DEFAULT_NEAR_DISTANCE :
+        Number(args[1]);
+      if (isNaN(maxDistance) || maxDistance < 0) {
+        throw new cli.UsageError('miles must be a number of at least 0');
+      }
+      const near = network.stationsNear(shell.graph, args[0], maxDistance);
+      console.log(near.length === 0 ?
+        `No stations within ${maxDistance} miles of ${args[0]}` :
+        near.map((item) => `${item.station.stationName} ` +
+          `(${Number(item.distance.toFixed(2))} miles)`).join('\n'));
+      return true;
+    },
+  },
+  reload: {
+    args: [],
+    description: 'Load the network file again.',
+    options: {},
+    run: (shell) => {
+      shell.load(shell.fileName);
+      return true;
+    },
+  },
+  use: {
+    args: ['<file>'],
+    description: 'Load another network file.',
+    options: {},
+    run: (shell, args) => {
+      shell.load(args[0]);
+      return true;
+    },
+  },
+  help: {
+    args: ['[command]'],
+    description: 'List the commands, or show the options of one.',
+    options: {},
+    run: (shell, args) => {
+      console.log(args[0] === undefined ?
+        shell.usage() :
+        shell.commandUsage(args[0]));
+      return true;
+    },
+  },
+  quit: {
+    args: [],
+    description: 'Leave the shell.',
+    options: {},
+    run: () => false,
+  },
+};
+
+/**
+ * Splits a command line into words. Words are separated by spaces, which can
+ *    be kept in a word by quoting it or putting a backslash before them, e.g.
+ *    "Kings Cross" or Kings\ Cross.
+ * @param {string} line - The command line.
+ * @return {{words: Array<string>, quote: ?string, partial: string}} The
+ *    words, the quote left open at the end of the line if any, and the last
+ *    word as it was typed, empty if the line ends with a space.
+ */
+function tokenize(line) {
+  const words = [];
+  let word = null;
+  let start = 0;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote !== null) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < line.length) {
+        word += line[++i];
+      } else {
+        word += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+    } else {
+      if (word === null) {
+        word = '';
+        start = i;
+      }
+      if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '\\' && i + 1 < line.length) {
+        word += line[++i];
+      } else {
+        word += char;
+      }
+    }
+  }
+  if (word !== null) {
+    words.push(word);
+  }
+  return {
+    words: words,
+    quote: quote,
+    partial: word === null ? '' : line.slice(start),
+  };
+}
+
+/**
+ * An interactive session on a railway network. Holds the network and its
+ *    graph so they are only loaded once.
+ * @constructor
+ * @param {string} fileName - The network file to load.
+ * @throws {Error} Throws if the file can not be loaded.
+ */
+function Shell(fileName) {
+  /** @type {?string} */
+  this.fileName = null;
+  /** @type {?RailwayNetwork} */
+  this.data = null;
+  /** @type {?RailwayGraph} */
+  this.graph = null;
+  this.load(fileName);
+}
+
+/**
+ * Loads a network file and builds its graph. The network already loaded is
+ *    kept if the file can not be loaded.
+ * @param {string} fileName - The network file.
+ * @throws {Error} Throws if the file can not be loaded.
+ */
+Shell.prototype.load = function(fileName) {
+  const data = cli.loadNetwork(fileName);
+  const graph = network.buildGraph(data);
+  this.fileName = fileName;
+  this.data = data;
+  this.graph = graph;
+  console.log(`Loaded ${railway.getNetworkName(data)} from ${fileName}`);
+};
+
+/**
+ * Returns the command with a name, from the shell or the CLI.
+ * @param {string} name - The name of the command.
+ * @return {?Object} The command or null if there is none.
+ */
+Shell.prototype.findCommand = function(name) {
+  let res = null;
+  if (Object.prototype.hasOwnProperty.call(SHELL_COMMANDS, name)) {
+    res = SHELL_COMMANDS[name];
+  } else if (Object.prototype.hasOwnProperty.call(cli.COMMANDS, name)) {
+    res = cli.COMMANDS[name];
+  } else if (name === 'exit') {
+    res = SHELL_COMMANDS.quit;
+  }
+  return res;
+};
+
+/**
+ * Returns the names of every command, in the order they are listed in help.
+ * @return {!Array<string>}
+ */
+Shell.prototype.commandNames = function() {
+  return Object.keys(cli.COMMANDS).concat(Object.keys(SHELL_COMMANDS));
+};
+
+/**
+ * Returns the list of commands.
+ * @return {string}
+ */
+Shell.prototype.usage = function() {
+  const lines = this.commandNames().map((name) => {
+    const synopsis = [name].concat(this.findCommand(name).args).join(' ');
+    return `  ${synopsis.padEnd(23)}${this.findCommand(name).description}`;
+  });
+  return (
+    `Commands:\n${lines.join('\n')}\n\n` +
+    'Names with spaces are quoted, e.g. plan "Kings Cross" Brixton. ' +
+    'Tab completes\nstation and route names.'
+  );
+};
+
+/**
+ * Returns the usage of one command, listing its options.
+ * @param {string} name - The name of the command.
+ * @return {string}
+ * @throws {UsageError} Throws if there is no such command.
+ */
+Shell.prototype.commandUsage = function(name) {
+  const command = this.findCommand(name);
+  if (command === null) {
+    throw new cli.UsageError(`Unknown command ${name}`);
+  }
+  return (
+    `Usage: ${[name].concat(command.args).join(' ')} [options]\n\n` +
+    `${command.description}\n\nOptions:\n` +
+    cli.optionsHelp(Object.assign({help: HELP_OPTION}, command.options))
+  );
+};
+
+/**
+ * Runs one command line, printing its output and any error.
+ * @param {string} line - The command line.
+ * @return {boolean} False if the shell should stop.
+ */
+Shell.prototype.execute = function(line) {
+  try {
+    const {words, quote} = tokenize(line);
+    if (quote !== null) {
+      throw new cli.UsageError(`Unclosed quote ${quote}`);
+    }
+    if (words.length === 0) {
+      return true;
+    }
+    const name = words[0];
+    const command = this.findCommand(name);
+    if (command === null) {
+      throw new cli.UsageError(
+          `Unknown command ${name}, type help for the commands`,
+      );
+    }
+    const {positional, options} = cli.parseCommandLine(
+        words.slice(1),
+        Object.assign({help: HELP_OPTION}, command.options),
+        name,
+    );
+    if (options.help === true) {
+      console.log(this.commandUsage(name));
+      return true;
+    }
+    const required = command.args.filter((arg) => !arg.startsWith('['));
+    if (
+      positional.length < required.length ||
+      positional.length > command.args.length
+    ) {
+      throw new cli.UsageError(
+          `Usage: ${[name].concat(command.args).join(' ')}`,
+      );
+    }
+    if (Object.values(SHELL_COMMANDS).includes(command)) {
+      return command.run(this, positional, options);
+    }
+    // commands with formats of their own default to the first of them
+    const formats = command.formats || FORMATS;
+    options.format = checkFormat(
+        options.format === undefined ? formats[0] : options.format,
+        formats,
+    );
+    command.run(this.data, positional, options, this.graph);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+  }
+  return true;
+};
+
+/**
+ * Completes the word being typed: a command name first, then the station,
+ *    route or file names the command takes. Completions are quoted or
+ *    escaped so names with spaces stay one word.
+ * @param {string} line - The command line so far.
+ * @return {!Array} The completions and the text they complete, as readline
+ *    expects.
+ */
+Shell.prototype.complete = function(line) {
+  const {words, quote, partial} = tokenize(line);
+  const index = partial === '' ? words.length : words.length - 1;
+  const current = partial === '' ? '' : words[index];
+  let names = [];
+  if (index === 0) {
+    names = this.commandNames();
+  } else if (!current.startsWith('-')) {
+    names = this.completionNames(words[0]);
+  }
+  const hits = names
+      .filter((name) => name.startsWith(current))
+      .sort()
+      .map((name) => quote === null ?
+        name.replace(/([\s"'\\])/g, '\\$1') :
+        `${quote}${name}${quote}`);
+  return [hits, partial];
+};
+
+/**
+ * Returns the names a command takes as arguments.
+ * @param {string} name - The name of the command.
+ * @return {!Array<string>}
+ */
+Shell.prototype.completionNames = function(name) {
+  let res = [];
+  if (['plan', 'find', 'near'].includes(name)) {
+    res = Object.keys(this.graph.stationIDs);
+  } else if (name === 'route') {
+    res = railway.getRouteNames(this.data);
+  } else if (name === 'help') {
+    res = this.commandNames();
+  } else if (name === 'use') {
+    res = fs.readdirSync('.').filter((file) => file.endsWith('.json'));
+  }
+  return res;
+};
+
+/**
+ * Reads the history kept by earlier sessions.
+ * @param {?string} fileName - The history file, or null to keep none.
+ * @return {!Array<string>} The commands, newest first as readline expects.
+ */
+function loadHistory(fileName) {
+  let res = [];
+  if (fileName !== null && fs.existsSync(fileName)) {
+    res = fs.readFileSync(fileName, 'utf8')
+        .split('\n')
+        .filter((line) => line !== '')
+        .reverse()
+        .slice(0, HISTORY_SIZE);
+  }
+  return res;
+}
+
+/**
+ * Keeps the history for the next session.
+ * @param {?string} fileName - The history file, or null to keep none.
+ * @param {!Array<string>} history - The commands, newest first.
+ */
+function saveHistory(fileName, history) {
+  if (fileName !== null) {
+    try {
+      fs.writeFileSync(fileName, history.slice().reverse().join('\n') + '\n');
+    } catch (error) {
+      // losing the history is not worth stopping the shell for
+    }
+  }
+}
+
+/**
+ * Starts the shell on a network file, reading commands until quit or the
+ *    end of the input.
+ * @param {string} fileName - The network file.
+ * @param {object} [options] - Shell options.
+ * @param {stream.Readable} [options.input] - Where commands are read from,
+ *    standard input by default.
+ * @param {stream.Writable} [options.output] - Where the prompt is written,
+ *    standard output by default.
+ * @param {?string} [options.historyFile] - Where history is kept, or null to
+ *    keep none.
+ * @return {!readline.Interface}
+ * @throws {Error} Throws if the file can not be loaded.
+ */
+function start(fileName, options = {}) {
+  const shell = new Shell(fileName);
+  const historyFile = options.historyFile === undefined ?
+    HISTORY_FILE :
+    options.historyFile;
+  const output = options.output || process.stdout;
+  const rl = readline.createInterface({
+    input: options.input || process.stdin,
+    output: output,
+    prompt: PROMPT,
+    completer: (line) => shell.complete(line),
+    history: loadHistory(historyFile),
+    historySize: HISTORY_SIZE,
+    terminal: options.terminal,
+  });
+  // readline still hands over lines it has buffered once closed
+  let closed = false;
+  rl.on('close', () => {
+    closed = true;
+  });
+  rl.on('history', (history) => saveHistory(historyFile, history));
+  rl.on('line', (line) => {
+    if (closed) {
+      return;
+    }
+    if (shell.execute(line)) {
+      rl.prompt();
+    } else {
+      rl.close();
+    }
+  });
+  rl.prompt();
+  return rl;
+}
+
+/**
+ * Starts the shell on the network file given on the command line.
+ * @param {!Array<string>} args - The command line arguments after the script.
+ * @return {number} The exit code: cli.EXIT_OK once the shell starts, or the
+ *    CLI exit code for why the file could not be loaded.
+ */
+function main(args) {
+  if (args.length !== 1) {
+    console.log('Error! Usage: node repl.js <data set>');
+    return cli.EXIT_BAD_INPUT;
+  }
+  try {
+    start(args[0]);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return cli.exitCodeFor(error);
+  }
+  return cli.EXIT_OK;
+}
+
+// main entry point idiom for file
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+exports.Shell = Shell;
+exports.tokenize = tokenize;
+exports.loadHistory = loadHistory;
+exports.saveHistory = saveHistory;
+exports.start = start;
+exports.main = main;
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Sweeps a railway network for its most critical assets: each
+ *    station and each stretch of route between neighbouring stops is closed
+ *    in turn, and the journeys between every pair of stations compared with
+ *    normal service. Assets are ranked by the pairs of stations they cut
+ *    off, then by how far and with how many more changes journeys have to go
+ *    around them.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {Disruption, disruptionImpact} = require('./disruption.js');
+const {computeMatrix} = require('./matrix.js');
+const {round} = require('./output.js');
+
+/** The columns of the CSV export. */
+const CSV_COLUMNS = [
+  'rank',
+  'asset',
+  'name',
+  'route',
+  'from',
+  'to',
+  'pairs',
+  'unreachable',
+  'averageExtraDistance',
+  'averageExtraChanges',
+];
+
+/**
+ * What closing one asset does to the journeys of a network. A station asset
+ *    has its name in from and a null route and to. The averages are over
+ *    the pairs still connected, to two decimal places.
+ * @typedef {{type: string, rank: number, asset: string, name: string,
+ *    route: ?string, from: string, to: ?string, pairs: number,
+ *    unreachable: number, averageExtraDistance: number,
+ *    averageExtraChanges: number}} AssetResilience
+ */
+
+/**
+ * Returns the stretches between neighbouring stops of every route of a
+ *    graph, including the way back to the first stop of a circular route.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @return {!Array<{route: string, from: Stop, to: Stop}>}
+ */
+function routeSegments(graph) {
+  const res = [];
+  Object.keys(graph.routes).forEach((name) => {
+    const stops = graph.routes[name].stops;
+    stops.forEach((stop, i) => {
+      const last = i === stops.length - 1;
+      if (!last || (graph.routes[name].circular && stops.length > 2)) {
+        const next = stops[last ? 0 : i + 1];
+        if (String(next.stationId) !== String(stop.stationId)) {
+          res.push({route: name, from: stop, to: next});
+        }
+      }
+    });
+  });
+  return res;
+}
+
+/**
+ * Measures what closing an asset does to the network.
+ * @param {!RailwayGraph} graph - The graph of the network.
+ * @param {!DistanceMatrix} normal - The matrix of the network in normal
+ *    service.
+ * @param {!Disruption} disruption - The closure of the asset.
+ * @param {!Object} asset - The fields naming the asset.
+ * @return {!AssetResilience}
+ */
+function measure(graph, normal, disruption, asset) {
+  const impact = disruptionImpact(graph, disruption, normal);
+  const connected = impact.affected.filter((pair) => pair.reachable);
+  const stillConnected = impact.pairs - impact.affected.length +
+    connected.length;
+  const average = (field) => stillConnected === 0 ? 0 : round(
+      connected.reduce((sum, pair) => sum + pair[field], 0) / stillConnected,
+  );
+  return Object.assign({type: 'asset-resilience', rank: null}, asset, {
+    pairs: impact.pairs,
+    unreachable: impact.affected.length - connected.length,
+    averageExtraDistance: average('extraDistance'),
+    averageExtraChanges: average('extraChanges'),
+  });
+}
+
+/**
+ * Closes each station and each segment of a network in turn and ranks them
+ *    by what their loss does to journeys: the pairs of stations cut off,
+ *    then the average extra miles, then the average extra changes.
+ * @param {!RailwayGraph} graph - The graph of the network, built by the
+ *    network method.
+ * @param {{stations: (boolean|undefined), segments: (boolean|undefined)}}
+ *    [options] - Set stations or segments to false to leave them out.
+ * @return {!Array<AssetResilience>} The assets, most critical first.
+ */
+function resilienceSweep(graph, options = {}) {
+  const normal = computeMatrix(graph);
+  const res = [];
+  if (options.stations !== false) {
+    Object.keys(graph.stations).forEach((id) => {
+      const station = graph.stations[id];
+      res.push(measure(graph, normal, new Disruption([station.stationID]), {
+        asset: 'station',
+        name: station.stationName,
+        route: null,
+        from: station.stationName,
+        to: null,
+      }));
+    });
+  }
+  if (options.segments !== false) {
+    routeSegments(graph).forEach((segment) => {
+      const closure = new Disruption([], [{
+        route: segment.route,
+        from: segment.from.stationId,
+        to: segment.to.stationId,
+      }]);
+      res.push(measure(graph, normal, closure, {
+        asset: 'segment',
+        name: `${segment.route} ${segment.from.stationName} - ` +
+          segment.to.stationName,
+        route: segment.route,
+        from: segment.from.stationName,
+        to: segment.to.stationName,
+      }));
+    });
+  }
+  res.sort((assetA, assetB) =>
+    assetB.unreachable - assetA.unreachable ||
+    assetB.averageExtraDistance - assetA.averageExtraDistance ||
+    assetB.averageExtraChanges - assetA.averageExtraChanges ||
+    assetA.name.localeCompare(assetB.name));
+  res.forEach((asset, i) => {
+    asset.rank = i + 1;
+  });
+  return res;
+}
+
+/**
+ * Returns a human-readable report of the most critical assets.
+ * @param {string} networkName - The name of the network.
+ * @param {!Array<AssetResilience>} assets - The assets found by
+ *    resilienceSweep.
+ * @param {number} [top] - The most assets to list, all of them if not given.
+ * @return {string}
+ */
+function resilienceToString(networkName, assets, top = Infinity) {
+  const count = (kind) => assets.filter((asset) => asset.asset === kind)
+      .length;
+  const lines = [
+    `Resilience of ${networkName}`,
+    `Assets tested: ${count('station')} station(s), ` +
+      `${count('segment')} segment(s)`,
+    '',
+    'Most critical assets',
+  ];
+  assets.slice(0, top).forEach((asset) => {
+    lines.push(`${String(asset.rank).padStart(4)}. ${asset.asset} ` +
+      `${asset.name}: ${asset.unreachable} pair(s) cut off, ` +
+      `+${asset.averageExtraDistance} miles and ` +
+      `+${asset.averageExtraChanges} changes on average`);
+  });
+  return lines.join('\n');
+}
+
+exports.resilienceSweep = resilienceSweep;
+exports.resilienceToString = resilienceToString;
+exports.routeSegments = routeSegments;
+exports.CSV_COLUMNS = CSV_COLUMNS;
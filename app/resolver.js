@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Resolves station names typed by people to the names used in a
+ *    railway network, forgiving differences in case, punctuation and accents,
+ *    and suggests the closest names when nothing matches.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const fs = require('fs');
+const {InputError} = require('./errors.js');
+
+/** The lowest similarity a name needs to be suggested. */
+const MIN_SIMILARITY = 0.6;
+/** The number of suggestions given by default. */
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Thrown when a station can not be found in a network. Carries the closest
+ *    station names as suggestions.
+ */
+class StationNotFoundError extends InputError {
+  /**
+   * @param {*} station - The station that was looked up.
+   * @param {!Array<string>} suggestions - The closest station names.
+   */
+  constructor(station, suggestions) {
+    let message = `Station not found in network: ${station}`;
+    if (suggestions.length > 0) {
+      message += `. Did you mean ${suggestions.join(', ')}?`;
+    }
+    super(message);
+    this.name = 'StationNotFoundError';
+    this.station = station;
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Returns the edit (Levenshtein) distance between two strings: the number of
+ *    single character insertions, deletions and substitutions needed to turn
+ *    one into the other.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @return {number}
+ */
+function levenshtein(a, b) {
+  // only the previous row of the distance table is kept
+  let previous = Array.from({length: b.length + 1}, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + substitution,
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns a station name in a form where case, accents and punctuation no
+ *    longer matter, e.g. "King's Cross" and "kings  cross" both become
+ *    "kings cross".
+ * @param {string} name - The station name.
+ * @return {string}
+ */
+function normalizeName(name) {
+  return String(name)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['\u2019`]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+}
+
+/**
+ * Returns how alike two station names are, from 0 (nothing alike) to 1 (the
+ *    same once normalized).
+ * @param {string} a - The first name.
+ * @param {string} b - The second name.
+ * @return {number}
+ */
+function similarity(a, b) {
+  const normalA = normalizeName(a);
+  const normalB = normalizeName(b);
+  const length = Math.max(normalA.length, normalB.length);
+  return length === 0 ? 1 : 1 - levenshtein(normalA, normalB) / length;
+}
+
+/**
+ * Returns the station names of a graph built by network(), of a
+ *    RailwayNetwork from loadData() or of a DistanceMatrix.
+ * @param {object} source - The RailwayGraph, RailwayNetwork or
+ *    DistanceMatrix.
+ * @return {!Array<string>} The names without duplicates.
+ */
+function stationNames(source) {
+  let res = [];
+  if (source != null && source.stationIDs instanceof Map) {
+    res = Array.from(source.stationIDs.keys());
+  } else if (source != null && typeof source.stationIDs === 'object') {
+    res = Object.keys(source.stationIDs);
+  } else if (source != null && Array.isArray(source.routes)) {
+    const names = new Set();
+    source.routes.forEach((route) => {
+      route.stops.forEach((stop) => names.add(stop.stationName));
+    });
+    res = Array.from(names);
+  }
+  return res;
+}
+
+/**
+ * Reads an alias list from a JSON file mapping each alias to a station name,
+ *    e.g. {"KX": "King's Cross"}.
+ * @param {string} fileName - The path to the JSON file.
+ * @return {!Object<string, string>}
+ */
+function loadAliases(fileName) {
+  return JSON.parse(fs.readFileSync(fileName, 'utf8'));
+}
+
+/**
+ * Resolves the names people type to the station names of a network.
+ * @constructor
+ * @param {object} source - The RailwayGraph or RailwayNetwork to resolve
+ *    names in.
+ * @param {Object<string, string>} [aliases] - Other names for stations,
+ *    mapping each alias to a station name.
+ */
+function StationResolver(source, aliases = {}) {
+  /** @type {Array<string>} */
+  this.names = stationNames(source);
+  /** @type {Map<string, string>} normalized name to station name */
+  this.index = new Map();
+  this.names.forEach((name) => {
+    const key = normalizeName(name);
+    if (!this.index.has(key)) {
+      this.index.set(key, name);
+    }
+  });
+  /** @type {Map<string, string>} normalized alias to station name */
+  this.aliases = new Map();
+  Object.keys(aliases).forEach((alias) => {
+    this.aliases.set(normalizeName(alias), aliases[alias]);
+  });
+}
+
+/**
+ * Returns the station name meant by a query: the query itself if it is a
+ *    station name, otherwise the station with the same normalized name or
+ *    alias.
+ * @param {string} query - The name that was typed.
+ * @return {?string} The station name or null if nothing matches.
+ */
+StationResolver.prototype.resolve = function(query) {
+  let res = null;
+  const key = normalizeName(query);
+  if (this.names.includes(query)) {
+    res = query;
+  } else if (this.index.has(key)) {
+    res = this.index.get(key);
+  } else if (this.aliases.has(key)) {
+    // aliases may themselves be written loosely
+    const target = this.aliases.get(key);
+    res = this.names.includes(target) ?
+      target :
+      this.index.get(normalizeName(target)) || null;
+  }
+  return res;
+};
+
+/**
+ * Returns the station names most like a query, most similar first.
+ * @param {string} query - The name that was typed.
+ * @param {number} [limit] - The most suggestions to return.
+ * @return {!Array<string>}
+ */
+StationResolver.prototype.suggest = function(query, limit = MAX_SUGGESTIONS) {
+  return this.names
+      .map((name) => ({name: name, score: similarity(query, name)}))
+      .filter((match) => match.score >= MIN_SIMILARITY)
+      .sort((matchA, matchB) => matchB.score - matchA.score)
+      .slice(0, limit)
+      .map((match) => match.name);
+};
+
+/**
+ * Returns the station name meant by a query, or throws with suggestions.
+ * @param {string} query - The name that was typed.
+ * @return {string} The station name.
+ * @throws {StationNotFoundError} Throws if no station matches.
+ */
+StationResolver.prototype.require = function(query) {
+  const res = this.resolve(query);
+  if (res === null) {
+    throw new StationNotFoundError(query, this.suggest(query));
+  }
+  return res;
+};
+
+exports.StationResolver = StationResolver;
+exports.StationNotFoundError = StationNotFoundError;
+exports.levenshtein = levenshtein;
+exports.normalizeName = normalizeName;
+exports.similarity = similarity;
+exports.stationNames = stationNames;
+exports.loadAliases = loadAliases;
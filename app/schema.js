@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Describes the JSON format of a railway network and checks
+ *    network documents against it.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+/**
+ * The schema of a stationID: an integer, or for a network merged from
+ *    several operators the operator and its own stationID, e.g. Kentish:2.
+ * @type {object}
+ */
+const STATION_ID_SCHEMA = {
+  type: ['integer', 'string'],
+  pattern: '^[^:]+:.+$',
+  patternMessage: 'must be an integer, or operator:stationID for a merged ' +
+    'network',
+};
+
+/**
+ * The schema of a stop on a route. Distances are null at the ends of a route.
+ * @type {object}
+ */
+const STOP_SCHEMA = {
+  type: 'object',
+  required: [
+    'stop',
+    'stationName',
+    'stationID',
+    'distanceToNext',
+    'distanceToPrev',
+  ],
+  properties: {
+    stop: {type: 'integer', minimum: 1},
+    stationName: {type: 'string', minLength: 1},
+    stationID: STATION_ID_SCHEMA,
+    distanceToNext: {type: ['number', 'null'], minimum: 0},
+    distanceToPrev: {type: ['number', 'null'], minimum: 0},
+  },
+};
+
+/**
+ * The schema of the optional timetable of a route. Running times come from
+ * either runTimes or the running speed.
+ * @type {object}
+ */
+const TIMETABLE_SCHEMA = {
+  type: 'object',
+  required: ['firstDeparture', 'lastDeparture', 'headway'],
+  properties: {
+    firstDeparture: {type: 'string', pattern: '^\\d{1,2}:[0-5]\\d$'},
+    lastDeparture: {type: 'string', pattern: '^\\d{1,2}:[0-5]\\d$'},
+    headway: {type: 'number', exclusiveMinimum: 0},
+    speed: {type: 'number', exclusiveMinimum: 0},
+    runTimes: {type: 'array', items: {type: 'number', minimum: 0}},
+    dwell: {
+      type: ['number', 'array'],
+      minimum: 0,
+      items: {type: 'number', minimum: 0},
+    },
+  },
+};
+
+/**
+ * The schema of a route in a network. A circular route also needs the
+ * closingDistance between its last and first stop.
+ * @type {object}
+ */
+const ROUTE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'color', 'stops'],
+  properties: {
+    name: {type: 'string', minLength: 1},
+    color: {type: 'string'},
+    circular: {type: 'boolean'},
+    closingDistance: {type: ['number', 'null'], minimum: 0},
+    timetable: TIMETABLE_SCHEMA,
+    operator: {type: 'string', minLength: 1},
+    stops: {type: 'array', minItems: 1, items: STOP_SCHEMA},
+  },
+};
+
+/**
+ * The schema of the interchange details of a station: the fewest minutes
+ * needed to change trains, the miles walked between platforms, and whether
+ * changing routes is allowed at all.
+ * @type {object}
+ */
+const INTERCHANGE_SCHEMA = {
+  type: 'object',
+  required: ['stationID'],
+  properties: {
+    stationID: STATION_ID_SCHEMA,
+    minConnectionTime: {type: 'number', minimum: 0},
+    walkingDistance: {type: 'number', minimum: 0},
+    noInterchange: {type: 'boolean'},
+  },
+};
+
+/**
+ * The schema of a walk between two nearby stations, taken either way.
+ * @type {object}
+ */
+const TRANSFER_SCHEMA = {
+  type: 'object',
+  required: ['fromStationID', 'toStationID', 'distance'],
+  properties: {
+    fromStationID: STATION_ID_SCHEMA,
+    toStationID: STATION_ID_SCHEMA,
+    distance: {type: 'number', minimum: 0},
+  },
+};
+
+/**
+ * The schema of where a station is on the map, in degrees of latitude and
+ * longitude.
+ * @type {object}
+ */
+const LOCATION_SCHEMA = {
+  type: 'object',
+  required: ['stationID', 'lat', 'lon'],
+  properties: {
+    stationID: STATION_ID_SCHEMA,
+    lat: {type: 'number', minimum: -90, maximum: 90},
+    lon: {type: 'number', minimum: -180, maximum: 180},
+  },
+};
+
+/**
+ * The schema of a whole railway network document. Written as a subset of JSON
+ * Schema: type, required, properties, items, minItems, minLength, pattern,
+ * minimum, maximum and exclusiveMinimum, and patternMessage to say what a
+ * pattern means when a value does not match it.
+ * @type {object}
+ */
+const NETWORK_SCHEMA = {
+  type: 'object',
+  required: ['networkName', 'routes'],
+  properties: {
+    networkName: {type: 'string'},
+    routes: {type: 'array', minItems: 1, items: ROUTE_SCHEMA},
+    interchanges: {type: 'array', items: INTERCHANGE_SCHEMA},
+    transfers: {type: 'array', items: TRANSFER_SCHEMA},
+    locations: {type: 'array', items: LOCATION_SCHEMA},
+  },
+};
+
+/**
+ * A problem found in a network document.
+ * @typedef {{path: string, message: string}} ValidationProblem
+ */
+
+/**
+ * Thrown when a network document does not match the schema.
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} fileName The file the document was loaded from.
+   * @param {!Array<ValidationProblem>} problems Everything wrong with it.
+   */
+  constructor(fileName, problems) {
+    super(
+        `Invalid railway network ${fileName}:\n` +
+        problems.map((problem) => `  ${formatProblem(problem)}`).join('\n'),
+    );
+    this.name = 'ValidationError';
+    this.fileName = fileName;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Returns a problem as a sentence starting with its path.
+ * @param {!ValidationProblem} problem The problem.
+ * @return {string}
+ */
+function formatProblem(problem) {
+  return `${problem.path === '' ? 'network' : problem.path} ${problem.message}`;
+}
+
+/**
+ * Returns the JSON type name of a value, telling integers and null apart.
+ * @param {*} value The value.
+ * @return {string}
+ */
+function typeOf(value) {
+  let res = typeof value;
+  if (value === null) {
+    res = 'null';
+  } else if (Array.isArray(value)) {
+    res = 'array';
+  } else if (Number.isInteger(value)) {
+    res = 'integer';
+  }
+  return res;
+}
+
+/**
+ * Checks a value against a schema and adds every problem found to problems.
+ * @param {*} value The value to check.
+ * @param {!object} schema The schema the value should match.
+ * @param {string} path The JSON path of the value.
+ * @param {!Array<ValidationProblem>} problems Collects the problems found.
+ */
+function checkSchema(value, schema, path, problems) {
+  const types = [].concat(schema.type);
+  const type = typeOf(value);
+  // integers are numbers too
+  const isNumber = type === 'integer' && types.includes('number');
+  if (!types.includes(type) && !isNumber) {
+    const expected = types
+        .map((name) => {
+          let article = /^[aeiou]/.test(name) ? 'an ' : 'a ';
+          if (name === 'null') {
+            article = '';
+          }
+          return article + name;
+        })
+        .join(' or ');
+    problems.push({path: path, message: `must be ${expected}`});
+    return;
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' &&
+    value < schema.minimum) {
+    problems.push({path: path, message: `must be at least ${schema.minimum}`});
+  }
+  if (schema.maximum !== undefined && typeof value === 'number' &&
+    value > schema.maximum) {
+    problems.push({path: path, message: `must be at most ${schema.maximum}`});
+  }
+  if (schema.exclusiveMinimum !== undefined && typeof value === 'number' &&
+    value <= schema.exclusiveMinimum) {
+    problems.push({
+      path: path,
+      message: `must be more than ${schema.exclusiveMinimum}`,
+    });
+  }
+  if (schema.pattern !== undefined && typeof value === 'string' &&
+    !new RegExp(schema.pattern).test(value)) {
+    problems.push({
+      path: path,
+      message: schema.patternMessage || `must match ${schema.pattern}`,
+    });
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' &&
+    value.length < schema.minLength) {
+    problems.push({path: path, message: 'must not be empty'});
+  }
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({
+        path: path,
+        message: `must have at least ${schema.minItems} item(s)`,
+      });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => {
+        checkSchema(item, schema.items, `${path}[${i}]`, problems);
+      });
+    }
+  } else if (type === 'object') {
+    const prefix = path === '' ? '' : `${path}.`;
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        problems.push({path: prefix + key, message: 'is required'});
+      }
+    });
+    Object.keys(schema.properties || {}).forEach((key) => {
+      if (key in value) {
+        checkSchema(value[key], schema.properties[key], prefix + key, problems);
+      }
+    });
+  }
+}
+
+/**
+ * Checks that a route timetable can give the running time of every segment.
+ * @param {!object} route - The route as written in the network JSON.
+ * @param {string} path - The JSON path of the route.
+ * @param {!Array<ValidationProblem>} problems - Collects the problems found.
+ */
+function checkTimetable(route, path, problems) {
+  const timetable = route.timetable;
+  if (typeOf(timetable) !== 'object' || !Array.isArray(route.stops)) {
+    return;
+  }
+  const segments = route.stops.length - (route.circular === true ? 0 : 1);
+  if (Array.isArray(timetable.runTimes)) {
+    if (timetable.runTimes.length !== segments) {
+      problems.push({
+        path: `${path}.timetable.runTimes`,
+        message: `must have ${segments} item(s), one per segment`,
+      });
+    }
+  } else if (timetable.speed === undefined) {
+    problems.push({
+      path: `${path}.timetable`,
+      message: 'must have either runTimes or speed',
+    });
+  }
+  if (Array.isArray(timetable.dwell) &&
+    timetable.dwell.length !== route.stops.length) {
+    problems.push({
+      path: `${path}.timetable.dwell`,
+      message: `must have ${route.stops.length} item(s), one per stop`,
+    });
+  }
+}
+
+/**
+ * Whether a value is a stationID as STATION_ID_SCHEMA allows it.
+ * @param {*} value - The value.
+ * @return {boolean}
+ */
+function isStationID(value) {
+  return Number.isInteger(value) || (typeof value === 'string' &&
+    new RegExp(STATION_ID_SCHEMA.pattern).test(value));
+}
+
+/**
+ * Checks that every interchange, transfer and location is for stations that
+ * are on a route.
+ * @param {!object} jsonData - The parsed network document.
+ * @param {!Array<ValidationProblem>} problems - Collects the problems found.
+ */
+function checkStationReferences(jsonData, problems) {
+  if (!Array.isArray(jsonData.routes)) {
+    return;
+  }
+  const stationIDs = new Set();
+  jsonData.routes.forEach((route) => {
+    if (typeOf(route) === 'object' && Array.isArray(route.stops)) {
+      route.stops.forEach((stop) => {
+        if (typeOf(stop) === 'object') {
+          stationIDs.add(stop.stationID);
+        }
+      });
+    }
+  });
+  const references = [
+    ['interchanges', 'stationID'],
+    ['transfers', 'fromStationID'],
+    ['transfers', 'toStationID'],
+    ['locations', 'stationID'],
+  ];
+  references.forEach(([section, key]) => {
+    if (!Array.isArray(jsonData[section])) {
+      return;
+    }
+    jsonData[section].forEach((item, i) => {
+      if (typeOf(item) === 'object' && isStationID(item[key]) &&
+        !stationIDs.has(item[key])) {
+        problems.push({
+          path: `${section}[${i}].${key}`,
+          message: 'must be the stationID of a stop on a route',
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Checks a parsed network document against the network schema, that the
+ *    stops of each route are numbered by their position, that circular
+ *    routes have a closing distance, that timetables cover every segment,
+ *    and that interchanges, transfers and locations are for known stations.
+ * @param {*} jsonData The parsed contents of a network JSON file.
+ * @return {!Array<ValidationProblem>} Every problem found, empty if the
+ *    document is valid.
+ */
+function validateNetwork(jsonData) {
+  const problems = [];
+  checkSchema(jsonData, NETWORK_SCHEMA, '', problems);
+  // check the numbering of every stop that is an object
+  const routes = typeOf(jsonData) === 'object' ? jsonData.routes : null;
+  if (Array.isArray(routes)) {
+    routes.forEach((route, i) => {
+      if (typeOf(route) === 'object' && route.circular === true &&
+        typeof route.closingDistance !== 'number') {
+        problems.push({
+          path: `routes[${i}].closingDistance`,
+          message: 'must be a number for a circular route',
+        });
+      }
+      if (typeOf(route) === 'object') {
+        checkTimetable(route, `routes[${i}]`, problems);
+      }
+      const stops = typeOf(route) === 'object' ? route.stops : null;
+      if (Array.isArray(stops)) {
+        stops.forEach((stop, j) => {
+          if (typeOf(stop) === 'object' && Number.isInteger(stop.stop) &&
+            stop.stop !== j + 1) {
+            problems.push({
+              path: `routes[${i}].stops[${j}].stop`,
+              message: `must be ${j + 1} (its position on the route)`,
+            });
+          }
+        });
+      }
+    });
+  }
+  if (typeOf(jsonData) === 'object') {
+    checkStationReferences(jsonData, problems);
+  }
+  return problems;
+}
+
+exports.NETWORK_SCHEMA = NETWORK_SCHEMA;
+exports.ValidationError = ValidationError;
+exports.formatProblem = formatProblem;
+exports.validateNetwork = validateNetwork;
@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview A local HTTP API for querying railway networks and planning
+ *    journeys, e.g.
+ *    GET /journeys?from=Euston&to=Brixton&max=2&rank=distance
+ *    Responses are JSON in the versioned record format of output.js.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const railway = require('./railway.js');
+const network = require('./network.js');
+const {
+  InputError,
+  EXIT_OK,
+  EXIT_BAD_INPUT,
+  EXIT_FILE_NOT_FOUND,
+} = require('./errors.js');
+const {StationNotFoundError, normalizeName} = require('./resolver.js');
+const {ValidationError} = require('./schema.js');
+const {SCHEMA_VERSION, toJSON} = require('./output.js');
+const {loadNetworkFile} = require('./merge.js');
+
+/** The port listened on when none is given. */
+const DEFAULT_PORT = 8080;
+/** The host listened on, so the API is only reachable from this machine. */
+const HOST = '127.0.0.1';
+/** The journeys returned when max is not given. */
+const DEFAULT_MAX_JOURNEYS = 3;
+/** The most journeys that can be asked for at once. */
+const MAX_JOURNEYS = 20;
+
+/**
+ * Thrown by request handlers to answer with an HTTP error status.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - The HTTP status code.
+   * @param {string} message - What went wrong.
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * The networks served, keyed by an ID taken from their file names. Each is
+ *    loaded and its graph built on first use, and loaded again only when its
+ *    file changes.
+ * @constructor
+ * @param {!Array<string>} fileNames - The network files to serve.
+ */
+function NetworkCache(fileNames) {
+  /** @type {Map<string, string>} network ID to file name */
+  this.files = new Map();
+  fileNames.forEach((fileName) => {
+    this.files.set(path.basename(fileName, '.json'), fileName);
+  });
+  /**
+   * @type {Map<string, {data: RailwayNetwork, graph: RailwayGraph,
+   *    mtimeMs: number}>}
+   */
+  this.entries = new Map();
+}
+
+/**
+ * Returns the ID of the network used when a request does not name one: the
+ *    first file given.
+ * @return {?string}
+ */
+NetworkCache.prototype.defaultId = function() {
+  const ids = Array.from(this.files.keys());
+  return ids.length > 0 ? ids[0] : null;
+};
+
+/**
+ * Returns a network and its graph, loading them if they are not cached or
+ *    the file has changed since.
+ * @param {?string} id - The network ID, or null for the default network.
+ * @return {{data: RailwayNetwork, graph: RailwayGraph}}
+ * @throws {HttpError} Throws a 404 if there is no network with the ID.
+ */
+NetworkCache.prototype.get = function(id) {
+  const networkId = id === null ? this.defaultId() : id;
+  if (!this.files.has(networkId)) {
+    throw new HttpError(404, `Network not found: ${id}`);
+  }
+  const fileName = this.files.get(networkId);
+  const mtimeMs = fs.statSync(fileName).mtimeMs;
+  let entry = this.entries.get(networkId);
+  if (entry === undefined || entry.mtimeMs !== mtimeMs) {
+    const data = loadNetworkFile(fileName);
+    entry = {data: data, graph: network.buildGraph(data), mtimeMs: mtimeMs};
+    this.entries.set(networkId, entry);
+  }
+  return entry;
+};
+
+/**
+ * Reads a whole number from a query parameter.
+ * @param {!URLSearchParams} query - The query of the request.
+ * @param {string} name - The name of the parameter.
+ * @param {number} fallback - The value when the parameter is not given.
+ * @param {number} max - The largest value allowed.
+ * @return {number}
+ * @throws {HttpError} Throws a 400 if the value is not a whole number from 1
+ *    to max.
+ */
+function integerParam(query, name, fallback, max) {
+  if (!query.has(name)) {
+    return fallback;
+  }
+  const res = Number(query.get(name));
+  if (!Number.isInteger(res) || res < 1 || res > max) {
+    throw new HttpError(400, `${name} must be a whole number from 1 to ${max}`);
+  }
+  return res;
+}
+
+/**
+ * Reads a parameter the request can not do without.
+ * @param {!URLSearchParams} query - The query of the request.
+ * @param {string} name - The name of the parameter.
+ * @return {string}
+ * @throws {HttpError} Throws a 400 if the parameter is missing.
+ */
+function requiredParam(query, name) {
+  if (!query.has(name) || query.get(name) === '') {
+    throw new HttpError(400, `The ${name} parameter is required`);
+  }
+  return query.get(name);
+}
+
+/**
+ * The endpoints of the API. Each pattern is matched against the path of a
+ *    GET request, and its handler returns the records to answer with.
+ * @type {Array<{pattern: RegExp, handler: function(!NetworkCache,
+ *    !Array<string>, !URLSearchParams): !Array<OutputRecord>}>}
+ */
+const ENDPOINTS = [
+  {
+    pattern: /^\/networks$/,
+    handler: (cache) => Array.from(cache.files.keys()).map((id) => {
+      const data = cache.get(id).data;
+      return {
+        type: 'network',
+        id: id,
+        networkName: railway.getNetworkName(data),
+        routes: railway.getRoutes(data).length,
+        totalStations: railway.totalStations(data),
+      };
+    }),
+  },
+  {
+    pattern: /^\/networks\/([^/]+)\/routes$/,
+    handler: (cache, params) => railway.getRoutes(cache.get(params[0]).data)
+        .map(railway.routeToData),
+  },
+  {
+    pattern: /^\/routes\/([^/]+)$/,
+    handler: (cache, params, query) => {
+      const data = cache.get(query.get('network')).data;
+      const route = railway.getRoutes(data).find((candidate) =>
+        normalizeName(candidate.name) === normalizeName(params[0]));
+      if (route === undefined) {
+        throw new HttpError(404, `Route not found: ${params[0]}`);
+      }
+      return [railway.routeToData(route)];
+    },
+  },
+  {
+    pattern: /^\/stations$/,
+    handler: (cache, params, query) => {
+      const graph = cache.get(query.get('network')).graph;
+      const search = normalizeName(query.get('q') || '');
+      return Object.keys(graph.stations)
+          .map((id) => graph.stations[id])
+          .filter((station) =>
+            normalizeName(station.stationName).includes(search))
+          .sort((stationA, stationB) =>
+            stationA.stationName.localeCompare(stationB.stationName) ||
+            stationA.stationID - stationB.stationID)
+          .map((station) => ({
+            type: 'station',
+            stationID: station.stationID,
+            stationName: station.stationName,
+          }));
+    },
+  },
+  {
+    pattern: /^\/journeys$/,
+    handler: (cache, params, query) => {
+      const graph = cache.get(query.get('network')).graph;
+      const options = {};
+      const names = {
+        'rank': 'rank',
+        'change-penalty': 'changePenalty',
+        'connection-penalty': 'connectionPenalty',
+        'walk-penalty': 'walkPenalty',
+        'max-walk': 'maxWalking',
+        'depart': 'departAt',
+        'arrive-by': 'arriveBy',
+      };
+      Object.keys(names).forEach((name) => {
+        if (query.has(name)) {
+          options[names[name]] = query.get(name);
+        }
+      });
+      const from = requiredParam(query, 'from');
+      const to = requiredParam(query, 'to');
+      const journeys = network.getBestRoute(
+          graph,
+          from,
+          to,
+          integerParam(query, 'max', DEFAULT_MAX_JOURNEYS, MAX_JOURNEYS),
+          options,
+      );
+      if (journeys.length === 0) {
+        throw new HttpError(404, `No route found between ${from} and ${to}`);
+      }
+      return network.routesToData(journeys);
+    },
+  },
+];
+
+/**
+ * Decodes a parameter taken from the path of a request.
+ * @param {string} param - The parameter as written in the path.
+ * @return {string}
+ * @throws {HttpError} Throws a 400 if it is not correctly percent-encoded.
+ */
+function decodeParam(param) {
+  try {
+    return decodeURIComponent(param);
+  } catch (error) {
+    throw new HttpError(400, `Badly encoded path: ${param}`);
+  }
+}
+
+/**
+ * Returns the HTTP status for an error thrown while answering a request.
+ * @param {!Error} error - The error.
+ * @return {number}
+ */
+function statusFor(error) {
+  let res = 500;
+  if (error instanceof HttpError) {
+    res = error.status;
+  } else if (error instanceof StationNotFoundError) {
+    res = 404;
+  } else if (error instanceof ValidationError) {
+    // the network file is broken, not the request
+    res = 500;
+  } else if (error instanceof InputError) {
+    // unknown rankings, bad times and ambiguous names are all InputErrors,
+    // and any other error is a bug of the server
+    res = 400;
+  }
+  return res;
+}
+
+/**
+ * Writes a JSON response.
+ * @param {!http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} body - The JSON to send.
+ */
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+/**
+ * Answers one request, with the records of the endpoint matching its path
+ *    or with an error.
+ * @param {!NetworkCache} cache - The networks served.
+ * @param {!http.IncomingMessage} req - The request.
+ * @param {!http.ServerResponse} res - The response.
+ */
+function handleRequest(cache, req, res) {
+  try {
+    const url = new URL(req.url, `http://${HOST}`);
+    const pathName = url.pathname.replace(/\/+$/, '') || '/';
+    const endpoint = ENDPOINTS.find((candidate) =>
+      candidate.pattern.test(pathName));
+    if (endpoint === undefined) {
+      throw new HttpError(404, `No such endpoint: ${url.pathname}`);
+    }
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      throw new HttpError(405, `Method not allowed: ${req.method}`);
+    }
+    const params = endpoint.pattern.exec(pathName).slice(1)
+        .map(decodeParam);
+    send(res, 200, toJSON(endpoint.handler(cache, params, url.searchParams)));
+  } catch (error) {
+    const body = {
+      schemaVersion: SCHEMA_VERSION,
+      error: {
+        status: statusFor(error),
+        name: error.name,
+        message: error.message,
+      },
+    };
+    if (error instanceof StationNotFoundError) {
+      body.error.suggestions = error.suggestions;
+    }
+    send(res, body.error.status, JSON.stringify(body, null, 2));
+  }
+}
+
+/**
+ * Creates the API server. It does not listen until listen() is called.
+ * @param {!Array<string>} fileNames - The network files to serve. The first
+ *    is used when a request does not name a network.
+ * @return {!http.Server} The server, with the NetworkCache as its cache.
+ */
+function createServer(fileNames) {
+  const cache = new NetworkCache(fileNames);
+  const server = http.createServer((req, res) => {
+    handleRequest(cache, req, res);
+  });
+  server.cache = cache;
+  return server;
+}
+
+/**
+ * Starts the API server on the network files given on the command line.
+ * @param {!Array<string>} args - The command line arguments: the files to
+ *    serve and optionally --port=<port>.
+ * @return {number} The exit code: EXIT_OK once the server starts,
+ *    EXIT_BAD_INPUT if the arguments are wrong and EXIT_FILE_NOT_FOUND if a
+ *    file does not exist, as for the railway command.
+ */
+function main(args) {
+  let port = DEFAULT_PORT;
+  const files = [];
+  args.forEach((arg) => {
+    const flag = /^--port=(.*)$/.exec(arg);
+    if (flag !== null) {
+      port = Number(flag[1]);
+    } else {
+      files.push(arg);
+    }
+  });
+  if (files.length === 0 || !Number.isInteger(port) || port < 0) {
+    console.log('Error! Usage: node server.js [--port=<port>] <data set>...');
+    return EXIT_BAD_INPUT;
+  }
+  const missing = files.filter((fileName) => !fs.existsSync(fileName));
+  if (missing.length > 0) {
+    console.error(`Error: File not found: ${missing.join(', ')}`);
+    return EXIT_FILE_NOT_FOUND;
+  }
+  const server = createServer(files);
+  server.listen(port, HOST, () => {
+    console.log(`Serving ${files.join(', ')} on ` +
+      `http://${HOST}:${server.address().port}`);
+  });
+  return EXIT_OK;
+}
+
+// main entry point idiom for file
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+exports.createServer = createServer;
+exports.NetworkCache = NetworkCache;
+exports.HttpError = HttpError;
+exports.statusFor = statusFor;
+exports.main = main;
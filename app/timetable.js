@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Timetables for railway routes, and the departure and arrival
+ *    times of journeys travelled on timetabled routes.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const {InputError} = require('./errors.js');
+
+const MINUTES_PER_DAY = 24 * 60;
+/** The walking speed in miles per hour, used to time walks between stations. */
+const WALKING_SPEED = 3;
+
+/**
+ * Turns a time of day written as HH:MM into minutes after midnight. Numbers
+ *    are taken to be minutes after midnight already.
+ * @param {string|number} time - The time of day.
+ * @return {number}
+ * @throws {InputError} Throws if the time is not written as HH:MM.
+ */
+function parseTime(time) {
+  let res = time;
+  if (typeof time === 'string') {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time.trim());
+    if (match === null || Number(match[2]) >= 60) {
+      throw new InputError(`${time} is not a time written as HH:MM`);
+    }
+    res = Number(match[1]) * 60 + Number(match[2]);
+  } else if (typeof time !== 'number' || isNaN(time)) {
+    throw new InputError(`${time} is not a time written as HH:MM`);
+  }
+  return res;
+}
+
+/**
+ * Writes minutes after midnight as HH:MM, marking times on later days with
+ *    the number of days after, e.g. 25:10 is written as 01:10 (+1).
+ * @param {number} minutes - Minutes after midnight.
+ * @return {string}
+ */
+function formatTime(minutes) {
+  const rounded = Math.round(minutes);
+  const days = Math.floor(rounded / MINUTES_PER_DAY);
+  const time = rounded - days * MINUTES_PER_DAY;
+  const hours = String(Math.floor(time / 60)).padStart(2, '0');
+  let res = `${hours}:${String(time % 60).padStart(2, '0')}`;
+  if (days > 0) {
+    res += ` (+${days})`;
+  }
+  return res;
+}
+
+/**
+ * Writes a number of minutes as a duration such as 2h 05m or 45m.
+ * @param {number} minutes - The number of minutes.
+ * @return {string}
+ */
+function formatDuration(minutes) {
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  let res = `${rounded % 60}m`;
+  if (hours > 0) {
+    res = `${hours}h ${String(rounded % 60).padStart(2, '0')}m`;
+  }
+  return res;
+}
+
+/**
+ * The service pattern of a route. Trains leave the terminus every headway
+ *    minutes between the first and last departure, in both directions; on a
+ *    circular route both directions leave from the first stop. Running times
+ *    come from runTimes, or from the distance and running speed.
+ * @constructor
+ * @param {object} spec - The timetable as written in the network JSON.
+ * @param {string} spec.firstDeparture - The first departure, HH:MM.
+ * @param {string} spec.lastDeparture - The last departure, HH:MM.
+ * @param {number} spec.headway - Minutes between departures.
+ * @param {number} [spec.speed] - The running speed in miles per hour.
+ * @param {Array<number>} [spec.runTimes] - Minutes from each stop to the
+ *    next, used in both directions.
+ * @param {number|Array<number>} [spec.dwell] - Minutes trains wait at each
+ *    stop, one number for all stops or one per stop.
+ */
+function Timetable(spec) {
+  this.firstDeparture = parseTime(spec.firstDeparture);
+  this.lastDeparture = parseTime(spec.lastDeparture);
+  this.headway = spec.headway;
+  this.speed = spec.speed === undefined ? null : spec.speed;
+  this.runTimes = spec.runTimes === undefined ? null : spec.runTimes;
+  this.dwell = spec.dwell === undefined ? 0 : spec.dwell;
+}
+
+/**
+ * Returns the timetable as it is written in the network JSON, leaving out
+ *    what was not given.
+ * @return {!Object}
+ */
+Timetable.prototype.toSpec = function() {
+  const res = {
+    firstDeparture: formatTime(this.firstDeparture),
+    lastDeparture: formatTime(this.lastDeparture),
+    headway: this.headway,
+  };
+  if (this.speed !== null) {
+    res.speed = this.speed;
+  }
+  if (this.runTimes !== null) {
+    res.runTimes = this.runTimes.slice();
+  }
+  if (Array.isArray(this.dwell) || this.dwell !== 0) {
+    res.dwell = Array.isArray(this.dwell) ? this.dwell.slice() : this.dwell;
+  }
+  return res;
+};
+
+/**
+ * Whether the timetable lists times for each stop, so it no longer fits its
+ *    route once stops are added, removed or moved.
+ * @return {boolean}
+ */
+Timetable.prototype.hasStopTimes = function() {
+  return this.runTimes !== null || Array.isArray(this.dwell);
+};
+
+/**
+ * Returns the minutes a train waits at a stop.
+ * @param {number} index - The index of the stop on the route.
+ * @return {number}
+ */
+Timetable.prototype.dwellAt = function(index) {
+  let res = this.dwell;
+  if (Array.isArray(this.dwell)) {
+    res = this.dwell[index] === undefined ? 0 : this.dwell[index];
+  }
+  return res;
+};
+
+/**
+ * Returns the index of the stop after another in a direction of travel.
+ * @param {!Route} route - The route.
+ * @param {number} index - The index of the stop.
+ * @param {boolean} forward - Whether travelling in the order of the stops.
+ * @return {number}
+ */
+function nextIndex(route, index, forward) {
+  const length = route.stops.length;
+  return (index + (forward ? 1 : -1) + length) % length;
+}
+
+/**
+ * Returns the minutes a train takes from a stop to the next one in a
+ *    direction of travel, without waiting at either.
+ * @param {!Route} route - The route the timetable belongs to.
+ * @param {number} index - The index of the stop the train leaves.
+ * @param {boolean} forward - Whether travelling in the order of the stops.
+ * @return {number}
+ */
+Timetable.prototype.runTime = function(route, index, forward) {
+  // run times are listed from each stop to the next one
+  const segment = forward ? index : nextIndex(route, index, false);
+  let res;
+  if (this.runTimes !== null) {
+    res = this.runTimes[segment];
+  } else {
+    const distance = forward ?
+      route.distanceToNext(index) :
+      route.distanceToPrev(index);
+    res = ((distance || 0) / this.speed) * 60;
+  }
+  return res;
+};
+
+/**
+ * Returns the minutes from a train leaving its terminus to it leaving a stop.
+ * @param {!Route} route - The route the timetable belongs to.
+ * @param {number} index - The index of the stop.
+ * @param {boolean} forward - Whether travelling in the order of the stops.
+ * @return {number}
+ */
+Timetable.prototype.departureOffset = function(route, index, forward) {
+  const terminus = forward || route.circular ? 0 : route.stops.length - 1;
+  let res = 0;
+  for (let i = terminus; i !== index; i = nextIndex(route, i, forward)) {
+    res += this.runTime(route, i, forward);
+    const next = nextIndex(route, i, forward);
+    res += this.dwellAt(next);
+  }
+  return res;
+};
+
+/**
+ * Returns the departure times of trains from a stop, in order.
+ * @param {!Route} route - The route the timetable belongs to.
+ * @param {number} index - The index of the stop.
+ * @param {boolean} forward - Whether travelling in the order of the stops.
+ * @return {!Array<number>}
+ */
+Timetable.prototype.departures = function(route, index, forward) {
+  const offset = this.departureOffset(route, index, forward);
+  const res = [];
+  for (
+    let start = this.firstDeparture;
+    start <= this.lastDeparture;
+    start += this.headway
+  ) {
+    res.push(start + offset);
+  }
+  return res;
+};
+
+/**
+ * A part of a journey travelled on one route without changing, or walked. A
+ * walked leg has no routeName.
+ * @typedef {{routeName: ?string, from: string, to: string, departs: number,
+ *    arrives: number, wait: number}} ScheduledLeg
+ */
+
+/**
+ * The times of a journey, in minutes after midnight.
+ * @typedef {{departs: number, arrives: number, duration: number,
+ *    waiting: number, legs: !Array<ScheduledLeg>}} Schedule
+ */
+
+/**
+ * Splits the links of a journey into legs travelled on a single route, with
+ * walks between stations as legs of their own.
+ * @param {!Station} origin - The station the journey starts at.
+ * @param {!Array<Link>} links - The links travelled in order.
+ * @return {!Array<{from: Station, links: Array<Link>}>}
+ */
+function splitLegs(origin, links) {
+  const legs = [];
+  let from = origin;
+  links.forEach((link, i) => {
+    if (i === 0 || link.routeName !== links[i - 1].routeName) {
+      legs.push({from: from, links: []});
+    }
+    legs[legs.length - 1].links.push(link);
+    from = link.station;
+  });
+  return legs;
+}
+
+/**
+ * Returns the minutes a train takes over the links of a leg, including the
+ *    time it waits at the stops in between.
+ * @param {!Route} route - The route of the leg.
+ * @param {!Array<Link>} links - The links of the leg.
+ * @return {number}
+ */
+function legDuration(route, links) {
+  let res = 0;
+  links.forEach((link, i) => {
+    res += route.timetable.runTime(route, link.fromIndex, link.forward);
+    if (i < links.length - 1) {
+      res += route.timetable.dwellAt(link.toIndex);
+    }
+  });
+  return res;
+}
+
+/**
+ * Returns the minutes taken to walk the links of a leg.
+ * @param {!Array<Link>} links - The walking links of the leg.
+ * @return {number}
+ */
+function walkDuration(links) {
+  const miles = links.reduce((total, link) => total + link.distance, 0);
+  return walkingMinutes(miles);
+}
+
+/**
+ * Returns the minutes taken to walk a distance.
+ * @param {number} miles - The miles walked.
+ * @return {number}
+ */
+function walkingMinutes(miles) {
+  return (miles / WALKING_SPEED) * 60;
+}
+
+/**
+ * Returns the fewest minutes needed to change onto a leg at its first station:
+ *    the minimum connection time and the walk within the station. Walks can
+ *    start straight away.
+ * @param {{from: Station, walk: boolean}} leg - The leg being changed onto.
+ * @return {number}
+ */
+function connectionTime(leg) {
+  const interchange = leg.from.interchange;
+  return leg.walk || interchange == null ?
+    0 :
+    interchange.minConnectionTime +
+      walkingMinutes(interchange.walkingDistance);
+}
+
+/**
+ * Works out the departure and arrival times of a journey. With departAt every
+ *    leg takes the first train after the traveller is ready; with arriveBy
+ *    every leg takes the last train that still makes the next connection.
+ *    Changes allow for the minimum connection time of the station and the
+ *    walk at it, and walks between stations leave whenever the traveller is
+ *    ready.
+ * @param {!Object<string, Route>} routes - The routes of the network by name.
+ * @param {!Station} origin - The station the journey starts at.
+ * @param {!Array<Link>} links - The links of the journey in order.
+ * @param {object} when - When to travel.
+ * @param {string|number} [when.departAt] - The earliest time to leave.
+ * @param {string|number} [when.arriveBy] - The latest time to arrive.
+ * @return {?Schedule} The schedule or null if the journey uses a route
+ *    without a timetable or no train runs in time.
+ */
+function scheduleJourney(routes, origin, links, when) {
+  const legs = splitLegs(origin, links).map((leg) => {
+    const first = leg.links[0];
+    const last = leg.links[leg.links.length - 1];
+    const route = first.isWalk ? null : routes[first.routeName];
+    let duration = null;
+    if (first.isWalk) {
+      duration = walkDuration(leg.links);
+    } else if (route !== undefined && route.timetable != null) {
+      duration = legDuration(route, leg.links);
+    }
+    return {
+      route: route,
+      walk: first.isWalk === true,
+      from: leg.from,
+      to: last.station,
+      fromIndex: first.fromIndex,
+      forward: first.forward,
+      duration: duration,
+    };
+  });
+  if (legs.some((leg) => leg.duration === null)) {
+    return null;
+  }
+  const departures = (leg) =>
+    leg.route.timetable.departures(leg.route, leg.fromIndex, leg.forward);
+  const times = [];
+  if (when.arriveBy !== undefined) {
+    // work backwards from the arrival deadline
+    let deadline = parseTime(when.arriveBy);
+    for (let i = legs.length - 1; i >= 0; i--) {
+      const leg = legs[i];
+      const latest = leg.walk ?
+        deadline - leg.duration :
+        departures(leg)
+            .filter((time) => time + leg.duration <= deadline)
+            .pop();
+      if (latest === undefined) {
+        return null;
+      }
+      times[i] = {departs: latest, arrives: latest + leg.duration};
+      deadline = latest - connectionTime(leg);
+    }
+  } else {
+    let ready = parseTime(when.departAt);
+    for (let i = 0; i < legs.length; i++) {
+      const leg = legs[i];
+      if (i > 0) {
+        ready += connectionTime(leg);
+      }
+      const next = leg.walk ?
+        ready :
+        departures(leg).find((time) => time >= ready);
+      if (next === undefined) {
+        return null;
+      }
+      times[i] = {departs: next, arrives: next + leg.duration};
+      ready = times[i].arrives;
+    }
+  }
+  const scheduled = legs.map((leg, i) => ({
+    routeName: leg.walk ? null : leg.route.name,
+    from: leg.from.stationName,
+    to: leg.to.stationName,
+    departs: times[i].departs,
+    arrives: times[i].arrives,
+    wait: i === 0 ? 0 : times[i].departs - times[i - 1].arrives,
+  }));
+  // a journey that goes nowhere leaves and arrives at the time asked for
+  const asked = parseTime(
+      when.arriveBy !== undefined ? when.arriveBy : when.departAt,
+  );
+  const departs = scheduled.length > 0 ? scheduled[0].departs : asked;
+  const arrives =
+    scheduled.length > 0 ? scheduled[scheduled.length - 1].arrives : asked;
+  return {
+    departs: departs,
+    arrives: arrives,
+    duration: arrives - departs,
+    waiting: scheduled.reduce((total, leg) => total + leg.wait, 0),
+    legs: scheduled,
+  };
+}
+
+/**
+ * Returns a human-readable timetable of a scheduled journey.
+ * @param {!Schedule} schedule - The schedule of the journey.
+ * @return {string}
+ */
+function scheduleToString(schedule) {
+  let res = '';
+  schedule.legs.forEach((leg, i) => {
+    if (i > 0) {
+      res +=
+        `Arrive at ${leg.from} at ${formatTime(schedule.legs[i - 1].arrives)}` +
+        `, wait ${formatDuration(leg.wait)}\n`;
+    }
+    res +=
+      `Depart ${leg.from} at ${formatTime(leg.departs)} ` +
+      `${leg.routeName === null ? 'on foot' : `on ${leg.routeName}`}\n`;
+  });
+  if (schedule.legs.length > 0) {
+    const last = schedule.legs[schedule.legs.length - 1];
+    res += `Arrive at ${last.to} at ${formatTime(last.arrives)}\n`;
+  }
+  res +=
+    `Journey time: ${formatDuration(schedule.duration)} ` +
+    `(waiting ${formatDuration(schedule.waiting)})`;
+  return res;
+}
+
+exports.Timetable = Timetable;
+exports.parseTime = parseTime;
+exports.formatTime = formatTime;
+exports.formatDuration = formatDuration;
+exports.scheduleJourney = scheduleJourney;
+exports.scheduleToString = scheduleToString;
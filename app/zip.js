@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Reads and writes zip archives with Node's own zlib, enough
+ *    for GTFS feeds: stored and deflated files, without encryption, zip64 or
+ *    archives split over several files.
+ * @author Kevin McCall
+ * @version 1.0
+ */
+'use strict';
+
+const zlib = require('zlib');
+const {InputError} = require('./errors.js');
+
+/** The signature of a local file header. */
+const LOCAL_HEADER = 0x04034b50;
+/** The signature of a central directory entry. */
+const CENTRAL_HEADER = 0x02014b50;
+/** The signature of the end of central directory record. */
+const END_RECORD = 0x06054b50;
+/** Compression method: stored as it is. */
+const STORED = 0;
+/** Compression method: deflated. */
+const DEFLATED = 8;
+/** The DOS date written for every file, 1 January 1980, so output repeats. */
+const DOS_DATE = (1 << 5) | 1;
+
+/** @type {?Array<number>} the CRC-32 of each byte, worked out when needed */
+let crcTable = null;
+
+/**
+ * Returns the CRC-32 of some bytes, as zip archives check them.
+ * @param {!Buffer} bytes - The bytes.
+ * @return {number}
+ */
+function crc32(bytes) {
+  if (crcTable === null) {
+    crcTable = [];
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable.push(c >>> 0);
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Reads the files of a zip archive.
+ * @param {!Buffer} buffer - The archive.
+ * @return {!Map<string, Buffer>} The contents of each file by its path in the
+ *    archive. Folders are left out.
+ * @throws {InputError} Throws if the buffer is not a zip archive this can
+ *    read.
+ */
+function readZip(buffer) {
+  // the end record is last, followed only by a comment of up to 65535 bytes
+  let end = -1;
+  for (let i = buffer.length - 22; i >= 0 && i >= buffer.length - 65557;
+    i--) {
+    if (buffer.readUInt32LE(i) === END_RECORD) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new InputError('Not a zip archive');
+  }
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const res = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new InputError('The zip archive is damaged');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46,
+        offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (flags & 1) {
+      throw new InputError(`${name} is encrypted`);
+    }
+    if (size === 0xffffffff || local === 0xffffffff) {
+      throw new InputError(`${name} needs zip64, which is not supported`);
+    }
+    if (buffer.readUInt32LE(local) !== LOCAL_HEADER) {
+      throw new InputError('The zip archive is damaged');
+    }
+    const start = local + 30 + buffer.readUInt16LE(local + 26) +
+      buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    if (method === STORED) {
+      res.set(name, Buffer.from(data));
+    } else if (method === DEFLATED) {
+      res.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new InputError(`${name} uses compression method ${method}, ` +
+        'which is not supported');
+    }
+  }
+  return res;
+}
+
+/**
+ * Writes files into a zip archive, deflated.
+ * @param {!Map<string, (Buffer|string)>} files - The contents of each file
+ *    by its path in the archive. Text is written as UTF-8.
+ * @return {!Buffer} The archive.
+ */
+function writeZip(files) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  files.forEach((contents, name) => {
+    const data = Buffer.isBuffer(contents) ? contents :
+      Buffer.from(contents, 'utf8');
+    const packed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name, 'utf8');
+    // the fields the local header and the central directory share
+    const common = Buffer.alloc(26);
+    common.writeUInt16LE(20, 0);
+    // bit 11: the name is UTF-8
+    common.writeUInt16LE(1 << 11, 2);
+    common.writeUInt16LE(DEFLATED, 4);
+    common.writeUInt16LE(0, 6);
+    common.writeUInt16LE(DOS_DATE, 8);
+    common.writeUInt32LE(crc32(data), 10);
+    common.writeUInt32LE(packed.length, 14);
+    common.writeUInt32LE(data.length, 18);
+    common.writeUInt16LE(nameBytes.length, 22);
+    common.writeUInt16LE(0, 24);
+    const local = Buffer.alloc(4);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    parts.push(local, common, nameBytes, packed);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(CENTRAL_HEADER, 0);
+    entry.writeUInt16LE(20, 4);
+    common.copy(entry, 6);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + packed.length;
+  });
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_RECORD, 0);
+  end.writeUInt16LE(files.size, 8);
+  end.writeUInt16LE(files.size, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(parts.concat([directory, end]));
+}
+
+exports.readZip = readZip;
+exports.writeZip = writeZip;
+exports.crc32 = crc32;